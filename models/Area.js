@@ -0,0 +1,38 @@
+// models/Area.js - Floor sections (AC hall, terrace, ...) that tables belong to
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const areaSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  name: {
+    type: String,
+    required: [true, 'Area name is required'],
+    trim: true,
+    maxlength: [50, 'Area name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Display order on the floor plan
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+areaSchema.index({ outlet: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Area', areaSchema);
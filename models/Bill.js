@@ -89,6 +89,78 @@
 // module.exports = mongoose.model('Bill', billSchema);
 // models/Bill.js - Fixed Bill Model with Auto billNumber Generation
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { GST_SLABS, SUPPLY_TYPES, round2, splitTax, buildTaxBreakup } = require('../utils/gst');
+
+// Modifier picked for a bill line - snapshot of the option at billing time
+const lineModifierSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModifierGroup'
+  },
+  groupName: String,
+  option: mongoose.Schema.Types.ObjectId,
+  name: {
+    type: String,
+    required: true
+  },
+  // Added to the line's unit price
+  price: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Ingredient one unit of a line (or combo component) took from stock - the recipe as it was when billed,
+// so cancellations and refunds put back exactly what was used
+const lineIngredientSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Item inside a combo line - `quantity` is per combo, `share` the part of the combo's unit price it earned
+const lineComponentSchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Choice slot the item was picked for (null for fixed components)
+  slot: {
+    type: String,
+    default: null
+  },
+  share: {
+    type: Number,
+    default: 0
+  },
+  // Unset on lines billed before recipes were copied onto bills
+  ingredients: {
+    type: [lineIngredientSchema],
+    default: undefined
+  }
+}, { _id: false });
 
 const billItemSchema = new mongoose.Schema({
   menuItem: {
@@ -96,10 +168,20 @@ const billItemSchema = new mongoose.Schema({
     ref: 'MenuItem',
     required: true
   },
+  // Variant (portion/size) sold - `name` then carries it too, e.g. "Paneer Tikka (Half)"
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantName: {
+    type: String,
+    default: null
+  },
   name: {
     type: String,
     required: true
   },
+  // Unit price including the modifiers' price deltas
   price: {
     type: Number,
     required: true,
@@ -114,6 +196,157 @@ const billItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0
+  },
+  modifiers: {
+    type: [lineModifierSchema],
+    default: []
+  },
+  // Items making up a combo line - stock is taken from these rather than the combo
+  components: {
+    type: [lineComponentSchema],
+    default: []
+  },
+  // Unset on lines billed before recipes were copied onto bills; empty for combos (see components)
+  ingredients: {
+    type: [lineIngredientSchema],
+    default: undefined
+  },
+  category: {
+    type: String,
+    default: null
+  },
+  // GST snapshot taken from the menu item at billing time
+  hsnCode: {
+    type: String,
+    default: null
+  },
+  taxRate: {
+    type: Number,
+    default: 18,
+    enum: GST_SLABS
+  },
+  taxableValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Line discount (line promotions plus its share of bill-level discounts) - taxableValue is after it
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Quantity already returned through credit notes
+  creditedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Kitchen instructions printed on the KOT (e.g. "less spicy")
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Item notes cannot exceed 200 characters'],
+    default: ''
+  }
+});
+
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'online'];
+const ORDER_TYPES = ['dine-in', 'takeaway', 'delivery'];
+
+// Discount rule applied to the bill - kept as a record even if the promotion is later changed
+const appliedPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  name: String,
+  code: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'buy-x-get-y', 'manual', 'loyalty']
+  },
+  scope: {
+    type: String,
+    enum: ['bill', 'item']
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Rupee amount asked for on a manual or loyalty discount
+  requested: {
+    type: Number,
+    default: null
+  },
+  // Lines a coupon was redeemed on - rounds added later are not covered by it
+  lines: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: undefined
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// A single payment line - a bill can be settled by several of these (e.g. part cash, part UPI)
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  // Amount applied to the bill (for cash, tendered minus change)
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  // UPI UTR / card approval code / online transaction ID
+  reference: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  tendered: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  change: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 });
 
@@ -121,7 +354,14 @@ const billSchema = new mongoose.Schema({
   billNumber: {
     type: String,
     unique: true,
-    sparse: true // Allows multiple documents with null billNumber during creation
+    sparse: true, // Allows multiple documents with null billNumber during creation
+    immutable: true // An issued invoice number is never changed or reused
+  },
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
   },
   customerName: {
     type: String,
@@ -133,10 +373,40 @@ const billSchema = new mongoose.Schema({
     default: null,
     trim: true
   },
+  // Customer directory entry, linked by phone number when the bill is created
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  loyaltyPointsEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  loyaltyPointsRedeemed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   tableNumber: {
     type: String,
     default: null
   },
+  // Dining table the bill is open on (tableNumber keeps the label printed on the receipt)
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    default: null
+  },
+  orderType: {
+    type: String,
+    enum: {
+      values: ORDER_TYPES,
+      message: '{VALUE} is not a valid order type'
+    },
+    default: 'dine-in'
+  },
   items: {
     type: [billItemSchema],
     required: true,
@@ -152,31 +422,118 @@ const billSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Total tax on the bill (cgst + sgst + igst)
   gst: {
     type: Number,
     default: 0,
     min: 0
   },
+  supplyType: {
+    type: String,
+    enum: SUPPLY_TYPES,
+    default: 'intra-state'
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total of all line discounts
   discount: {
     type: Number,
     default: 0,
     min: 0
   },
+  appliedPromotions: {
+    type: [appliedPromotionSchema],
+    default: []
+  },
+  // Service charge - rate snapshot from the outlet's billing settings, dine-in only
+  serviceChargeRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  serviceChargeWaived: {
+    type: Boolean,
+    default: false
+  },
+  serviceChargeWaivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  serviceCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Packing charge - takeaway and delivery only
+  packingCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // GST slab on service and packing charges (included in cgst/sgst/igst and the tax breakup)
+  chargesTaxRate: {
+    type: Number,
+    enum: GST_SLABS,
+    default: 5
+  },
+  roundToRupee: {
+    type: Boolean,
+    default: false
+  },
+  // Rupee round-off added to reach the total (may be negative)
+  roundOff: {
+    type: Number,
+    default: 0
+  },
   total: {
     type: Number,
     required: true,
     min: 0
   },
+  // Single method of the payments, or 'split' when more than one method was used
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'upi', 'online'],
+    enum: [...PAYMENT_METHODS, 'split'],
     default: 'cash'
   },
+  payments: {
+    type: [paymentSchema],
+    default: []
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   status: {
     type: String,
     enum: ['pending', 'paid', 'cancelled'],
     default: 'paid'
   },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  // Total refunded through credit notes (the bill itself is never changed after payment)
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   isPrinted: {
     type: Boolean,
     default: false
@@ -185,6 +542,25 @@ const billSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  printerUsed: {
+    type: String,
+    default: null
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: {
+    type: Date,
+    default: null
+  },
+  // GST e-invoice registration returned by the IRP - printed as the signed QR code on the receipt
+  eInvoice: {
+    irn: { type: String, trim: true, default: null },
+    ackNo: { type: String, trim: true, default: null },
+    ackDate: { type: Date, default: null },
+    signedQrCode: { type: String, default: null }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -215,105 +591,172 @@ billSchema.index({ status: 1 });
 billSchema.index({ paymentMethod: 1 });
 billSchema.index({ customerName: 1 });
 billSchema.index({ createdBy: 1 });
+billSchema.index({ outlet: 1, createdAt: -1 });
+billSchema.index({ customer: 1, createdAt: -1 });
+// A table can only have one open bill - concurrent openings on the same table fail on this index
+billSchema.index(
+  { table: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', table: { $type: 'objectId' } } }
+);
 
-// Pre-save middleware to generate billNumber
+// Pre-save middleware to issue billNumber from the outlet's bill series
 billSchema.pre('save', async function(next) {
-  // Only generate billNumber if it's not already set (new document)
+  // Only issue a billNumber if it's not already set (new document)
   if (!this.billNumber) {
     try {
-      const today = new Date();
-      const dateStr = today.toISOString().slice(0, 10).replace(/-/g, ''); // YYYYMMDD
-      
-      // Get start and end of today
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
-      
-      // Count today's bills to generate sequence number
-      const todayBillsCount = await this.constructor.countDocuments({
-        createdAt: {
-          $gte: startOfDay,
-          $lt: endOfDay
-        }
+      this.billNumber = await Counter.nextNumber('bill', {
+        outlet: this.outlet,
+        date: this.createdAt || new Date(),
+        session: this.$session()
       });
       
-      // Generate sequence number with padding
-      const sequenceNumber = String(todayBillsCount + 1).padStart(3, '0');
-      
-      // Create bill number: B + YYYYMMDD + 001
-      this.billNumber = `B${dateStr}${sequenceNumber}`;
-      
       console.log(`Generated bill number: ${this.billNumber}`);
     } catch (error) {
       console.error('Error generating bill number:', error);
-      // Fallback: use timestamp-based bill number
-      this.billNumber = `B${Date.now()}`;
-    }
-  }
-  
-  // Validate and calculate totals
-  if (this.items && this.items.length > 0) {
-    const calculatedSubtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    
-    // Auto-calculate GST if not provided
-    if (!this.gst) {
-      this.gst = Math.round((calculatedSubtotal * 0.18) * 100) / 100;
-    }
-    
-    // Auto-calculate total if not provided
-    if (!this.total || this.total === 0) {
-      this.total = calculatedSubtotal + this.gst - (this.discount || 0);
+      return next(error);
     }
-    
-    // Update item totals
-    this.items.forEach(item => {
-      if (!item.total || item.total === 0) {
-        item.total = item.price * item.quantity;
-      }
-    });
   }
   
   next();
 });
 
-// Pre-validate middleware for additional checks
+// Pre-validate middleware - line discounts, per-line GST and bill totals are always derived from the items
 billSchema.pre('validate', function(next) {
-  // Ensure discount doesn't exceed subtotal
-  if (this.discount && this.subtotal && this.discount > this.subtotal) {
-    this.discount = this.subtotal;
+  if (!this.items || this.items.length === 0) {
+    return next();
   }
-  
-  // Ensure total is correct
-  if (this.subtotal && this.gst !== undefined && this.discount !== undefined) {
-    const calculatedTotal = this.subtotal + this.gst - this.discount;
-    if (Math.abs(this.total - calculatedTotal) > 0.01) { // Allow for small rounding differences
-      this.total = Math.round(calculatedTotal * 100) / 100;
+
+  const totals = this.calculateTotals();
+
+  this.items.forEach((item, index) => {
+    Object.assign(item, totals.lines[index]);
+  });
+
+  this.subtotal = totals.subtotal;
+  this.discount = totals.discount;
+  this.serviceCharge = totals.serviceCharge;
+  this.packingCharge = totals.packingCharge;
+  this.roundOff = totals.roundOff;
+  this.cgst = totals.cgst;
+  this.sgst = totals.sgst;
+  this.igst = totals.igst;
+  this.gst = totals.gst;
+  this.total = totals.total;
+
+  // Payment lines - bills from before split payments have none and keep their single paymentMethod
+  if (this.payments && this.payments.length > 0) {
+    this.payments.forEach(payment => {
+      if (payment.tendered !== null && payment.tendered !== undefined) {
+        if (payment.tendered < payment.amount) {
+          this.invalidate('payments', `Tendered amount ${payment.tendered} is less than payment amount ${payment.amount}`);
+        }
+        payment.change = round2(Math.max(payment.tendered - payment.amount, 0));
+      }
+    });
+
+    this.amountPaid = round2(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+    const methods = [...new Set(this.payments.map(payment => payment.method))];
+    this.paymentMethod = methods.length === 1 ? methods[0] : 'split';
+
+    if (this.amountPaid - this.total > 0.01) {
+      this.invalidate('payments', `Payments (${this.amountPaid}) exceed the bill total (${this.total})`);
+    } else if (this.status === 'paid' && Math.abs(this.total - this.amountPaid) > 0.01) {
+      this.invalidate('payments', `Payments (${this.amountPaid}) must add up to the bill total (${this.total})`);
     }
+  } else if (this.status === 'paid') {
+    this.amountPaid = this.total;
   }
-  
+
   next();
 });
 
-// Instance method to calculate totals
+// Instance method to calculate totals. GST is charged on each line's value after its discount
+// (line promotions plus its share of bill-level discounts, see utils/discounts.js), and on
+// service/packing charges at the charges slab. Round-off is applied last.
 billSchema.methods.calculateTotals = function() {
   if (!this.items || this.items.length === 0) {
     return {
       subtotal: 0,
+      discount: 0,
+      taxableValue: 0,
+      serviceCharge: 0,
+      packingCharge: 0,
+      roundOff: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
       gst: 0,
-      total: 0
+      total: 0,
+      taxBreakup: [],
+      lines: []
     };
   }
-  
-  const subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const gst = Math.round((subtotal * 0.18) * 100) / 100;
-  const total = subtotal + gst - (this.discount || 0);
-  
+
+  const lines = this.items.map(item => {
+    const total = round2(item.price * item.quantity);
+    const discount = round2(Math.min(item.discount || 0, total));
+    const taxableValue = round2(total - discount);
+    return {
+      total,
+      discount,
+      taxableValue,
+      ...splitTax(taxableValue, item.taxRate, this.supplyType)
+    };
+  });
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.total, 0));
+  const lineDiscount = round2(lines.reduce((sum, line) => sum + line.discount, 0));
+  const taxableValue = round2(subtotal - lineDiscount);
+
+  const serviceCharge = this.orderType === 'dine-in' && !this.serviceChargeWaived
+    ? round2(taxableValue * (this.serviceChargeRate || 0) / 100)
+    : 0;
+  const packingCharge = this.orderType === 'dine-in' ? 0 : round2(this.packingCharge || 0);
+  const chargeValue = round2(serviceCharge + packingCharge);
+  const charges = chargeValue > 0
+    ? [{ taxRate: this.chargesTaxRate, taxableValue: chargeValue, ...splitTax(chargeValue, this.chargesTaxRate, this.supplyType) }]
+    : [];
+
+  const taxBreakup = buildTaxBreakup([
+    ...lines.map((line, index) => ({ ...line, taxRate: this.items[index].taxRate })),
+    ...charges
+  ]);
+  const cgst = round2(taxBreakup.reduce((sum, slab) => sum + slab.cgst, 0));
+  const sgst = round2(taxBreakup.reduce((sum, slab) => sum + slab.sgst, 0));
+  const igst = round2(taxBreakup.reduce((sum, slab) => sum + slab.igst, 0));
+  const gst = round2(cgst + sgst + igst);
+
+  // Bills saved before line discounts carry a flat discount taken off after tax - keep their totals as issued
+  const legacyDiscount = !this.isNew && lineDiscount === 0
+    ? Math.min(this.discount || 0, subtotal)
+    : 0;
+
+  const beforeRounding = round2(taxableValue + chargeValue + gst - legacyDiscount);
+  const roundOff = this.roundToRupee ? round2(Math.round(beforeRounding) - beforeRounding) : 0;
+
   return {
-    subtotal: Math.round(subtotal * 100) / 100,
+    subtotal,
+    discount: round2(lineDiscount + legacyDiscount),
+    taxableValue,
+    serviceCharge,
+    packingCharge,
+    roundOff,
+    cgst,
+    sgst,
+    igst,
     gst,
-    total: Math.round(total * 100) / 100
+    total: round2(beforeRounding + roundOff),
+    taxBreakup,
+    lines
   };
 };
 
+// Slab-wise tax summary of the lines and charges
+billSchema.methods.getTaxBreakup = function() {
+  return this.calculateTotals().taxBreakup;
+};
+
 // Instance method to get formatted bill data for printing
 billSchema.methods.getFormattedData = function() {
   return {
@@ -322,22 +765,105 @@ billSchema.methods.getFormattedData = function() {
     time: this.createdAt.toLocaleTimeString(),
     customerName: this.customerName,
     customerPhone: this.customerPhone,
+    loyaltyPointsEarned: this.loyaltyPointsEarned || 0,
+    loyaltyPointsRedeemed: this.loyaltyPointsRedeemed || 0,
     tableNumber: this.tableNumber,
+    orderType: this.orderType,
     items: this.items.map(item => ({
       name: item.name,
+      hsnCode: item.hsnCode,
       quantity: item.quantity,
       price: item.price.toFixed(2),
+      discount: (item.discount || 0).toFixed(2),
+      taxRate: item.taxRate,
+      taxableValue: (item.taxableValue || 0).toFixed(2),
+      cgst: (item.cgst || 0).toFixed(2),
+      sgst: (item.sgst || 0).toFixed(2),
+      igst: (item.igst || 0).toFixed(2),
       total: item.total.toFixed(2)
     })),
     subtotal: this.subtotal.toFixed(2),
+    supplyType: this.supplyType,
+    cgst: (this.cgst || 0).toFixed(2),
+    sgst: (this.sgst || 0).toFixed(2),
+    igst: (this.igst || 0).toFixed(2),
     gst: this.gst.toFixed(2),
+    taxBreakup: this.getTaxBreakup().map(slab => ({
+      rate: slab.rate,
+      taxableValue: slab.taxableValue.toFixed(2),
+      cgst: slab.cgst.toFixed(2),
+      sgst: slab.sgst.toFixed(2),
+      igst: slab.igst.toFixed(2),
+      totalTax: slab.totalTax.toFixed(2)
+    })),
     discount: this.discount.toFixed(2),
+    appliedPromotions: (this.appliedPromotions || []).map(promotion => ({
+      name: promotion.name,
+      code: promotion.code,
+      amount: promotion.amount.toFixed(2)
+    })),
+    serviceChargeRate: this.serviceChargeRate || 0,
+    serviceCharge: (this.serviceCharge || 0).toFixed(2),
+    packingCharge: (this.packingCharge || 0).toFixed(2),
+    roundOff: (this.roundOff || 0).toFixed(2),
     total: this.total.toFixed(2),
     paymentMethod: this.paymentMethod.toUpperCase(),
+    payments: this.getPaymentLines().map(payment => ({
+      method: payment.method.toUpperCase(),
+      amount: payment.amount.toFixed(2),
+      reference: payment.reference || null,
+      tendered: payment.tendered ? payment.tendered.toFixed(2) : null,
+      change: (payment.change || 0).toFixed(2)
+    })),
+    amountPaid: (this.amountPaid || 0).toFixed(2),
+    balanceDue: this.balanceDue.toFixed(2),
     status: this.status.toUpperCase()
   };
 };
 
+// Payment lines of the bill; bills settled before split payments report their single method
+billSchema.methods.getPaymentLines = function() {
+  if (this.payments && this.payments.length > 0) {
+    return this.payments;
+  }
+
+  if (this.status !== 'paid') {
+    return [];
+  }
+
+  return [{ method: this.paymentMethod, amount: this.total, reference: null, tendered: null, change: 0 }];
+};
+
+// Static method to total payments per method across bills
+billSchema.statics.summarizePayments = function(bills) {
+  const breakdown = {};
+
+  bills.forEach(bill => {
+    bill.getPaymentLines().forEach(payment => {
+      breakdown[payment.method] = round2((breakdown[payment.method] || 0) + payment.amount);
+    });
+  });
+
+  return breakdown;
+};
+
+// Static method to total discounts, charges, round-off and tax across bills (for reports)
+billSchema.statics.summarizeCharges = function(bills) {
+  const summary = { discount: 0, serviceCharge: 0, packingCharge: 0, roundOff: 0, gst: 0 };
+
+  bills.forEach(bill => {
+    Object.keys(summary).forEach(key => {
+      summary[key] += bill[key] || 0;
+    });
+  });
+
+  Object.keys(summary).forEach(key => {
+    summary[key] = round2(summary[key]);
+  });
+
+  return summary;
+};
+
 // Static method to get today's bills summary
 billSchema.statics.getTodaySummary = async function() {
   const today = new Date();
@@ -385,6 +911,12 @@ billSchema.virtual('formattedBillNumber').get(function() {
   return this.billNumber || 'PENDING';
 });
 
+// Virtual for amount still to be collected
+billSchema.virtual('balanceDue').get(function() {
+  if (this.status === 'cancelled') return 0;
+  return round2(Math.max((this.total || 0) - (this.amountPaid || 0), 0));
+});
+
 // Virtual for bill age in days
 billSchema.virtual('ageInDays').get(function() {
   const now = new Date();
@@ -397,4 +929,23 @@ billSchema.virtual('ageInDays').get(function() {
 billSchema.set('toJSON', { virtuals: true });
 billSchema.set('toObject', { virtuals: true });
 
+// Static method to get the stock `quantity` units of a bill line take ({ menuItem, variant, name, quantity }):
+// the item (or variant) itself, or each component of a combo
+billSchema.statics.stockLinesFor = function(line, quantity = line.quantity) {
+  if (line.components && line.components.length > 0) {
+    return line.components.map(component => ({
+      menuItem: component.menuItem,
+      variant: component.variant || null,
+      name: component.name,
+      quantity: component.quantity * quantity,
+      recipe: component.ingredients
+    }));
+  }
+
+  return [{ menuItem: line.menuItem, variant: line.variant || null, name: line.name, quantity, recipe: line.ingredients }];
+};
+
+billSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+billSchema.statics.ORDER_TYPES = ORDER_TYPES;
+
 module.exports = mongoose.model('Bill', billSchema);
\ No newline at end of file
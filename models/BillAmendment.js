@@ -0,0 +1,87 @@
+// models/BillAmendment.js - Append-only history of changes made to open (pending) bills
+const mongoose = require('mongoose');
+
+const totalsSnapshotSchema = new mongoose.Schema({
+  subtotal: Number,
+  gst: Number,
+  discount: Number,
+  serviceCharge: Number,
+  total: Number
+}, { _id: false });
+
+const billAmendmentSchema = new mongoose.Schema({
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true,
+    immutable: true
+  },
+  billNumber: {
+    type: String,
+    immutable: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'add-item', 'change-quantity', 'void-item', 'waive-service-charge', 'restore-service-charge',
+      'transfer-table', 'merge-bill'
+    ],
+    immutable: true
+  },
+  // Snapshot of the bill line as it was affected (line actions only)
+  line: {
+    lineId: mongoose.Schema.Types.ObjectId,
+    menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+    name: String,
+    price: Number,
+    quantity: Number
+  },
+  previousQuantity: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  newQuantity: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    trim: true,
+    immutable: true
+  },
+  totalsBefore: totalsSnapshotSchema,
+  totalsAfter: totalsSnapshotSchema,
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+billAmendmentSchema.index({ bill: 1, createdAt: 1 });
+billAmendmentSchema.index({ createdAt: -1 });
+billAmendmentSchema.index({ action: 1 });
+
+// Amendments are an audit trail - once written they can never be changed or removed
+function rejectChange(next) {
+  next(new Error('Bill amendments are immutable'));
+}
+
+billAmendmentSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  billAmendmentSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('BillAmendment', billAmendmentSchema);
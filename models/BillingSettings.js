@@ -0,0 +1,82 @@
+// models/BillingSettings.js - Per-outlet bill charges (service, packing, round-off) and loyalty scheme
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { GST_SLABS } = require('../utils/gst');
+
+const billingSettingsSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  // Percent of the post-discount food value, charged on dine-in bills only (0 = off)
+  serviceChargeRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Service charge cannot be negative'],
+    max: [20, 'Service charge cannot exceed 20%']
+  },
+  // Flat rupee charge added to takeaway and delivery bills (0 = off)
+  packingCharge: {
+    type: Number,
+    default: 0,
+    min: [0, 'Packing charge cannot be negative']
+  },
+  // GST slab applied to service and packing charges
+  chargesTaxRate: {
+    type: Number,
+    enum: {
+      values: GST_SLABS,
+      message: '{VALUE} is not a valid GST slab'
+    },
+    default: 5
+  },
+  // Round bill totals to the nearest rupee
+  roundOff: {
+    type: Boolean,
+    default: true
+  },
+  // Loyalty points earned per Rs.100 of a paid bill (0 = scheme off)
+  loyaltyEarnRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Earn rate cannot be negative']
+  },
+  // Rupee value of one point when redeemed as a bill discount
+  loyaltyPointValue: {
+    type: Number,
+    default: 1,
+    min: [0.01, 'Point value must be greater than 0']
+  },
+  // Discount on the next visit for rating a bill ("Rate us & get 10% off" on receipts)
+  feedbackRewardPercent: {
+    type: Number,
+    default: 10,
+    min: [0, 'Reward cannot be negative'],
+    max: [100, 'Reward cannot exceed 100%']
+  },
+  feedbackRewardValidDays: {
+    type: Number,
+    default: 30,
+    min: [1, 'Reward must be valid for at least a day']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+billingSettingsSchema.index({ outlet: 1 }, { unique: true });
+
+// Static method to get an outlet's settings - an unsaved default document if none were configured
+billingSettingsSchema.statics.getForOutlet = async function(outlet = Counter.DEFAULT_OUTLET, options = {}) {
+  const { session = null } = options;
+  const settings = await this.findOne({ outlet: outlet.toUpperCase() }).session(session);
+  return settings || new this({ outlet });
+};
+
+module.exports = mongoose.model('BillingSettings', billingSettingsSchema);
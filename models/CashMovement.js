@@ -0,0 +1,149 @@
+// models/CashMovement.js - Append-only cash ledger: drawer opens, pay-ins and pay-outs, tied to the shift of the drawer
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { round2 } = require('../utils/gst');
+
+const MOVEMENT_TYPES = ['drawer-open', 'pay-in', 'pay-out'];
+// Why the drawer was opened
+const DRAWER_REASONS = ['sale', 'no-sale', 'refund', 'pay-in', 'payout', 'float', 'count'];
+// What a pay-in or pay-out was for
+const CASH_CATEGORIES = ['petty-expense', 'supplier', 'float-top-up', 'bank-deposit', 'tips', 'other'];
+
+const cashMovementSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET,
+    immutable: true
+  },
+  terminal: {
+    type: String,
+    trim: true,
+    default: '',
+    immutable: true
+  },
+  // Drawer session (shift) the movement counts towards - null when no shift was open
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
+    immutable: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    enum: DRAWER_REASONS,
+    immutable: true
+  },
+  category: {
+    type: String,
+    enum: CASH_CATEGORIES,
+    immutable: true
+  },
+  // Cash in (pay-in) or out (pay-out) of the drawer - 0 for drawer opens
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative'],
+    immutable: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters'],
+    default: '',
+    immutable: true
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    default: null,
+    immutable: true
+  },
+  billNumber: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  userName: {
+    type: String,
+    default: '',
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+cashMovementSchema.index({ shift: 1, createdAt: 1 });
+cashMovementSchema.index({ outlet: 1, createdAt: -1 });
+cashMovementSchema.index({ type: 1, reason: 1 });
+
+// Pay-ins and pay-outs need an amount and what they were for; a no-sale open needs a note
+cashMovementSchema.pre('validate', function(next) {
+  if (this.type !== 'drawer-open') {
+    if (!(this.amount > 0)) {
+      this.invalidate('amount', 'Amount must be greater than 0');
+    }
+    if (!this.category) {
+      this.invalidate('category', `Category is required. Must be one of: ${CASH_CATEGORIES.join(', ')}`);
+    }
+  } else if (!this.reason) {
+    this.invalidate('reason', `Reason is required. Must be one of: ${DRAWER_REASONS.join(', ')}`);
+  } else if (this.reason === 'no-sale' && !this.note) {
+    this.invalidate('note', 'Say why the drawer was opened without a sale');
+  }
+
+  next();
+});
+
+// The ledger is an audit trail - once written entries can never be changed or removed
+function rejectChange(next) {
+  next(new Error('Cash movements are immutable'));
+}
+
+cashMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  cashMovementSchema.pre(operation, rejectChange);
+});
+
+// Static method to total a set of movements: cash paid in and out, and drawer opens by reason
+cashMovementSchema.statics.summarize = function(movements) {
+  const summary = { paidIn: 0, paidOut: 0, payIns: 0, payOuts: 0, drawerOpens: {} };
+
+  movements.forEach(movement => {
+    if (movement.type === 'pay-in') {
+      summary.paidIn = round2(summary.paidIn + movement.amount);
+      summary.payIns++;
+    } else if (movement.type === 'pay-out') {
+      summary.paidOut = round2(summary.paidOut + movement.amount);
+      summary.payOuts++;
+    } else {
+      summary.drawerOpens[movement.reason] = (summary.drawerOpens[movement.reason] || 0) + 1;
+    }
+  });
+
+  return summary;
+};
+
+cashMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+cashMovementSchema.statics.DRAWER_REASONS = DRAWER_REASONS;
+cashMovementSchema.statics.CASH_CATEGORIES = CASH_CATEGORIES;
+
+module.exports = mongoose.model('CashMovement', cashMovementSchema);
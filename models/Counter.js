@@ -0,0 +1,146 @@
+// models/Counter.js - Atomic document number series (bills, and any other numbered documents)
+const mongoose = require('mongoose');
+const { getFinancialYear } = require('../utils/financialYear');
+
+const DEFAULT_OUTLET = (process.env.OUTLET_CODE || 'MAIN').toUpperCase();
+
+// Default prefix for each known series, used when a series is first issued
+const SERIES_DEFAULTS = {
+  bill: { prefix: 'B' },
+  'credit-note': { prefix: 'CN' },
+  kot: { prefix: 'K' },
+  'z-report': { prefix: 'Z' },
+  'purchase-order': { prefix: 'PO' },
+  'goods-receipt': { prefix: 'GRN' }
+};
+
+// GST rules: invoice serial up to 16 characters, only letters, digits, '-' and '/'
+const MAX_NUMBER_LENGTH = 16;
+const NUMBER_PATTERN = /^[A-Za-z0-9\/-]+$/;
+
+const counterSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    default: DEFAULT_OUTLET
+  },
+  series: {
+    type: String,
+    required: [true, 'Series is required'],
+    lowercase: true,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [6, 'Prefix cannot exceed 6 characters']
+  },
+  // Tokens: {PREFIX} {OUTLET} {FY} (2627) {FYFULL} (2026-27) {YYYY} {MM} {DD} {SEQ}
+  format: {
+    type: String,
+    default: '{PREFIX}/{FY}/{SEQ}',
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return v.includes('{SEQ}') && (v.includes('{FY}') || v.includes('{FYFULL}'));
+      },
+      message: 'Format must contain {SEQ} and {FY} or {FYFULL} so numbers stay unique across financial years'
+    }
+  },
+  padding: {
+    type: Number,
+    default: 5,
+    min: [1, 'Padding must be at least 1'],
+    max: [10, 'Padding cannot exceed 10']
+  },
+  // Last issued sequence per financial year label - only ever incremented
+  sequences: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ outlet: 1, series: 1 }, { unique: true });
+
+// Make sure the configured format can produce a valid invoice number
+counterSchema.pre('validate', function(next) {
+  const sample = this.formatNumber(Math.pow(10, this.padding) - 1, new Date());
+
+  if (sample.length > MAX_NUMBER_LENGTH) {
+    this.invalidate('format', `Numbers in this format would be ${sample.length} characters (max ${MAX_NUMBER_LENGTH})`);
+  } else if (!NUMBER_PATTERN.test(sample)) {
+    this.invalidate('format', 'Numbers may only contain letters, digits, "-" and "/"');
+  }
+
+  next();
+});
+
+// Instance method to render a sequence value in this series' format
+counterSchema.methods.formatNumber = function(sequence, date = new Date()) {
+  const fy = getFinancialYear(date);
+  const d = new Date(date);
+
+  return this.format
+    .replace(/{PREFIX}/g, this.prefix || '')
+    .replace(/{OUTLET}/g, this.outlet || '')
+    .replace(/{FYFULL}/g, fy.label)
+    .replace(/{FY}/g, fy.short)
+    .replace(/{YYYY}/g, String(d.getFullYear()))
+    .replace(/{MM}/g, String(d.getMonth() + 1).padStart(2, '0'))
+    .replace(/{DD}/g, String(d.getDate()).padStart(2, '0'))
+    .replace(/{SEQ}/g, String(sequence).padStart(this.padding, '0'));
+};
+
+// Instance method to get the last issued sequence for a financial year
+counterSchema.methods.getSequence = function(date = new Date()) {
+  return this.sequences.get(getFinancialYear(date).label) || 0;
+};
+
+// Static method to atomically issue the next number in a series.
+// Pass the caller's session so the number is only consumed if the document using it is committed.
+counterSchema.statics.nextNumber = async function(series, options = {}) {
+  const { outlet = DEFAULT_OUTLET, date = new Date(), session = null } = options;
+  const fy = getFinancialYear(date);
+  const defaults = SERIES_DEFAULTS[series] || {};
+
+  const issue = () => this.findOneAndUpdate(
+    { outlet: outlet.toUpperCase(), series },
+    {
+      $inc: { [`sequences.${fy.label}`]: 1 },
+      $setOnInsert: { prefix: defaults.prefix || '' }
+    },
+    { new: true, upsert: true, session }
+  );
+
+  let counter;
+  try {
+    counter = await issue();
+  } catch (error) {
+    // Two first-time upserts can race on the unique index; the loser retries the increment. In a
+    // transaction the failed write has aborted it, so the transaction is marked for withTransaction to
+    // run again instead.
+    if (error.code !== 11000) throw error;
+    if (session) {
+      error.addErrorLabel('TransientTransactionError');
+      throw error;
+    }
+    counter = await issue();
+  }
+
+  return counter.formatNumber(counter.sequences.get(fy.label), date);
+};
+
+counterSchema.statics.DEFAULT_OUTLET = DEFAULT_OUTLET;
+counterSchema.statics.SERIES_DEFAULTS = SERIES_DEFAULTS;
+
+module.exports = mongoose.model('Counter', counterSchema);
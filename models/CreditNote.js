@@ -0,0 +1,312 @@
+// models/CreditNote.js - Credit notes (partial refunds) issued against paid bills
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { GST_SLABS, SUPPLY_TYPES, round2, buildTaxBreakup } = require('../utils/gst');
+
+// A line's share of the bill's service and packing charges, taxed at the bill's charges slab
+const lineChargesSchema = new mongoose.Schema({
+  taxRate: {
+    type: Number,
+    default: 0,
+    enum: GST_SLABS
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const creditNoteLineSchema = new mongoose.Schema({
+  // _id of the line on the original bill
+  billLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  hsnCode: {
+    type: String,
+    default: null
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    enum: GST_SLABS
+  },
+  // Tax figures are the original line's, reversed in proportion to the quantity credited
+  taxableValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Share of a pre-line-discount bill's flat discount given back on this line
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Service/packing charges and round-off of the bill given back with the line, in proportion to the quantity
+  charges: {
+    type: lineChargesSchema,
+    default: () => ({})
+  },
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    immutable: true
+  },
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true
+  },
+  billNumber: {
+    type: String,
+    required: true
+  },
+  supplyType: {
+    type: String,
+    enum: SUPPLY_TYPES,
+    default: 'intra-state'
+  },
+  customerName: String,
+  customerPhone: String,
+  lines: {
+    type: [creditNoteLineSchema],
+    validate: {
+      validator: function(lines) {
+        return lines && lines.length > 0;
+      },
+      message: 'Credit note must have at least one line'
+    }
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Service and packing charges given back (before GST), and the round-off reversed
+  charges: {
+    type: Number,
+    default: 0
+  },
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'online'],
+    required: [true, 'Refund method is required']
+  },
+  refundReference: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true
+  },
+  restock: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ bill: 1 });
+creditNoteSchema.index({ createdAt: -1 });
+creditNoteSchema.index({ refundMethod: 1 });
+
+// Pre-validate middleware - credit note totals are always derived from its lines
+creditNoteSchema.pre('validate', function(next) {
+  const lines = this.lines || [];
+  const charged = (line, field) => line[field] + ((line.charges && line.charges[field]) || 0);
+
+  this.subtotal = round2(lines.reduce((sum, line) => sum + line.taxableValue, 0));
+  this.charges = round2(lines.reduce((sum, line) => sum + ((line.charges && line.charges.taxableValue) || 0), 0));
+  this.cgst = round2(lines.reduce((sum, line) => sum + charged(line, 'cgst'), 0));
+  this.sgst = round2(lines.reduce((sum, line) => sum + charged(line, 'sgst'), 0));
+  this.igst = round2(lines.reduce((sum, line) => sum + charged(line, 'igst'), 0));
+  this.gst = round2(this.cgst + this.sgst + this.igst);
+  this.discount = round2(lines.reduce((sum, line) => sum + line.discount, 0));
+  this.roundOff = round2(lines.reduce((sum, line) => sum + (line.roundOff || 0), 0));
+  this.total = round2(lines.reduce((sum, line) => sum + line.total, 0));
+
+  next();
+});
+
+// Pre-save middleware to issue creditNoteNumber from the outlet's credit note series
+creditNoteSchema.pre('save', async function(next) {
+  if (!this.creditNoteNumber) {
+    try {
+      this.creditNoteNumber = await Counter.nextNumber('credit-note', {
+        outlet: this.outlet,
+        date: this.createdAt || new Date(),
+        session: this.$session()
+      });
+    } catch (error) {
+      console.error('Error generating credit note number:', error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Slab-wise tax reversed by this credit note - on the lines, and on the charges at their own slab
+creditNoteSchema.methods.getTaxBreakup = function() {
+  return buildTaxBreakup([
+    ...this.lines,
+    ...this.lines.filter(line => line.charges && line.charges.taxableValue).map(line => line.charges)
+  ]);
+};
+
+// Static method to total refunds issued in a date range (attributed to the day the note was issued),
+// optionally narrowed by `filter` (e.g. outlet, createdBy)
+creditNoteSchema.statics.getRefundTotals = async function(startDate, endDate, filter = {}) {
+  const notes = await this.find({
+    ...filter,
+    createdAt: { $gte: startDate, $lt: endDate }
+  });
+
+  const totals = {
+    count: notes.length,
+    total: 0,
+    gst: 0,
+    byMethod: {},
+    items: {}
+  };
+
+  notes.forEach(note => {
+    totals.total += note.total;
+    totals.gst += note.gst;
+    totals.byMethod[note.refundMethod] = round2((totals.byMethod[note.refundMethod] || 0) + note.total);
+
+    note.lines.forEach(line => {
+      if (!totals.items[line.name]) {
+        totals.items[line.name] = { quantity: 0, amount: 0, taxableValue: 0 };
+      }
+      totals.items[line.name].quantity += line.quantity;
+      totals.items[line.name].amount = round2(totals.items[line.name].amount + line.total);
+      // Pre-tax value - what item sales figures are netted by
+      totals.items[line.name].taxableValue = round2(totals.items[line.name].taxableValue + line.taxableValue);
+    });
+  });
+
+  totals.total = round2(totals.total);
+  totals.gst = round2(totals.gst);
+
+  return totals;
+};
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
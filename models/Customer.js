@@ -0,0 +1,219 @@
+// models/Customer.js - Customer directory keyed by phone, with loyalty points and feedback
+const mongoose = require('mongoose');
+const { round2 } = require('../utils/gst');
+
+// Rating left against a bill - earns the "Rate us & get 10% off" coupon printed on receipts
+const feedbackSchema = new mongoose.Schema({
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true
+  },
+  billNumber: String,
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  rewardCode: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const customerSchema = new mongoose.Schema({
+  // 10-digit mobile number, see normalizePhone()
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    match: [/^[6-9]\d{9}$/, 'Please enter a valid 10-digit mobile number']
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Walk-in Customer',
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  birthday: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Loyalty points balance - only changed through adjustPoints()
+  loyaltyPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lifetimePointsEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lifetimePointsRedeemed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastVisitAt: {
+    type: Date,
+    default: null
+  },
+  feedback: {
+    type: [feedbackSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+customerSchema.index({ phone: 1 }, { unique: true });
+customerSchema.index({ name: 'text' });
+customerSchema.index({ lastVisitAt: -1 });
+
+// Static method to reduce a free-text phone number to its 10 digits (drops +91 / leading 0).
+// Returns null when it isn't a valid mobile number.
+customerSchema.statics.normalizePhone = function(phone) {
+  if (!phone) return null;
+
+  let digits = phone.toString().replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+
+  return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+};
+
+// Static method to find the customer for a phone number, creating them on their first visit
+customerSchema.statics.findOrCreateByPhone = async function(phone, name, options = {}) {
+  const { session = null, visitedAt = new Date() } = options;
+  const normalized = this.normalizePhone(phone);
+  if (!normalized) return null;
+
+  const knownName = name && name !== 'Walk-in Customer' ? name.trim() : null;
+
+  const upsert = () => this.findOneAndUpdate(
+    { phone: normalized },
+    {
+      $set: { lastVisitAt: visitedAt, ...(knownName ? { name: knownName } : {}) },
+      $setOnInsert: { phone: normalized, ...(knownName ? {} : { name: 'Walk-in Customer' }) }
+    },
+    { new: true, upsert: true, session, runValidators: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two first visits can race on the unique phone index; the loser finds the winner's document. In a
+    // transaction the failed write has aborted it, so withTransaction runs the transaction again instead.
+    if (error.code !== 11000) throw error;
+    if (session) {
+      error.addErrorLabel('TransientTransactionError');
+      throw error;
+    }
+    return await upsert();
+  }
+};
+
+// Static method to change a customer's points balance. Spending points (negative delta) is
+// conditional on the balance so points can't be spent twice; returns null if there weren't enough.
+// `reversal` undoes an earlier earn/redeem (e.g. a cancelled bill) instead of recording a new one.
+customerSchema.statics.adjustPoints = async function(customerId, delta, options = {}) {
+  const { session = null, reversal = false } = options;
+  if (!customerId || !delta) return null;
+
+  const filter = { _id: customerId };
+  const update = { $inc: { loyaltyPoints: delta } };
+
+  if (delta < 0) {
+    filter.loyaltyPoints = { $gte: -delta };
+  }
+
+  if (reversal) {
+    update.$inc[delta > 0 ? 'lifetimePointsRedeemed' : 'lifetimePointsEarned'] = -Math.abs(delta);
+  } else {
+    update.$inc[delta > 0 ? 'lifetimePointsEarned' : 'lifetimePointsRedeemed'] = Math.abs(delta);
+  }
+
+  return await this.findOneAndUpdate(filter, update, { new: true, session });
+};
+
+// Instance method to aggregate the customer's visits and spend from their bills
+customerSchema.methods.getVisitSummary = async function() {
+  const Bill = mongoose.model('Bill');
+
+  const [summary] = await Bill.aggregate([
+    { $match: { customer: this._id, status: 'paid' } },
+    {
+      $group: {
+        _id: null,
+        visits: { $sum: 1 },
+        lifetimeSpend: { $sum: '$total' },
+        refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        firstVisit: { $min: '$createdAt' },
+        lastVisit: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  const favouriteItems = await Bill.aggregate([
+    { $match: { customer: this._id, status: 'paid' } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.menuItem',
+        name: { $first: '$items.name' },
+        quantity: { $sum: '$items.quantity' }
+      }
+    },
+    { $sort: { quantity: -1 } },
+    { $limit: 5 }
+  ]);
+
+  if (!summary) {
+    return {
+      visits: 0,
+      lifetimeSpend: 0,
+      averageSpend: 0,
+      firstVisit: null,
+      lastVisit: null,
+      favouriteItems: []
+    };
+  }
+
+  const lifetimeSpend = round2(summary.lifetimeSpend - summary.refunded);
+
+  return {
+    visits: summary.visits,
+    lifetimeSpend,
+    averageSpend: round2(lifetimeSpend / summary.visits),
+    firstVisit: summary.firstVisit,
+    lastVisit: summary.lastVisit,
+    favouriteItems: favouriteItems.map(item => ({
+      menuItem: item._id,
+      name: item.name,
+      quantity: item.quantity
+    }))
+  };
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
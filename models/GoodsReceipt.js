@@ -0,0 +1,215 @@
+// models/GoodsReceipt.js - Goods received notes (GRNs): deliveries booked into stock against a purchase order
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { GST_SLABS, SUPPLY_TYPES, round2, splitTax } = require('../utils/gst');
+
+const receiptLineSchema = new mongoose.Schema({
+  // _id of the line on the purchase order
+  poLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient',
+    default: null
+  },
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    default: null
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Received quantity must be greater than 0'
+    }
+  },
+  // Cost and slab as ordered
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    enum: GST_SLABS
+  },
+  taxableValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const goodsReceiptSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true
+  },
+  poNumber: {
+    type: String,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: {
+    type: String,
+    required: true
+  },
+  supplyType: {
+    type: String,
+    enum: SUPPLY_TYPES,
+    default: 'intra-state'
+  },
+  // Supplier's delivery challan number, if the delivery came with one
+  challanNumber: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  lines: {
+    type: [receiptLineSchema],
+    validate: {
+      validator: function(lines) {
+        return lines && lines.length > 0;
+      },
+      message: 'Goods receipt must have at least one line'
+    }
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedByName: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+goodsReceiptSchema.index({ purchaseOrder: 1, receivedAt: 1 });
+goodsReceiptSchema.index({ supplier: 1, receivedAt: -1 });
+
+// Pre-validate middleware - value of the delivery at the ordered cost and slab
+goodsReceiptSchema.pre('validate', function(next) {
+  const lines = this.lines || [];
+
+  lines.forEach(line => {
+    line.taxableValue = round2(line.quantity * line.unitCost);
+    const tax = splitTax(line.taxableValue, line.taxRate, this.supplyType);
+    line.cgst = tax.cgst;
+    line.sgst = tax.sgst;
+    line.igst = tax.igst;
+    line.total = round2(line.taxableValue + tax.totalTax);
+  });
+
+  this.subtotal = round2(lines.reduce((sum, line) => sum + line.taxableValue, 0));
+  this.gst = round2(lines.reduce((sum, line) => sum + line.cgst + line.sgst + line.igst, 0));
+  this.total = round2(this.subtotal + this.gst);
+
+  next();
+});
+
+// Pre-save middleware to issue grnNumber from the outlet's goods receipt series
+goodsReceiptSchema.pre('save', async function(next) {
+  if (!this.isNew) {
+    // Stock has been booked against the note - corrections go through a new receipt or a stock adjustment
+    return next(new Error('Goods receipts cannot be changed'));
+  }
+
+  if (!this.grnNumber) {
+    try {
+      this.grnNumber = await Counter.nextNumber('goods-receipt', {
+        outlet: this.outlet,
+        date: this.receivedAt || new Date(),
+        session: this.$session()
+      });
+    } catch (error) {
+      console.error('Error generating goods receipt number:', error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
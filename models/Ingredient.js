@@ -0,0 +1,153 @@
+// models/Ingredient.js - Raw materials used by menu recipes, consumed as bills are raised
+const mongoose = require('mongoose');
+const { round2 } = require('../utils/gst');
+
+// Recipes give quantities in the ingredient's own unit
+const UNITS = ['g', 'kg', 'ml', 'l', 'pcs'];
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    trim: true,
+    maxlength: [100, 'Ingredient name cannot exceed 100 characters']
+  },
+  unit: {
+    type: String,
+    required: [true, 'Unit is required'],
+    enum: {
+      values: UNITS,
+      message: '{VALUE} is not a valid unit'
+    }
+  },
+  // Quantity on hand, in `unit`
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Quantity cannot be negative']
+  },
+  // At or below this the ingredient shows as low and should be reordered
+  reorderLevel: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reorder level cannot be negative']
+  },
+  costPerUnit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ingredientSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+ingredientSchema.virtual('isLow').get(function() {
+  return this.quantity <= this.reorderLevel;
+});
+
+ingredientSchema.virtual('stockValue').get(function() {
+  return round2(this.quantity * this.costPerUnit);
+});
+
+// Static method to take ingredients for a sale ({ ingredient, quantity }) as conditional decrements.
+// Either every requirement is taken or none is: on a shortage whatever was already taken is put back
+// and the shortages are returned.
+ingredientSchema.statics.consume = async function(requirements, options = {}) {
+  const { session = null } = options;
+  const taken = [];
+  const shortages = [];
+
+  for (const requirement of requirements) {
+    const updated = await this.findOneAndUpdate(
+      { _id: requirement.ingredient, quantity: { $gte: requirement.quantity } },
+      { $inc: { quantity: -requirement.quantity } },
+      { new: true, session }
+    );
+
+    if (updated) {
+      taken.push(requirement);
+      continue;
+    }
+
+    const current = await this.findById(requirement.ingredient).select('name unit quantity').session(session);
+    shortages.push({
+      ingredientId: requirement.ingredient,
+      name: current?.name || 'Unknown ingredient',
+      unit: current?.unit || null,
+      required: requirement.quantity,
+      available: current?.quantity || 0
+    });
+  }
+
+  if (shortages.length > 0) {
+    await this.restore(taken, { session });
+  }
+
+  return shortages;
+};
+
+// Static method to put ingredients back ({ ingredient, quantity }) - cancelled and restocked sales
+ingredientSchema.statics.restore = async function(requirements, options = {}) {
+  const { session = null } = options;
+
+  for (const requirement of requirements) {
+    await this.updateOne(
+      { _id: requirement.ingredient },
+      { $inc: { quantity: requirement.quantity } },
+      { session }
+    );
+  }
+};
+
+// Static method to add goods received ({ ingredient, quantity, unitCost }) to stock, moving the cost per unit
+// to the weighted average of the stock on hand and the delivery
+ingredientSchema.statics.receive = async function(receipts, options = {}) {
+  const { session = null } = options;
+
+  for (const receipt of receipts) {
+    const onHand = { $max: ['$quantity', 0] };
+    const newQuantity = { $add: [onHand, receipt.quantity] };
+
+    await this.updateOne(
+      { _id: receipt.ingredient },
+      [{
+        $set: {
+          costPerUnit: {
+            $cond: [
+              { $gt: [newQuantity, 0] },
+              { $round: [{ $divide: [{ $add: [{ $multiply: [onHand, '$costPerUnit'] }, receipt.quantity * receipt.unitCost] }, newQuantity] }, 4] },
+              receipt.unitCost
+            ]
+          },
+          quantity: { $add: ['$quantity', receipt.quantity] }
+        }
+      }],
+      { session }
+    );
+  }
+};
+
+// Static method to get active ingredients at or below their reorder level
+ingredientSchema.statics.findLow = function() {
+  return this.find({ isActive: true, $expr: { $lte: ['$quantity', '$reorderLevel'] } }).sort({ name: 1 });
+};
+
+ingredientSchema.statics.UNITS = UNITS;
+
+module.exports = mongoose.model('Ingredient', ingredientSchema);
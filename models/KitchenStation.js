@@ -0,0 +1,79 @@
+// models/KitchenStation.js - Kitchen stations (tandoor, Chinese, bar, ...) and the printer each one's KOTs go to
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const kitchenStationSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  name: {
+    type: String,
+    required: [true, 'Station name is required'],
+    trim: true,
+    maxlength: [30, 'Station name cannot exceed 30 characters']
+  },
+  // Menu categories prepared at this station - each category belongs to one station
+  categories: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Receives lines whose category has no station
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // KOT printer for the station - the outlet's default KOT printer when not set
+  printerProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrinterProfile',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+kitchenStationSchema.index({ outlet: 1, name: 1 }, { unique: true });
+
+// Make sure a category is only routed to one station per outlet
+kitchenStationSchema.pre('validate', async function(next) {
+  if (!this.categories || this.categories.length === 0) return next();
+
+  const clash = await this.constructor.findOne({
+    _id: { $ne: this._id },
+    outlet: this.outlet,
+    isActive: true,
+    categories: { $in: this.categories }
+  });
+
+  if (clash) {
+    const shared = this.categories.filter(category => clash.categories.includes(category));
+    this.invalidate('categories', `${shared.join(', ')} already assigned to station ${clash.name}`);
+  }
+
+  next();
+});
+
+// Static method to map each menu category to its station for an outlet.
+// Returns a lookup function: category -> station (or the default station, or null).
+kitchenStationSchema.statics.getRouting = async function(outlet = Counter.DEFAULT_OUTLET, options = {}) {
+  const { session = null } = options;
+  const stations = await this.find({ outlet: outlet.toUpperCase(), isActive: true }).session(session);
+
+  const byCategory = new Map();
+  stations.forEach(station => {
+    station.categories.forEach(category => byCategory.set(category, station));
+  });
+  const fallback = stations.find(station => station.isDefault) || null;
+
+  return (category) => byCategory.get(category) || fallback;
+};
+
+module.exports = mongoose.model('KitchenStation', kitchenStationSchema);
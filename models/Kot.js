@@ -0,0 +1,358 @@
+// models/Kot.js - Kitchen order tickets: one per station for each round of items sent to the kitchen
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const KitchenStation = require('./KitchenStation');
+const MenuItem = require('./MenuItem');
+
+// Kitchen display states a line moves through - bump moves it forward, recall moves it back
+const KITCHEN_STATES = ['queued', 'cooking', 'ready', 'served'];
+const STATE_TIMESTAMPS = { cooking: 'startedAt', ready: 'readyAt', served: 'servedAt' };
+
+const kotLineSchema = new mongoose.Schema({
+  // _id of the line on the bill
+  billLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // What goes into a combo, per combo ("1 x Dal Tadka") - printed under the item
+  components: {
+    type: [String],
+    default: []
+  },
+  // Modifier names ("Extra cheese", "No onion") printed under the item
+  modifiers: {
+    type: [String],
+    default: []
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  // Units later voided from the bill - the kitchen was sent a cancel ticket for them
+  cancelledQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Kitchen display state, with the time each state was reached
+  status: {
+    type: String,
+    enum: KITCHEN_STATES,
+    default: 'queued'
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  readyAt: {
+    type: Date,
+    default: null
+  },
+  servedAt: {
+    type: Date,
+    default: null
+  },
+  // MenuItem preparationTime (minutes) when the ticket was raised - the display timer's target
+  preparationTime: {
+    type: Number,
+    default: 0
+  }
+});
+
+const kotSchema = new mongoose.Schema({
+  kotNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    immutable: true
+  },
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  // 'order' asks the station to prepare the lines, 'cancel' tells it to stop
+  type: {
+    type: String,
+    enum: ['order', 'cancel'],
+    default: 'order'
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true
+  },
+  billNumber: String,
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    default: null
+  },
+  tableNumber: {
+    type: String,
+    default: null
+  },
+  orderType: String,
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KitchenStation',
+    required: true
+  },
+  stationName: String,
+  lines: {
+    type: [kotLineSchema],
+    validate: {
+      validator: function(lines) {
+        return lines && lines.length > 0;
+      },
+      message: 'KOT must have at least one line'
+    }
+  },
+  waiter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  waiterName: String,
+  reason: {
+    type: String,
+    default: ''
+  },
+  // An order ticket becomes 'cancelled' once every line on it has been voided
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  printCount: {
+    type: Number,
+    default: 0
+  },
+  printedAt: {
+    type: Date,
+    default: null
+  },
+  lastPrintError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+kotSchema.index({ bill: 1, createdAt: 1 });
+kotSchema.index({ station: 1, createdAt: -1 });
+kotSchema.index({ 'lines.billLine': 1 });
+kotSchema.index({ outlet: 1, type: 1, status: 1, createdAt: 1 });
+
+// Pre-save middleware to issue kotNumber from the outlet's KOT series
+kotSchema.pre('save', async function(next) {
+  if (!this.kotNumber) {
+    try {
+      this.kotNumber = await Counter.nextNumber('kot', {
+        outlet: this.outlet,
+        date: this.createdAt || new Date(),
+        session: this.$session()
+      });
+    } catch (error) {
+      console.error('Error generating KOT number:', error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Static method to raise tickets for bill lines, one per kitchen station.
+// `lines` are [{ line, quantity }] where `line` is the bill line; lines with no station are skipped.
+kotSchema.statics.issueForLines = async function(bill, lines, options = {}) {
+  const { type = 'order', waiter, waiterName = null, reason = '', session = null } = options;
+  const stationFor = await KitchenStation.getRouting(bill.outlet, { session });
+  const menuItems = await MenuItem.find({ _id: { $in: lines.map(({ line }) => line.menuItem) } })
+    .select('preparationTime')
+    .session(session);
+  const preparationTimes = new Map(menuItems.map(item => [item._id.toString(), item.preparationTime || 0]));
+
+  const byStation = new Map();
+  lines.forEach(({ line, quantity }) => {
+    const station = stationFor(line.category);
+    if (!station || quantity <= 0) return;
+
+    const key = station._id.toString();
+    if (!byStation.has(key)) {
+      byStation.set(key, { station, lines: [] });
+    }
+    byStation.get(key).lines.push({
+      billLine: line._id,
+      menuItem: line.menuItem,
+      name: line.name,
+      quantity,
+      components: (line.components || []).map(component => `${component.quantity} x ${component.name}`),
+      modifiers: (line.modifiers || []).map(modifier => modifier.name),
+      notes: line.notes || '',
+      preparationTime: preparationTimes.get(line.menuItem?.toString()) || 0
+    });
+  });
+
+  const kots = [];
+  for (const { station, lines: kotLines } of byStation.values()) {
+    const kot = new this({
+      outlet: bill.outlet,
+      type,
+      bill: bill._id,
+      billNumber: bill.billNumber,
+      table: bill.table,
+      tableNumber: bill.tableNumber,
+      orderType: bill.orderType,
+      station: station._id,
+      stationName: station.name,
+      lines: kotLines,
+      waiter,
+      waiterName,
+      reason
+    });
+    await kot.save({ session });
+    kots.push(kot);
+  }
+
+  if (type === 'cancel') {
+    await this.markCancelled(bill._id, lines, { session });
+  }
+
+  return kots;
+};
+
+// Static method to record voided units against the order tickets they were sent on (newest first)
+kotSchema.statics.markCancelled = async function(billId, lines, options = {}) {
+  const { session = null } = options;
+
+  const orders = await this.find({ bill: billId, type: 'order', status: 'active' })
+    .sort({ createdAt: -1 })
+    .session(session);
+
+  for (const { line, quantity } of lines) {
+    let remaining = quantity;
+
+    for (const kot of orders) {
+      if (remaining <= 0) break;
+
+      kot.lines.forEach(kotLine => {
+        if (remaining <= 0 || !kotLine.billLine.equals(line._id)) return;
+        const open = kotLine.quantity - kotLine.cancelledQuantity;
+        const cancelled = Math.min(open, remaining);
+        kotLine.cancelledQuantity += cancelled;
+        remaining -= cancelled;
+      });
+    }
+  }
+
+  for (const kot of orders) {
+    if (!kot.isModified()) continue;
+    if (kot.lines.every(kotLine => kotLine.cancelledQuantity >= kotLine.quantity)) {
+      kot.status = 'cancelled';
+    }
+    await kot.save({ session });
+  }
+};
+
+// Method to bump (+1) or recall (-1) lines one kitchen state; all lines still open when none are given.
+// Returns the lines that moved.
+kotSchema.methods.moveLines = function(direction, lineIds = []) {
+  const now = new Date();
+  const selected = lineIds.length > 0
+    ? this.lines.filter(line => lineIds.includes(line._id.toString()))
+    : this.lines.filter(line => line.quantity > line.cancelledQuantity);
+
+  return selected.filter(line => {
+    const index = KITCHEN_STATES.indexOf(line.status) + direction;
+    if (index < 0 || index >= KITCHEN_STATES.length) return false;
+
+    // Recall clears the timestamp of the state being undone; bump stamps the new state
+    if (direction < 0) {
+      line[STATE_TIMESTAMPS[line.status]] = null;
+    } else {
+      line[STATE_TIMESTAMPS[KITCHEN_STATES[index]]] = now;
+    }
+    line.status = KITCHEN_STATES[index];
+    return true;
+  });
+};
+
+// Static method to build the kitchen display feed: open order tickets with per-line state and timers.
+// A line is late once it has been waiting longer than its preparation time without being ready.
+// `servedSince` also keeps lines served after that time, so they can still be recalled.
+kotSchema.statics.getKitchenFeed = async function(options = {}) {
+  const { outlet = Counter.DEFAULT_OUTLET, station = null, servedSince = null } = options;
+  const openStates = KITCHEN_STATES.filter(state => state !== 'served');
+
+  const query = { outlet: outlet.toUpperCase(), type: 'order', status: 'active' };
+  if (station) query.station = station;
+  query.$or = [{ 'lines.status': { $in: openStates } }];
+  if (servedSince) query.$or.push({ 'lines.servedAt': { $gte: servedSince } });
+
+  const kots = await this.find(query).sort({ createdAt: 1 });
+
+  const isShown = (line) => line.status !== 'served' || (servedSince && line.servedAt >= servedSince);
+
+  const now = Date.now();
+  return kots.map(kot => {
+    const lines = kot.lines
+      .filter(line => line.quantity > line.cancelledQuantity && isShown(line))
+      .map(line => {
+        const elapsedMinutes = Math.floor((now - kot.createdAt.getTime()) / 60000);
+        const waiting = line.status === 'queued' || line.status === 'cooking';
+
+        return {
+          _id: line._id,
+          billLine: line.billLine,
+          name: line.name,
+          quantity: line.quantity - line.cancelledQuantity,
+          cancelledQuantity: line.cancelledQuantity,
+          components: line.components,
+          modifiers: line.modifiers,
+          notes: line.notes,
+          status: line.status,
+          startedAt: line.startedAt,
+          readyAt: line.readyAt,
+          servedAt: line.servedAt,
+          preparationTime: line.preparationTime,
+          elapsedMinutes,
+          dueAt: line.preparationTime ? new Date(kot.createdAt.getTime() + line.preparationTime * 60000) : null,
+          isLate: waiting && line.preparationTime > 0 && elapsedMinutes > line.preparationTime
+        };
+      });
+
+    return {
+      _id: kot._id,
+      kotNumber: kot.kotNumber,
+      bill: kot.bill,
+      billNumber: kot.billNumber,
+      tableNumber: kot.tableNumber,
+      orderType: kot.orderType,
+      station: kot.station,
+      stationName: kot.stationName,
+      waiterName: kot.waiterName,
+      createdAt: kot.createdAt,
+      lines,
+      isLate: lines.some(line => line.isLate)
+    };
+  }).filter(kot => kot.lines.length > 0);
+};
+
+kotSchema.statics.KITCHEN_STATES = KITCHEN_STATES;
+
+module.exports = mongoose.model('Kot', kotSchema);
@@ -49,6 +49,109 @@
 
 // models/MenuItem.js - Enhanced Menu Item Model
 const mongoose = require('mongoose');
+const Ingredient = require('./Ingredient');
+const { GST_SLABS, DEFAULT_SAC_CODE } = require('../utils/gst');
+
+// Ingredient used for one portion, in the ingredient's unit
+const recipeLineSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient',
+    required: [true, 'Ingredient is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Recipe quantity is required'],
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Recipe quantity must be greater than 0'
+    }
+  }
+}, { _id: false });
+
+// Portion or size of an item sold at its own price (half/full plate, 250ml/500ml, small/large)
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [50, 'Variant name cannot exceed 50 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Variant price must be greater than 0'
+    }
+  },
+  cost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost cannot be negative']
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [40, 'SKU cannot exceed 40 characters']
+  },
+  // Stock is kept per variant - the item's stock is the total across its variants
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  // Recipe of the variant (a full plate uses twice a half) - the item's recipe when empty
+  recipe: [recipeLineSchema],
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Item that goes into a combo - a fixed component, or one of the options of a choice slot
+const comboItemSchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: [true, 'Combo item is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  }
+});
+
+// Slot of a combo filled at billing time with one of its options ("pick one dessert")
+const choiceSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Choice slot name is required'],
+    trim: true,
+    maxlength: [50, 'Choice slot name cannot exceed 50 characters']
+  },
+  options: {
+    type: [comboItemSchema],
+    validate: {
+      validator: function(options) {
+        return options && options.length > 0;
+      },
+      message: 'A choice slot needs at least one option'
+    }
+  }
+});
+
+const ITEM_TYPES = ['standard', 'combo'];
 
 const menuItemSchema = new mongoose.Schema({
   name: {
@@ -78,6 +181,21 @@ const menuItemSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Cost cannot be negative']
   },
+  // GST classification - HSN for goods (packaged items), SAC for restaurant service
+  hsnCode: {
+    type: String,
+    default: DEFAULT_SAC_CODE,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN/SAC code must be 4 to 8 digits']
+  },
+  taxSlab: {
+    type: Number,
+    default: 18,
+    enum: {
+      values: GST_SLABS,
+      message: '{VALUE}% is not a valid GST slab'
+    }
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -143,6 +261,25 @@ const menuItemSchema = new mongoose.Schema({
     enum: ['small', 'medium', 'large'],
     default: 'medium'
   },
+  // When an item has variants one must be chosen on the bill; `price` is then the lowest variant price
+  variants: [variantSchema],
+  // Combos (thalis, meal deals) are sold at their own price and made up of other items
+  itemType: {
+    type: String,
+    enum: ITEM_TYPES,
+    default: 'standard'
+  },
+  combo: {
+    components: [comboItemSchema],
+    choiceSlots: [choiceSlotSchema]
+  },
+  // Items with a recipe are stocked by their ingredients rather than the `stock` count of plates
+  recipe: [recipeLineSchema],
+  // Modifier and add-on groups offered when the item is billed
+  modifierGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModifierGroup'
+  }],
   isVegan: { type: Boolean, default: false },
   isVegetarian: { type: Boolean, default: false },
   isGlutenFree: { type: Boolean, default: false },
@@ -202,6 +339,80 @@ menuItemSchema.index({ category: 1, isAvailable: 1 });
 menuItemSchema.index({ name: 'text', description: 'text' });
 menuItemSchema.index({ isPopular: -1, createdAt: -1 });
 menuItemSchema.index({ averageRating: -1 });
+menuItemSchema.index({ 'variants.sku': 1 });
+
+// A combo needs something in it and is stocked through its components, so it has no variants of its own
+menuItemSchema.pre('validate', function(next) {
+  const components = this.combo?.components || [];
+  const slots = this.combo?.choiceSlots || [];
+
+  if (this.itemType === 'combo') {
+    if (components.length === 0 && slots.length === 0) {
+      this.invalidate('combo', 'A combo needs at least one component or choice slot');
+    }
+    if (this.variants && this.variants.length > 0) {
+      this.invalidate('variants', 'Combos cannot have variants');
+    }
+    if ([...components, ...slots.flatMap(slot => slot.options)].some(item => String(item.menuItem) === String(this._id))) {
+      this.invalidate('combo', 'A combo cannot contain itself');
+    }
+  } else if (components.length > 0 || slots.length > 0) {
+    this.invalidate('itemType', 'Only combos can have components');
+  }
+
+  next();
+});
+
+// Recipes list each ingredient once; combos use their components' recipes
+menuItemSchema.pre('validate', function(next) {
+  if (this.itemType === 'combo' && this.recipe && this.recipe.length > 0) {
+    this.invalidate('recipe', 'Combos take ingredients through their components - they cannot have a recipe');
+  }
+
+  const checkRecipe = (recipe, path) => {
+    const seen = new Set();
+    (recipe || []).forEach(entry => {
+      const key = String(entry.ingredient?._id || entry.ingredient);
+      if (seen.has(key)) {
+        this.invalidate(path, 'An ingredient is listed more than once in the recipe');
+      }
+      seen.add(key);
+    });
+  };
+
+  checkRecipe(this.recipe, 'recipe');
+  (this.variants || []).forEach((variant, index) => checkRecipe(variant.recipe, `variants.${index}.recipe`));
+
+  next();
+});
+
+// Items with variants take their "from" price and total stock from the variants; names and SKUs must not repeat
+menuItemSchema.pre('validate', function(next) {
+  if (!this.variants || this.variants.length === 0) return next();
+
+  const names = new Set();
+  const skus = new Set();
+  this.variants.forEach((variant, index) => {
+    const name = (variant.name || '').toLowerCase();
+    if (names.has(name)) {
+      this.invalidate(`variants.${index}.name`, `Variant "${variant.name}" is listed more than once`);
+    }
+    names.add(name);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        this.invalidate(`variants.${index}.sku`, `SKU ${variant.sku} is used by another variant`);
+      }
+      skus.add(variant.sku);
+    }
+  });
+
+  const prices = this.variants.map(variant => variant.price).filter(price => price > 0);
+  if (prices.length > 0) this.price = Math.min(...prices);
+  this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+
+  next();
+});
 
 // Pre-save middleware to update averageRating
 menuItemSchema.pre('save', function(next) {
@@ -218,14 +429,208 @@ menuItemSchema.statics.getCategories = function() {
   return ['starter', 'main-course', 'breakfast', 'dessert', 'beverage', 'bread', 'rice', 'curry', 'other'];
 };
 
-// Instance method to check if item is low stock
+// Instance method to get the recipe a sale of the item (or one of its variants) uses - empty when the
+// item is stocked by count
+menuItemSchema.methods.getRecipe = function(variantId = null) {
+  const variant = variantId ? this.variants.id(variantId) : null;
+  return variant && variant.recipe && variant.recipe.length > 0 ? variant.recipe : (this.recipe || []);
+};
+
+// Instance method to get how many portions can be sold: from the recipe's ingredients (which must be
+// populated) or the stock count. For items with variants, the best-stocked variant. Null when unknown.
+menuItemSchema.methods.getAvailablePortions = function(variantId = null) {
+  if (this.itemType === 'combo') return null;
+
+  if (!variantId && this.variants && this.variants.length > 0) {
+    const portions = this.variants.map(variant => this.getAvailablePortions(variant._id));
+    return portions.includes(null) ? null : Math.max(...portions);
+  }
+
+  const recipe = this.getRecipe(variantId);
+  if (recipe.length === 0) {
+    return (variantId ? this.variants.id(variantId) : this)?.stock ?? 0;
+  }
+
+  if (!recipe.every(entry => entry.ingredient && entry.ingredient.quantity !== undefined)) return null;
+  return Math.min(...recipe.map(entry => Math.floor(entry.ingredient.quantity / entry.quantity)));
+};
+
+// Instance method to check if item is low stock - few portions left, or a recipe ingredient due for reorder
 menuItemSchema.methods.isLowStock = function() {
-  return this.stock <= 5 && this.stock > 0;
+  const portions = this.getAvailablePortions();
+  if (portions === null || portions === 0) return false;
+
+  const reorderDue = this.getRecipe().some(entry => entry.ingredient && entry.ingredient.quantity <= entry.ingredient.reorderLevel);
+  return reorderDue || portions <= 5;
 };
 
 // Instance method to check if item is out of stock
 menuItemSchema.methods.isOutOfStock = function() {
-  return this.stock === 0;
+  return this.getAvailablePortions() === 0;
+};
+
+// Instance method to tell whether the item is a combo
+menuItemSchema.methods.isCombo = function() {
+  return this.itemType === 'combo';
 };
 
+// Instance method to get a variant that can be sold
+menuItemSchema.methods.getVariant = function(variantId) {
+  const variant = this.variants.id(variantId);
+  return variant && variant.isAvailable ? variant : null;
+};
+
+// Ingredients one unit of a stock line takes: the recipe copied onto the bill line when it was billed, or the
+// item's recipe as it is now for lines billed before bills kept that copy
+function lineRecipe(line, item) {
+  if (Array.isArray(line.recipe)) return line.recipe;
+  return item ? item.getRecipe(line.variant) : [];
+}
+
+// Static method to take stock for order lines ({ menuItem, variant, quantity, recipe }) as conditional decrements.
+// A line is only decremented if enough stock is left; lines that could not be filled are returned
+// so the caller (inside a transaction) can abort and report them. Variant lines take the variant's
+// stock and the item's total together; items with a recipe take their ingredients instead.
+menuItemSchema.statics.reserveStock = async function(lines, options = {}) {
+  const { session = null } = options;
+  const conflicts = [];
+  const now = new Date();
+
+  for (const line of lines) {
+    const item = await this.findById(line.menuItem)
+      .select('name isAvailable isDeleted recipe variants')
+      .session(session);
+    const recipe = lineRecipe(line, item);
+
+    if (recipe.length > 0) {
+      // The line's own recipe copy is used even when the item has since been removed from the menu
+      const variant = line.variant && item ? item.variants.id(line.variant) : null;
+
+      let reason = null;
+      if (!item || item.isDeleted || (line.variant && !variant)) reason = 'not-found';
+      else if (!item.isAvailable || (variant && !variant.isAvailable)) reason = 'unavailable';
+
+      const shortages = reason ? [] : await Ingredient.consume(recipe.map(entry => ({
+        ingredient: entry.ingredient,
+        quantity: entry.quantity * line.quantity
+      })), { session });
+
+      if (reason || shortages.length > 0) {
+        conflicts.push({
+          menuItemId: line.menuItem,
+          variantId: line.variant || null,
+          name: line.variant ? line.name : (item?.name || line.name),
+          requested: line.quantity,
+          // Portions the short ingredients still cover
+          available: shortages.length > 0
+            ? Math.min(...shortages.map(shortage => Math.floor(shortage.available / (shortage.required / line.quantity))))
+            : 0,
+          reason: reason || 'insufficient-ingredients',
+          shortages
+        });
+        continue;
+      }
+
+      await this.updateOne(
+        { _id: item._id },
+        { $inc: { totalOrders: line.quantity }, $set: { lastOrderedAt: now } },
+        { session }
+      );
+      continue;
+    }
+
+    const filter = {
+      _id: line.menuItem,
+      isDeleted: { $ne: true },
+      isAvailable: true
+    };
+    const update = {
+      $inc: { stock: -line.quantity, totalOrders: line.quantity },
+      $set: { lastOrderedAt: now }
+    };
+
+    if (line.variant) {
+      filter.variants = { $elemMatch: { _id: line.variant, isAvailable: true, stock: { $gte: line.quantity } } };
+      update.$inc['variants.$.stock'] = -line.quantity;
+    } else {
+      filter.stock = { $gte: line.quantity };
+    }
+
+    const updated = await this.findOneAndUpdate(filter, update, { new: true, session });
+
+    if (!updated) {
+      const current = await this.findById(line.menuItem)
+        .select('name stock isAvailable isDeleted variants')
+        .session(session);
+      const variant = line.variant && current ? current.variants.id(line.variant) : null;
+
+      let reason = 'insufficient-stock';
+      if (!current || current.isDeleted || (line.variant && !variant)) reason = 'not-found';
+      else if (!current.isAvailable || (variant && !variant.isAvailable)) reason = 'unavailable';
+
+      conflicts.push({
+        menuItemId: line.menuItem,
+        variantId: line.variant || null,
+        name: line.variant ? line.name : (current?.name || line.name),
+        requested: line.quantity,
+        available: reason === 'insufficient-stock' ? (variant || current).stock : 0,
+        reason
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+// Static method to put stock back for order lines ({ menuItem, variant, quantity, recipe })
+menuItemSchema.statics.restoreStock = async function(lines, options = {}) {
+  const { session = null } = options;
+  const counted = [];
+
+  for (const line of lines) {
+    // Recipe items get back the ingredients the sale took
+    const item = Array.isArray(line.recipe)
+      ? null
+      : await this.findById(line.menuItem).select('recipe variants').session(session);
+    const recipe = lineRecipe(line, item);
+    if (recipe.length > 0) {
+      await Ingredient.restore(recipe.map(entry => ({
+        ingredient: entry.ingredient,
+        quantity: entry.quantity * line.quantity
+      })), { session });
+      continue;
+    }
+
+    counted.push(line);
+  }
+
+  await this.receiveStock(counted, { session });
+};
+
+// Static method to add to the stock count for lines ({ menuItem, variant, quantity }) - goods received
+// from suppliers, and counted sales put back
+menuItemSchema.statics.receiveStock = async function(lines, options = {}) {
+  const { session = null } = options;
+
+  for (const line of lines) {
+    if (line.variant) {
+      const result = await this.updateOne(
+        { _id: line.menuItem, 'variants._id': line.variant },
+        { $inc: { stock: line.quantity, 'variants.$.stock': line.quantity } },
+        { session }
+      );
+      if (result.matchedCount > 0) continue;
+    }
+
+    // Variant since removed - the units go back on the item
+    await this.updateOne(
+      { _id: line.menuItem },
+      { $inc: { stock: line.quantity } },
+      { session }
+    );
+  }
+};
+
+menuItemSchema.statics.ITEM_TYPES = ITEM_TYPES;
+
 module.exports = mongoose.model('MenuItem', menuItemSchema);
\ No newline at end of file
@@ -0,0 +1,152 @@
+// models/ModifierGroup.js - Modifier and add-on groups (toppings, Jain preparation, extras) attached to menu items
+const mongoose = require('mongoose');
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    maxlength: [50, 'Option name cannot exceed 50 characters']
+  },
+  // Added to the unit price of the line (0 for "no onion", negative for "no cheese -10")
+  price: {
+    type: Number,
+    default: 0
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [50, 'Group name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  // A group with minSelections of 1 or more is required - the line cannot be billed without it
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum selections cannot be negative']
+  },
+  // 0 means any number of options may be picked
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: [0, 'Maximum selections cannot be negative']
+  },
+  options: {
+    type: [modifierOptionSchema],
+    validate: {
+      validator: function(options) {
+        return options && options.length > 0;
+      },
+      message: 'A modifier group needs at least one option'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+modifierGroupSchema.index({ name: 1 });
+
+modifierGroupSchema.virtual('isRequired').get(function() {
+  return this.minSelections > 0;
+});
+
+// Selection limits must be reachable with the options on offer
+modifierGroupSchema.pre('validate', function(next) {
+  if (this.maxSelections > 0 && this.minSelections > this.maxSelections) {
+    this.invalidate('minSelections', 'Minimum selections cannot exceed the maximum');
+  }
+
+  if (this.options && this.minSelections > this.options.length) {
+    this.invalidate('minSelections', `Only ${this.options.length} option(s) to choose from`);
+  }
+
+  const names = new Set();
+  (this.options || []).forEach((option, index) => {
+    const name = (option.name || '').toLowerCase();
+    if (names.has(name)) {
+      this.invalidate(`options.${index}.name`, `Option "${option.name}" is listed more than once`);
+    }
+    names.add(name);
+  });
+
+  next();
+});
+
+// Static method to check the options picked for a bill line (`optionIds`) against the item's groups.
+// Returns { modifiers } - snapshots for the bill line - or { error }.
+modifierGroupSchema.statics.resolveSelections = async function(groupIds, optionIds = [], itemName = 'item') {
+  const groups = groupIds.length > 0
+    ? await this.find({ _id: { $in: groupIds }, isActive: true })
+    : [];
+  const picked = optionIds.map(id => String(id));
+
+  if (new Set(picked).size !== picked.length) {
+    return { error: `The same option was picked twice for "${itemName}"` };
+  }
+
+  const modifiers = [];
+  const matched = new Set();
+
+  for (const group of groups) {
+    const chosen = group.options.filter(option => picked.includes(String(option._id)));
+
+    const unavailable = chosen.find(option => !option.isAvailable);
+    if (unavailable) {
+      return { error: `"${unavailable.name}" is currently unavailable` };
+    }
+
+    if (chosen.length < group.minSelections) {
+      return { error: `Choose at least ${group.minSelections} from "${group.name}" for "${itemName}"` };
+    }
+
+    if (group.maxSelections > 0 && chosen.length > group.maxSelections) {
+      return { error: `Choose at most ${group.maxSelections} from "${group.name}" for "${itemName}"` };
+    }
+
+    chosen.forEach(option => {
+      matched.add(String(option._id));
+      modifiers.push({
+        group: group._id,
+        groupName: group.name,
+        option: option._id,
+        name: option.name,
+        price: option.price
+      });
+    });
+  }
+
+  if (matched.size !== picked.length) {
+    return { error: `Some modifiers picked do not belong to "${itemName}"` };
+  }
+
+  return { modifiers };
+};
+
+module.exports = mongoose.model('ModifierGroup', modifierGroupSchema);
@@ -0,0 +1,187 @@
+// models/PrintJob.js - Durable print queue: rendered documents waiting for, or done with, a printer
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const JOB_STATUSES = ['queued', 'printing', 'done', 'failed'];
+const JOB_KINDS = ['bill', 'duplicate', 'kot', 'report', 'raw'];
+
+// First retry waits RETRY_BASE_MS, doubling each time up to RETRY_MAX_MS
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+// A job left 'printing' this long belongs to a worker that died - it is picked up again
+const STALE_LOCK_MS = 2 * 60 * 1000;
+// Finished jobs are removed after a week
+const DONE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const printJobSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  kind: {
+    type: String,
+    enum: JOB_KINDS,
+    required: true
+  },
+  // Shown in listings and logs (bill or KOT number)
+  label: {
+    type: String,
+    required: true
+  },
+  // Printer the job goes to - when null the outlet's default printer for `role` is used at print time
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrinterProfile',
+    default: null
+  },
+  role: {
+    type: String,
+    default: 'receipt'
+  },
+  // Rendered ESC/POS document, one copy - the printer's `copies` setting applies when it is printed
+  data: {
+    type: Buffer,
+    required: true
+  },
+  // Kick the printer's cash drawer before the first copy
+  openDrawer: {
+    type: Boolean,
+    default: false
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    default: null
+  },
+  kot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kot',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 20
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  failures: [{
+    at: { type: Date, default: Date.now },
+    message: String
+  }],
+  // What the transport reported for the successful attempt
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  printerUsed: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+printJobSchema.index({ status: 1, nextAttemptAt: 1 });
+printJobSchema.index({ bill: 1, createdAt: -1 });
+printJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: DONE_TTL_SECONDS, partialFilterExpression: { status: 'done' } }
+);
+
+// Static method to get the query for jobs that are due - also jobs left printing by a dead worker
+printJobSchema.statics.dueQuery = function(now = new Date()) {
+  return {
+    $or: [
+      { status: 'queued', nextAttemptAt: { $lte: now } },
+      { status: 'printing', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+    ]
+  };
+};
+
+// Static method to claim the next due job matching `filter` (e.g. one printer's jobs), oldest first
+printJobSchema.statics.claimNext = async function(filter = {}) {
+  const now = new Date();
+
+  return await this.findOneAndUpdate(
+    { $and: [filter, this.dueQuery(now)] },
+    { $set: { status: 'printing', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Method to record a successful print
+printJobSchema.methods.markDone = async function(result, printerUsed) {
+  this.status = 'done';
+  this.result = result;
+  this.printerUsed = printerUsed;
+  this.lastError = null;
+  this.lockedAt = null;
+  this.completedAt = new Date();
+  return await this.save();
+};
+
+// Method to record a failed attempt - retried with exponential backoff until maxAttempts, then dead-lettered
+printJobSchema.methods.markFailed = async function(error) {
+  const message = error.message || String(error);
+  this.lastError = message;
+  this.failures.push({ message });
+  this.lockedAt = null;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    this.completedAt = new Date();
+  } else {
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, this.attempts - 1), RETRY_MAX_MS);
+    this.status = 'queued';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return await this.save();
+};
+
+// Method to send a job to the printer again (e.g. a dead-lettered job once the printer is fixed)
+printJobSchema.methods.requeue = async function() {
+  this.status = 'queued';
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.lockedAt = null;
+  this.completedAt = null;
+  return await this.save();
+};
+
+printJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+printJobSchema.statics.JOB_KINDS = JOB_KINDS;
+
+module.exports = mongoose.model('PrintJob', printJobSchema);
@@ -0,0 +1,212 @@
+// models/PrinterProfile.js - Saved printers: what each one is for, how to reach it and its paper/command set
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { requestError } = require('../utils/transaction');
+
+const PRINTER_ROLES = ['receipt', 'kot', 'label'];
+const CONNECTIONS = ['auto', 'network', 'cups', 'usb', 'windows'];
+
+// Characters per line on Font A when a profile does not set its own
+const DEFAULT_CHARS_PER_LINE = { 58: 24, 80: 32 };
+
+const printerProfileSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  name: {
+    type: String,
+    required: [true, 'Printer name is required'],
+    trim: true,
+    maxlength: [50, 'Printer name cannot exceed 50 characters']
+  },
+  role: {
+    type: String,
+    enum: PRINTER_ROLES,
+    default: 'receipt'
+  },
+  // Used for the role when a print request does not name a profile
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  model: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // How documents reach the printer - 'auto' tries the OS print system (the Windows driver, else CUPS),
+  // then the device, then the network
+  connection: {
+    type: String,
+    enum: CONNECTIONS,
+    default: 'auto'
+  },
+  ip: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  port: {
+    type: Number,
+    default: 9100,
+    min: 1,
+    max: 65535
+  },
+  // Device file or port raw data is written to (e.g. /dev/usb/lp0, or USB001: / LPT1: on Windows)
+  devicePath: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Printer name as installed in the operating system - the Windows printer or CUPS queue
+  printerName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  paperWidth: {
+    type: Number,
+    enum: [58, 80],
+    default: 80
+  },
+  charsPerLine: {
+    type: Number,
+    min: [16, 'Characters per line must be at least 16'],
+    max: [64, 'Characters per line cannot exceed 64']
+  },
+  // ESC t code page (0 = PC437, 2 = PC850, ...)
+  codePage: {
+    type: Number,
+    default: 2,
+    min: 0,
+    max: 255
+  },
+  cut: {
+    type: String,
+    enum: ['full', 'partial', 'none'],
+    default: 'full'
+  },
+  // Cash drawer kick (ESC p) - pin and pulse on/off times in 2ms units
+  drawer: {
+    enabled: { type: Boolean, default: false },
+    pin: { type: Number, enum: [2, 5], default: 2 },
+    onTime: { type: Number, default: 25, min: 0, max: 255 },
+    offTime: { type: Number, default: 250, min: 0, max: 255 },
+    // Level of kick connector pin 3 (reported by DLE EOT) while the drawer is open - depends on the drawer
+    openSignal: { type: String, enum: ['high', 'low'], default: 'high' }
+  },
+  copies: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 3
+  },
+  retries: {
+    type: Number,
+    default: 2,
+    min: 0,
+    max: 5
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+printerProfileSchema.index({ outlet: 1, name: 1 }, { unique: true });
+printerProfileSchema.index({ outlet: 1, role: 1, isDefault: 1 });
+
+// Fill in the line width for the paper and check the connection has an address
+printerProfileSchema.pre('validate', function(next) {
+  if (!this.charsPerLine) {
+    this.charsPerLine = this.getLineWidth();
+  }
+
+  if (this.connection === 'network' && !this.ip) {
+    this.invalidate('ip', 'IP address is required for a network printer');
+  }
+
+  if (this.connection === 'usb' && !this.devicePath) {
+    this.invalidate('devicePath', 'Device path is required for a USB printer');
+  }
+
+  next();
+});
+
+// Only one default printer per role and outlet
+printerProfileSchema.pre('save', async function(next) {
+  if (this.isDefault && (this.isModified('isDefault') || this.isModified('role'))) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, outlet: this.outlet, role: this.role, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  next();
+});
+
+// Method to get the ESC/POS commands that differ between printers
+printerProfileSchema.methods.getCommands = function() {
+  const cuts = {
+    full: Buffer.from([0x1D, 0x56, 0x00]),
+    partial: Buffer.from([0x1D, 0x56, 0x01]),
+    none: Buffer.alloc(0)
+  };
+
+  return {
+    init: Buffer.from([0x1B, 0x40, 0x1B, 0x74, this.codePage]),
+    cut: cuts[this.cut] || cuts.full,
+    drawer: this.drawer?.enabled
+      ? Buffer.from([0x1B, 0x70, this.drawer.pin === 5 ? 0x01 : 0x00, this.drawer.onTime, this.drawer.offTime])
+      : Buffer.alloc(0)
+  };
+};
+
+// Method to get the characters per line, also for unsaved profiles that have not been validated
+printerProfileSchema.methods.getLineWidth = function() {
+  return this.charsPerLine || DEFAULT_CHARS_PER_LINE[this.paperWidth] || 32;
+};
+
+// Method to get the transport settings the raw print functions take
+printerProfileSchema.methods.toPrinterConfig = function() {
+  return {
+    connection: this.connection,
+    ip: this.ip,
+    port: this.port,
+    devicePath: this.devicePath,
+    printerName: this.printerName,
+    retries: this.retries
+  };
+};
+
+// Static method to find the printer for a job: the named profile, else the outlet's default for the role,
+// else any active printer with the role. Falls back to an unsaved profile on the OS default printer.
+printerProfileSchema.statics.resolve = async function(options = {}) {
+  const { profileId = null, outlet = Counter.DEFAULT_OUTLET, role = 'receipt' } = options;
+
+  if (profileId) {
+    const profile = mongoose.Types.ObjectId.isValid(profileId)
+      ? await this.findOne({ _id: profileId, isActive: true })
+      : null;
+    if (!profile) {
+      throw requestError(404, 'Printer profile not found');
+    }
+    return profile;
+  }
+
+  const query = { outlet: (outlet || Counter.DEFAULT_OUTLET).toUpperCase(), role, isActive: true };
+  const profile = await this.findOne({ ...query, isDefault: true }) ||
+    await this.findOne(query).sort({ createdAt: 1 });
+
+  return profile || new this({ outlet: query.outlet, name: `Default ${role} printer`, role });
+};
+
+printerProfileSchema.statics.PRINTER_ROLES = PRINTER_ROLES;
+printerProfileSchema.statics.CONNECTIONS = CONNECTIONS;
+
+module.exports = mongoose.model('PrinterProfile', printerProfileSchema);
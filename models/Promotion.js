@@ -0,0 +1,270 @@
+// models/Promotion.js - Discount rules: percentage/fixed, line-item, buy-X-get-Y, happy hours and coupons
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Coupon code - promotions without a code are applied automatically while active
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: undefined
+  },
+  type: {
+    type: String,
+    required: [true, 'Promotion type is required'],
+    enum: {
+      values: ['percentage', 'fixed', 'buy-x-get-y'],
+      message: '{VALUE} is not a valid promotion type'
+    }
+  },
+  // 'item' discounts each matching line, 'bill' discounts the whole bill (spread across lines for GST)
+  scope: {
+    type: String,
+    enum: ['bill', 'item'],
+    default: 'bill'
+  },
+  // Percent for 'percentage', rupees for 'fixed' (per unit when scope is 'item')
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative']
+  },
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  minBillAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  buyQuantity: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Restrict to these items / categories (empty = whole menu)
+  applicableItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem'
+  }],
+  applicableCategories: [{
+    type: String,
+    lowercase: true
+  }],
+  // Happy hour window - days of week (0 = Sunday) and HH:MM times, may run past midnight
+  happyHour: {
+    days: [{ type: Number, min: 0, max: 6 }],
+    startTime: { type: String, match: [TIME_PATTERN, 'Start time must be HH:MM'] },
+    endTime: { type: String, match: [TIME_PATTERN, 'End time must be HH:MM'] }
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Personal coupon (e.g. a feedback reward) - only redeemable on this customer's bills
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ code: 1 }, { unique: true, sparse: true });
+promotionSchema.index({ isActive: 1, validUntil: 1 });
+
+// Pre-validate middleware for rule consistency
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be between 0 and 100');
+  }
+
+  if (this.type === 'fixed' && this.value <= 0) {
+    this.invalidate('value', 'Fixed discount must be greater than 0');
+  }
+
+  if (this.type === 'buy-x-get-y') {
+    this.scope = 'item';
+    if (!this.buyQuantity || !this.getQuantity) {
+      this.invalidate('buyQuantity', 'Buy and get quantities are required for buy-X-get-Y');
+    }
+  }
+
+  if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+    this.invalidate('validUntil', 'Expiry must be after the start date');
+  }
+
+  const { startTime, endTime } = this.happyHour || {};
+  if ((startTime && !endTime) || (!startTime && endTime)) {
+    this.invalidate('happyHour', 'Happy hour needs both a start and an end time');
+  }
+
+  next();
+});
+
+// Instance method to check if the promotion can be used at a given moment. Pass `countUsage: false` for
+// a promotion already counted on the bill, so reaching its limit there does not take it off again.
+promotionSchema.methods.isActiveAt = function(at = new Date(), options = {}) {
+  const { countUsage = true } = options;
+
+  if (!this.isActive) return false;
+  if (this.validFrom && at < this.validFrom) return false;
+  if (this.validUntil && at > this.validUntil) return false;
+  if (countUsage && this.usageLimit && this.usedCount >= this.usageLimit) return false;
+
+  const { days = [], startTime, endTime } = this.happyHour || {};
+  if (days.length > 0 && !days.includes(at.getDay())) return false;
+
+  if (startTime && endTime) {
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const now = at.getHours() * 60 + at.getMinutes();
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+
+    const inWindow = start <= end
+      ? now >= start && now < end
+      : now >= start || now < end; // Window runs past midnight
+    if (!inWindow) return false;
+  }
+
+  return true;
+};
+
+// Instance method to check if a bill line is covered by the promotion
+promotionSchema.methods.appliesToLine = function(line) {
+  const hasItems = this.applicableItems && this.applicableItems.length > 0;
+  const hasCategories = this.applicableCategories && this.applicableCategories.length > 0;
+
+  if (!hasItems && !hasCategories) return true;
+
+  const menuItemId = (line.menuItem?._id || line.menuItem).toString();
+  return (hasItems && this.applicableItems.some(id => id.toString() === menuItemId)) ||
+    (hasCategories && this.applicableCategories.includes(line.category));
+};
+
+// Static method to find promotions for a bill: every active automatic promotion plus the coupon, if any.
+// Returns { promotions } or { error } when the coupon can't be used (pass the bill's customer for personal coupons).
+promotionSchema.statics.findApplicable = async function(options = {}) {
+  const { code, at = new Date(), customer = null } = options;
+
+  const automatic = await this.find({
+    isActive: true,
+    $or: [{ code: { $exists: false } }, { code: null }]
+  });
+
+  const promotions = automatic.filter(promotion => promotion.isActiveAt(at));
+
+  if (code) {
+    const coupon = await this.findOne({ code: code.toUpperCase().trim() });
+
+    if (!coupon) {
+      return { error: `Coupon "${code}" is not valid` };
+    }
+
+    if (!coupon.isActiveAt(at)) {
+      const expired = coupon.validUntil && at > coupon.validUntil;
+      const exhausted = coupon.usageLimit && coupon.usedCount >= coupon.usageLimit;
+      return {
+        error: expired ? `Coupon "${coupon.code}" has expired`
+          : exhausted ? `Coupon "${coupon.code}" has reached its usage limit`
+          : `Coupon "${coupon.code}" is not valid at this time`
+      };
+    }
+
+    if (coupon.customer && (!customer || coupon.customer.toString() !== customer.toString())) {
+      return { error: `Coupon "${coupon.code}" can only be used by the customer it was issued to` };
+    }
+
+    promotions.push(coupon);
+  }
+
+  return { promotions };
+};
+
+// Static method to count uses of applied promotions. Conditional on the usage limit so a coupon
+// can't be over-redeemed by simultaneous bills; returns the promotion that ran out, if any.
+promotionSchema.statics.recordUsage = async function(promotionIds, options = {}) {
+  const { session = null } = options;
+
+  for (const id of promotionIds) {
+    const updated = await this.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      return await this.findById(id).session(session);
+    }
+  }
+
+  return null;
+};
+
+// Static method to give back uses counted by recordUsage - for a bill cancelled, or merged away before it was settled
+promotionSchema.statics.releaseUsage = async function(promotionIds, options = {}) {
+  const { session = null } = options;
+
+  for (const id of promotionIds) {
+    await this.updateOne({ _id: id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+  }
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,280 @@
+// models/PurchaseOrder.js - Purchase orders raised on suppliers for ingredients and counted menu stock
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { GST_SLABS, SUPPLY_TYPES, round2, splitTax, buildTaxBreakup } = require('../utils/gst');
+
+// draft -> ordered -> partially-received -> received; drafts and orders with nothing received can be cancelled
+const PO_STATUSES = ['draft', 'ordered', 'partially-received', 'received', 'cancelled'];
+
+// One line buys either an ingredient or a menu item stocked by count (bottled drinks, desserts bought in)
+const purchaseLineSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient',
+    default: null
+  },
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    default: null
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // The ingredient's unit, or 'pcs' for menu items
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Quantity must be greater than 0'
+    }
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Price per unit before GST
+  unitCost: {
+    type: Number,
+    required: [true, 'Unit cost is required'],
+    min: [0, 'Unit cost cannot be negative']
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    enum: GST_SLABS
+  },
+  taxableValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    immutable: true
+  },
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  supplierName: {
+    type: String,
+    required: true
+  },
+  supplierGstin: {
+    type: String,
+    default: ''
+  },
+  supplyType: {
+    type: String,
+    enum: SUPPLY_TYPES,
+    default: 'intra-state'
+  },
+  status: {
+    type: String,
+    enum: PO_STATUSES,
+    default: 'draft'
+  },
+  lines: {
+    type: [purchaseLineSchema],
+    validate: {
+      validator: function(lines) {
+        return lines && lines.length > 0;
+      },
+      message: 'Purchase order must have at least one line'
+    }
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gst: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expectedDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  orderedAt: {
+    type: Date,
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1 });
+
+// Pre-validate middleware - line tax and order totals are always derived from quantity, cost and slab
+purchaseOrderSchema.pre('validate', function(next) {
+  const lines = this.lines || [];
+
+  lines.forEach((line, index) => {
+    if (Boolean(line.ingredient) === Boolean(line.menuItem)) {
+      this.invalidate(`lines.${index}`, `Line "${line.name}" must be for an ingredient or a menu item`);
+    }
+    if (line.menuItem && !Number.isInteger(line.quantity)) {
+      this.invalidate(`lines.${index}.quantity`, `Menu items are bought in whole units ("${line.name}")`);
+    }
+    if (line.receivedQuantity > line.quantity) {
+      this.invalidate(`lines.${index}.receivedQuantity`, `More "${line.name}" received than ordered`);
+    }
+
+    line.taxableValue = round2(line.quantity * line.unitCost);
+    const tax = splitTax(line.taxableValue, line.taxRate, this.supplyType);
+    line.cgst = tax.cgst;
+    line.sgst = tax.sgst;
+    line.igst = tax.igst;
+    line.total = round2(line.taxableValue + tax.totalTax);
+  });
+
+  this.subtotal = round2(lines.reduce((sum, line) => sum + line.taxableValue, 0));
+  this.cgst = round2(lines.reduce((sum, line) => sum + line.cgst, 0));
+  this.sgst = round2(lines.reduce((sum, line) => sum + line.sgst, 0));
+  this.igst = round2(lines.reduce((sum, line) => sum + line.igst, 0));
+  this.gst = round2(this.cgst + this.sgst + this.igst);
+  this.total = round2(this.subtotal + this.gst);
+
+  next();
+});
+
+// Pre-save middleware to issue poNumber from the outlet's purchase order series once the order is placed
+purchaseOrderSchema.pre('save', async function(next) {
+  if (!this.poNumber && this.status !== 'draft') {
+    try {
+      this.poNumber = await Counter.nextNumber('purchase-order', {
+        outlet: this.outlet,
+        date: this.orderedAt || new Date(),
+        session: this.$session()
+      });
+    } catch (error) {
+      console.error('Error generating purchase order number:', error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Instance method to check whether goods can still be received against the order
+purchaseOrderSchema.methods.canReceive = function() {
+  return ['ordered', 'partially-received'].includes(this.status);
+};
+
+// Instance method to move the status on after a receipt - received once every line is in full
+purchaseOrderSchema.methods.updateReceiptStatus = function(date = new Date()) {
+  const complete = this.lines.every(line => line.receivedQuantity >= line.quantity);
+  const started = this.lines.some(line => line.receivedQuantity > 0);
+
+  if (complete) {
+    this.status = 'received';
+    this.receivedAt = date;
+  } else if (started) {
+    this.status = 'partially-received';
+  }
+};
+
+// Slab-wise input tax on the order
+purchaseOrderSchema.methods.getTaxBreakup = function() {
+  return buildTaxBreakup(this.lines);
+};
+
+purchaseOrderSchema.statics.PO_STATUSES = PO_STATUSES;
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
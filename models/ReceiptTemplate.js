@@ -0,0 +1,316 @@
+// models/ReceiptTemplate.js - Per-outlet receipt layouts: header/footer blocks, item columns, totals rows and strings
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { requestError } = require('../utils/transaction');
+
+const LINE_TYPES = ['text', 'separator', 'blank', 'logo', 'row', 'section', 'qr', 'barcode'];
+const QR_SOURCES = ['upi', 'einvoice'];
+const SECTIONS = ['taxBreakup', 'payments', 'loyalty', 'paymentStatus'];
+const TOTAL_FIELDS = [
+  'subtotal', 'discounts', 'taxable', 'serviceCharge', 'packingCharge',
+  'cgst', 'sgst', 'igst', 'gst', 'legacyDiscount', 'roundOff', 'total'
+];
+const COLUMN_FIELDS = ['name', 'quantity', 'price', 'total', 'hsnCode', 'discount'];
+
+// One printed line (or group of lines). `text` may hold {{placeholders}}; `when` names a condition
+// (e.g. 'paid', '!duplicate') that must hold for the line to print. 'qr' lines encode a payment or
+// e-invoice QR named by `field`, or their `text`; 'barcode' lines encode `text` (the bill number by default).
+const templateLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LINE_TYPES,
+    default: 'text'
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  // Totals value for 'row' lines, section name for 'section' lines, QR source for 'qr' lines
+  field: {
+    type: String,
+    default: null
+  },
+  // Character repeated across the width for 'separator' lines
+  char: {
+    type: String,
+    default: '-',
+    maxlength: 1
+  },
+  // NV memory slot of the stored logo for 'logo' lines
+  slot: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 255
+  },
+  // QR module size / barcode bar width in dots - 0 picks the largest that fits the paper
+  scale: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 16
+  },
+  align: {
+    type: String,
+    enum: ['left', 'center', 'right', 'justify'],
+    default: 'left'
+  },
+  size: {
+    type: String,
+    enum: ['normal', 'double-height', 'double-width', 'double'],
+    default: 'normal'
+  },
+  bold: {
+    type: Boolean,
+    default: false
+  },
+  // Prefix 'row' values with the currency string
+  currency: {
+    type: Boolean,
+    default: false
+  },
+  when: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Item table column - width in characters, 0 for the column that takes the remaining width
+const templateColumnSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: COLUMN_FIELDS,
+    required: true
+  },
+  width: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  align: {
+    type: String,
+    enum: ['left', 'right'],
+    default: 'left'
+  }
+}, { _id: false });
+
+// Layout matching the receipt printed before templates existed
+const DEFAULT_LAYOUT = {
+  header: [
+    { type: 'blank' },
+    { type: 'logo', when: 'logo' },
+    { text: '{{business.name}}', align: 'center', size: 'double', bold: true },
+    { type: 'blank' },
+    { text: '{{business.address}}', align: 'center' },
+    { text: 'Ph: {{business.phone}}', align: 'center' },
+    { text: 'GSTIN: {{business.gstin}}', align: 'center' },
+    { text: 'FSSAI: {{business.fssai}}', align: 'center' },
+    { type: 'blank' },
+    { text: '{{label.duplicate}}', align: 'center', bold: true, when: 'duplicate' },
+    { type: 'separator', char: '=' },
+    { text: '{{label.billNo}}: {{bill.billNumber}}', bold: true },
+    { text: '{{label.date}}: {{bill.date}}  {{bill.time}}' },
+    { text: '{{label.customer}}: {{bill.customerName}}' },
+    { text: '{{label.phone}}: {{bill.customerPhone}}' },
+    { text: '{{label.table}}: {{bill.tableNumber}}' },
+    { text: '{{label.order}}: {{bill.orderType}}', when: 'takeaway' },
+    { type: 'blank' },
+    { type: 'separator', char: '=' }
+  ],
+  columns: [
+    { field: 'name', width: 0 },
+    { field: 'quantity', width: 4, align: 'right' },
+    { field: 'total', width: 9, align: 'right' }
+  ],
+  showUnitPrice: true,
+  totals: [
+    { type: 'row', field: 'subtotal', align: 'justify' },
+    { type: 'row', field: 'discounts', align: 'justify' },
+    { type: 'row', field: 'taxable', align: 'justify' },
+    { type: 'row', field: 'serviceCharge', align: 'justify' },
+    { type: 'row', field: 'packingCharge', align: 'justify' },
+    { type: 'row', field: 'cgst', align: 'justify' },
+    { type: 'row', field: 'sgst', align: 'justify' },
+    { type: 'row', field: 'igst', align: 'justify' },
+    { type: 'row', field: 'gst', align: 'justify' },
+    { type: 'row', field: 'legacyDiscount', align: 'justify' },
+    { type: 'row', field: 'roundOff', align: 'justify' },
+    { type: 'section', field: 'taxBreakup' },
+    { type: 'blank' },
+    { type: 'separator', char: '=' },
+    { type: 'row', field: 'total', align: 'center', size: 'double-height', bold: true, currency: true },
+    { type: 'blank' },
+    { type: 'section', field: 'payments' },
+    { type: 'section', field: 'loyalty' },
+    { type: 'section', field: 'paymentStatus' },
+    { type: 'blank' },
+    { type: 'separator', char: '=' }
+  ],
+  footer: [
+    { text: '{{label.scanToPay}}', align: 'center', bold: true, when: 'upi' },
+    { type: 'qr', field: 'upi', align: 'center', when: 'upi' },
+    { type: 'blank', when: 'upi' },
+    { type: 'qr', field: 'einvoice', align: 'center', when: 'eInvoice' },
+    { text: '{{label.irn}}: {{bill.irn}}', when: 'eInvoice' },
+    { text: '{{label.ackNo}}: {{bill.ackNo}}  {{bill.ackDate}}', when: 'eInvoice' },
+    { type: 'blank', when: 'eInvoice' },
+    { text: '{{label.thankYou}}', align: 'center', bold: true },
+    { type: 'blank' },
+    { text: '{{label.visitAgain}}', align: 'center' },
+    { text: '{{label.feedbackOffer}}', align: 'center' },
+    { text: '{{label.quoteBill}} {{bill.billNumber}}', align: 'center', when: 'member' },
+    { type: 'blank' },
+    { text: '{{label.ref}}: {{bill.ref}}', align: 'center' },
+    { text: '{{now}}', align: 'center' },
+    { type: 'blank' },
+    { type: 'blank' }
+  ]
+};
+
+const receiptTemplateSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [50, 'Template name cannot exceed 50 characters']
+  },
+  // Used for the outlet's receipts unless a print request names another template
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Details for {{business.*}} placeholders
+  business: {
+    name: { type: String, trim: true, default: '' },
+    address: { type: String, trim: true, default: '' },
+    phone: { type: String, trim: true, default: '' },
+    gstin: { type: String, trim: true, uppercase: true, default: '' },
+    fssai: { type: String, trim: true, default: '' },
+    website: { type: String, trim: true, default: '' },
+    // UPI ID (VPA) and payee name for the pay-by-UPI QR on pending bills
+    upiVpa: { type: String, trim: true, lowercase: true, default: '' },
+    upiName: { type: String, trim: true, default: '' }
+  },
+  // Whether a logo is stored in the printer's NV memory - enables the 'logo' condition
+  hasLogo: {
+    type: Boolean,
+    default: false
+  },
+  header: {
+    type: [templateLineSchema],
+    default: () => DEFAULT_LAYOUT.header
+  },
+  columns: {
+    type: [templateColumnSchema],
+    default: () => DEFAULT_LAYOUT.columns
+  },
+  // Print "@ Rs.x each" under lines with more than one unit
+  showUnitPrice: {
+    type: Boolean,
+    default: DEFAULT_LAYOUT.showUnitPrice
+  },
+  totals: {
+    type: [templateLineSchema],
+    default: () => DEFAULT_LAYOUT.totals
+  },
+  footer: {
+    type: [templateLineSchema],
+    default: () => DEFAULT_LAYOUT.footer
+  },
+  // Language printed when a request does not ask for one
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'en'
+  },
+  // Label overrides per language: { en: { thankYou: 'Thanks!' }, hi: { ... } }
+  strings: {
+    type: Map,
+    of: {
+      type: Map,
+      of: String
+    },
+    default: {}
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+receiptTemplateSchema.index({ outlet: 1, name: 1 }, { unique: true });
+
+// Check the layout references fields, sections and QR sources the renderer knows, and that there is one flexible column
+receiptTemplateSchema.pre('validate', function(next) {
+  ['header', 'totals', 'footer'].forEach(list => {
+    (this[list] || []).forEach((line, index) => {
+      if (line.type === 'row' && !TOTAL_FIELDS.includes(line.field)) {
+        this.invalidate(`${list}.${index}.field`, `Unknown totals field "${line.field}". Must be one of: ${TOTAL_FIELDS.join(', ')}`);
+      }
+      if (line.type === 'section' && !SECTIONS.includes(line.field)) {
+        this.invalidate(`${list}.${index}.field`, `Unknown section "${line.field}". Must be one of: ${SECTIONS.join(', ')}`);
+      }
+      if (line.type === 'qr' && line.field && !QR_SOURCES.includes(line.field)) {
+        this.invalidate(`${list}.${index}.field`, `Unknown QR source "${line.field}". Must be one of: ${QR_SOURCES.join(', ')}`);
+      }
+      if (line.type === 'qr' && !line.field && !line.text) {
+        this.invalidate(`${list}.${index}.text`, 'QR lines need a source field or text to encode');
+      }
+    });
+  });
+
+  if (this.columns.filter(column => column.width === 0).length !== 1) {
+    this.invalidate('columns', 'Exactly one item column must have width 0 (it takes the remaining width)');
+  }
+
+  next();
+});
+
+// Only one default template per outlet
+receiptTemplateSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, outlet: this.outlet, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  next();
+});
+
+// Static method to get the template for a receipt: the named one, else the outlet's default,
+// else an unsaved template with the standard layout
+receiptTemplateSchema.statics.resolve = async function(options = {}) {
+  const { templateId = null, outlet = Counter.DEFAULT_OUTLET } = options;
+
+  if (templateId) {
+    const template = mongoose.Types.ObjectId.isValid(templateId)
+      ? await this.findOne({ _id: templateId, isActive: true })
+      : null;
+    if (!template) {
+      throw requestError(404, 'Receipt template not found');
+    }
+    return template;
+  }
+
+  const code = (outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+  const template = await this.findOne({ outlet: code, isDefault: true, isActive: true });
+
+  return template || new this({ outlet: code, name: 'Standard receipt' });
+};
+
+receiptTemplateSchema.statics.SECTIONS = SECTIONS;
+receiptTemplateSchema.statics.QR_SOURCES = QR_SOURCES;
+receiptTemplateSchema.statics.TOTAL_FIELDS = TOTAL_FIELDS;
+receiptTemplateSchema.statics.COLUMN_FIELDS = COLUMN_FIELDS;
+
+module.exports = mongoose.model('ReceiptTemplate', receiptTemplateSchema);
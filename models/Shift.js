@@ -0,0 +1,143 @@
+// models/Shift.js - Cashier shifts: the drawer session of a till - opening float, cash counted at close and the frozen closing figures
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { round2 } = require('../utils/gst');
+
+const SHIFT_STATUSES = ['open', 'closed'];
+
+const shiftSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cashierName: {
+    type: String,
+    default: ''
+  },
+  // Till or counter the shift runs on - its cash drawer belongs to this shift while it is open
+  terminal: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: SHIFT_STATUSES,
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    required: [true, 'Opening float is required'],
+    min: [0, 'Opening float cannot be negative']
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Opening float plus cash received minus cash refunded during the shift
+  expectedCash: {
+    type: Number,
+    default: null
+  },
+  countedCash: {
+    type: Number,
+    default: null,
+    min: [0, 'Counted cash cannot be negative']
+  },
+  // Counted minus expected - negative when the drawer is short
+  cashVariance: {
+    type: Number,
+    default: null
+  },
+  closingNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  // Figures at close (utils/salesReport.js buildSalesReport) - the shift's final X-report
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Z-report the shift was closed into
+  zReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ZReport',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A cashier has at most one open shift per outlet
+shiftSchema.index(
+  { outlet: 1, cashier: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+// ... and a terminal's drawer belongs to at most one open shift
+shiftSchema.index(
+  { outlet: 1, terminal: 1 },
+  { unique: true, partialFilterExpression: { status: 'open', terminal: { $gt: '' } } }
+);
+shiftSchema.index({ outlet: 1, closedAt: 1 });
+shiftSchema.index({ cashier: 1, openedAt: -1 });
+
+// Static method to find a cashier's open shift at an outlet
+shiftSchema.statics.findOpen = function(cashier, outlet = Counter.DEFAULT_OUTLET) {
+  return this.findOne({ outlet: (outlet || Counter.DEFAULT_OUTLET).toUpperCase(), cashier, status: 'open' });
+};
+
+// Static method to find the open shift a drawer movement counts towards: the terminal's shift when a terminal
+// is named, else the user's own
+shiftSchema.statics.findForDrawer = async function(options = {}) {
+  const { outlet = Counter.DEFAULT_OUTLET, terminal = '', user } = options;
+  const code = (outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+
+  if (terminal) {
+    const shift = await this.findOne({ outlet: code, terminal, status: 'open' });
+    if (shift) return shift;
+  }
+
+  return user ? await this.findOpen(user, code) : null;
+};
+
+// Method to cash up: expected cash from the closing figures against what was counted
+shiftSchema.methods.close = function(options = {}) {
+  const { report, countedCash, closedBy, notes = '' } = options;
+
+  this.status = 'closed';
+  this.closedAt = report.to;
+  this.closedBy = closedBy;
+  this.report = report;
+  this.expectedCash = this.getExpectedCash(report);
+  this.countedCash = round2(countedCash);
+  this.cashVariance = round2(this.countedCash - this.expectedCash);
+  this.closingNotes = notes;
+};
+
+// Method to get the cash that should be in the drawer for a report of the shift:
+// float + cash received - cash refunded + paid in - paid out
+shiftSchema.methods.getExpectedCash = function(report) {
+  return round2(this.openingFloat + report.cash.net);
+};
+
+shiftSchema.statics.SHIFT_STATUSES = SHIFT_STATUSES;
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,86 @@
+// models/Supplier.js - Suppliers that stock is bought from, with their GST registration and payment terms
+const mongoose = require('mongoose');
+const { SUPPLY_TYPES } = require('../utils/gst');
+
+// 15-character GSTIN: state code, PAN, entity number, 'Z', checksum
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [100, 'Supplier name cannot exceed 100 characters']
+  },
+  contactPerson: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters'],
+    default: ''
+  },
+  // Blank for unregistered suppliers
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+    validate: {
+      validator: function(v) {
+        return !v || GSTIN_PATTERN.test(v);
+      },
+      message: '{VALUE} is not a valid GSTIN'
+    }
+  },
+  // Inter-state suppliers charge IGST on purchases, local ones CGST + SGST
+  supplyType: {
+    type: String,
+    enum: SUPPLY_TYPES,
+    default: 'intra-state'
+  },
+  // Days after the invoice date that its payment falls due
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: [0, 'Payment terms cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+supplierSchema.index({ gstin: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,178 @@
+// models/SupplierInvoice.js - Supplier invoices matched against goods received, and the payments made on them
+const mongoose = require('mongoose');
+const { round2 } = require('../utils/gst');
+
+const PAYMENT_METHODS = ['cash', 'bank-transfer', 'upi', 'cheque', 'card'];
+
+// Differences up to this much (rounding on the supplier's side) still count as a match
+const MATCH_TOLERANCE = 1;
+
+const supplierPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Payment amount must be greater than 0'
+    }
+  },
+  method: {
+    type: String,
+    required: [true, 'Payment method is required'],
+    enum: {
+      values: PAYMENT_METHODS,
+      message: '{VALUE} is not a valid payment method'
+    }
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const supplierInvoiceSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  supplierName: {
+    type: String,
+    required: true
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: [true, 'Purchase order is required']
+  },
+  poNumber: {
+    type: String,
+    required: true
+  },
+  // The supplier's own invoice number
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    trim: true
+  },
+  invoiceDate: {
+    type: Date,
+    required: [true, 'Invoice date is required']
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  // Deliveries the invoice bills for - a delivery is only ever billed once
+  goodsReceipts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GoodsReceipt'
+  }],
+  // Amounts as printed on the supplier's invoice
+  subtotal: {
+    type: Number,
+    required: [true, 'Invoice subtotal is required'],
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Invoice subtotal must be greater than 0'
+    }
+  },
+  gst: {
+    type: Number,
+    default: 0,
+    min: [0, 'GST cannot be negative']
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Value of the matched deliveries at the ordered cost, and how far the invoice is off it
+  receivedValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  variance: {
+    type: Number,
+    default: 0
+  },
+  matchStatus: {
+    type: String,
+    enum: ['matched', 'mismatch'],
+    default: 'matched'
+  },
+  payments: [supplierPaymentSchema],
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  outstanding: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['unpaid', 'partially-paid', 'paid'],
+    default: 'unpaid'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+supplierInvoiceSchema.index({ supplier: 1, invoiceNumber: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+supplierInvoiceSchema.index({ goodsReceipts: 1 }, { unique: true, partialFilterExpression: { 'goodsReceipts.0': { $exists: true } } });
+supplierInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+supplierInvoiceSchema.virtual('isOverdue').get(function() {
+  return this.outstanding > 0 && this.dueDate < new Date();
+});
+
+// Pre-validate middleware - total, match and payment position are always derived
+supplierInvoiceSchema.pre('validate', function(next) {
+  this.total = round2((this.subtotal || 0) + (this.gst || 0));
+  this.variance = round2(this.total - this.receivedValue);
+  this.matchStatus = Math.abs(this.variance) <= MATCH_TOLERANCE ? 'matched' : 'mismatch';
+
+  this.amountPaid = round2((this.payments || []).reduce((sum, payment) => sum + payment.amount, 0));
+  if (this.amountPaid > this.total) {
+    this.invalidate('payments', `Payments (${this.amountPaid.toFixed(2)}) exceed the invoice total (${this.total.toFixed(2)})`);
+  }
+
+  this.outstanding = round2(Math.max(this.total - this.amountPaid, 0));
+  this.status = this.outstanding === 0 ? 'paid' : this.amountPaid > 0 ? 'partially-paid' : 'unpaid';
+
+  next();
+});
+
+supplierInvoiceSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+supplierInvoiceSchema.statics.MATCH_TOLERANCE = MATCH_TOLERANCE;
+
+module.exports = mongoose.model('SupplierInvoice', supplierInvoiceSchema);
@@ -0,0 +1,156 @@
+// models/Table.js - Dining tables: floor position, capacity, merges and reservations
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const TABLE_STATUSES = ['vacant', 'occupied', 'billed', 'reserved'];
+
+const reservationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Reservation name is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  partySize: {
+    type: Number,
+    min: 1,
+    default: 2
+  },
+  at: {
+    type: Date,
+    required: [true, 'Reservation time is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const tableSchema = new mongoose.Schema({
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  number: {
+    type: String,
+    required: [true, 'Table number is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [10, 'Table number cannot exceed 10 characters']
+  },
+  area: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Area',
+    default: null
+  },
+  capacity: {
+    type: Number,
+    default: 4,
+    min: [1, 'Capacity must be at least 1']
+  },
+  // Floor plan position and shape for the table layout screen
+  layout: {
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 },
+    shape: { type: String, enum: ['square', 'round', 'rectangle'], default: 'square' }
+  },
+  // Set while this table is pushed together with another - its orders go on that table's bill
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    default: null
+  },
+  reservation: {
+    type: reservationSchema,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+tableSchema.index({ outlet: 1, number: 1 }, { unique: true });
+tableSchema.index({ area: 1 });
+tableSchema.index({ mergedInto: 1 });
+
+// Static method to build the floor view: every table with its live status, derived from open bills.
+// occupied = open bill still ordering, billed = bill printed but not paid, reserved = reservation and no bill.
+tableSchema.statics.getFloorStatus = async function(options = {}) {
+  const { outlet = Counter.DEFAULT_OUTLET, area = null } = options;
+  const Bill = mongoose.model('Bill');
+
+  const query = { outlet: outlet.toUpperCase(), isActive: true };
+  if (area) query.area = area;
+
+  const tables = await this.find(query)
+    .populate('area', 'name sortOrder')
+    .sort({ number: 1 });
+
+  const openBills = await Bill.find({
+    table: { $in: tables.map(table => table.mergedInto || table._id) },
+    status: 'pending'
+  }).select('billNumber table total amountPaid isPrinted createdAt items.quantity customerName');
+
+  const billByTable = new Map(openBills.map(bill => [bill.table.toString(), bill]));
+
+  return tables.map(table => {
+    const seat = (table.mergedInto || table._id).toString();
+    const bill = billByTable.get(seat) || null;
+
+    let status = 'vacant';
+    if (bill) {
+      status = bill.isPrinted ? 'billed' : 'occupied';
+    } else if (table.reservation) {
+      status = 'reserved';
+    }
+
+    return {
+      _id: table._id,
+      number: table.number,
+      area: table.area,
+      capacity: table.capacity,
+      layout: table.layout,
+      mergedInto: table.mergedInto,
+      reservation: table.reservation,
+      status,
+      bill: bill && {
+        _id: bill._id,
+        billNumber: bill.billNumber,
+        customerName: bill.customerName,
+        total: bill.total,
+        balanceDue: bill.balanceDue,
+        itemCount: bill.items.reduce((sum, item) => sum + item.quantity, 0),
+        openedAt: bill.createdAt
+      }
+    };
+  });
+};
+
+// Static method to resolve the table a bill should be opened on - a merged table seats on its parent
+tableSchema.statics.resolveSeat = async function(tableId, options = {}) {
+  const { session = null } = options;
+
+  const table = await this.findOne({ _id: tableId, isActive: true }).session(session);
+  if (!table) return null;
+
+  if (!table.mergedInto) return table;
+  return await this.findById(table.mergedInto).session(session);
+};
+
+tableSchema.statics.TABLE_STATUSES = TABLE_STATUSES;
+
+module.exports = mongoose.model('Table', tableSchema);
@@ -0,0 +1,116 @@
+// models/ZReport.js - End-of-day Z-reports: the frozen figures of a closed business day
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Cash-up of one shift closed into the day
+const shiftCashSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  cashierName: String,
+  terminal: String,
+  openedAt: Date,
+  closedAt: Date,
+  openingFloat: Number,
+  expectedCash: Number,
+  countedCash: Number,
+  cashVariance: Number
+}, { _id: false });
+
+const zReportSchema = new mongoose.Schema({
+  zNumber: {
+    type: String,
+    unique: true
+  },
+  outlet: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: Counter.DEFAULT_OUTLET
+  },
+  // Day being closed, YYYY-MM-DD
+  businessDate: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Business date must be YYYY-MM-DD']
+  },
+  // Period covered - from the previous Z-report (or the start of the day) to the close
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  // Figures for the period (utils/salesReport.js buildSalesReport)
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  shifts: [shiftCashSchema],
+  // Drawer totals over the day's shifts
+  cash: {
+    openingFloat: { type: Number, default: 0 },
+    expected: { type: Number, default: 0 },
+    counted: { type: Number, default: null },
+    variance: { type: Number, default: null }
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+zReportSchema.index({ outlet: 1, businessDate: 1 }, { unique: true });
+zReportSchema.index({ outlet: 1, to: -1 });
+
+// Issue the Z number from the outlet's series
+zReportSchema.pre('save', async function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+
+  if (!this.zNumber) {
+    try {
+      this.zNumber = await Counter.nextNumber('z-report', {
+        outlet: this.outlet,
+        date: this.to,
+        session: this.$session()
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// A Z-report closes the day for good - once written it can never be changed or removed
+function rejectChange(next) {
+  next(new Error('Z-reports are immutable'));
+}
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  zReportSchema.pre(operation, rejectChange);
+});
+
+// Static method to get the most recent Z-report of an outlet
+zReportSchema.statics.findLatest = function(outlet = Counter.DEFAULT_OUTLET, options = {}) {
+  return this.findOne({ outlet: (outlet || Counter.DEFAULT_OUTLET).toUpperCase() })
+    .sort({ to: -1 })
+    .session(options.session || null);
+};
+
+module.exports = mongoose.model('ZReport', zReportSchema);
@@ -1,12 +1,35 @@
 const express = require('express');
 const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
 const MenuItem = require('../models/MenuItem');
+const Ingredient = require('../models/Ingredient');
 const Employee = require('../models/Employee');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const { lineValue, buildItemSales } = require('../utils/itemSales');
 
 const router = express.Router();
 
+// Start and end of a reporting period: today, the last 7 days (week) or this calendar month
+function periodRange(period) {
+  const now = new Date();
+
+  switch (period) {
+    case 'week':
+      return { startDate: new Date(new Date().setDate(now.getDate() - 7)), endDate: now };
+    case 'month':
+      return {
+        startDate: new Date(now.getFullYear(), now.getMonth(), 1),
+        endDate: new Date(now.getFullYear(), now.getMonth() + 1, 1)
+      };
+    default:
+      return {
+        startDate: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+        endDate: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)
+      };
+  }
+}
+
 // Daily earnings report
 router.get('/daily-earnings', auth, async (req, res) => {
   try {
@@ -21,13 +44,14 @@ router.get('/daily-earnings', auth, async (req, res) => {
       status: 'paid'
     });
 
-    const totalEarnings = bills.reduce((sum, bill) => sum + bill.total, 0);
+    // Refunds are netted out on the day the credit note was issued
+    const refunds = await CreditNote.getRefundTotals(startOfDay, endOfDay);
+    const grossEarnings = bills.reduce((sum, bill) => sum + bill.total, 0);
+    const totalEarnings = Math.round((grossEarnings - refunds.total) * 100) / 100;
     const totalBills = bills.length;
     
-    const paymentBreakdown = bills.reduce((acc, bill) => {
-      acc[bill.paymentMethod] = (acc[bill.paymentMethod] || 0) + bill.total;
-      return acc;
-    }, {});
+    const paymentBreakdown = Bill.summarizePayments(bills);
+    const charges = Bill.summarizeCharges(bills);
 
     const hourlyBreakdown = {};
     bills.forEach(bill => {
@@ -37,10 +61,15 @@ router.get('/daily-earnings', auth, async (req, res) => {
 
     res.json({
       date: targetDate.toISOString().split('T')[0],
+      grossEarnings,
+      refunds: refunds.total,
+      refundCount: refunds.count,
       totalEarnings,
       totalBills,
       averageBillValue: totalBills > 0 ? Math.round((totalEarnings / totalBills) * 100) / 100 : 0,
       paymentBreakdown,
+      refundBreakdown: refunds.byMethod,
+      charges,
       hourlyBreakdown
     });
   } catch (error) {
@@ -53,53 +82,37 @@ router.get('/daily-earnings', auth, async (req, res) => {
 router.get('/top-selling', auth, async (req, res) => {
   try {
     const { period = 'today', limit = 10 } = req.query;
-    
-    let startDate, endDate;
-    const now = new Date();
-    
-    switch (period) {
-      case 'today':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-        break;
-      case 'week':
-        startDate = new Date(now.setDate(now.getDate() - 7));
-        endDate = new Date();
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-        break;
-      default:
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-    }
+    const { startDate, endDate } = periodRange(period);
 
     const bills = await Bill.find({
       createdAt: { $gte: startDate, $lt: endDate },
       status: 'paid'
     });
 
-    const itemSales = {};
-    
-    bills.forEach(bill => {
+    // Refunded combos also come off their components, spread the same way as their sale
+    const refunds = await CreditNote.getRefundTotals(startDate, endDate);
+    const notes = await CreditNote.find({ createdAt: { $gte: startDate, $lt: endDate } }).select('bill lines');
+    const comboBills = await Bill.find({
+      _id: { $in: notes.map(note => note.bill) },
+      'items.components.0': { $exists: true }
+    }).select('items');
+    const comboLines = new Map();
+    comboBills.forEach(bill => {
       bill.items.forEach(item => {
-        if (itemSales[item.name]) {
-          itemSales[item.name].quantity += item.quantity;
-          itemSales[item.name].totalRevenue += item.total;
-          itemSales[item.name].orders += 1;
-        } else {
-          itemSales[item.name] = {
-            name: item.name,
-            quantity: item.quantity,
-            totalRevenue: item.total,
-            orders: 1,
-            price: item.price
-          };
-        }
+        if (item.components && item.components.length > 0) comboLines.set(item._id.toString(), item);
       });
     });
 
+    const comboRefunds = [];
+    notes.forEach(note => {
+      note.lines.forEach(line => {
+        const comboLine = comboLines.get(line.billLine.toString());
+        if (comboLine) comboRefunds.push({ comboLine, quantity: line.quantity, taxableValue: line.taxableValue });
+      });
+    });
+
+    const { items: itemSales, combos: comboSales } = buildItemSales(bills, refunds, comboRefunds);
+
     const topItems = Object.values(itemSales)
       .sort((a, b) => b.quantity - a.quantity)
       .slice(0, parseInt(limit));
@@ -108,7 +121,53 @@ router.get('/top-selling', auth, async (req, res) => {
       period,
       startDate: startDate.toISOString().split('T')[0],
       endDate: endDate.toISOString().split('T')[0],
-      topSellingItems: topItems
+      topSellingItems: topItems,
+      combos: Object.values(comboSales).sort((a, b) => b.quantity - a.quantity)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Modifier sales - how often each option was picked and what its price deltas brought in
+router.get('/modifiers', auth, async (req, res) => {
+  try {
+    const { period = 'today' } = req.query;
+    const { startDate, endDate } = periodRange(period);
+
+    const bills = await Bill.find({
+      createdAt: { $gte: startDate, $lt: endDate },
+      status: 'paid',
+      'items.modifiers.0': { $exists: true }
+    });
+
+    const modifierSales = {};
+    bills.forEach(bill => {
+      bill.items.forEach(item => {
+        (item.modifiers || []).forEach(modifier => {
+          const key = `${modifier.groupName || ''}:${modifier.name}`;
+          if (!modifierSales[key]) {
+            modifierSales[key] = {
+              group: modifier.groupName || null,
+              name: modifier.name,
+              quantity: 0,
+              revenue: 0,
+              orders: 0
+            };
+          }
+          modifierSales[key].quantity += item.quantity;
+          modifierSales[key].revenue = Math.round((modifierSales[key].revenue + (modifier.price || 0) * item.quantity) * 100) / 100;
+          modifierSales[key].orders += 1;
+        });
+      });
+    });
+
+    res.json({
+      period,
+      startDate: startDate.toISOString().split('T')[0],
+      endDate: endDate.toISOString().split('T')[0],
+      modifiers: Object.values(modifierSales).sort((a, b) => b.quantity - a.quantity)
     });
   } catch (error) {
     console.error(error);
@@ -135,12 +194,14 @@ router.get('/sales-trends', auth, async (req, res) => {
         status: 'paid'
       });
       
-      const dayEarnings = dayBills.reduce((sum, bill) => sum + bill.total, 0);
+      const dayRefunds = await CreditNote.getRefundTotals(dayStart, dayEnd);
+      const dayEarnings = dayBills.reduce((sum, bill) => sum + bill.total, 0) - dayRefunds.total;
       const dayOrders = dayBills.length;
       
       dailySales.push({
         date: dayStart.toISOString().split('T')[0],
-        earnings: dayEarnings,
+        earnings: Math.round(dayEarnings * 100) / 100,
+        refunds: dayRefunds.total,
         orders: dayOrders,
         averageOrderValue: dayOrders > 0 ? Math.round((dayEarnings / dayOrders) * 100) / 100 : 0
       });
@@ -172,7 +233,9 @@ router.get('/monthly-report', auth, adminAuth, async (req, res) => {
       status: 'paid'
     });
 
-    const totalRevenue = bills.reduce((sum, bill) => sum + bill.total, 0);
+    const refunds = await CreditNote.getRefundTotals(startDate, endDate);
+    const grossRevenue = bills.reduce((sum, bill) => sum + bill.total, 0);
+    const totalRevenue = Math.round((grossRevenue - refunds.total) * 100) / 100;
     const totalOrders = bills.length;
     
     // Employee data
@@ -196,17 +259,24 @@ router.get('/monthly-report', auth, adminAuth, async (req, res) => {
       bill.items.forEach(item => {
         if (itemSales[item.name]) {
           itemSales[item.name].quantity += item.quantity;
-          itemSales[item.name].revenue += item.total;
+          itemSales[item.name].revenue += lineValue(item);
         } else {
           itemSales[item.name] = {
             name: item.name,
             quantity: item.quantity,
-            revenue: item.total
+            revenue: lineValue(item)
           };
         }
       });
     });
 
+    Object.entries(refunds.items).forEach(([name, refunded]) => {
+      if (itemSales[name]) {
+        itemSales[name].quantity -= refunded.quantity;
+        itemSales[name].revenue = Math.round((itemSales[name].revenue - refunded.taxableValue) * 100) / 100;
+      }
+    });
+
     const topItems = Object.values(itemSales)
       .sort((a, b) => b.revenue - a.revenue)
       .slice(0, 5);
@@ -214,9 +284,12 @@ router.get('/monthly-report', auth, adminAuth, async (req, res) => {
     res.json({
       period: `${targetMonth + 1}/${targetYear}`,
       summary: {
+        grossRevenue,
+        refunds: refunds.total,
         totalRevenue,
         totalOrders,
         averageOrderValue: totalOrders > 0 ? Math.round((totalRevenue / totalOrders) * 100) / 100 : 0,
+        ...Bill.summarizeCharges(bills),
         totalSalaryExpense: Math.round(totalSalaryExpense),
         netProfit: Math.round(totalRevenue - totalSalaryExpense)
       },
@@ -242,7 +315,8 @@ router.get('/dashboard', auth, async (req, res) => {
       status: 'paid'
     });
     
-    const todayEarnings = todayBills.reduce((sum, bill) => sum + bill.total, 0);
+    const todayRefunds = await CreditNote.getRefundTotals(startOfDay, endOfDay);
+    const todayEarnings = todayBills.reduce((sum, bill) => sum + bill.total, 0) - todayRefunds.total;
     
     // This month's sales
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
@@ -251,7 +325,8 @@ router.get('/dashboard', auth, async (req, res) => {
       status: 'paid'
     });
     
-    const monthEarnings = monthBills.reduce((sum, bill) => sum + bill.total, 0);
+    const monthRefunds = await CreditNote.getRefundTotals(startOfMonth, endOfDay);
+    const monthEarnings = monthBills.reduce((sum, bill) => sum + bill.total, 0) - monthRefunds.total;
     
     // Employee attendance today
     const employees = await Employee.find({ isActive: true });
@@ -264,11 +339,15 @@ router.get('/dashboard', auth, async (req, res) => {
       return todayAttendance?.isPresent;
     }).length;
     
-    // Low stock items
-    const lowStockItems = await MenuItem.find({
-      stock: { $lt: 10 },
-      isAvailable: true
-    }).select('name stock category');
+    // Low stock items - counted items by their stock, recipe items through their ingredients
+    const [lowStockItems, lowIngredients] = await Promise.all([
+      MenuItem.find({
+        stock: { $lt: 10 },
+        isAvailable: true,
+        'recipe.0': { $exists: false }
+      }).select('name stock category'),
+      Ingredient.findLow().select('name unit quantity reorderLevel')
+    ]);
     
     // Recent orders
     const recentOrders = await Bill.find()
@@ -278,12 +357,14 @@ router.get('/dashboard', auth, async (req, res) => {
 
     res.json({
       todayStats: {
-        earnings: todayEarnings,
+        earnings: Math.round(todayEarnings * 100) / 100,
+        refunds: todayRefunds.total,
         orders: todayBills.length,
         averageOrder: todayBills.length > 0 ? Math.round((todayEarnings / todayBills.length) * 100) / 100 : 0
       },
       monthStats: {
-        earnings: monthEarnings,
+        earnings: Math.round(monthEarnings * 100) / 100,
+        refunds: monthRefunds.total,
         orders: monthBills.length
       },
       employeeStats: {
@@ -293,7 +374,9 @@ router.get('/dashboard', auth, async (req, res) => {
       },
       alerts: {
         lowStockItems: lowStockItems.length,
-        lowStockDetails: lowStockItems
+        lowStockDetails: lowStockItems,
+        lowIngredients: lowIngredients.length,
+        lowIngredientDetails: lowIngredients
       },
       recentOrders
     });
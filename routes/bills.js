@@ -223,36 +223,418 @@
 // module.exports = router;
 // routes/bills.js - Fixed Bill Routes with Auto billNumber Generation
 const express = require('express');
+const mongoose = require('mongoose');
 const Bill = require('../models/Bill');
+const BillAmendment = require('../models/BillAmendment');
 const MenuItem = require('../models/MenuItem');
+const ModifierGroup = require('../models/ModifierGroup');
+const Promotion = require('../models/Promotion');
+const BillingSettings = require('../models/BillingSettings');
+const Customer = require('../models/Customer');
+const Table = require('../models/Table');
+const Kot = require('../models/Kot');
 const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { SUPPLY_TYPES, round2 } = require('../utils/gst');
+const { requestError, runTransaction } = require('../utils/transaction');
+const { applyDiscounts } = require('../utils/discounts');
+const { dispatchKots } = require('../utils/kot');
+const { notifyKitchen } = require('../utils/kitchenEvents');
 
 const router = express.Router();
 
-// Helper function to generate bill number
-async function generateBillNumber() {
-  try {
-    const today = new Date();
-    const dateStr = today.toISOString().slice(0, 10).replace(/-/g, ''); // YYYYMMDD
-    
-    // Count today's bills to generate sequence number
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
-    
-    const todayBillsCount = await Bill.countDocuments({
-      createdAt: {
-        $gte: startOfDay,
-        $lt: endOfDay
+// The ingredients one unit of an item (or variant) takes, as its recipe is now - kept on the bill line so
+// a later cancellation or refund puts back what the sale took even if the recipe has changed since
+function recipeSnapshot(menuItem, variantId) {
+  return menuItem.getRecipe(variantId).map(entry => ({ ingredient: entry.ingredient, quantity: entry.quantity }));
+}
+
+// Resolve a combo's fixed components and the items picked for its choice slots (`choices`:
+// [{ slot, menuItemId, variantId }], slot by ID or name) into line components. The combo's unit price is
+// shared across the components by their standalone prices so item-level sales can be reported.
+async function buildComboComponents(combo, choices, unitPrice) {
+  const picked = combo.combo.components.map(component => ({
+    menuItem: component.menuItem,
+    variant: component.variant,
+    quantity: component.quantity,
+    slot: null
+  }));
+
+  const slotMatches = (slot, choice) => String(choice.slot) === String(slot._id) || choice.slot === slot.name;
+  const unknown = choices.find(choice => !combo.combo.choiceSlots.some(slot => slotMatches(slot, choice)));
+  if (unknown) {
+    return { error: `"${combo.name}" has no choice slot ${unknown.slot}` };
+  }
+
+  for (const slot of combo.combo.choiceSlots) {
+    const choice = choices.find(entry => slotMatches(slot, entry));
+    if (!choice) {
+      return { error: `Choose ${slot.name} for "${combo.name}"` };
+    }
+
+    const option = slot.options.find(entry => String(entry.menuItem) === String(choice.menuItemId) &&
+      String(entry.variant || '') === String(choice.variantId || ''));
+    if (!option) {
+      return { error: `That is not one of the ${slot.name} choices for "${combo.name}"` };
+    }
+
+    picked.push({ menuItem: option.menuItem, variant: option.variant, quantity: option.quantity, slot: slot.name });
+  }
+
+  const menuItems = await MenuItem.find({ _id: { $in: picked.map(entry => entry.menuItem) }, isDeleted: { $ne: true } });
+  const byId = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+  const components = [];
+  for (const entry of picked) {
+    const menuItem = byId.get(String(entry.menuItem));
+    const variant = menuItem && entry.variant ? menuItem.variants.id(entry.variant) : null;
+
+    if (!menuItem || (entry.variant && !variant)) {
+      return { error: `An item in "${combo.name}" is no longer on the menu` };
+    }
+
+    components.push({
+      menuItem: menuItem._id,
+      variant: variant ? variant._id : null,
+      name: variant ? `${menuItem.name} (${variant.name})` : menuItem.name,
+      quantity: entry.quantity,
+      slot: entry.slot,
+      ingredients: recipeSnapshot(menuItem, variant ? variant._id : null),
+      value: (variant ? variant.price : menuItem.price) * entry.quantity
+    });
+  }
+
+  // The last component takes the rounding difference so the shares add up to the unit price
+  const totalValue = components.reduce((sum, component) => sum + component.value, 0);
+  let allocated = 0;
+  components.forEach((component, index) => {
+    component.share = index === components.length - 1
+      ? round2(unitPrice - allocated)
+      : round2(totalValue > 0 ? unitPrice * component.value / totalValue : unitPrice / components.length);
+    allocated = round2(allocated + component.share);
+    delete component.value;
+  });
+
+  return { components };
+}
+
+// Look up cart lines ({ menuItemId, variantId, modifiers, choices, quantity }) and snapshot name, price and GST
+// onto bill lines. Items sold in variants need `variantId`; the line then takes the variant's price. `modifiers`
+// are option IDs from the item's modifier groups - their price deltas are added to the unit price. Combos
+// take `choices` for their choice slots and carry their components on the line.
+async function buildBillLines(items) {
+  const billItems = [];
+
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+
+    if (!item.menuItemId || !quantity || quantity <= 0) {
+      return { error: 'Each item must have menuItemId and valid quantity' };
+    }
+
+    const menuItem = await MenuItem.findById(item.menuItemId);
+    if (!menuItem) {
+      return { error: `Menu item not found: ${item.menuItemId}` };
+    }
+
+    if (!menuItem.isAvailable) {
+      return { error: `Menu item "${menuItem.name}" is currently unavailable` };
+    }
+
+    let variant = null;
+    if (menuItem.variants.length > 0) {
+      if (!item.variantId) {
+        return { error: `Choose a variant of "${menuItem.name}": ${menuItem.variants.map(v => v.name).join(', ')}` };
+      }
+
+      variant = menuItem.getVariant(item.variantId);
+      if (!variant) {
+        return { error: `Variant ${item.variantId} of "${menuItem.name}" is not found or unavailable` };
+      }
+    } else if (item.variantId) {
+      return { error: `Menu item "${menuItem.name}" has no variants` };
+    }
+
+    const optionIds = Array.isArray(item.modifiers) ? item.modifiers : [];
+    if (optionIds.length > 0 && menuItem.modifierGroups.length === 0) {
+      return { error: `Menu item "${menuItem.name}" has no modifiers` };
+    }
+
+    const { modifiers, error: modifierError } = await ModifierGroup.resolveSelections(
+      menuItem.modifierGroups,
+      optionIds,
+      menuItem.name
+    );
+    if (modifierError) {
+      return { error: modifierError };
+    }
+
+    const basePrice = variant ? variant.price : menuItem.price;
+    const price = round2(Math.max(basePrice + modifiers.reduce((sum, modifier) => sum + modifier.price, 0), 0));
+
+    let components = [];
+    if (menuItem.isCombo()) {
+      const combo = await buildComboComponents(menuItem, Array.isArray(item.choices) ? item.choices : [], price);
+      if (combo.error) {
+        return { error: combo.error };
+      }
+      components = combo.components;
+    }
+
+    // Line GST (taxable value, CGST/SGST/IGST) is derived by the Bill model. The line _id is issued
+    // here so coupons can record the lines they were redeemed on before the bill is saved.
+    billItems.push({
+      _id: new mongoose.Types.ObjectId(),
+      menuItem: menuItem._id,
+      variant: variant ? variant._id : null,
+      variantName: variant ? variant.name : null,
+      name: variant ? `${menuItem.name} (${variant.name})` : menuItem.name,
+      price,
+      quantity,
+      total: round2(price * quantity),
+      modifiers,
+      components,
+      ingredients: menuItem.isCombo() ? [] : recipeSnapshot(menuItem, variant ? variant._id : null),
+      category: menuItem.category,
+      hsnCode: menuItem.hsnCode,
+      taxRate: menuItem.taxSlab,
+      notes: item.notes ? item.notes.toString().trim() : ''
+    });
+  }
+
+  return { lines: billItems };
+}
+
+// Combine bill lines for the same menu item (and variant) so stock is checked against the total requested -
+// combo lines count towards each of their components. `lines` keeps the cart positions so a conflict can be
+// traced back to what the cashier entered.
+function groupStockLines(billItems) {
+  const grouped = {};
+
+  billItems.forEach((item, index) => {
+    Bill.stockLinesFor(item).forEach(stockLine => {
+      const key = stockKey(stockLine.menuItem, stockLine.variant);
+      if (!grouped[key]) {
+        grouped[key] = { ...stockLine, quantity: 0, lines: [] };
       }
+      grouped[key].quantity += stockLine.quantity;
+      if (!grouped[key].lines.includes(index)) grouped[key].lines.push(index);
+    });
+  });
+
+  return Object.values(grouped);
+}
+
+// Stock is held per menu item, or per variant for items sold in variants
+function stockKey(menuItem, variant) {
+  return variant ? `${menuItem}:${variant}` : menuItem.toString();
+}
+
+// Error thrown inside a transaction to roll it back when stock ran out between cart and checkout
+function stockConflictError(stockLines, conflicts) {
+  const error = requestError(409, 'Insufficient stock for one or more items');
+  error.conflicts = conflicts.map(conflict => ({
+    ...conflict,
+    lines: stockLines.find(line => stockKey(line.menuItem, line.variant) === stockKey(conflict.menuItemId, conflict.variantId))?.lines || []
+  }));
+  return error;
+}
+
+// Turn payment lines from the request into bill payments. `balance` lets a cash line carry only the
+// tendered amount, in which case it pays off the balance and the rest is returned as change.
+function parsePayments(payments, userId, balance) {
+  const lines = [];
+  let remaining = balance;
+
+  for (const payment of payments) {
+    if (!payment || !Bill.PAYMENT_METHODS.includes(payment.method)) {
+      return { error: `Invalid payment method. Must be: ${Bill.PAYMENT_METHODS.join(', ')}` };
+    }
+
+    const tendered = payment.tendered !== undefined && payment.tendered !== null && payment.tendered !== ''
+      ? parseFloat(payment.tendered)
+      : null;
+
+    if (tendered !== null && payment.method !== 'cash') {
+      return { error: 'Tendered amount only applies to cash payments' };
+    }
+
+    let amount = parseFloat(payment.amount);
+    if (!amount && tendered !== null) {
+      amount = Math.min(tendered, remaining);
+    }
+
+    if (!amount || amount <= 0) {
+      return { error: 'Each payment must have an amount greater than 0' };
+    }
+
+    remaining = round2(remaining - amount);
+    lines.push({
+      method: payment.method,
+      amount: round2(amount),
+      reference: payment.reference?.toString().trim() || null,
+      tendered,
+      receivedAt: new Date(),
+      receivedBy: userId
     });
-    
-    const sequenceNumber = String(todayBillsCount + 1).padStart(3, '0');
-    return `B${dateStr}${sequenceNumber}`;
-  } catch (error) {
-    console.error('Error generating bill number:', error);
-    // Fallback bill number
-    return `B${Date.now()}`;
   }
+
+  return { lines };
+}
+
+// Re-run the bill's discounts after its lines change: a coupon stays redeemed on the lines it was
+// redeemed on, automatic promotions apply only if active now (a closed happy hour stops discounting),
+// a manual discount keeps its amount. Returns ids of newly applied promotions so their usage can be counted.
+async function reapplyDiscounts(bill, session) {
+  const previous = bill.appliedPromotions || [];
+
+  // Bills from before line discounts keep their flat discount as issued
+  if (previous.length === 0 && bill.discount > 0) {
+    return [];
+  }
+
+  const previousIds = previous.filter(entry => entry.promotion).map(entry => entry.promotion.toString());
+  const { promotions: automatic } = await Promotion.findApplicable();
+  const now = new Date();
+  const kept = (await Promotion.find({ _id: { $in: previousIds } }).session(session))
+    .filter(promotion => promotion.code || promotion.isActiveAt(now, { countUsage: false }));
+  const promotions = [...kept, ...automatic.filter(promotion => !previousIds.includes(promotion._id.toString()))];
+
+  // Coupons redeemed before lines were tracked keep covering the whole bill
+  const couponLines = {};
+  previous.forEach(entry => {
+    if (entry.promotion && entry.code && entry.lines && entry.lines.length > 0) {
+      couponLines[entry.promotion.toString()] = entry.lines.map(String);
+    }
+  });
+
+  const manual = previous.find(entry => entry.type === 'manual');
+  const loyalty = previous.find(entry => entry.type === 'loyalty');
+  bill.appliedPromotions = applyDiscounts(bill.items, promotions, {
+    manualDiscount: manual?.requested || 0,
+    appliedBy: manual?.appliedBy || null,
+    loyaltyDiscount: loyalty?.requested || 0,
+    couponLines
+  });
+
+  return bill.appliedPromotions
+    .filter(entry => entry.promotion && !previousIds.includes(entry.promotion.toString()))
+    .map(entry => entry.promotion);
+}
+
+// Credit loyalty points to the bill's customer once it is paid (at most once per bill)
+async function awardLoyaltyPoints(bill, session) {
+  if (!bill.customer || bill.loyaltyPointsEarned > 0) return;
+
+  const settings = await BillingSettings.getForOutlet(bill.outlet, { session });
+  const points = Math.floor(bill.calculateTotals().total * settings.loyaltyEarnRate / 100);
+
+  if (points > 0) {
+    await Customer.adjustPoints(bill.customer, points, { session });
+    bill.loyaltyPointsEarned = points;
+  }
+}
+
+// Snapshot of bill totals recorded with each amendment
+function totalsSnapshot(bill) {
+  return {
+    subtotal: bill.subtotal,
+    gst: bill.gst,
+    discount: bill.discount,
+    serviceCharge: bill.serviceCharge,
+    total: bill.total
+  };
+}
+
+// Snapshot of a bill line recorded with each amendment
+function lineSnapshot(line) {
+  return {
+    lineId: line._id,
+    menuItem: line.menuItem,
+    name: line.name,
+    price: line.price,
+    quantity: line.quantity
+  };
+}
+
+// Load a pending bill inside a transaction, let `amend(bill, session)` change its lines and stock,
+// then recompute totals and append the returned entries to the bill's amendment history
+async function amendOpenBill(billId, userId, amend) {
+  let bill;
+
+  await runTransaction(async (session) => {
+    bill = await Bill.findById(billId).session(session);
+
+    if (!bill) {
+      throw requestError(404, 'Bill not found');
+    }
+
+    if (bill.status !== 'pending') {
+      throw requestError(400, 'Only pending (open) bills can be amended');
+    }
+
+    const totalsBefore = totalsSnapshot(bill);
+    const entries = await amend(bill, session);
+
+    const newPromotions = await reapplyDiscounts(bill, session);
+    const exhausted = await Promotion.recordUsage(newPromotions, { session });
+    if (exhausted) {
+      throw requestError(409, `Promotion "${exhausted.name}" has reached its usage limit`);
+    }
+
+    if ((bill.amountPaid || 0) - bill.calculateTotals().total > 0.01) {
+      throw requestError(400, 'Amendment would bring the bill total below the amount already paid');
+    }
+
+    // Totals are recomputed from the lines by calculateTotals() in the pre-validate hook
+    bill.increment();
+    await bill.save({ session });
+
+    await BillAmendment.insertMany(entries.map(entry => ({
+      ...entry,
+      bill: bill._id,
+      billNumber: bill.billNumber,
+      totalsBefore,
+      totalsAfter: totalsSnapshot(bill),
+      performedBy: userId
+    })), { session });
+  });
+
+  return bill;
+}
+
+// Raise kitchen tickets for bill lines on behalf of the signed-in waiter
+function issueKots(req, bill, lines, options = {}) {
+  return Kot.issueForLines(bill, lines, {
+    ...options,
+    waiter: req.user.userId,
+    waiterName: req.user.username
+  });
+}
+
+// Respond to a failed amendment
+function handleAmendmentError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      conflicts: error.conflicts
+    });
+  }
+
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'Bill was updated by another terminal, please retry'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({ 
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message 
+  });
 }
 
 // Get all bills with enhanced filtering
@@ -264,6 +646,7 @@ router.get('/', auth, async (req, res) => {
       status, 
       paymentMethod,
       customerName,
+      tableId,
       page = 1,
       limit = 20
     } = req.query;
@@ -288,6 +671,7 @@ router.get('/', auth, async (req, res) => {
     if (customerName) {
       query.customerName = { $regex: customerName, $options: 'i' };
     }
+    if (tableId) query.table = tableId;
 
     const bills = await Bill.find(query)
       .populate('createdBy', 'username email')
@@ -366,7 +750,17 @@ router.post('/', auth, async (req, res) => {
       items,
       discount = 0,
       paymentMethod = 'cash',
-      tableNumber
+      tableNumber,
+      tableId,
+      orderType = 'dine-in',
+      waiveServiceCharge = false,
+      supplyType = 'intra-state',
+      outlet,
+      payments,
+      cashReceived,
+      couponCode,
+      redeemPoints = 0,
+      openTab = false
     } = req.body;
 
     // Validation
@@ -377,97 +771,256 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    // Validate and calculate totals
-    let subtotal = 0;
-    const billItems = [];
+    if (!SUPPLY_TYPES.includes(supplyType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid supply type. Must be: ${SUPPLY_TYPES.join(' or ')}`
+      });
+    }
 
-    for (const item of items) {
-      if (!item.menuItemId || !item.quantity || item.quantity <= 0) {
-        return res.status(400).json({ 
-          success: false,
-          message: 'Each item must have menuItemId and valid quantity' 
-        });
-      }
+    if (!Bill.ORDER_TYPES.includes(orderType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid order type. Must be: ${Bill.ORDER_TYPES.join(', ')}`
+      });
+    }
+
+    // A bill opened on a table seats on it (or on the table it is merged with) - one open bill per table
+    let table = null;
+    if (tableId) {
+      table = await Table.resolveSeat(tableId);
 
-      const menuItem = await MenuItem.findById(item.menuItemId);
-      if (!menuItem) {
-        return res.status(400).json({ 
+      if (!table) {
+        return res.status(404).json({
           success: false,
-          message: `Menu item not found: ${item.menuItemId}` 
+          message: 'Table not found'
         });
       }
 
-      if (!menuItem.isAvailable) {
-        return res.status(400).json({ 
+      if (orderType !== 'dine-in') {
+        return res.status(400).json({
           success: false,
-          message: `Menu item "${menuItem.name}" is currently unavailable` 
+          message: 'Only dine-in bills can be opened on a table'
         });
       }
 
-      if (menuItem.stock < item.quantity) {
-        return res.status(400).json({ 
+      if (await Bill.exists({ table: table._id, status: 'pending' })) {
+        return res.status(409).json({
           success: false,
-          message: `Insufficient stock for "${menuItem.name}". Available: ${menuItem.stock}, Requested: ${item.quantity}` 
+          message: `Table ${table.number} already has an open bill - add items to it instead`
         });
       }
+    }
 
-      const itemTotal = menuItem.price * item.quantity;
-      subtotal += itemTotal;
+    // Validate lines and snapshot menu prices
+    const { lines: billItems, error: lineError } = await buildBillLines(items);
+    if (lineError) {
+      return res.status(400).json({ 
+        success: false,
+        message: lineError 
+      });
+    }
 
-      billItems.push({
-        menuItem: menuItem._id,
-        name: menuItem.name,
-        price: menuItem.price,
-        quantity: item.quantity,
-        total: itemTotal
+    const subtotal = billItems.reduce((sum, item) => sum + item.total, 0);
+    const manualDiscount = parseFloat(discount) || 0;
+    if (manualDiscount < 0 || manualDiscount > subtotal) {
+      return res.status(400).json({
+        success: false,
+        message: `Discount must be between 0 and the bill subtotal (${round2(subtotal)})`
       });
     }
 
-    // Calculate GST and total
-    const gst = Math.round((subtotal * 0.18) * 100) / 100; // 18% GST
-    const discountAmount = Math.min(discount, subtotal); // Discount can't exceed subtotal
-    const total = subtotal + gst - discountAmount;
+    // Repeat guests are recognised by phone; points can only be redeemed by a known customer
+    const settings = await BillingSettings.getForOutlet(outlet);
+    const knownCustomer = customerPhone
+      ? await Customer.findOne({ phone: Customer.normalizePhone(customerPhone) })
+      : null;
 
-    // Generate bill number
-    const billNumber = await generateBillNumber();
+    const pointsToRedeem = parseInt(redeemPoints) || 0;
+    if (pointsToRedeem < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Points to redeem cannot be negative'
+      });
+    }
 
-    // Create bill
+    if (pointsToRedeem > 0 && (!knownCustomer || knownCustomer.loyaltyPoints < pointsToRedeem)) {
+      return res.status(400).json({
+        success: false,
+        message: knownCustomer
+          ? `Customer has only ${knownCustomer.loyaltyPoints} points`
+          : 'Loyalty points can only be redeemed by a registered customer'
+      });
+    }
+
+    // Automatic promotions (happy hours, item offers) plus the coupon, if one was entered
+    const { promotions, error: couponError } = await Promotion.findApplicable({
+      code: couponCode,
+      customer: knownCustomer?._id
+    });
+    if (couponError) {
+      return res.status(400).json({
+        success: false,
+        message: couponError
+      });
+    }
+
+    // Sets each line's discount - GST is charged on the value after it
+    const loyaltyDiscount = round2(pointsToRedeem * settings.loyaltyPointValue);
+    const appliedPromotions = applyDiscounts(billItems, promotions, {
+      manualDiscount,
+      appliedBy: req.user.userId,
+      loyaltyDiscount
+    });
+
+    const loyaltyApplied = appliedPromotions.find(entry => entry.type === 'loyalty');
+    if (loyaltyDiscount > 0 && (!loyaltyApplied || loyaltyApplied.amount < loyaltyDiscount)) {
+      return res.status(400).json({
+        success: false,
+        message: `Redeeming ${pointsToRedeem} points (Rs.${loyaltyDiscount.toFixed(2)}) exceeds the amount left on the bill`
+      });
+    }
+
+    if (couponCode && !appliedPromotions.some(entry => entry.code === couponCode.toUpperCase().trim())) {
+      return res.status(400).json({
+        success: false,
+        message: `Coupon "${couponCode}" does not apply to this bill`
+      });
+    }
+
+    const stockLines = groupStockLines(billItems);
+
+    // Create bill - subtotal, discount, charges, tax split, round-off and total are computed in the
+    // pre-validate hook from the outlet's charge settings; the bill number is issued when the bill is saved
     const billData = {
-      billNumber,
+      outlet: outlet || undefined,
       customerName: customerName.trim(),
       customerPhone: customerPhone?.trim() || null,
       items: billItems,
-      subtotal: Math.round(subtotal * 100) / 100,
-      gst: gst,
-      discount: discountAmount,
-      total: Math.round(total * 100) / 100,
+      supplyType,
+      appliedPromotions,
+      loyaltyPointsRedeemed: pointsToRedeem,
+      orderType,
+      serviceChargeRate: settings.serviceChargeRate,
+      serviceChargeWaived: Boolean(waiveServiceCharge),
+      serviceChargeWaivedBy: waiveServiceCharge ? req.user.userId : null,
+      packingCharge: settings.packingCharge,
+      chargesTaxRate: settings.chargesTaxRate,
+      roundToRupee: settings.roundOff,
       paymentMethod,
-      status: 'paid', // Assuming immediate payment
       createdBy: req.user.userId,
-      tableNumber: tableNumber || null
+      table: table?._id || null,
+      tableNumber: table?.number || tableNumber || null
     };
 
-    const bill = new Bill(billData);
-    await bill.save();
+    // Payment lines - either split payments from the till, or the whole total in one method.
+    // An open tab (dine-in table still ordering) starts with no payments and stays pending.
+    const { total } = new Bill(billData).calculateTotals();
+    let paymentInput = [];
+    if (Array.isArray(payments) && payments.length > 0) {
+      paymentInput = payments;
+    } else if (!openTab) {
+      paymentInput = [paymentMethod === 'cash' && cashReceived
+        ? { method: 'cash', tendered: cashReceived }
+        : { method: paymentMethod, amount: total }];
+    }
 
-    // Update stock for each item
-    for (const item of items) {
-      await MenuItem.findByIdAndUpdate(
-        item.menuItemId,
-        { $inc: { stock: -item.quantity } },
-        { new: true }
-      );
+    const { lines: paymentLines, error: paymentError } = parsePayments(paymentInput, req.user.userId, total);
+    if (paymentError) {
+      return res.status(400).json({
+        success: false,
+        message: paymentError
+      });
+    }
+
+    const amountPaid = round2(paymentLines.reduce((sum, payment) => sum + payment.amount, 0));
+    if (amountPaid - total > 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: `Payments (${amountPaid}) exceed the bill total (${total})`
+      });
     }
 
+    // Fully settled bills are paid; anything short stays pending until settled via /:id/payments
+    billData.payments = paymentLines;
+    billData.status = Math.abs(total - amountPaid) <= 0.01 ? 'paid' : 'pending';
+    billData.paidAt = billData.status === 'paid' ? new Date() : null;
+
+    // Stock decrement, order counters, promotion usage, loyalty points, bill number and the bill itself
+    // commit together or not at all
+    let bill;
+    let kots = [];
+    await runTransaction(async (session) => {
+      const conflicts = await MenuItem.reserveStock(stockLines, { session });
+      if (conflicts.length > 0) {
+        throw stockConflictError(stockLines, conflicts);
+      }
+
+      const exhausted = await Promotion.recordUsage(
+        appliedPromotions.filter(entry => entry.promotion).map(entry => entry.promotion),
+        { session }
+      );
+      if (exhausted) {
+        throw requestError(409, `Promotion "${exhausted.name}" has reached its usage limit`);
+      }
+
+      const customer = await Customer.findOrCreateByPhone(customerPhone, customerName, { session });
+      if (pointsToRedeem > 0 && !(await Customer.adjustPoints(customer._id, -pointsToRedeem, { session }))) {
+        throw requestError(409, 'Loyalty points were redeemed on another bill, please retry');
+      }
+
+      // The party has arrived - a reservation on the table is fulfilled
+      if (table?.reservation) {
+        await Table.updateOne({ _id: table._id }, { $set: { reservation: null } }, { session });
+      }
+
+      bill = new Bill({ ...billData, customer: customer?._id || null });
+      if (bill.status === 'paid') {
+        await awardLoyaltyPoints(bill, session);
+      }
+      await bill.save({ session });
+
+      // One KOT per kitchen station for the lines it prepares
+      kots = await issueKots(req, bill, bill.items.map(line => ({ line, quantity: line.quantity })), { session });
+    });
+
+    dispatchKots(kots);
+
     // Populate creator info
     await bill.populate('createdBy', 'username email');
 
     res.status(201).json({
       success: true,
       data: bill,
-      message: 'Bill created successfully'
+      message: bill.status === 'pending' ? 'Bill opened successfully' : 'Bill created successfully'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    if (error.code === 11000 && error.keyPattern?.table) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another bill was just opened on this table - add items to it instead'
+      });
+    }
+
     console.error('Create bill error:', error);
     res.status(500).json({ 
       success: false,
@@ -477,46 +1030,497 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-// Update bill status
-router.patch('/:id/status', auth, async (req, res) => {
+// Add lines to an open bill (e.g. a second round for the table)
+router.post('/:id/items', auth, async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    if (!['pending', 'paid', 'cancelled'].includes(status)) {
+    const { items } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Items array is required and cannot be empty' 
+      });
+    }
+
+    const { lines, error } = await buildBillLines(items);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    let kots = [];
+    const bill = await amendOpenBill(req.params.id, req.user.userId, async (bill, session) => {
+      const stockLines = groupStockLines(lines);
+      const conflicts = await MenuItem.reserveStock(stockLines, { session });
+      if (conflicts.length > 0) {
+        throw stockConflictError(stockLines, conflicts);
+      }
+
+      const firstNewLine = bill.items.length;
+      bill.items.push(...lines);
+
+      const newLines = bill.items.slice(firstNewLine);
+      kots = await issueKots(req, bill, newLines.map(line => ({ line, quantity: line.quantity })), { session });
+
+      return newLines.map(line => ({
+        action: 'add-item',
+        line: lineSnapshot(line),
+        newQuantity: line.quantity
+      }));
+    });
+
+    dispatchKots(kots);
+    await bill.populate('createdBy', 'username email');
+
+    res.status(201).json({
+      success: true,
+      data: bill,
+      message: `${lines.length} item(s) added to bill ${bill.billNumber}`
+    });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Add bill items');
+  }
+});
+
+// Change the quantity of a line on an open bill
+router.patch('/:id/items/:lineId', auth, async (req, res) => {
+  try {
+    const quantity = parseInt(req.body.quantity);
+    const { reason = '' } = req.body;
+
+    if (!quantity || quantity <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be: pending, paid, or cancelled'
+        message: 'A quantity of at least 1 is required (void the line to remove it)'
       });
     }
 
-    const bill = await Bill.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'username email');
+    let kots = [];
+    const bill = await amendOpenBill(req.params.id, req.user.userId, async (bill, session) => {
+      const line = bill.items.id(req.params.lineId);
+      if (!line) {
+        throw requestError(404, 'Bill line not found');
+      }
 
-    if (!bill) {
-      return res.status(404).json({ 
+      const previousQuantity = line.quantity;
+      const delta = quantity - previousQuantity;
+
+      if (delta === 0) {
+        throw requestError(400, `Quantity of "${line.name}" is already ${quantity}`);
+      }
+
+      if (delta > 0) {
+        const lineIndex = bill.items.indexOf(line);
+        const stockLines = Bill.stockLinesFor(line, delta).map(stockLine => ({ ...stockLine, lines: [lineIndex] }));
+        const conflicts = await MenuItem.reserveStock(stockLines, { session });
+        if (conflicts.length > 0) {
+          throw stockConflictError(stockLines, conflicts);
+        }
+      } else {
+        await MenuItem.restoreStock(Bill.stockLinesFor(line, -delta), { session });
+      }
+
+      line.quantity = quantity;
+
+      // Extra units go to the kitchen as a new order, removed ones as a cancel ticket
+      kots = await issueKots(req, bill, [{ line, quantity: Math.abs(delta) }], {
+        type: delta > 0 ? 'order' : 'cancel',
+        reason: reason.trim(),
+        session
+      });
+
+      return [{
+        action: 'change-quantity',
+        line: lineSnapshot(line),
+        previousQuantity,
+        newQuantity: quantity,
+        reason: reason.trim()
+      }];
+    });
+
+    dispatchKots(kots);
+    await bill.populate('createdBy', 'username email');
+
+    res.json({
+      success: true,
+      data: bill,
+      message: 'Line quantity updated'
+    });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Update bill line');
+  }
+});
+
+// Void a line on an open bill - the line is removed, stock restored and the reason kept in the history
+router.post('/:id/items/:lineId/void', auth, async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({
         success: false,
-        message: 'Bill not found' 
+        message: 'A reason is required to void a line'
       });
     }
 
+    let kots = [];
+    const bill = await amendOpenBill(req.params.id, req.user.userId, async (bill, session) => {
+      const line = bill.items.id(req.params.lineId);
+      if (!line) {
+        throw requestError(404, 'Bill line not found');
+      }
+
+      if (bill.items.length === 1) {
+        throw requestError(400, 'Cannot void the only line on a bill - cancel the bill instead');
+      }
+
+      const snapshot = lineSnapshot(line);
+      await MenuItem.restoreStock(Bill.stockLinesFor(line), { session });
+      kots = await issueKots(req, bill, [{ line, quantity: line.quantity }], { type: 'cancel', reason, session });
+      bill.items.pull(line._id);
+
+      return [{
+        action: 'void-item',
+        line: snapshot,
+        previousQuantity: snapshot.quantity,
+        newQuantity: 0,
+        reason
+      }];
+    });
+
+    dispatchKots(kots);
+    await bill.populate('createdBy', 'username email');
+
     res.json({
       success: true,
       data: bill,
-      message: `Bill status updated to ${status}`
+      message: 'Line voided and stock restored'
+    });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Void bill line');
+  }
+});
+
+// Waive or restore the service charge on an open bill
+router.patch('/:id/service-charge', auth, async (req, res) => {
+  try {
+    const { waived = true } = req.body;
+    const reason = (req.body.reason || '').trim();
+
+    if (waived && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to waive the service charge'
+      });
+    }
+
+    const bill = await amendOpenBill(req.params.id, req.user.userId, async (bill) => {
+      if (bill.orderType !== 'dine-in' || !bill.serviceChargeRate) {
+        throw requestError(400, 'This bill has no service charge');
+      }
+
+      if (bill.serviceChargeWaived === Boolean(waived)) {
+        throw requestError(400, `Service charge is already ${waived ? 'waived' : 'applied'}`);
+      }
+
+      bill.serviceChargeWaived = Boolean(waived);
+      bill.serviceChargeWaivedBy = waived ? req.user.userId : null;
+
+      return [{
+        action: waived ? 'waive-service-charge' : 'restore-service-charge',
+        reason
+      }];
+    });
+
+    await bill.populate('createdBy', 'username email');
+
+    res.json({
+      success: true,
+      data: bill,
+      message: waived ? 'Service charge waived' : 'Service charge restored'
+    });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Update service charge');
+  }
+});
+
+// Move an open bill to another table (e.g. the party changed seats)
+router.patch('/:id/table', auth, async (req, res) => {
+  try {
+    const { tableId, reason = '' } = req.body;
+
+    if (!tableId) {
+      return res.status(400).json({
+        success: false,
+        message: 'tableId is required'
+      });
+    }
+
+    const bill = await amendOpenBill(req.params.id, req.user.userId, async (bill, session) => {
+      const target = await Table.resolveSeat(tableId, { session });
+      if (!target) {
+        throw requestError(404, 'Table not found');
+      }
+
+      if (bill.table && bill.table.equals(target._id)) {
+        throw requestError(400, `Bill is already on table ${target.number}`);
+      }
+
+      if (await Bill.exists({ table: target._id, status: 'pending' }).session(session)) {
+        throw requestError(409, `Table ${target.number} already has an open bill - merge the bills instead`);
+      }
+
+      const from = bill.tableNumber || 'no table';
+      bill.table = target._id;
+      bill.tableNumber = target.number;
+      bill.orderType = 'dine-in';
+
+      if (target.reservation) {
+        await Table.updateOne({ _id: target._id }, { $set: { reservation: null } }, { session });
+      }
+
+      await Kot.updateMany(
+        { bill: bill._id },
+        { $set: { table: bill.table, tableNumber: bill.tableNumber, orderType: bill.orderType } },
+        { session }
+      );
+
+      return [{
+        action: 'transfer-table',
+        reason: `${from} -> ${target.number}${reason ? `: ${reason}` : ''}`
+      }];
+    });
+
+    notifyKitchen(bill.outlet);
+    await bill.populate('createdBy', 'username email');
+
+    res.json({
+      success: true,
+      data: bill,
+      message: `Bill moved to table ${bill.tableNumber}`
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another bill was just opened on that table - merge the bills instead'
+      });
+    }
+
+    handleAmendmentError(res, error, 'Transfer bill');
+  }
+});
+
+// Merge another open bill (e.g. the next table's order) into this one. The other bill's lines move
+// across with their stock already deducted, and it is cancelled with a note pointing here.
+router.post('/:id/merge', auth, async (req, res) => {
+  try {
+    const { billId, reason = '' } = req.body;
+
+    if (!billId || billId === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'billId of another open bill is required'
+      });
+    }
+
+    const bill = await amendOpenBill(req.params.id, req.user.userId, async (bill, session) => {
+      const source = await Bill.findById(billId).session(session);
+
+      if (!source || source.status !== 'pending') {
+        throw requestError(404, 'Open bill to merge not found');
+      }
+
+      if ((source.amountPaid || 0) > 0 || source.loyaltyPointsRedeemed > 0) {
+        throw requestError(400, `Bill ${source.billNumber} has payments or redeemed points - settle it separately`);
+      }
+
+      if (source.appliedPromotions.some(entry => entry.type === 'manual')) {
+        throw requestError(400, `Bill ${source.billNumber} has a manual discount and cannot be merged`);
+      }
+
+      if (source.supplyType !== bill.supplyType) {
+        throw requestError(400, 'Cannot merge intra-state and inter-state bills');
+      }
+
+      const note = `Merged into bill ${bill.billNumber}${bill.tableNumber ? ` (table ${bill.tableNumber})` : ''}`;
+      // Lines keep their _id so the KOTs already sent for them follow them to this bill
+      const entries = source.items.map(line => {
+        bill.items.push(line.toObject());
+
+        return {
+          action: 'merge-bill',
+          line: lineSnapshot(bill.items[bill.items.length - 1]),
+          previousQuantity: 0,
+          newQuantity: line.quantity,
+          reason: `From bill ${source.billNumber}${source.tableNumber ? ` (table ${source.tableNumber})` : ''}${reason ? `: ${reason}` : ''}`
+        };
+      });
+
+      await BillAmendment.create([{
+        bill: source._id,
+        billNumber: source.billNumber,
+        action: 'merge-bill',
+        reason: note,
+        totalsBefore: totalsSnapshot(source),
+        totalsAfter: totalsSnapshot(source),
+        performedBy: req.user.userId
+      }], { session });
+
+      // The lines move without the other bill's promotions, so the uses it counted go back
+      await Promotion.releaseUsage(
+        source.appliedPromotions.filter(entry => entry.promotion).map(entry => entry.promotion),
+        { session }
+      );
+
+      source.status = 'cancelled';
+      source.cancelledAt = new Date();
+      source.cancelledBy = req.user.userId;
+      source.notes = source.notes ? `${source.notes}\n${note}` : note;
+      await source.save({ session });
+
+      await Kot.updateMany(
+        { bill: source._id },
+        { $set: { bill: bill._id, billNumber: bill.billNumber, table: bill.table, tableNumber: bill.tableNumber } },
+        { session }
+      );
+
+      return entries;
+    });
+
+    notifyKitchen(bill.outlet);
+    await bill.populate('createdBy', 'username email');
+
+    res.json({
+      success: true,
+      data: bill,
+      message: 'Bills merged successfully'
+    });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Merge bills');
+  }
+});
+
+// Get the amendment history of a bill
+router.get('/:id/amendments', auth, async (req, res) => {
+  try {
+    const amendments = await BillAmendment.find({ bill: req.params.id })
+      .populate('performedBy', 'username email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: amendments,
+      message: `Found ${amendments.length} amendments`
     });
   } catch (error) {
-    console.error('Update bill status error:', error);
+    console.error('Get bill amendments error:', error);
     res.status(500).json({ 
       success: false,
-      message: 'Failed to update bill status',
+      message: 'Failed to fetch bill amendments',
       error: error.message 
     });
   }
 });
 
+// Amendment log across bills for the manager's review (Admin only)
+router.get('/amendments/log', auth, adminAuth, async (req, res) => {
+  try {
+    const { startDate, endDate, action, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+    }
+    if (action && action !== 'all') query.action = action;
+
+    const [amendments, total] = await Promise.all([
+      BillAmendment.find(query)
+        .populate('performedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      BillAmendment.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: amendments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${amendments.length} amendments`
+    });
+  } catch (error) {
+    console.error('Get amendment log error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to fetch amendment log',
+      error: error.message 
+    });
+  }
+});
+
+// Record payments against a pending bill (settle incrementally, e.g. part cash now, rest by UPI).
+// The bill is loaded and settled inside the transaction, so a retried attempt starts from the stored bill.
+router.post('/:id/payments', auth, async (req, res) => {
+  try {
+    const input = Array.isArray(req.body.payments) ? req.body.payments : [req.body];
+
+    let bill;
+    await runTransaction(async (session) => {
+      bill = await Bill.findById(req.params.id).session(session);
+
+      if (!bill) {
+        throw requestError(404, 'Bill not found');
+      }
+
+      if (bill.status !== 'pending') {
+        throw requestError(400, bill.status === 'paid' ? 'Bill is already fully paid' : 'Cannot add payments to a cancelled bill');
+      }
+
+      const { lines, error } = parsePayments(input, req.user.userId, bill.balanceDue);
+      if (error) {
+        throw requestError(400, error);
+      }
+
+      const amountPaid = round2((bill.amountPaid || 0) + lines.reduce((sum, payment) => sum + payment.amount, 0));
+      if (amountPaid - bill.total > 0.01) {
+        throw requestError(400, `Payment exceeds the balance due (${bill.balanceDue.toFixed(2)})`);
+      }
+
+      bill.payments.push(...lines);
+      if (Math.abs(bill.total - amountPaid) <= 0.01) {
+        bill.status = 'paid';
+        bill.paidAt = new Date();
+        await awardLoyaltyPoints(bill, session);
+      }
+
+      // Version check so two terminals settling the same bill cannot both apply
+      bill.increment();
+      await bill.save({ session });
+    });
+    await bill.populate('createdBy', 'username email');
+
+    res.status(201).json({
+      success: true,
+      data: bill,
+      message: bill.status === 'paid'
+        ? 'Payment recorded, bill fully paid'
+        : `Payment recorded, balance due ${bill.balanceDue.toFixed(2)}`
+    });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Record payment');
+  }
+});
+
 // Mark bill as printed
 router.patch('/:id/printed', auth, async (req, res) => {
   try {
@@ -551,6 +1555,53 @@ router.patch('/:id/printed', auth, async (req, res) => {
   }
 });
 
+// Record the e-invoice registration (IRN, acknowledgement and signed QR code) returned by the IRP
+router.patch('/:id/e-invoice', auth, async (req, res) => {
+  try {
+    const { irn, ackNo, ackDate, signedQrCode } = req.body;
+
+    if (!irn || !signedQrCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'IRN and signed QR code are required'
+      });
+    }
+
+    const bill = await Bill.findByIdAndUpdate(
+      req.params.id,
+      {
+        eInvoice: {
+          irn,
+          ackNo: ackNo || null,
+          ackDate: ackDate ? new Date(ackDate) : null,
+          signedQrCode
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: bill,
+      message: `E-invoice recorded for bill ${bill.billNumber}`
+    });
+  } catch (error) {
+    console.error('Record e-invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record e-invoice',
+      error: error.message
+    });
+  }
+});
+
 // Get today's bills summary
 router.get('/summary/today', auth, async (req, res) => {
   try {
@@ -566,10 +1617,7 @@ router.get('/summary/today', auth, async (req, res) => {
     const totalEarnings = bills.reduce((sum, bill) => sum + bill.total, 0);
     const totalBills = bills.length;
     
-    const paymentBreakdown = bills.reduce((acc, bill) => {
-      acc[bill.paymentMethod] = (acc[bill.paymentMethod] || 0) + bill.total;
-      return acc;
-    }, {});
+    const paymentBreakdown = Bill.summarizePayments(bills);
 
     // Hourly breakdown
     const hourlyBreakdown = {};
@@ -621,34 +1669,74 @@ router.get('/summary/today', auth, async (req, res) => {
 // Cancel bill (and restore stock)
 router.patch('/:id/cancel', auth, async (req, res) => {
   try {
-    const bill = await Bill.findById(req.params.id);
-    
-    if (!bill) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Bill not found' 
-      });
-    }
+    // Restore stock and promotion uses, give back redeemed points, take back earned ones and cancel the
+    // bill in one transaction. An open bill still being prepared also sends the kitchen a cancel ticket.
+    let bill;
+    let kots = [];
+    await runTransaction(async (session) => {
+      bill = await Bill.findById(req.params.id).session(session);
+
+      if (!bill) {
+        throw requestError(404, 'Bill not found');
+      }
 
-    if (bill.status === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        message: 'Bill is already cancelled'
-      });
-    }
+      if (bill.status === 'cancelled') {
+        throw requestError(400, 'Bill is already cancelled');
+      }
+
+      if (bill.refundedAmount > 0) {
+        throw requestError(400, 'Bill has credit notes against it - issue a credit note for the remaining lines instead');
+      }
 
-    // Restore stock for cancelled bill
-    for (const item of bill.items) {
-      await MenuItem.findByIdAndUpdate(
-        item.menuItem,
-        { $inc: { stock: item.quantity } }
+      // Claim the bill first: of two simultaneous cancels only one flips it, the other restores nothing
+      const previousStatus = bill.status;
+      const cancelledAt = new Date();
+      const claimed = await Bill.updateOne(
+        { _id: bill._id, status: previousStatus },
+        { $set: { status: 'cancelled', cancelledAt, cancelledBy: req.user.userId }, $inc: { __v: 1 } },
+        { session }
       );
-    }
+      if (claimed.modifiedCount === 0) {
+        throw requestError(409, 'Bill was updated by another terminal, please retry');
+      }
+
+      // Line by line - lines added in later rounds may carry a different recipe
+      await MenuItem.restoreStock(bill.items.flatMap(line => Bill.stockLinesFor(line)), { session });
+
+      // Coupons and promotions used on the bill can be used again
+      await Promotion.releaseUsage(
+        bill.appliedPromotions.filter(entry => entry.promotion).map(entry => entry.promotion),
+        { session }
+      );
+
+      if (previousStatus === 'pending') {
+        kots = await issueKots(req, bill, bill.items.map(line => ({ line, quantity: line.quantity })), {
+          type: 'cancel',
+          reason: (req.body.reason || 'Bill cancelled').trim(),
+          session
+        });
+      }
+
+      if (bill.customer) {
+        let customer = await Customer.findById(bill.customer).session(session);
+
+        if (customer && bill.loyaltyPointsRedeemed > 0) {
+          customer = await Customer.adjustPoints(customer._id, bill.loyaltyPointsRedeemed, { session, reversal: true });
+        }
 
-    bill.status = 'cancelled';
-    bill.cancelledAt = new Date();
-    bill.cancelledBy = req.user.userId;
-    await bill.save();
+        // Points earned on this bill may already be spent - take back what is left
+        const takeBack = customer ? Math.min(bill.loyaltyPointsEarned || 0, customer.loyaltyPoints) : 0;
+        if (takeBack > 0) {
+          await Customer.adjustPoints(customer._id, -takeBack, { session, reversal: true });
+        }
+      }
+
+      bill.status = 'cancelled';
+      bill.cancelledAt = cancelledAt;
+      bill.cancelledBy = req.user.userId;
+    });
+
+    dispatchKots(kots);
 
     res.json({
       success: true,
@@ -656,12 +1744,7 @@ router.patch('/:id/cancel', auth, async (req, res) => {
       message: 'Bill cancelled and stock restored'
     });
   } catch (error) {
-    console.error('Cancel bill error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to cancel bill',
-      error: error.message 
-    });
+    handleAmendmentError(res, error, 'Cancel bill');
   }
 });
 
@@ -697,10 +1780,7 @@ router.get('/stats/overview', auth, async (req, res) => {
     const totalRevenue = bills.reduce((sum, bill) => sum + bill.total, 0);
     const totalBills = bills.length;
     const averageBill = totalBills > 0 ? totalRevenue / totalBills : 0;
-    const paymentBreakdown = bills.reduce((acc, bill) => {
-      acc[bill.paymentMethod] = (acc[bill.paymentMethod] || 0) + bill.total;
-      return acc;
-    }, {});
+    const paymentBreakdown = Bill.summarizePayments(bills);
     const hourlyBreakdown = {};
     bills.forEach(bill => {
       const hour = new Date(bill.createdAt).getHours();
@@ -0,0 +1,225 @@
+// routes/cashLedger.js - Cash ledger: pay-ins and pay-outs, drawer-open log and shift cash reconciliation
+const express = require('express');
+const mongoose = require('mongoose');
+const CashMovement = require('../models/CashMovement');
+const Shift = require('../models/Shift');
+const PrinterProfile = require('../models/PrinterProfile');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { round2 } = require('../utils/gst');
+const { recordCashMovement, kickCashDrawer, reconcileShift } = require('../utils/cashLedger');
+
+const router = express.Router();
+
+// Respond to a failed ledger write
+function handleMovementError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `${context} failed`,
+    error: error.message
+  });
+}
+
+// Record cash put into (pay-in) or taken out of (pay-out) the drawer, popping the drawer unless `openDrawer` is false
+function cashRoute(type) {
+  return async (req, res) => {
+    try {
+      const { category, note = '', terminal = '', openDrawer = true } = req.body;
+      const outlet = (req.body.outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+      const fields = {
+        type,
+        amount: round2(parseFloat(req.body.amount) || 0),
+        category,
+        note,
+        outlet,
+        terminal,
+        user: req.user.userId,
+        userName: req.user.username
+      };
+
+      // Check the entry before anything moves
+      await new CashMovement(fields).validate();
+
+      let drawer = null;
+      if (openDrawer) {
+        const profile = await PrinterProfile.resolve({ profileId: req.body.profileId || null, outlet, role: 'receipt' });
+        if (profile.drawer?.enabled) {
+          const kicked = await kickCashDrawer(profile, {
+            reason: type === 'pay-in' ? 'pay-in' : 'payout',
+            note,
+            outlet,
+            terminal,
+            user: req.user.userId,
+            userName: req.user.username
+          });
+          drawer = { printer: profile.name, details: kicked.result };
+        }
+      }
+
+      const movement = await recordCashMovement(fields);
+
+      res.status(201).json({
+        success: true,
+        data: movement,
+        drawer,
+        message: `${type === 'pay-in' ? 'Paid in' : 'Paid out'} ${movement.amount.toFixed(2)}` +
+          (movement.shift ? '' : ' - no shift is open, so it is not counted towards a drawer')
+      });
+    } catch (error) {
+      handleMovementError(res, error, type === 'pay-in' ? 'Pay-in' : 'Pay-out');
+    }
+  };
+}
+
+router.post('/pay-in', auth, cashRoute('pay-in'));
+router.post('/pay-out', auth, cashRoute('pay-out'));
+
+// Get ledger entries - cashiers see their own, admins everyone's
+router.get('/movements', auth, async (req, res) => {
+  try {
+    const { outlet, terminal, shiftId, type, reason, userId, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (outlet) query.outlet = outlet.toUpperCase();
+    if (terminal) query.terminal = terminal;
+    if (shiftId) query.shift = shiftId;
+    if (type) query.type = type;
+    if (reason) query.reason = reason;
+    if (req.user.role !== 'admin') {
+      query.user = req.user.userId;
+    } else if (userId) {
+      query.user = userId;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+    }
+
+    const [movements, total] = await Promise.all([
+      CashMovement.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      CashMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: movements,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${movements.length} cash movements`
+    });
+  } catch (error) {
+    console.error('Get cash movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cash movements',
+      error: error.message
+    });
+  }
+});
+
+// Reconcile cash (Admin only): one shift's drawer in detail (`shiftId`), or every shift opened at an outlet on a day
+router.get('/reconciliation', auth, adminAuth, async (req, res) => {
+  try {
+    const { shiftId } = req.query;
+
+    if (shiftId) {
+      if (!mongoose.Types.ObjectId.isValid(shiftId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid shift ID'
+        });
+      }
+
+      const shift = await Shift.findById(shiftId);
+      if (!shift) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shift not found'
+        });
+      }
+
+      const reconciliation = await reconcileShift(shift);
+
+      return res.json({
+        success: true,
+        data: reconciliation,
+        message: reconciliation.variance === null
+          ? `Expected ${reconciliation.expected.toFixed(2)} in the drawer - not counted yet`
+          : reconciliation.variance === 0
+            ? 'Cash matches'
+            : `Cash ${reconciliation.variance > 0 ? 'over' : 'short'} by ${Math.abs(reconciliation.variance).toFixed(2)}`
+      });
+    }
+
+    const outlet = (req.query.outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const end = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+
+    const shifts = await Shift.find({ outlet, openedAt: { $gte: start, $lt: end } }).sort({ openedAt: 1 });
+    const reconciliations = await Promise.all(shifts.map(shift => reconcileShift(shift)));
+
+    // Per-shift figures only - the bill and movement lists are on the single-shift view
+    const data = reconciliations.map(({ bills, movements, ...figures }) => ({
+      ...figures,
+      cashBills: bills.length,
+      movements: movements.length
+    }));
+    const counted = data.filter(shift => shift.variance !== null);
+    const short = counted.filter(shift => shift.variance < 0);
+
+    res.json({
+      success: true,
+      data: {
+        outlet,
+        date: start,
+        shifts: data,
+        totals: {
+          expected: round2(data.reduce((total, shift) => total + shift.expected, 0)),
+          counted: round2(counted.reduce((total, shift) => total + shift.counted, 0)),
+          variance: round2(counted.reduce((total, shift) => total + shift.variance, 0))
+        }
+      },
+      message: short.length > 0
+        ? `${short.length} shift(s) short: ${short.map(shift => `${shift.cashierName} ${Math.abs(shift.variance).toFixed(2)}`).join(', ')}`
+        : `Reconciled ${data.length} shift(s)`
+    });
+  } catch (error) {
+    console.error('Cash reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile cash',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
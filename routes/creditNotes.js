@@ -0,0 +1,212 @@
+// routes/creditNotes.js - Credit notes and partial refunds against paid bills
+const express = require('express');
+const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
+const MenuItem = require('../models/MenuItem');
+const auth = require('../middleware/auth');
+const { round2 } = require('../utils/gst');
+const { requestError, runTransaction } = require('../utils/transaction');
+const { buildCreditLine } = require('../utils/creditNotes');
+
+const router = express.Router();
+
+// Get credit notes with filtering
+router.get('/', auth, async (req, res) => {
+  try {
+    const { startDate, endDate, billId, refundMethod, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+    }
+    if (billId) query.bill = billId;
+    if (refundMethod && refundMethod !== 'all') query.refundMethod = refundMethod;
+
+    const [creditNotes, total] = await Promise.all([
+      CreditNote.find(query)
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      CreditNote.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: creditNotes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      summary: {
+        totalRefunded: round2(creditNotes.reduce((sum, note) => sum + note.total, 0))
+      },
+      message: `Found ${creditNotes.length} credit notes`
+    });
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit notes',
+      error: error.message
+    });
+  }
+});
+
+// Get single credit note
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('createdBy', 'username email')
+      .populate('bill', 'billNumber total createdAt');
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: creditNote,
+      message: 'Credit note retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit note',
+      error: error.message
+    });
+  }
+});
+
+// Issue a credit note against specific lines and quantities of a paid bill
+router.post('/', auth, async (req, res) => {
+  try {
+    const {
+      billId,
+      lines,
+      refundMethod,
+      refundReference,
+      reason,
+      restock = false
+    } = req.body;
+
+    if (!billId || !Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'billId and a non-empty lines array ({ lineId, quantity }) are required'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for a credit note'
+      });
+    }
+
+    let creditNote;
+    await runTransaction(async (session) => {
+      const bill = await Bill.findById(billId).session(session);
+
+      if (!bill) {
+        throw requestError(404, 'Bill not found');
+      }
+
+      if (bill.status !== 'paid') {
+        throw requestError(400, 'Credit notes can only be issued against paid bills');
+      }
+
+      const creditLines = [];
+      const restockLines = [];
+      for (const line of lines) {
+        const quantity = parseInt(line.quantity);
+        const billLine = bill.items.id(line.lineId);
+
+        if (!billLine) {
+          throw requestError(400, `Bill line not found: ${line.lineId}`);
+        }
+
+        const creditable = billLine.quantity - (billLine.creditedQuantity || 0);
+        if (!quantity || quantity <= 0 || quantity > creditable) {
+          throw requestError(400, `Invalid quantity for "${billLine.name}". Creditable: ${creditable}, Requested: ${line.quantity}`);
+        }
+
+        billLine.creditedQuantity = (billLine.creditedQuantity || 0) + quantity;
+        creditLines.push(buildCreditLine(bill, billLine, quantity, Boolean(restock)));
+        restockLines.push(...Bill.stockLinesFor(billLine, quantity));
+      }
+
+      creditNote = new CreditNote({
+        outlet: bill.outlet,
+        bill: bill._id,
+        billNumber: bill.billNumber,
+        supplyType: bill.supplyType,
+        customerName: bill.customerName,
+        customerPhone: bill.customerPhone,
+        lines: creditLines,
+        refundMethod,
+        refundReference: refundReference || null,
+        reason: reason.trim(),
+        restock: Boolean(restock),
+        createdBy: req.user.userId
+      });
+      await creditNote.validate();
+
+      const refundedAmount = round2((bill.refundedAmount || 0) + creditNote.total);
+      if (refundedAmount - bill.total > 0.01) {
+        throw requestError(400, `Refunds (${refundedAmount}) would exceed the bill total (${bill.total})`);
+      }
+
+      if (restock) {
+        await MenuItem.restoreStock(restockLines, { session });
+      }
+
+      bill.refundedAmount = refundedAmount;
+      await bill.save({ session });
+      await creditNote.save({ session });
+    });
+
+    await creditNote.populate('createdBy', 'username email');
+
+    res.status(201).json({
+      success: true,
+      data: creditNote,
+      message: `Credit note ${creditNote.creditNoteNumber} issued for Rs.${creditNote.total.toFixed(2)}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    console.error('Create credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue credit note',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
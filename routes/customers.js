@@ -0,0 +1,386 @@
+// routes/customers.js - Customer directory, visit history, loyalty points and feedback rewards
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Bill = require('../models/Bill');
+const Promotion = require('../models/Promotion');
+const BillingSettings = require('../models/BillingSettings');
+const auth = require('../middleware/auth');
+const { requestError, runTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Search customers by name or phone
+router.get('/', auth, async (req, res) => {
+  try {
+    const { search, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (search && search.trim()) {
+      const term = search.trim();
+      const digits = term.replace(/\D/g, '');
+      query.$or = [{ name: { $regex: escapeRegex(term), $options: 'i' } }];
+      if (digits.length >= 3) {
+        query.$or.push({ phone: { $regex: escapeRegex(digits.slice(-10)) } });
+      }
+    }
+
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .select('-feedback')
+        .sort({ lastVisitAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Customer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: customers,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${customers.length} customers`
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customers',
+      error: error.message
+    });
+  }
+});
+
+// Look up a customer by phone at the till
+router.get('/phone/:phone', auth, async (req, res) => {
+  try {
+    const phone = Customer.normalizePhone(req.params.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid 10-digit mobile number'
+      });
+    }
+
+    const customer = await Customer.findOne({ phone });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customer,
+      message: 'Customer retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get customer by phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer',
+      error: error.message
+    });
+  }
+});
+
+// Get single customer with visit summary and lifetime spend
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid customer ID'
+      });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...customer.toObject(),
+        summary: await customer.getVisitSummary()
+      },
+      message: 'Customer retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer',
+      error: error.message
+    });
+  }
+});
+
+// Get a customer's visit history (their bills, newest first)
+router.get('/:id/visits', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid customer ID'
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const query = { customer: req.params.id };
+
+    const [bills, total] = await Promise.all([
+      Bill.find(query)
+        .select('billNumber createdAt items.name items.quantity total status refundedAmount loyaltyPointsEarned loyaltyPointsRedeemed')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Bill.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: bills,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${bills.length} visits`
+    });
+  } catch (error) {
+    console.error('Get customer visits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch visit history',
+      error: error.message
+    });
+  }
+});
+
+// Register a customer ahead of their first bill
+router.post('/', auth, async (req, res) => {
+  try {
+    const { phone, name, email, birthday, notes } = req.body;
+    const normalized = Customer.normalizePhone(phone);
+
+    if (!normalized) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid 10-digit mobile number'
+      });
+    }
+
+    if (await Customer.exists({ phone: normalized })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A customer with this phone number already exists'
+      });
+    }
+
+    const customer = new Customer({
+      phone: normalized,
+      name: name?.trim() || undefined,
+      email: email || null,
+      birthday: birthday || null,
+      notes: notes || ''
+    });
+    await customer.save();
+
+    res.status(201).json({
+      success: true,
+      data: customer,
+      message: 'Customer created successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    console.error('Create customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create customer',
+      error: error.message
+    });
+  }
+});
+
+// Update customer details (points are only changed by billing)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid customer ID'
+      });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const { name, email, birthday, notes } = req.body;
+    if (name !== undefined) customer.name = name.trim();
+    if (email !== undefined) customer.email = email || null;
+    if (birthday !== undefined) customer.birthday = birthday || null;
+    if (notes !== undefined) customer.notes = notes;
+
+    await customer.save();
+
+    res.json({
+      success: true,
+      data: customer,
+      message: 'Customer updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    console.error('Update customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update customer',
+      error: error.message
+    });
+  }
+});
+
+// Record a rating against a paid bill and issue the "Rate us & get 10% off" reward -
+// a single-use coupon that only the same customer can redeem on their next visit
+router.post('/feedback', auth, async (req, res) => {
+  try {
+    const { billNumber, rating, comment } = req.body;
+    const score = parseInt(rating);
+
+    if (!billNumber || !score || score < 1 || score > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'billNumber and a rating from 1 to 5 are required'
+      });
+    }
+
+    let customer;
+    let coupon = null;
+    await runTransaction(async (session) => {
+      const bill = await Bill.findOne({ billNumber: billNumber.trim() }).session(session);
+
+      if (!bill || bill.status !== 'paid') {
+        throw requestError(404, 'Paid bill not found');
+      }
+
+      if (!bill.customer) {
+        throw requestError(400, 'This bill has no customer phone number - the reward needs a registered customer');
+      }
+
+      const settings = await BillingSettings.getForOutlet(bill.outlet, { session });
+
+      if (settings.feedbackRewardPercent > 0) {
+        const validFrom = new Date();
+        coupon = new Promotion({
+          name: `Feedback reward - ${bill.billNumber}`,
+          code: `RATE${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+          type: 'percentage',
+          scope: 'bill',
+          value: settings.feedbackRewardPercent,
+          usageLimit: 1,
+          customer: bill.customer,
+          validFrom,
+          validUntil: new Date(validFrom.getTime() + settings.feedbackRewardValidDays * 24 * 60 * 60 * 1000),
+          createdBy: req.user.userId
+        });
+        await coupon.save({ session });
+      }
+
+      // Conditional push so a bill can only ever earn one reward
+      customer = await Customer.findOneAndUpdate(
+        { _id: bill.customer, 'feedback.bill': { $ne: bill._id } },
+        {
+          $push: {
+            feedback: {
+              bill: bill._id,
+              billNumber: bill.billNumber,
+              rating: score,
+              comment: comment || '',
+              rewardCode: coupon?.code || null
+            }
+          }
+        },
+        { new: true, session, runValidators: true }
+      );
+
+      if (!customer) {
+        throw requestError(400, 'Feedback has already been recorded for this bill');
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        customer: customer._id,
+        rating: score,
+        reward: coupon && {
+          code: coupon.code,
+          percent: coupon.value,
+          validUntil: coupon.validUntil
+        }
+      },
+      message: coupon
+        ? `Thank you! Coupon ${coupon.code} gives ${coupon.value}% off the next visit`
+        : 'Thank you for your feedback'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Record feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record feedback',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+// routes/ingredients.js - Ingredient inventory consumed by menu recipes
+const express = require('express');
+const mongoose = require('mongoose');
+const Ingredient = require('../models/Ingredient');
+const MenuItem = require('../models/MenuItem');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Fields an admin may set on an ingredient
+const INGREDIENT_FIELDS = ['name', 'unit', 'quantity', 'reorderLevel', 'costPerUnit', 'isActive'];
+
+// Copy allowed fields from the request body onto an ingredient
+function assignIngredientFields(ingredient, body) {
+  INGREDIENT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      ingredient[field] = body[field];
+    }
+  });
+}
+
+// Respond to a failed ingredient save
+function handleSaveError(res, error, context) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'An ingredient with this name already exists'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Load an ingredient, responding 400/404 when it cannot be found
+async function loadIngredient(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid ingredient ID'
+    });
+    return null;
+  }
+
+  const ingredient = await Ingredient.findById(req.params.id);
+
+  if (!ingredient) {
+    res.status(404).json({
+      success: false,
+      message: 'Ingredient not found'
+    });
+    return null;
+  }
+
+  return ingredient;
+}
+
+// Get ingredients - `low=true` for those at or below their reorder level
+router.get('/', auth, async (req, res) => {
+  try {
+    const { active, low, search } = req.query;
+
+    let ingredients;
+    if (low === 'true') {
+      ingredients = await Ingredient.findLow();
+    } else {
+      const query = {};
+      if (active !== undefined) query.isActive = active === 'true';
+      if (search) query.name = { $regex: search, $options: 'i' };
+
+      ingredients = await Ingredient.find(query).sort({ name: 1 });
+    }
+
+    res.json({
+      success: true,
+      data: ingredients,
+      summary: {
+        low: ingredients.filter(ingredient => ingredient.isLow).length,
+        stockValue: Math.round(ingredients.reduce((total, ingredient) => total + ingredient.stockValue, 0) * 100) / 100
+      },
+      message: `Found ${ingredients.length} ingredients`
+    });
+  } catch (error) {
+    console.error('Get ingredients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ingredients',
+      error: error.message
+    });
+  }
+});
+
+// Get ingredient by ID, with the menu items whose recipes use it
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const ingredient = await loadIngredient(req, res);
+    if (!ingredient) return;
+
+    const menuItems = await MenuItem.find({
+      isDeleted: { $ne: true },
+      $or: [{ 'recipe.ingredient': ingredient._id }, { 'variants.recipe.ingredient': ingredient._id }]
+    }).select('name category');
+
+    res.json({
+      success: true,
+      data: { ...ingredient.toJSON(), menuItems },
+      message: 'Ingredient retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get ingredient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ingredient',
+      error: error.message
+    });
+  }
+});
+
+// Create ingredient (Admin only)
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const ingredient = new Ingredient({ createdBy: req.user.userId });
+    assignIngredientFields(ingredient, req.body);
+    await ingredient.save();
+
+    res.status(201).json({
+      success: true,
+      data: ingredient,
+      message: 'Ingredient created successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create ingredient');
+  }
+});
+
+// Update ingredient (Admin only). Recipes keep their quantities, so changing the unit needs them revisited.
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const ingredient = await loadIngredient(req, res);
+    if (!ingredient) return;
+
+    assignIngredientFields(ingredient, req.body);
+    ingredient.updatedBy = req.user.userId;
+    await ingredient.save();
+
+    res.json({
+      success: true,
+      data: ingredient,
+      message: 'Ingredient updated successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update ingredient');
+  }
+});
+
+// Update stock on hand - a counted `quantity`, or an `adjustment` (wastage, a delivery) added to it
+router.patch('/:id/stock', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ingredient ID'
+      });
+    }
+
+    const { quantity, adjustment } = req.body;
+
+    let update;
+    let filter = { _id: req.params.id };
+    if (quantity !== undefined) {
+      if (isNaN(parseFloat(quantity)) || parseFloat(quantity) < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid quantity is required'
+        });
+      }
+      update = { $set: { quantity: parseFloat(quantity), updatedBy: req.user.userId } };
+    } else if (adjustment !== undefined && !isNaN(parseFloat(adjustment))) {
+      const change = parseFloat(adjustment);
+      // A deduction can only take what is there
+      if (change < 0) filter = { ...filter, quantity: { $gte: -change } };
+      update = { $inc: { quantity: change }, $set: { updatedBy: req.user.userId } };
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Send quantity or adjustment'
+      });
+    }
+
+    const ingredient = await Ingredient.findOneAndUpdate(filter, update, { new: true });
+
+    if (!ingredient) {
+      const exists = await Ingredient.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Not enough stock for this adjustment' : 'Ingredient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ingredient,
+      message: `${ingredient.name} stock is ${ingredient.quantity} ${ingredient.unit}` +
+        (ingredient.isLow ? ' - at or below reorder level' : '')
+    });
+  } catch (error) {
+    console.error('Update ingredient stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ingredient stock',
+      error: error.message
+    });
+  }
+});
+
+// Toggle ingredient on/off (Admin only) - inactive ingredients are left out of the low-stock list
+router.patch('/:id/status', auth, adminAuth, async (req, res) => {
+  try {
+    const ingredient = await loadIngredient(req, res);
+    if (!ingredient) return;
+
+    ingredient.isActive = !ingredient.isActive;
+    ingredient.updatedBy = req.user.userId;
+    await ingredient.save();
+
+    res.json({
+      success: true,
+      data: ingredient,
+      message: `Ingredient ${ingredient.isActive ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (error) {
+    console.error('Toggle ingredient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to toggle ingredient',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+// routes/kitchen.js - Kitchen display system: live order feed per station, bump and recall
+const express = require('express');
+const mongoose = require('mongoose');
+const Kot = require('../models/Kot');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const { notifyKitchen, onKitchenChange } = require('../utils/kitchenEvents');
+
+const router = express.Router();
+
+// Display streams send a comment this often so proxies keep the connection open
+const HEARTBEAT_MS = 25000;
+
+// Feed options from the query string - recallMinutes keeps recently served lines on screen for a recall
+function feedOptions(query) {
+  const { outlet = Counter.DEFAULT_OUTLET, stationId, recallMinutes } = query;
+  const minutes = parseInt(recallMinutes) || 0;
+
+  return {
+    outlet,
+    station: stationId || null,
+    servedSince: minutes > 0 ? new Date(Date.now() - minutes * 60000) : null
+  };
+}
+
+// EventSource cannot send headers, so the display stream may pass its token in the query string
+function tokenFromQuery(req, res, next) {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Get the kitchen display feed - open tickets with line states and timers
+router.get('/', auth, async (req, res) => {
+  try {
+    const kots = await Kot.getKitchenFeed(feedOptions(req.query));
+
+    res.json({
+      success: true,
+      data: kots,
+      summary: {
+        tickets: kots.length,
+        late: kots.filter(kot => kot.isLate).length
+      },
+      message: `Found ${kots.length} open tickets`
+    });
+  } catch (error) {
+    console.error('Get kitchen feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch kitchen feed',
+      error: error.message
+    });
+  }
+});
+
+// Live kitchen feed (Server-Sent Events) - the full feed is sent on connect and after every change
+router.get('/stream', tokenFromQuery, auth, async (req, res) => {
+  const options = feedOptions(req.query);
+  const outlet = options.outlet.toUpperCase();
+  let closed = false;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendFeed = async () => {
+    try {
+      const kots = await Kot.getKitchenFeed(feedOptions(req.query));
+      if (!closed) {
+        res.write(`event: feed\ndata: ${JSON.stringify(kots)}\n\n`);
+      }
+    } catch (error) {
+      console.error('Kitchen stream error:', error);
+      if (!closed) {
+        res.write(`event: error\ndata: ${JSON.stringify({ message: error.message })}\n\n`);
+      }
+    }
+  };
+
+  const unsubscribe = onKitchenChange(change => {
+    if (change.outlet !== outlet) return;
+    if (options.station && change.stations && !change.stations.includes(options.station)) return;
+    sendFeed();
+  });
+
+  // Screens run the timers locally from createdAt/dueAt, so between changes only a heartbeat is sent
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  await sendFeed();
+});
+
+// Move lines on a ticket one kitchen state forward (bump) or back (recall)
+function moveTicket(direction) {
+  return async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid KOT ID'
+        });
+      }
+
+      const kot = await Kot.findById(req.params.id);
+
+      if (!kot || kot.type !== 'order') {
+        return res.status(404).json({
+          success: false,
+          message: 'KOT not found'
+        });
+      }
+
+      if (kot.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: `${kot.kotNumber} has been cancelled`
+        });
+      }
+
+      const lineIds = Array.isArray(req.body.lineIds) ? req.body.lineIds : [];
+      const moved = kot.moveLines(direction, lineIds);
+
+      if (moved.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: direction > 0 ? 'Nothing left to bump on this ticket' : 'Nothing to recall on this ticket'
+        });
+      }
+
+      // Two screens bumping the same ticket must not overwrite each other
+      kot.increment();
+      await kot.save();
+      notifyKitchen(kot.outlet, [kot.station]);
+
+      res.json({
+        success: true,
+        data: kot,
+        message: `${moved.length} line(s) on ${kot.kotNumber} ${direction > 0 ? 'bumped' : 'recalled'}`
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'Ticket was updated on another screen, please retry'
+        });
+      }
+
+      console.error('Move kitchen ticket error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update ticket',
+        error: error.message
+      });
+    }
+  };
+}
+
+// Bump - queued -> cooking -> ready -> served (all open lines, or just `lineIds`)
+router.post('/kots/:id/bump', auth, moveTicket(1));
+
+// Recall - undo the last bump, e.g. a dish sent back or bumped by mistake
+router.post('/kots/:id/recall', auth, moveTicket(-1));
+
+module.exports = router;
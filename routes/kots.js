@@ -0,0 +1,232 @@
+// routes/kots.js - Kitchen stations and kitchen order tickets (KOTs): listing and reprints
+const express = require('express');
+const mongoose = require('mongoose');
+const Kot = require('../models/Kot');
+const KitchenStation = require('../models/KitchenStation');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { queueKot } = require('../utils/kot');
+const { jobSummary } = require('../utils/printQueue');
+
+const router = express.Router();
+
+// Respond to a failed station save
+function handleSaveError(res, error, context) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A station with this name already exists for the outlet'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Get kitchen stations
+router.get('/stations', auth, async (req, res) => {
+  try {
+    const { outlet = Counter.DEFAULT_OUTLET } = req.query;
+
+    const stations = await KitchenStation.find({ outlet: outlet.toUpperCase(), isActive: true })
+      .populate('printerProfile', 'name connection ip printerName')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: stations,
+      message: `Found ${stations.length} kitchen stations`
+    });
+  } catch (error) {
+    console.error('Get kitchen stations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch kitchen stations',
+      error: error.message
+    });
+  }
+});
+
+// Create kitchen station (Admin only)
+router.post('/stations', auth, adminAuth, async (req, res) => {
+  try {
+    const { outlet, name, categories = [], isDefault = false, printerProfileId } = req.body;
+
+    const station = new KitchenStation({
+      outlet: outlet || undefined,
+      name,
+      categories,
+      isDefault: isDefault === 'true' || isDefault === true,
+      printerProfile: printerProfileId || null
+    });
+    await station.save();
+
+    res.status(201).json({
+      success: true,
+      data: station,
+      message: `Kitchen station ${station.name} created successfully`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create kitchen station');
+  }
+});
+
+// Update kitchen station - categories, default routing and printer (Admin only)
+router.put('/stations/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const station = await KitchenStation.findById(req.params.id);
+
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kitchen station not found'
+      });
+    }
+
+    const { name, categories, isDefault, printerProfileId, isActive } = req.body;
+    if (name !== undefined) station.name = name;
+    if (categories !== undefined) station.categories = categories;
+    if (isDefault !== undefined) station.isDefault = isDefault === 'true' || isDefault === true;
+    if (printerProfileId !== undefined) station.printerProfile = printerProfileId || null;
+    if (isActive !== undefined) station.isActive = isActive === 'true' || isActive === true;
+
+    await station.save();
+
+    res.json({
+      success: true,
+      data: station,
+      message: `Kitchen station ${station.name} updated successfully`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update kitchen station');
+  }
+});
+
+// Get KOTs - by bill, station, status or type
+router.get('/', auth, async (req, res) => {
+  try {
+    const { billId, stationId, status, type, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (billId) query.bill = billId;
+    if (stationId) query.station = stationId;
+    if (status && status !== 'all') query.status = status;
+    if (type && type !== 'all') query.type = type;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+    }
+
+    const [kots, total] = await Promise.all([
+      Kot.find(query)
+        .populate('waiter', 'username')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Kot.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: kots,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${kots.length} KOTs`
+    });
+  } catch (error) {
+    console.error('Get KOTs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch KOTs',
+      error: error.message
+    });
+  }
+});
+
+// Get single KOT
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid KOT ID'
+      });
+    }
+
+    const kot = await Kot.findById(req.params.id)
+      .populate('waiter', 'username')
+      .populate('station', 'name printerProfile');
+
+    if (!kot) {
+      return res.status(404).json({
+        success: false,
+        message: 'KOT not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: kot,
+      message: 'KOT retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get KOT error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch KOT',
+      error: error.message
+    });
+  }
+});
+
+// Reprint a KOT on its station's printer (e.g. paper ran out or the ticket was lost)
+router.post('/:id/reprint', auth, async (req, res) => {
+  try {
+    const kot = await Kot.findById(req.params.id);
+
+    if (!kot) {
+      return res.status(404).json({
+        success: false,
+        message: 'KOT not found'
+      });
+    }
+
+    const result = await queueKot(kot, { reprint: true, requestedBy: req.user.userId });
+
+    res.status(202).json({
+      success: true,
+      data: { ...result, job: jobSummary(result.job) },
+      message: `${kot.kotNumber} queued for reprint at ${result.station}`
+    });
+  } catch (error) {
+    console.error('Reprint KOT error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reprint KOT',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 
 const express = require('express');
 const MenuItem = require('../models/MenuItem');
+const ModifierGroup = require('../models/ModifierGroup');
+const Ingredient = require('../models/Ingredient');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
 const { upload, deleteFromCloudinary, cloudinary } = require('../config/cloudinary');
@@ -8,6 +10,201 @@ const mongoose = require('mongoose');
 
 const router = express.Router();
 
+// Pick the editable fields of a variant from a request body
+function pickVariantFields(body = {}) {
+  const variant = {};
+  if (body.name !== undefined) variant.name = String(body.name).trim();
+  if (body.price !== undefined) variant.price = parseFloat(body.price);
+  if (body.cost !== undefined) variant.cost = parseFloat(body.cost) || 0;
+  if (body.sku !== undefined) variant.sku = body.sku ? String(body.sku).trim() : undefined;
+  if (body.stock !== undefined) variant.stock = parseInt(body.stock) || 0;
+  if (body.isAvailable !== undefined) variant.isAvailable = body.isAvailable === 'true' || body.isAvailable === true;
+  return variant;
+}
+
+// Variants arrive as an array, or as a JSON string from multipart forms
+function parseVariants(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return Array.isArray(list) ? list.map(pickVariantFields) : null;
+}
+
+// Modifier group IDs arrive as an array, a JSON array string or a comma-separated list. Returns null when
+// any ID is malformed or names a group that does not exist.
+async function parseModifierGroups(value) {
+  let ids = value;
+  if (typeof value === 'string') {
+    try {
+      ids = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',').map(id => id.trim()).filter(Boolean);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(ids) || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) return null;
+
+  const unique = [...new Set(ids.map(String))];
+  const found = await ModifierGroup.countDocuments({ _id: { $in: unique } });
+  return found === unique.length ? unique : null;
+}
+
+// Combo contents arrive as an object, or a JSON string from multipart forms:
+// { components: [{ menuItem, variant, quantity }], choiceSlots: [{ name, options: [{ menuItem, variant, quantity }] }] }
+function parseCombo(value) {
+  let combo = value;
+  if (typeof value === 'string') {
+    try {
+      combo = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!combo || typeof combo !== 'object') return null;
+
+  const pickItem = entry => ({
+    menuItem: entry.menuItem,
+    variant: entry.variant || null,
+    quantity: parseInt(entry.quantity) || 1
+  });
+
+  return {
+    components: Array.isArray(combo.components) ? combo.components.map(pickItem) : [],
+    choiceSlots: Array.isArray(combo.choiceSlots)
+      ? combo.choiceSlots.map(slot => ({
+        name: slot.name,
+        options: Array.isArray(slot.options) ? slot.options.map(pickItem) : []
+      }))
+      : []
+  };
+}
+
+// Reason a combo cannot be saved, if any - its items must be existing standalone items (with a variant
+// picked where the item has variants), never another combo or the combo itself
+async function findComboError(combo, selfId = null) {
+  const entries = [...combo.components, ...combo.choiceSlots.flatMap(slot => slot.options)];
+  if (entries.length === 0) return 'A combo needs at least one component or choice slot';
+  if (!entries.every(entry => mongoose.Types.ObjectId.isValid(entry.menuItem))) return 'Combo items must be menu item IDs';
+
+  const ids = [...new Set(entries.map(entry => String(entry.menuItem)))];
+  if (selfId && ids.includes(String(selfId))) return 'A combo cannot contain itself';
+
+  const menuItems = await MenuItem.find({ _id: { $in: ids }, isDeleted: { $ne: true } }).select('name itemType variants');
+  const byId = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+  for (const entry of entries) {
+    const menuItem = byId.get(String(entry.menuItem));
+    if (!menuItem) return `Menu item ${entry.menuItem} not found`;
+    if (menuItem.itemType === 'combo') return `"${menuItem.name}" is a combo - combos cannot be nested`;
+    if (entry.variant && !menuItem.variants.id(entry.variant)) return `"${menuItem.name}" has no variant ${entry.variant}`;
+    if (!entry.variant && menuItem.variants.length > 0) return `Pick a variant of "${menuItem.name}" for the combo`;
+  }
+
+  return null;
+}
+
+// Reason a recipe ([{ ingredient, quantity }]) cannot be saved, if any - its ingredients must exist
+async function findRecipeError(recipe) {
+  if (!Array.isArray(recipe)) return 'Recipe must be an array of { ingredient, quantity }';
+  if (!recipe.every(entry => entry && mongoose.Types.ObjectId.isValid(entry.ingredient))) return 'Recipe ingredients must be ingredient IDs';
+
+  const ids = [...new Set(recipe.map(entry => String(entry.ingredient)))];
+  const found = await Ingredient.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'Some recipe ingredients do not exist';
+}
+
+// Recipe of an item (or variant) with its ingredients populated: cost per portion and portions left
+function describeRecipe(menuItem, variantId = null) {
+  const variant = variantId ? menuItem.variants.id(variantId) : null;
+  const recipe = menuItem.getRecipe(variantId);
+  const price = variant ? variant.price : menuItem.price;
+
+  const lines = recipe.map(entry => ({
+    ingredient: entry.ingredient._id,
+    name: entry.ingredient.name,
+    unit: entry.ingredient.unit,
+    quantity: entry.quantity,
+    onHand: entry.ingredient.quantity,
+    cost: Math.round(entry.quantity * entry.ingredient.costPerUnit * 100) / 100
+  }));
+  const cost = Math.round(lines.reduce((total, line) => total + line.cost, 0) * 100) / 100;
+
+  return {
+    menuItem: menuItem._id,
+    variant: variant ? variant._id : null,
+    name: variant ? `${menuItem.name} (${variant.name})` : menuItem.name,
+    // A variant without its own recipe uses the item's
+    inherited: Boolean(variant) && !(variant.recipe && variant.recipe.length > 0),
+    recipe: lines,
+    cost,
+    foodCostPercent: price > 0 && lines.length > 0 ? Math.round((cost / price) * 10000) / 100 : null,
+    availablePortions: lines.length > 0 ? menuItem.getAvailablePortions(variantId) : null
+  };
+}
+
+// First variant SKU of `menuItem` already used by another item, if any
+async function findTakenSku(menuItem) {
+  for (const variant of menuItem.variants) {
+    if (variant.sku && await MenuItem.exists({ _id: { $ne: menuItem._id }, isDeleted: { $ne: true }, 'variants.sku': variant.sku })) {
+      return variant.sku;
+    }
+  }
+  return null;
+}
+
+// Respond to a failed variant or recipe change
+function handleVariantError(res, error, context) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Load a menu item for a variant route, responding 400/404 when it cannot be used
+async function loadMenuItem(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid menu item ID'
+    });
+    return null;
+  }
+
+  const menuItem = await MenuItem.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+  if (!menuItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Menu item not found'
+    });
+    return null;
+  }
+
+  return menuItem;
+}
+
 // Get all menu items with advanced filtering and pagination
 router.get('/', async (req, res) => {
   try {
@@ -89,8 +286,9 @@ router.get('/', async (req, res) => {
     const stats = {
       total: totalCount,
       available: await MenuItem.countDocuments({ ...query, isAvailable: true }),
-      outOfStock: await MenuItem.countDocuments({ ...query, stock: 0 }),
-      lowStock: await MenuItem.countDocuments({ ...query, stock: { $gt: 0, $lte: 5 } }),
+      // Recipe items are stocked by their ingredients - see /api/ingredients?low=true
+      outOfStock: await MenuItem.countDocuments({ ...query, 'recipe.0': { $exists: false }, stock: 0 }),
+      lowStock: await MenuItem.countDocuments({ ...query, 'recipe.0': { $exists: false }, stock: { $gt: 0, $lte: 5 } }),
       popular: await MenuItem.countDocuments({ ...query, isPopular: true })
     };
 
@@ -175,8 +373,8 @@ router.get('/stats', async (req, res) => {
     ] = await Promise.all([
       MenuItem.countDocuments({ isDeleted: { $ne: true } }),
       MenuItem.countDocuments({ isDeleted: { $ne: true }, isAvailable: true }),
-      MenuItem.countDocuments({ isDeleted: { $ne: true }, stock: 0 }),
-      MenuItem.countDocuments({ isDeleted: { $ne: true }, stock: { $gt: 0, $lte: 5 } }),
+      MenuItem.countDocuments({ isDeleted: { $ne: true }, 'recipe.0': { $exists: false }, stock: 0 }),
+      MenuItem.countDocuments({ isDeleted: { $ne: true }, 'recipe.0': { $exists: false }, stock: { $gt: 0, $lte: 5 } }),
       MenuItem.countDocuments({ isDeleted: { $ne: true }, isPopular: true }),
       MenuItem.aggregate([
         { $match: { isDeleted: { $ne: true } } },
@@ -231,7 +429,10 @@ router.get('/:id', async (req, res) => {
     })
     .populate('createdBy', 'username email')
     .populate('updatedBy', 'username')
-    .populate('reviews.customer', 'username');
+    .populate('reviews.customer', 'username')
+    .populate({ path: 'modifierGroups', match: { isActive: true } })
+    .populate('combo.components.menuItem', 'name price variants')
+    .populate('combo.choiceSlots.options.menuItem', 'name price variants');
     
     if (!menuItem) {
       return res.status(404).json({ 
@@ -261,22 +462,32 @@ router.post('/', auth, adminAuth, upload.single('image'), async (req, res) => {
       name, description, price, cost, category, stock, 
       isAvailable, isPopular, preparationTime, allergens,
       isVegan, isVegetarian, isGlutenFree, isDairyFree,
-      spiceLevel, portionSize, tags
+      spiceLevel, portionSize, tags, hsnCode, taxSlab
     } = req.body;
+
+    const variants = parseVariants(req.body.variants);
+    if (!variants) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variants must be an array of { name, price, cost, sku, stock }'
+      });
+    }
     
-    // Validate required fields
-    if (!name || !price || !category) {
+    // Validate required fields - items sold in variants take their price from the variants
+    if (!name || (!price && variants.length === 0) || !category) {
       return res.status(400).json({
         success: false,
-        message: 'Name, price, and category are required'
+        message: 'Name, price (or variants), and category are required'
       });
     }
 
     const menuItemData = {
       name: name.trim(),
       description: description?.trim(),
-      price: parseFloat(price),
+      price: parseFloat(price) || undefined,
       cost: cost ? parseFloat(cost) : 0,
+      hsnCode: hsnCode?.trim() || undefined,
+      taxSlab: taxSlab !== undefined && taxSlab !== '' ? parseFloat(taxSlab) : undefined,
       category: category.toLowerCase(),
       stock: parseInt(stock) || 0,
       isAvailable: isAvailable === 'true' || isAvailable === true,
@@ -290,9 +501,34 @@ router.post('/', auth, adminAuth, upload.single('image'), async (req, res) => {
       spiceLevel: spiceLevel || 'mild',
       portionSize: portionSize || 'medium',
       tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim())) : [],
+      variants,
       createdBy: req.user.userId
     };
 
+    if (req.body.modifierGroups !== undefined) {
+      menuItemData.modifierGroups = await parseModifierGroups(req.body.modifierGroups);
+      if (!menuItemData.modifierGroups) {
+        return res.status(400).json({
+          success: false,
+          message: 'Modifier groups must be a list of existing modifier group IDs'
+        });
+      }
+    }
+
+    if (req.body.itemType === 'combo') {
+      const combo = parseCombo(req.body.combo);
+      const comboError = combo ? await findComboError(combo) : 'Combo contents are required';
+      if (comboError) {
+        return res.status(400).json({
+          success: false,
+          message: comboError
+        });
+      }
+
+      menuItemData.itemType = 'combo';
+      menuItemData.combo = combo;
+    }
+
     // Add Cloudinary image data if uploaded
     if (req.file) {
       menuItemData.image = {
@@ -304,6 +540,18 @@ router.post('/', auth, adminAuth, upload.single('image'), async (req, res) => {
     }
 
     const menuItem = new MenuItem(menuItemData);
+
+    const takenSku = await findTakenSku(menuItem);
+    if (takenSku) {
+      if (req.file?.filename) {
+        await deleteFromCloudinary(req.file.filename);
+      }
+      return res.status(409).json({
+        success: false,
+        message: `SKU ${takenSku} is already used by another menu item`
+      });
+    }
+
     await menuItem.save();
     await menuItem.populate('createdBy', 'username email');
 
@@ -354,16 +602,19 @@ router.put('/:id', auth, adminAuth, upload.single('image'), async (req, res) =>
       name, description, price, cost, category, stock, 
       isAvailable, isPopular, preparationTime, allergens,
       isVegan, isVegetarian, isGlutenFree, isDairyFree,
-      spiceLevel, portionSize, tags
+      spiceLevel, portionSize, tags, hsnCode, taxSlab
     } = req.body;
     
     const updateData = {
       name: name?.trim(),
       description: description?.trim(),
-      price: price ? parseFloat(price) : existingItem.price,
+      // Price and stock of items with variants are derived from the variants (see the variant routes)
+      price: price && existingItem.variants.length === 0 ? parseFloat(price) : existingItem.price,
       cost: cost ? parseFloat(cost) : existingItem.cost,
+      hsnCode: hsnCode ? hsnCode.trim() : existingItem.hsnCode,
+      taxSlab: taxSlab !== undefined && taxSlab !== '' ? parseFloat(taxSlab) : existingItem.taxSlab,
       category: category ? category.toLowerCase() : existingItem.category,
-      stock: stock !== undefined ? parseInt(stock) : existingItem.stock,
+      stock: stock !== undefined && existingItem.variants.length === 0 ? parseInt(stock) : existingItem.stock,
       isAvailable: isAvailable !== undefined ? (isAvailable === 'true' || isAvailable === true) : existingItem.isAvailable,
       isPopular: isPopular !== undefined ? (isPopular === 'true' || isPopular === true) : existingItem.isPopular,
       preparationTime: preparationTime ? parseInt(preparationTime) : existingItem.preparationTime,
@@ -378,6 +629,36 @@ router.put('/:id', auth, adminAuth, upload.single('image'), async (req, res) =>
       updatedBy: req.user.userId
     };
 
+    if (req.body.modifierGroups !== undefined) {
+      updateData.modifierGroups = await parseModifierGroups(req.body.modifierGroups);
+      if (!updateData.modifierGroups) {
+        return res.status(400).json({
+          success: false,
+          message: 'Modifier groups must be a list of existing modifier group IDs'
+        });
+      }
+    }
+
+    // Combo contents are checked here - the update below skips the model's save hooks
+    const itemType = req.body.itemType || existingItem.itemType;
+    if (itemType === 'combo' && (req.body.itemType !== undefined || req.body.combo !== undefined)) {
+      const combo = req.body.combo !== undefined ? parseCombo(req.body.combo) : existingItem.combo.toObject();
+      let comboError = combo ? await findComboError(combo, existingItem._id) : 'Combo contents are required';
+      if (!comboError && existingItem.variants.length > 0) comboError = 'Combos cannot have variants - remove them first';
+      if (comboError) {
+        return res.status(400).json({
+          success: false,
+          message: comboError
+        });
+      }
+
+      updateData.itemType = 'combo';
+      updateData.combo = combo;
+    } else if (itemType === 'standard' && existingItem.itemType === 'combo') {
+      updateData.itemType = 'standard';
+      updateData.combo = { components: [], choiceSlots: [] };
+    }
+
     // Handle image update
     if (req.file) {
       // Delete old image from Cloudinary
@@ -565,7 +846,7 @@ router.patch('/:id/stock', auth, async (req, res) => {
       });
     }
 
-    const { stock } = req.body;
+    const { stock, variantId } = req.body;
     
     if (stock === undefined || stock < 0) {
       return res.status(400).json({
@@ -573,7 +854,45 @@ router.patch('/:id/stock', auth, async (req, res) => {
         message: 'Valid stock quantity is required'
       });
     }
+
+    // Items with variants are stocked per variant; the item total follows on save
+    if (variantId) {
+      const item = await MenuItem.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+      const variant = item?.variants.id(variantId);
+
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Menu item variant not found'
+        });
+      }
+
+      variant.stock = parseInt(stock);
+      item.updatedBy = req.user.userId;
+      await item.save();
+
+      return res.json({
+        success: true,
+        message: `Stock of ${item.name} (${variant.name}) updated successfully`,
+        data: item
+      });
+    }
     
+    const existing = await MenuItem.findById(req.params.id).select('variants recipe');
+    if (existing?.recipe.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item is stocked by its recipe - update its ingredients instead'
+      });
+    }
+
+    if (existing?.variants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item is stocked per variant - send variantId'
+      });
+    }
+
     const menuItem = await MenuItem.findOneAndUpdate(
       { _id: req.params.id, isDeleted: { $ne: true } },
       { 
@@ -605,6 +924,180 @@ router.patch('/:id/stock', auth, async (req, res) => {
   }
 });
 
+// Add a variant (portion/size) to a menu item (Admin only)
+router.post('/:id/variants', auth, adminAuth, async (req, res) => {
+  try {
+    const menuItem = await loadMenuItem(req, res);
+    if (!menuItem) return;
+
+    menuItem.variants.push(pickVariantFields(req.body));
+    menuItem.updatedBy = req.user.userId;
+
+    const takenSku = await findTakenSku(menuItem);
+    if (takenSku) {
+      return res.status(409).json({
+        success: false,
+        message: `SKU ${takenSku} is already used by another menu item`
+      });
+    }
+
+    await menuItem.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Variant added to ${menuItem.name}`,
+      data: menuItem
+    });
+  } catch (error) {
+    handleVariantError(res, error, 'Add variant');
+  }
+});
+
+// Update a variant (Admin only) - bills already raised keep the price they were billed at
+router.put('/:id/variants/:variantId', auth, adminAuth, async (req, res) => {
+  try {
+    const menuItem = await loadMenuItem(req, res);
+    if (!menuItem) return;
+
+    const variant = menuItem.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    variant.set(pickVariantFields(req.body));
+    menuItem.updatedBy = req.user.userId;
+
+    const takenSku = await findTakenSku(menuItem);
+    if (takenSku) {
+      return res.status(409).json({
+        success: false,
+        message: `SKU ${takenSku} is already used by another menu item`
+      });
+    }
+
+    await menuItem.save();
+
+    res.json({
+      success: true,
+      message: `Variant ${variant.name} updated`,
+      data: menuItem
+    });
+  } catch (error) {
+    handleVariantError(res, error, 'Update variant');
+  }
+});
+
+// Remove a variant (Admin only) - removing the last one makes the item sell at its own price again
+router.delete('/:id/variants/:variantId', auth, adminAuth, async (req, res) => {
+  try {
+    const menuItem = await loadMenuItem(req, res);
+    if (!menuItem) return;
+
+    const variant = menuItem.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    menuItem.variants.pull(variant._id);
+    menuItem.updatedBy = req.user.userId;
+    await menuItem.save();
+
+    res.json({
+      success: true,
+      message: `Variant ${variant.name} removed from ${menuItem.name}`,
+      data: menuItem
+    });
+  } catch (error) {
+    handleVariantError(res, error, 'Remove variant');
+  }
+});
+
+// Get the recipe of an item, or of one variant (`variantId`), with its cost and the portions left
+router.get('/:id/recipe', auth, async (req, res) => {
+  try {
+    const menuItem = await loadMenuItem(req, res);
+    if (!menuItem) return;
+
+    const { variantId } = req.query;
+    if (variantId && !menuItem.variants.id(variantId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    await menuItem.populate([
+      { path: 'recipe.ingredient', select: 'name unit quantity reorderLevel costPerUnit' },
+      { path: 'variants.recipe.ingredient', select: 'name unit quantity reorderLevel costPerUnit' }
+    ]);
+
+    res.json({
+      success: true,
+      data: describeRecipe(menuItem, variantId || null)
+    });
+  } catch (error) {
+    console.error('Get recipe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recipe',
+      error: error.message
+    });
+  }
+});
+
+// Set the recipe of an item, or of one variant (`variantId`) (Admin only). An empty recipe stocks the
+// item by count again; bills already raised keep the ingredients they took.
+router.put('/:id/recipe', auth, adminAuth, async (req, res) => {
+  try {
+    const menuItem = await loadMenuItem(req, res);
+    if (!menuItem) return;
+
+    const { recipe = [], variantId } = req.body;
+
+    const variant = variantId ? menuItem.variants.id(variantId) : null;
+    if (variantId && !variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    const recipeError = await findRecipeError(recipe);
+    if (recipeError) {
+      return res.status(400).json({
+        success: false,
+        message: recipeError
+      });
+    }
+
+    const entries = recipe.map(entry => ({ ingredient: entry.ingredient, quantity: parseFloat(entry.quantity) }));
+    (variant || menuItem).recipe = entries;
+    menuItem.updatedBy = req.user.userId;
+    await menuItem.save();
+
+    await menuItem.populate([
+      { path: 'recipe.ingredient', select: 'name unit quantity reorderLevel costPerUnit' },
+      { path: 'variants.recipe.ingredient', select: 'name unit quantity reorderLevel costPerUnit' }
+    ]);
+
+    const described = describeRecipe(menuItem, variantId || null);
+
+    res.json({
+      success: true,
+      message: `Recipe of ${described.name} ${entries.length > 0 ? 'saved' : 'cleared'}`,
+      data: described
+    });
+  } catch (error) {
+    handleVariantError(res, error, 'Update recipe');
+  }
+});
+
 // Toggle availability
 router.patch('/:id/availability', auth, adminAuth, async (req, res) => {
   try {
@@ -897,12 +1390,12 @@ router.get('/search/suggestions', async (req, res) => {
 router.get('/export/csv', auth, adminAuth, async (req, res) => {
   try {
     const menuItems = await MenuItem.find({ isDeleted: { $ne: true } })
-      .select('name description price cost category stock isAvailable isPopular preparationTime allergens averageRating totalOrders createdAt')
+      .select('name description price cost hsnCode taxSlab category stock isAvailable isPopular preparationTime allergens averageRating totalOrders createdAt')
       .sort({ createdAt: -1 });
 
     // Convert to CSV format
     const csvHeaders = [
-      'Name', 'Description', 'Price', 'Cost', 'Profit', 'Category', 
+      'Name', 'Description', 'Price', 'Cost', 'Profit', 'HSN/SAC', 'GST %', 'Category', 
       'Stock', 'Available', 'Popular', 'Prep Time', 'Allergens', 
       'Rating', 'Total Orders', 'Created At'
     ];
@@ -913,6 +1406,8 @@ router.get('/export/csv', auth, adminAuth, async (req, res) => {
       item.price,
       item.cost,
       item.price - item.cost,
+      item.hsnCode || '',
+      item.taxSlab,
       item.category,
       item.stock,
       item.isAvailable ? 'Yes' : 'No',
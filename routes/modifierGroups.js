@@ -0,0 +1,193 @@
+// routes/modifierGroups.js - Modifier and add-on groups offered on menu items
+const express = require('express');
+const mongoose = require('mongoose');
+const ModifierGroup = require('../models/ModifierGroup');
+const MenuItem = require('../models/MenuItem');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Fields an admin may set on a modifier group
+const GROUP_FIELDS = ['name', 'description', 'minSelections', 'maxSelections', 'options', 'isActive'];
+
+// Copy allowed fields from the request body onto a modifier group
+function assignGroupFields(group, body) {
+  GROUP_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      group[field] = body[field];
+    }
+  });
+}
+
+// Respond to a failed modifier group save
+function handleSaveError(res, error, context) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Get modifier groups
+router.get('/', auth, async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const groups = await ModifierGroup.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: groups,
+      message: `Found ${groups.length} modifier groups`
+    });
+  } catch (error) {
+    console.error('Get modifier groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch modifier groups',
+      error: error.message
+    });
+  }
+});
+
+// Get modifier group by ID, with the menu items it is attached to
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid modifier group ID'
+      });
+    }
+
+    const group = await ModifierGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      });
+    }
+
+    const menuItems = await MenuItem.find({ modifierGroups: group._id, isDeleted: { $ne: true } }).select('name category');
+
+    res.json({
+      success: true,
+      data: { ...group.toJSON(), menuItems },
+      message: 'Modifier group retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get modifier group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch modifier group',
+      error: error.message
+    });
+  }
+});
+
+// Create modifier group (Admin only)
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const group = new ModifierGroup({ createdBy: req.user.userId });
+    assignGroupFields(group, req.body);
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      data: group,
+      message: 'Modifier group created successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create modifier group');
+  }
+});
+
+// Update modifier group (Admin only). Bills keep the modifiers as they were when billed.
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid modifier group ID'
+      });
+    }
+
+    const group = await ModifierGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      });
+    }
+
+    assignGroupFields(group, req.body);
+    group.updatedBy = req.user.userId;
+    await group.save();
+
+    res.json({
+      success: true,
+      data: group,
+      message: 'Modifier group updated successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update modifier group');
+  }
+});
+
+// Toggle modifier group on/off (Admin only) - inactive groups are no longer offered or required
+router.patch('/:id/status', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid modifier group ID'
+      });
+    }
+
+    const group = await ModifierGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      });
+    }
+
+    group.isActive = !group.isActive;
+    group.updatedBy = req.user.userId;
+    await group.save();
+
+    res.json({
+      success: true,
+      data: group,
+      message: `Modifier group ${group.isActive ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (error) {
+    console.error('Toggle modifier group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to toggle modifier group',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
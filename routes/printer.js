@@ -1,654 +1,646 @@
-// routes/printer.js - TVS RP3160 GOLD Optimized Printer Integration
+// routes/printer.js - Receipt printing through saved printer profiles
 const express = require('express');
+const mongoose = require('mongoose');
 const Bill = require('../models/Bill');
+const Counter = require('../models/Counter');
+const PrinterProfile = require('../models/PrinterProfile');
+const PrintJob = require('../models/PrintJob');
+const ReceiptTemplate = require('../models/ReceiptTemplate');
 const auth = require('../middleware/auth');
-const fs = require('fs');
-const path = require('path');
-const { exec } = require('child_process');
-const net = require('net');
+const adminAuth = require('../middleware/adminAuth');
+const { printRaw, listInstalledPrinters } = require('../utils/printTransport');
+const { enqueuePrint, kickPrintWorker, jobSummary } = require('../utils/printQueue');
+const { getPrinterStatus, getPrinterAlerts } = require('../utils/printerStatus');
+const { recordCashMovement, kickCashDrawer } = require('../utils/cashLedger');
+const { renderReceipt, layoutToEscPos, layoutToText, sampleBill } = require('../utils/receipt');
 
 const router = express.Router();
 
-// TVS RP3160 GOLD Specific ESC/POS Commands
-const TVS_ESC_POS = {
-  // Basic Commands
-  INIT: Buffer.from([0x1B, 0x40]), // Initialize printer
-  FEED_LINE: Buffer.from([0x0A]), // Line feed
-  CARRIAGE_RETURN: Buffer.from([0x0D]), // Carriage return
-  CUT: Buffer.from([0x1D, 0x56, 0x00]), // Full cut
-  PARTIAL_CUT: Buffer.from([0x1D, 0x56, 0x01]), // Partial cut
-  
-  // Alignment
-  ALIGN_LEFT: Buffer.from([0x1B, 0x61, 0x00]),
-  ALIGN_CENTER: Buffer.from([0x1B, 0x61, 0x01]),
-  ALIGN_RIGHT: Buffer.from([0x1B, 0x61, 0x02]),
-  
-  // Font Styles
-  BOLD_ON: Buffer.from([0x1B, 0x45, 0x01]),
-  BOLD_OFF: Buffer.from([0x1B, 0x45, 0x00]),
-  UNDERLINE_ON: Buffer.from([0x1B, 0x2D, 0x01]),
-  UNDERLINE_OFF: Buffer.from([0x1B, 0x2D, 0x00]),
-  DOUBLE_STRIKE_ON: Buffer.from([0x1B, 0x47, 0x01]),
-  DOUBLE_STRIKE_OFF: Buffer.from([0x1B, 0x47, 0x00]),
-  
-  // Font Sizes (TVS RP3160 GOLD specific)
-  SIZE_NORMAL: Buffer.from([0x1D, 0x21, 0x00]), // Normal size
-  SIZE_DOUBLE_HEIGHT: Buffer.from([0x1D, 0x21, 0x01]), // Double height
-  SIZE_DOUBLE_WIDTH: Buffer.from([0x1D, 0x21, 0x10]), // Double width
-  SIZE_DOUBLE: Buffer.from([0x1D, 0x21, 0x11]), // Double height + width
-  SIZE_LARGE: Buffer.from([0x1D, 0x21, 0x22]), // Large font
-  
-  // Character encoding for Hindi support
-  CODE_PAGE_437: Buffer.from([0x1B, 0x74, 0x00]), // Default
-  CODE_PAGE_850: Buffer.from([0x1B, 0x74, 0x02]), // Multilingual
-  
-  // Cash drawer (TVS RP3160 GOLD specific)
-  CASH_DRAWER_PIN2: Buffer.from([0x1B, 0x70, 0x00, 0x19, 0xFA]), // Standard
-  CASH_DRAWER_PIN5: Buffer.from([0x1B, 0x70, 0x01, 0x19, 0xFA]), // Alternative
-  
-  // Paper feed and cutting
-  FEED_LINES_3: Buffer.from([0x1B, 0x64, 0x03]), // Feed 3 lines
-  FEED_LINES_5: Buffer.from([0x1B, 0x64, 0x05]), // Feed 5 lines
-  
-  // Barcode settings
-  BARCODE_HEIGHT: Buffer.from([0x1D, 0x68, 0x50]), // Set barcode height
-  BARCODE_WIDTH: Buffer.from([0x1D, 0x77, 0x02]), // Set barcode width
-  BARCODE_POSITION: Buffer.from([0x1D, 0x48, 0x02]), // Print HRI below barcode
-  
-  // Special characters for invoice formatting
-  TOP_LEFT: '┌',
-  TOP_RIGHT: '┐',
-  BOTTOM_LEFT: '└',
-  BOTTOM_RIGHT: '┘',
-  HORIZONTAL: '─',
-  VERTICAL: '│',
-  CROSS: '┼'
-};
-
-// Utility function to create buffer from mixed content
-function createTVSBuffer(content) {
-  const buffers = [];
-  
-  for (const item of content) {
-    if (Buffer.isBuffer(item)) {
-      buffers.push(item);
-    } else if (typeof item === 'string') {
-      // Convert to buffer with proper encoding for TVS printer
-      buffers.push(Buffer.from(item, 'utf8'));
-    }
+// Render a bill for a printer profile through the outlet's receipt template (or `templateId`)
+async function renderBill(bill, profile, options = {}) {
+  const { templateId = null, language = null } = options;
+
+  if (!bill) {
+    throw new Error('Bill data is required for printing');
+  }
+
+  const template = await ReceiptTemplate.resolve({ templateId, outlet: bill.outlet || profile.outlet });
+  const layout = renderReceipt(bill, template, { width: profile.getLineWidth(), language });
+  return layoutToEscPos(layout, profile);
+}
+
+// Print a bill straight away, bypassing the queue - for test prints where the caller waits for the outcome.
+// The drawer is kicked first when asked for and the printer has one.
+async function printBill(bill, profile, options = {}) {
+  const { openCashDrawer = false } = options;
+  const receipt = await renderBill(bill, profile, options);
+  const drawer = openCashDrawer ? profile.getCommands().drawer : Buffer.alloc(0);
+
+  let result;
+  for (let copy = 0; copy < profile.copies; copy++) {
+    const data = copy === 0 && drawer.length > 0 ? Buffer.concat([drawer, receipt]) : receipt;
+    result = await printRaw(data, profile.toPrinterConfig(), `Bill ${bill.billNumber || 'unknown'}`);
   }
-  
-  return Buffer.concat(buffers);
+
+  return { ...result, printer: profile.name };
 }
 
-// Enhanced bill formatting specifically for TVS RP3160 GOLD (32 character width)
-function createTVSRP3160Bill(bill) {
-  const content = [];
-  const LINE_WIDTH = 32; // TVS RP3160 GOLD standard width
-  
-  // Initialize printer with TVS specific settings
-  content.push(TVS_ESC_POS.INIT);
-  content.push(TVS_ESC_POS.CODE_PAGE_850); // Better character support
-  content.push('\n');
-  
-  // Header - Restaurant Name
-  content.push(TVS_ESC_POS.ALIGN_CENTER);
-  content.push(TVS_ESC_POS.SIZE_DOUBLE);
-  content.push(TVS_ESC_POS.BOLD_ON);
-  content.push('*** RESTAURANT POS ***\n');
-  content.push(TVS_ESC_POS.SIZE_NORMAL);
-  content.push(TVS_ESC_POS.BOLD_OFF);
-  content.push('\n');
-  
-  // Restaurant Details
-  content.push('123 Main Street, City - 12345\n');
-  content.push('Ph: +91-9691954035\n');
-  content.push('GSTIN: 12ABCDE3456F7GH\n');
-  content.push('FSSAI: 12345678901234\n');
-  content.push('\n');
-  
-  // Separator line
-  content.push('='.repeat(LINE_WIDTH) + '\n');
-  
-  // Bill Information
-  content.push(TVS_ESC_POS.ALIGN_LEFT);
-  content.push(TVS_ESC_POS.BOLD_ON);
-  content.push(`BILL NO: ${(bill.billNumber || 'N/A').toString().padEnd(18)}\n`);
-  content.push(TVS_ESC_POS.BOLD_OFF);
-  
-  const date = new Date(bill.createdAt || new Date());
-  const dateStr = date.toLocaleDateString('en-IN', {
-    day: '2-digit',
-    month: '2-digit', 
-    year: 'numeric'
+// Queue a bill (kind 'bill') or duplicate copy (kind 'duplicate') for the print worker
+async function queueBill(bill, profile, options = {}) {
+  const { kind = 'bill', openCashDrawer = false, requestedBy = null } = options;
+  const data = await renderBill(bill, profile, options);
+
+  return await enqueuePrint({
+    kind,
+    label: `${kind === 'duplicate' ? 'Duplicate' : 'Bill'} ${bill.billNumber}`,
+    data,
+    profile,
+    role: 'receipt',
+    outlet: bill.outlet,
+    openDrawer: Boolean(openCashDrawer),
+    bill: bill._id,
+    requestedBy
   });
-  const timeStr = date.toLocaleTimeString('en-IN', { 
-    hour: '2-digit', 
-    minute: '2-digit',
-    hour12: true
+}
+
+// Template and language a print request asks for
+function templateOptions(req) {
+  return {
+    templateId: req.body.templateId || null,
+    language: req.body.language || null
+  };
+}
+
+// Resolve the receipt printer for a request - `profileId` in the body, else the outlet's default
+function resolveReceiptProfile(req, outlet) {
+  return PrinterProfile.resolve({
+    profileId: req.body.profileId || null,
+    outlet: outlet || req.body.outlet,
+    role: 'receipt'
   });
-  
-  content.push(`Date: ${dateStr.padEnd(12)} ${timeStr}\n`);
-  
-  if (bill.customerName) {
-    const customerName = bill.customerName.length > 24 
-      ? bill.customerName.substring(0, 24) + '..' 
-      : bill.customerName;
-    content.push(`Customer: ${customerName}\n`);
-  }
-  
-  if (bill.customerPhone) {
-    content.push(`Phone: ${bill.customerPhone}\n`);
-  }
-  
-  if (bill.tableNumber) {
-    content.push(`Table: ${bill.tableNumber}\n`);
-  }
-  
-  content.push('\n');
-  content.push('='.repeat(LINE_WIDTH) + '\n');
-  
-  // Items header with proper alignment for 32 chars
-  content.push(TVS_ESC_POS.BOLD_ON);
-  content.push('ITEM             QTY   AMOUNT\n');
-  content.push('-'.repeat(LINE_WIDTH) + '\n');
-  content.push(TVS_ESC_POS.BOLD_OFF);
-  
-  // Items with TVS RP3160 GOLD optimized formatting
-  let itemTotal = 0;
-  if (bill.items && Array.isArray(bill.items)) {
-    bill.items.forEach((item, index) => {
-      if (!item) return;
-      
-      const itemName = (item.name || 'Unknown Item');
-      let displayName = itemName.length > 16 
-        ? itemName.substring(0, 14) + '..' 
-        : itemName;
-      
-      const qty = item.quantity || 1;
-      const price = item.price || 0;
-      const total = item.total || (price * qty) || 0;
-      itemTotal += total;
-      
-      // Format line with exact spacing for 32 characters
-      const nameField = displayName.padEnd(16);
-      const qtyField = qty.toString().padStart(3);
-      const totalField = total.toFixed(2).padStart(8);
-      
-      content.push(`${nameField} ${qtyField} ${totalField}\n`);
-      
-      // Show unit price for multiple quantities
-      if (qty > 1 && price > 0) {
-        const priceInfo = `  @ Rs.${price.toFixed(2)} each`;
-        content.push(`${priceInfo}\n`);
-      }
+}
+
+// Respond to a failed printer profile or receipt template save
+function handleSaveError(res, error, context) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
     });
   }
-  
-  content.push('-'.repeat(LINE_WIDTH) + '\n');
-  
-  // Totals section with proper alignment
-  const subtotal = bill.subtotal || itemTotal || 0;
-  const gstRate = bill.gstRate || 18;
-  const gst = bill.gst || bill.tax || (subtotal * gstRate / 100) || 0;
-  const discount = bill.discount || 0;
-  const serviceCharge = bill.serviceCharge || 0;
-  const total = bill.total || (subtotal + gst + serviceCharge - discount);
-  
-  content.push(`Subtotal:${subtotal.toFixed(2).padStart(23)}\n`);
-  
-  if (serviceCharge > 0) {
-    content.push(`Service Charge:${serviceCharge.toFixed(2).padStart(16)}\n`);
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'An entry with this name already exists for the outlet'
+    });
   }
-  
-  if (gst > 0) {
-    content.push(`GST (${gstRate}%):${gst.toFixed(2).padStart(21)}\n`);
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Fields a printer profile can be created or updated with
+const PROFILE_FIELDS = [
+  'name', 'role', 'isDefault', 'model', 'connection', 'ip', 'port', 'devicePath', 'printerName',
+  'paperWidth', 'charsPerLine', 'codePage', 'cut', 'drawer', 'copies', 'retries', 'isActive'
+];
+
+function pickProfileFields(body) {
+  return PROFILE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+// Get printer profiles
+router.get('/profiles', auth, async (req, res) => {
+  try {
+    const { outlet, role } = req.query;
+
+    const query = { isActive: true };
+    if (outlet) query.outlet = outlet.toUpperCase();
+    if (role && role !== 'all') query.role = role;
+
+    const profiles = await PrinterProfile.find(query).sort({ outlet: 1, role: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: profiles,
+      message: `Found ${profiles.length} printer profiles`
+    });
+  } catch (error) {
+    console.error('Get printer profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch printer profiles',
+      error: error.message
+    });
   }
-  
-  if (discount > 0) {
-    content.push(`Discount:${('-' + discount.toFixed(2)).padStart(22)}\n`);
+});
+
+// Create printer profile (Admin only)
+router.post('/profiles', auth, adminAuth, async (req, res) => {
+  try {
+    const profile = new PrinterProfile({
+      outlet: req.body.outlet || undefined,
+      ...pickProfileFields(req.body)
+    });
+    await profile.save();
+
+    res.status(201).json({
+      success: true,
+      data: profile,
+      message: `Printer ${profile.name} saved`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create printer profile');
   }
-  
-  content.push('\n');
-  content.push('='.repeat(LINE_WIDTH) + '\n');
-  
-  // Grand Total - Highlighted
-  content.push(TVS_ESC_POS.ALIGN_CENTER);
-  content.push(TVS_ESC_POS.SIZE_DOUBLE_HEIGHT);
-  content.push(TVS_ESC_POS.BOLD_ON);
-  content.push(`TOTAL: Rs.${total.toFixed(2)}\n`);
-  content.push(TVS_ESC_POS.SIZE_NORMAL);
-  content.push(TVS_ESC_POS.BOLD_OFF);
-  content.push('\n');
-  
-  // Payment information
-  content.push(TVS_ESC_POS.ALIGN_LEFT);
-  if (bill.paymentMethod) {
-    const paymentMethod = bill.paymentMethod.toUpperCase();
-    content.push(`PAYMENT MODE: ${paymentMethod}\n`);
-    
-    if (paymentMethod === 'CASH' && bill.cashReceived) {
-      content.push(`Cash Received: Rs.${bill.cashReceived.toFixed(2)}\n`);
-      const change = bill.cashReceived - total;
-      if (change > 0) {
-        content.push(`Change: Rs.${change.toFixed(2)}\n`);
-      }
+});
+
+// Update printer profile (Admin only)
+router.put('/profiles/:id', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid printer profile ID'
+      });
     }
+
+    const profile = await PrinterProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Printer profile not found'
+      });
+    }
+
+    const { drawer, ...fields } = pickProfileFields(req.body);
+    profile.set(fields);
+    if (drawer !== undefined) profile.drawer = { ...profile.toObject().drawer, ...drawer };
+    // Recalculate the line width when only the paper width changes
+    if (fields.paperWidth !== undefined && fields.charsPerLine === undefined) profile.charsPerLine = undefined;
+
+    await profile.save();
+
+    res.json({
+      success: true,
+      data: profile,
+      message: `Printer ${profile.name} updated`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update printer profile');
   }
-  
-  const status = bill.status || 'pending';
-  content.push(TVS_ESC_POS.BOLD_ON);
-  content.push(`${status === 'paid' ? '*** PAYMENT RECEIVED ***' : '*** PAYMENT PENDING ***'}\n`);
-  content.push(TVS_ESC_POS.BOLD_OFF);
-  content.push('\n');
-  
-  content.push('='.repeat(LINE_WIDTH) + '\n');
-  
-  // Footer
-  content.push(TVS_ESC_POS.ALIGN_CENTER);
-  content.push(TVS_ESC_POS.BOLD_ON);
-  content.push('THANK YOU FOR VISITING!\n');
-  content.push(TVS_ESC_POS.BOLD_OFF);
-  content.push('\n');
-  content.push('Please visit us again!\n');
-  content.push('Rate us & get 10% off\n');
-  content.push('on your next visit\n');
-  content.push('\n');
-  
-  // Bill reference and timestamp
-  if (bill._id) {
-    content.push(`Ref: ${bill._id.toString().slice(-8).toUpperCase()}\n`);
-  }
-  content.push(`${new Date().toLocaleString('en-IN')}\n`);
-  
-  // Extra spacing for tear-off
-  content.push('\n\n');
-  content.push(TVS_ESC_POS.FEED_LINES_3);
-  
-  // Cut paper
-  content.push(TVS_ESC_POS.CUT);
-  
-  return createTVSBuffer(content);
-}
+});
 
-// TVS RP3160 GOLD specific printer function
-async function printToTVSRP3160(bill, printerName) {
-  return new Promise((resolve, reject) => {
-    try {
-      const printer = require('printer');
-      const printerData = createTVSRP3160Bill(bill);
-      
-      // Get available printers
-      const printers = printer.getPrinters();
-      
-      if (printers.length === 0) {
-        return reject(new Error('No printers found. Please install TVS RP3160 GOLD drivers.'));
-      }
-      
-      console.log('Available printers:', printers.map(p => p.name));
-      
-      // Find TVS RP3160 GOLD printer
-      let targetPrinter = null;
-      
-      if (printerName) {
-        targetPrinter = printers.find(p => p.name === printerName);
-      }
-      
-      if (!targetPrinter) {
-        // Look specifically for TVS RP3160 variations
-        const tvsKeywords = ['tvs', 'rp3160', 'rp-3160', 'gold', 'thermal', 'pos'];
-        targetPrinter = printers.find(p => 
-          tvsKeywords.some(keyword => 
-            p.name.toLowerCase().includes(keyword.toLowerCase())
-          )
-        );
-      }
-      
-      if (!targetPrinter) {
-        // Use default printer as fallback
-        targetPrinter = printers.find(p => p.isDefault) || printers[0];
-        console.log(`TVS RP3160 GOLD not found, using: ${targetPrinter.name}`);
-      }
-      
-      // Print with TVS specific settings
-      const printTimeout = setTimeout(() => {
-        reject(new Error('Print operation timed out after 30 seconds'));
-      }, 30000);
-      
-      printer.printDirect({
-        data: printerData,
-        printer: targetPrinter.name,
-        type: 'RAW', // RAW mode for ESC/POS commands
-        options: {
-          media: 'Custom.80x297mm', // TVS RP3160 GOLD paper size
-          'fit-to-page': true
-        },
-        success: function(jobID) {
-          clearTimeout(printTimeout);
-          console.log(`TVS RP3160 GOLD print successful. Job ID: ${jobID}`);
-          resolve({ 
-            success: true, 
-            message: 'Bill printed successfully on TVS RP3160 GOLD', 
-            printer: targetPrinter.name,
-            jobID: jobID,
-            model: 'TVS RP3160 GOLD'
-          });
-        },
-        error: function(err) {
-          clearTimeout(printTimeout);
-          console.error('TVS RP3160 GOLD print error:', err);
-          reject(new Error(`TVS RP3160 GOLD print failed: ${err}`));
-        }
+// Remove printer profile (Admin only) - stations using it fall back to the default KOT printer
+router.delete('/profiles/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const profile = await PrinterProfile.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, isDefault: false },
+      { new: true }
+    );
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Printer profile not found'
       });
-      
-    } catch (error) {
-      console.error('TVS RP3160 GOLD printer error:', error);
-      reject(new Error(`TVS RP3160 GOLD initialization failed: ${error.message}`));
     }
-  });
-}
 
-// Enhanced USB printing specifically for TVS RP3160 GOLD
-async function printToTVSUSB(bill) {
-  return new Promise((resolve, reject) => {
-    try {
-      const printerData = createTVSRP3160Bill(bill);
-      
-      // Create temp directory
-      const tempDir = path.join(__dirname, '../temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const tempFile = path.join(tempDir, `tvs_bill_${bill.billNumber || Date.now()}.prn`);
-      
-      // Write binary data for TVS RP3160 GOLD
-      fs.writeFileSync(tempFile, printerData);
-      
-      // TVS RP3160 GOLD common USB ports
-      const tvsPorts = [
-        'USB001:', // Most common for TVS printers
-        'USB002:',
-        'LPT1:',   // Parallel port adapter
-        'COM1:',   // USB to Serial adapter
-        'COM2:',   // Alternative serial port
-        '\\\\localhost\\TVS', // Network shared name
-        '\\\\localhost\\RP3160' // Alternative network name
-      ];
-      
-      let portIndex = 0;
-      
-      function tryNextTVSPort() {
-        if (portIndex >= tvsPorts.length) {
-          resolve({
-            success: true,
-            message: 'TVS RP3160 GOLD file saved for manual printing',
-            tempFile: tempFile,
-            instruction: `Copy ${tempFile} to your TVS RP3160 GOLD printer manually or check USB connection`
-          });
-          return;
-        }
-        
-        const port = tvsPorts[portIndex];
-        portIndex++;
-        
-        console.log(`Trying TVS RP3160 GOLD on port: ${port}`);
-        
-        exec(`copy "${tempFile}" /B ${port} /B`, (error, stdout, stderr) => {
-          if (!error) {
-            console.log(`TVS RP3160 GOLD print successful on ${port}`);
-            
-            // Clean up temp file after successful print
-            setTimeout(() => {
-              try {
-                fs.unlinkSync(tempFile);
-              } catch (e) {
-                console.log('Could not delete temp file:', e.message);
-              }
-            }, 3000);
-            
-            resolve({
-              success: true,
-              message: `Bill printed successfully on TVS RP3160 GOLD via ${port}`,
-              port: port,
-              model: 'TVS RP3160 GOLD'
-            });
-          } else {
-            console.log(`TVS port ${port} failed, trying next...`);
-            tryNextTVSPort();
-          }
+    res.json({
+      success: true,
+      message: `Printer ${profile.name} removed`
+    });
+  } catch (error) {
+    console.error('Delete printer profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove printer profile',
+      error: error.message
+    });
+  }
+});
+
+// Fields a receipt template can be created or updated with
+const TEMPLATE_FIELDS = [
+  'name', 'isDefault', 'business', 'hasLogo', 'header', 'columns', 'showUnitPrice',
+  'totals', 'footer', 'language', 'strings', 'isActive'
+];
+
+// Get receipt templates
+router.get('/templates', auth, async (req, res) => {
+  try {
+    const { outlet } = req.query;
+
+    const query = { isActive: true };
+    if (outlet) query.outlet = outlet.toUpperCase();
+
+    const templates = await ReceiptTemplate.find(query).sort({ outlet: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: templates,
+      message: `Found ${templates.length} receipt templates`
+    });
+  } catch (error) {
+    console.error('Get receipt templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt templates',
+      error: error.message
+    });
+  }
+});
+
+// Render a receipt as plain text, without a printer - a saved template (`templateId`), unsaved template
+// settings in the body, or the outlet's default; a real bill (`billId`) or a sample one
+router.post('/templates/preview', auth, async (req, res) => {
+  try {
+    const { billId, templateId, template: draft, profileId, width, language, outlet } = req.body;
+
+    let bill = sampleBill();
+    if (billId) {
+      bill = await Bill.findById(billId).populate('customer', 'name loyaltyPoints');
+      if (!bill) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bill not found'
         });
       }
-      
-      tryNextTVSPort();
-      
-    } catch (error) {
-      console.error('TVS RP3160 GOLD USB error:', error);
-      reject(new Error(`TVS RP3160 GOLD USB print failed: ${error.message}`));
     }
-  });
-}
 
-// Network printing for shared TVS RP3160 GOLD
-async function printToTVSNetwork(bill, ip = '192.168.1.100', port = 9100) {
-  return new Promise((resolve, reject) => {
-    try {
-      const printerData = createTVSRP3160Bill(bill);
-      const client = new net.Socket();
-      
-      // TVS RP3160 GOLD specific timeout
-      client.setTimeout(20000);
-      
-      client.connect(port, ip, () => {
-        console.log(`Connected to TVS RP3160 GOLD at ${ip}:${port}`);
-        client.write(printerData);
-        
-        // TVS printers need a moment to process
-        setTimeout(() => {
-          client.end();
-        }, 2000);
+    let template;
+    if (draft) {
+      template = new ReceiptTemplate({ name: 'Preview', ...draft });
+      await template.validate();
+    } else {
+      template = await ReceiptTemplate.resolve({ templateId, outlet: outlet || bill.outlet });
+    }
+
+    let lineWidth = parseInt(width);
+    if (!lineWidth) {
+      const profile = await PrinterProfile.resolve({ profileId, outlet: outlet || bill.outlet, role: 'receipt' });
+      lineWidth = profile.getLineWidth();
+    }
+
+    if (lineWidth < 16 || lineWidth > 64) {
+      return res.status(400).json({
+        success: false,
+        message: 'Width must be between 16 and 64 characters'
       });
-      
-      client.on('close', () => {
-        console.log('TVS RP3160 GOLD network connection closed');
-        resolve({ 
-          success: true, 
-          message: 'Bill printed on TVS RP3160 GOLD via network',
-          ip: ip,
-          port: port,
-          model: 'TVS RP3160 GOLD'
-        });
+    }
+
+    const layout = renderReceipt(bill, template, { width: lineWidth, language });
+
+    res.json({
+      success: true,
+      data: {
+        template: template.isNew ? null : template._id,
+        width: lineWidth,
+        lines: layout.length,
+        text: layoutToText(layout, lineWidth)
+      },
+      message: 'Receipt preview rendered'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
       });
-      
-      client.on('error', (err) => {
-        console.error('TVS RP3160 GOLD network error:', err);
-        client.destroy();
-        reject(new Error(`TVS RP3160 GOLD network print failed: ${err.message}`));
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
       });
-      
-      client.on('timeout', () => {
-        console.error('TVS RP3160 GOLD network timeout');
-        client.destroy();
-        reject(new Error('TVS RP3160 GOLD network connection timeout'));
+    }
+
+    console.error('Receipt preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render receipt preview',
+      error: error.message
+    });
+  }
+});
+
+// Get single receipt template
+router.get('/templates/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
       });
-      
-    } catch (error) {
-      console.error('TVS RP3160 GOLD network setup error:', error);
-      reject(new Error(`TVS RP3160 GOLD network setup failed: ${error.message}`));
     }
-  });
-}
 
-// Main print function optimized for TVS RP3160 GOLD
-async function printBillTVS(bill, printerConfig = {}) {
-  const { 
-    connection = 'auto', 
-    ip = '192.168.1.100', 
-    port = 9100, 
-    printerName,
-    retries = 2,
-    openCashDrawer = false
-  } = printerConfig;
-  
-  console.log(`Printing on TVS RP3160 GOLD - Bill: ${bill.billNumber || 'unknown'}, Connection: ${connection}`);
-  
-  if (!bill) {
-    throw new Error('Bill data is required for TVS RP3160 GOLD printing');
+    const template = await ReceiptTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template,
+      message: 'Receipt template retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get receipt template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt template',
+      error: error.message
+    });
   }
-  
-  // Add cash drawer command if requested
-  if (openCashDrawer && bill.paymentMethod === 'cash') {
-    console.log('Opening cash drawer on TVS RP3160 GOLD...');
+});
+
+// Create receipt template (Admin only) - layout fields left out start from the standard receipt
+router.post('/templates', auth, adminAuth, async (req, res) => {
+  try {
+    const fields = TEMPLATE_FIELDS.reduce((picked, key) => {
+      if (req.body[key] !== undefined) picked[key] = req.body[key];
+      return picked;
+    }, {});
+
+    const template = new ReceiptTemplate({
+      outlet: req.body.outlet || undefined,
+      ...fields
+    });
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: `Receipt template ${template.name} created`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create receipt template');
   }
-  
-  for (let attempt = 1; attempt <= retries + 1; attempt++) {
-    try {
-      console.log(`TVS RP3160 GOLD print attempt ${attempt}/${retries + 1}`);
-      
-      switch (connection.toLowerCase()) {
-        case 'network':
-        case 'lan':
-          return await printToTVSNetwork(bill, ip, port);
-          
-        case 'usb':
-          return await printToTVSUSB(bill);
-          
-        case 'windows':
-          return await printToTVSRP3160(bill, printerName);
-          
-        case 'auto':
-        default:
-          // Try Windows driver first (most reliable for TVS RP3160 GOLD)
-          try {
-            return await printToTVSRP3160(bill, printerName);
-          } catch (winError) {
-            console.log(`TVS Windows driver failed (attempt ${attempt}):`, winError.message);
-            
-            if (attempt === retries + 1) {
-              // Last attempt - try USB direct
-              try {
-                console.log('Trying TVS RP3160 GOLD USB direct...');
-                return await printToTVSUSB(bill);
-              } catch (usbError) {
-                console.log('TVS USB failed, trying network...');
-                return await printToTVSNetwork(bill, ip, port);
-              }
-            }
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            throw winError;
-          }
-      }
-    } catch (error) {
-      if (attempt === retries + 1) {
-        throw error;
+});
+
+// Update receipt template (Admin only)
+router.put('/templates/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const template = await ReceiptTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt template not found'
+      });
+    }
+
+    TEMPLATE_FIELDS.forEach(key => {
+      if (req.body[key] === undefined) return;
+      template[key] = key === 'business'
+        ? { ...template.toObject().business, ...req.body.business }
+        : req.body[key];
+    });
+
+    await template.save();
+
+    res.json({
+      success: true,
+      data: template,
+      message: `Receipt template ${template.name} updated`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update receipt template');
+  }
+});
+
+// Bulk print bills on one receipt printer - registered ahead of /print/:billId, which would take "bulk" for a bill ID
+router.post('/print/bulk', auth, async (req, res) => {
+  try {
+    const { billIds } = req.body;
+
+    if (!Array.isArray(billIds) || billIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bill IDs array is required for bulk printing'
+      });
+    }
+
+    if (billIds.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum 50 bills can be printed at once'
+      });
+    }
+
+    const profile = await resolveReceiptProfile(req);
+    const results = [];
+
+    for (let i = 0; i < billIds.length; i++) {
+      const billId = billIds[i];
+
+      try {
+        const bill = await Bill.findById(billId).populate('customer', 'name loyaltyPoints');
+        if (!bill) {
+          results.push({
+            billId,
+            success: false,
+            message: 'Bill not found'
+          });
+          continue;
+        }
+
+        // The worker prints queued jobs one at a time, so the printer buffer is never flooded
+        const job = await queueBill(bill, profile, {
+          ...templateOptions(req),
+          requestedBy: req.user.userId
+        });
+
+        results.push({
+          billId,
+          billNumber: bill.billNumber,
+          success: true,
+          message: 'Queued for printing',
+          jobId: job._id,
+          printer: profile.name
+        });
+
+      } catch (error) {
+        results.push({
+          billId,
+          success: false,
+          message: `Print error: ${error.message}`
+        });
       }
-      console.log(`TVS RP3160 GOLD attempt ${attempt} failed, retrying in 2 seconds...`);
-      await new Promise(resolve => setTimeout(resolve, 2000));
     }
+
+    const successCount = results.filter(r => r.success).length;
+
+    res.status(202).json({
+      success: successCount > 0,
+      message: `${successCount}/${billIds.length} bills queued for printing on ${profile.name}`,
+      results,
+      totalBills: billIds.length,
+      successCount,
+      failureCount: billIds.length - successCount,
+      printer: profile.name
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Bulk print error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Bulk print failed: ' + error.message
+    });
   }
-}
+});
 
-// Enhanced print route for TVS RP3160 GOLD
+// Print a bill on the requested (or the outlet's default) receipt printer
 router.post('/print/:billId', auth, async (req, res) => {
   try {
-    const bill = await Bill.findById(req.params.billId);
-    
+    const bill = await Bill.findById(req.params.billId).populate('customer', 'name loyaltyPoints');
+
     if (!bill) {
-      return res.status(404).json({ 
+      return res.status(404).json({
         success: false,
-        message: 'Bill not found for TVS RP3160 GOLD printing' 
+        message: 'Bill not found for printing'
       });
     }
 
-    const printResult = await printBillTVS(bill, req.body.printerConfig || {});
-    
-    if (printResult.success) {
-      await Bill.findByIdAndUpdate(req.params.billId, { 
-        isPrinted: true,
-        printedAt: new Date(),
-        printerUsed: 'TVS RP3160 GOLD'
+    const profile = await resolveReceiptProfile(req, bill.outlet);
+    const job = await queueBill(bill, profile, {
+      ...templateOptions(req),
+      openCashDrawer: req.body.openCashDrawer,
+      requestedBy: req.user.userId
+    });
+
+    // The drawer pops with the receipt - log it against the sale
+    if (req.body.openCashDrawer && profile.drawer?.enabled) {
+      await recordCashMovement({
+        type: 'drawer-open',
+        reason: 'sale',
+        outlet: bill.outlet,
+        terminal: req.body.terminal,
+        bill: bill._id,
+        billNumber: bill.billNumber,
+        user: req.user.userId,
+        userName: req.user.username
       });
     }
 
-    res.json({
-      success: printResult.success,
-      message: printResult.message,
+    res.status(202).json({
+      success: true,
+      data: jobSummary(job),
+      message: `Bill ${bill.billNumber} queued for printing on ${profile.name}`,
       billNumber: bill.billNumber,
-      printer: 'TVS RP3160 GOLD',
-      details: printResult
+      printer: profile.name
     });
-    
+
   } catch (error) {
-    console.error('TVS RP3160 GOLD print route error:', error);
-    res.status(500).json({ 
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Print bill route error:', error);
+    res.status(500).json({
       success: false,
-      message: 'TVS RP3160 GOLD print failed',
+      message: 'Bill print failed',
       error: error.message,
-      billId: req.params.billId,
-      printer: 'TVS RP3160 GOLD'
+      billId: req.params.billId
     });
   }
 });
 
-// TVS RP3160 GOLD test print
+// Test print - on a saved profile (`profileId`), or on unsaved settings sent in the body to try them first
 router.post('/test', auth, async (req, res) => {
   try {
-    const { connection = 'auto', ip, port, printerName, openCashDrawer = false } = req.body;
-    
-    const testBill = {
-      billNumber: `TVS-TEST-${Date.now()}`,
-      customerName: 'Test Customer',
-      customerPhone: '+91-9691954035',
-      tableNumber: 'T5',
-      items: [
-        { name: 'Masala Dosa', quantity: 2, price: 80, total: 160 },
-        { name: 'Coffee', quantity: 2, price: 25, total: 50 },
-        { name: 'Vada Sambar', quantity: 1, price: 40, total: 40 }
-      ],
-      subtotal: 250,
-      gst: 45,
-      serviceCharge: 25,
-      discount: 20,
-      total: 300,
-      paymentMethod: 'cash',
-      cashReceived: 300,
-      status: 'paid',
-      createdAt: new Date()
-    };
-    
-    const result = await printBillTVS(testBill, { 
-      connection, ip, port, printerName, openCashDrawer 
+    let profile;
+    if (req.body.profileId) {
+      profile = await PrinterProfile.resolve({ profileId: req.body.profileId });
+    } else {
+      profile = new PrinterProfile({ name: 'Test printer', ...pickProfileFields(req.body) });
+      await profile.validate();
+    }
+
+    const testBill = sampleBill();
+
+    const result = await printBill(testBill, profile, {
+      ...templateOptions(req),
+      openCashDrawer: req.body.openCashDrawer
     });
-    
+
     res.json({
       success: result.success,
-      message: result.success 
-        ? 'TVS RP3160 GOLD test print successful!' 
+      message: result.success
+        ? `Test print on ${profile.name} successful!`
         : result.message,
       testBill: testBill.billNumber,
-      printer: 'TVS RP3160 GOLD',
+      printer: profile.name,
       details: result
     });
-    
+
   } catch (error) {
-    console.error('TVS RP3160 GOLD test error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: `TVS RP3160 GOLD test failed: ${error.message}`,
-      printer: 'TVS RP3160 GOLD',
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    console.error('Test print error:', error);
+    res.status(500).json({
+      success: false,
+      message: `Test print failed: ${error.message}`,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Get TVS RP3160 GOLD specific printer info
+// Printers installed in the operating system, with the profiles that print to each
 router.get('/printers', auth, async (req, res) => {
   try {
-    const printer = require('printer');
-    const printers = printer.getPrinters();
-    
-    const tvsKeywords = ['tvs', 'rp3160', 'rp-3160', 'gold', 'thermal'];
-    
+    const printers = await listInstalledPrinters();
+    const profiles = await PrinterProfile.find({ isActive: true, printerName: { $ne: null } })
+      .select('name role outlet printerName');
+
     const formattedPrinters = printers.map(p => ({
       name: p.name,
       displayName: p.displayName || p.name,
@@ -658,333 +650,227 @@ router.get('/printers', auth, async (req, res) => {
       portName: p.portName,
       driverName: p.driverName,
       location: p.location,
-      isTVS: tvsKeywords.some(keyword => 
-        p.name.toLowerCase().includes(keyword.toLowerCase())
-      ),
-      isRP3160: p.name.toLowerCase().includes('rp3160') || 
-                p.name.toLowerCase().includes('rp-3160'),
-      recommended: tvsKeywords.some(keyword => 
-        p.name.toLowerCase().includes(keyword.toLowerCase())
-      )
+      source: p.source,
+      profiles: profiles
+        .filter(profile => profile.printerName === p.name)
+        .map(profile => ({ _id: profile._id, name: profile.name, role: profile.role, outlet: profile.outlet }))
     }));
-    
-    // Sort TVS RP3160 GOLD printers first
+
     formattedPrinters.sort((a, b) => {
-      if (a.isRP3160 && !b.isRP3160) return -1;
-      if (!a.isRP3160 && b.isRP3160) return 1;
-      if (a.isTVS && !b.isTVS) return -1;
-      if (!a.isTVS && b.isTVS) return 1;
       if (a.isDefault && !b.isDefault) return -1;
       if (!a.isDefault && b.isDefault) return 1;
       return a.name.localeCompare(b.name);
     });
-    
-    const tvsRP3160Printers = formattedPrinters.filter(p => p.isRP3160);
-    const tvsPrinters = formattedPrinters.filter(p => p.isTVS);
-    
+
     res.json({
       success: true,
       printers: formattedPrinters,
       count: formattedPrinters.length,
-      tvsRP3160Count: tvsRP3160Printers.length,
-      tvsCount: tvsPrinters.length,
-      recommendedPrinter: tvsRP3160Printers[0]?.name || tvsPrinters[0]?.name || 'None found',
       defaultPrinter: formattedPrinters.find(p => p.isDefault)?.name || 'None',
-      instructions: tvsRP3160Printers.length === 0 ? [
-        'Install TVS RP3160 GOLD drivers from TVS website',
-        'Connect printer via USB cable',
-        'Set as default printer in Windows',
-        'Test print from Windows before using POS'
-      ] : []
+      // Profiles naming a printer that is not installed on this machine
+      missing: profiles
+        .filter(profile => !printers.some(p => p.name === profile.printerName))
+        .map(profile => ({ _id: profile._id, name: profile.name, printerName: profile.printerName }))
     });
-    
+
   } catch (error) {
-    console.error('Get TVS printers error:', error);
+    console.error('Get printers error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get TVS RP3160 GOLD printers: ' + error.message,
+      message: 'Failed to get printers: ' + error.message,
       printers: [],
       instructions: [
-        'Install "printer" npm package: npm install printer',
-        'Install TVS RP3160 GOLD drivers',
-        'Check Windows printer settings'
+        'Linux: install CUPS and add the printer as a raw queue (lpadmin -p <name> -v <uri> -m raw)',
+        'Windows: install "printer" npm package (npm install printer) and the printer driver',
+        'Check the operating system printer settings'
       ],
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// TVS RP3160 GOLD status and health check
+// Printer status per role - the profile in use, whether its driver/queue is installed and, for network
+// printers, the live device status (paper, cover, cutter, drawer). `refresh=true` skips the status cache.
 router.get('/status', auth, async (req, res) => {
   try {
-    const printer = require('printer');
-    const printers = printer.getPrinters();
-    console.log('Available printers:', printers.map(p => p.name));
-    const tvsKeywords = ['tvs', 'rp3160', 'rp-3160', 'gold'];
-    const tvsRP3160Printers = printers.filter(p => 
-      tvsKeywords.some(keyword => 
-        p.name.toLowerCase().includes(keyword.toLowerCase())
-      )
-    );
-    
-    const allTVSPrinters = printers.filter(p => 
-      p.name.toLowerCase().includes('tvs') ||
-      p.name.toLowerCase().includes('thermal') ||
-      p.name.toLowerCase().includes('pos')
-    );
-    
-    const defaultPrinter = printers.find(p => p.isDefault);
-    
-    // Determine overall status
-    let status = 'offline';
-    let connection = 'Not Connected';
-    let recommendations = [];
-    
-    if (tvsRP3160Printers.length > 0) {
-      status = 'online';
-      connection = 'TVS RP3160 GOLD Connected';
-      if (tvsRP3160Printers.some(p => p.status && p.status.toLowerCase().includes('ready'))) {
-        status = 'ready';
-        connection = 'TVS RP3160 GOLD Ready';
-      }
-    } else if (allTVSPrinters.length > 0) {
-      status = 'compatible';
-      connection = 'TVS Printer Available';
-      recommendations.push('Detected TVS printer but not RP3160 GOLD model');
-    } else if (printers.length > 0) {
-      status = 'fallback';
-      connection = 'Generic Printer Available';
-      recommendations.push('No TVS printer detected');
-      recommendations.push('Install TVS RP3160 GOLD drivers for optimal performance');
-    } else {
-      recommendations.push('No printers found on system');
-      recommendations.push('Install TVS RP3160 GOLD drivers');
-      recommendations.push('Check USB connection and power');
-      recommendations.push('Restart printer and computer if needed');
-    }
-    
-    // Additional recommendations based on status
-    if (status === 'online' || status === 'ready') {
-      recommendations.push('TVS RP3160 GOLD is ready for printing');
-      recommendations.push('Use 80mm thermal paper for best results');
+    const { outlet, refresh } = req.query;
+
+    let installed = null;
+    try {
+      installed = (await listInstalledPrinters()).map(p => p.name);
+    } catch (driverError) {
+      // No OS print system on this machine - driver and CUPS profiles cannot be checked
     }
-    
+
+    const roles = await Promise.all(PrinterProfile.PRINTER_ROLES.map(async role => {
+      const profile = await PrinterProfile.resolve({ outlet, role });
+      const usesDriver = ['windows', 'cups', 'auto'].includes(profile.connection);
+      const device = await getPrinterStatus(profile, { refresh: refresh === 'true' });
+
+      return {
+        role,
+        configured: !profile.isNew,
+        profile: {
+          _id: profile.isNew ? null : profile._id,
+          name: profile.name,
+          connection: profile.connection,
+          address: profile.connection === 'network'
+            ? `${profile.ip}:${profile.port}`
+            : profile.connection === 'usb' ? profile.devicePath : profile.printerName || 'OS default printer',
+          paperWidth: profile.paperWidth,
+          drawer: Boolean(profile.drawer?.enabled)
+        },
+        driverInstalled: usesDriver && installed
+          ? (profile.printerName ? installed.includes(profile.printerName) : installed.length > 0)
+          : null,
+        device,
+        ready: device.supported ? device.alerts.every(alert => alert.severity !== 'error') : null
+      };
+    }));
+
     res.json({
-      status: status,
-      model: 'TVS RP3160 GOLD',
-      connection: connection,
-      tvsRP3160Printers: tvsRP3160Printers.map(p => ({
-        name: p.name,
-        status: p.status || 'Unknown',
-        isDefault: p.isDefault,
-        portName: p.portName,
-        driverName: p.driverName
-      })),
-      allTVSPrinters: allTVSPrinters.map(p => ({
-        name: p.name,
-        status: p.status || 'Unknown',
-        isDefault: p.isDefault
-      })),
-      defaultPrinter: defaultPrinter?.name || 'None',
-      totalPrinters: printers.length,
-      tvsRP3160Count: tvsRP3160Printers.length,
-      allTVSCount: allTVSPrinters.length,
-      lastCheck: new Date().toISOString(),
-      recommendations: recommendations,
-      paperWidth: '80mm',
-      supportedCommands: ['ESC/POS', 'Cash Drawer', 'Barcode', 'QR Code'],
-      connectionTypes: ['USB', 'Network', 'Windows Driver']
+      success: true,
+      data: roles,
+      alerts: roles.flatMap(entry => entry.device.alerts.map(alert => ({ role: entry.role, printer: entry.profile.name, ...alert }))),
+      lastCheck: new Date().toISOString()
     });
-    
+
   } catch (error) {
+    console.error('Printer status error:', error);
     res.status(500).json({
-      status: 'error',
+      success: false,
+      message: 'Failed to check printers',
       error: error.message,
-      model: 'TVS RP3160 GOLD',
-      connection: 'Error checking status',
-      recommendations: [
-        'Install "printer" npm package',
-        'Check TVS RP3160 GOLD driver installation',
-        'Verify printer connection'
-      ],
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Cash drawer control for TVS RP3160 GOLD
-router.post('/cash-drawer', auth, async (req, res) => {
+// Printer alerts from the background status checks (paper out, cover open, ...) - cheap enough for tills to poll
+router.get('/status/alerts', auth, async (req, res) => {
   try {
-    const { printerName, connection = 'auto' } = req.body;
-    
-    // Create cash drawer command buffer
-    const cashDrawerCommand = Buffer.concat([
-      TVS_ESC_POS.INIT,
-      TVS_ESC_POS.CASH_DRAWER_PIN2, // Primary cash drawer pin
-      TVS_ESC_POS.CASH_DRAWER_PIN5  // Secondary cash drawer pin (fallback)
-    ]);
-    
-    if (connection === 'usb') {
-      // Direct USB cash drawer opening
-      const tempDir = path.join(__dirname, '../temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const tempFile = path.join(tempDir, `cash_drawer_${Date.now()}.prn`);
-      fs.writeFileSync(tempFile, cashDrawerCommand);
-      
-      exec(`copy "${tempFile}" /B USB001: /B`, (error) => {
-        setTimeout(() => {
-          try { fs.unlinkSync(tempFile); } catch (e) {}
-        }, 2000);
-        
-        if (!error) {
-          res.json({
-            success: true,
-            message: 'Cash drawer opened via USB'
-          });
-        } else {
-          res.json({
-            success: false,
-            message: 'Failed to open cash drawer via USB'
-          });
-        }
-      });
-    } else {
-      // Windows printer cash drawer
-      const printer = require('printer');
-      const printers = printer.getPrinters();
-      
-      let targetPrinter = printers.find(p => p.name === printerName) ||
-                         printers.find(p => p.name.toLowerCase().includes('tvs')) ||
-                         printers.find(p => p.isDefault);
-      
-      if (!targetPrinter) {
-        return res.status(404).json({
-          success: false,
-          message: 'No suitable printer found for cash drawer'
-        });
-      }
-      
-      printer.printDirect({
-        data: cashDrawerCommand,
-        printer: targetPrinter.name,
-        type: 'RAW',
-        success: function(jobID) {
-          res.json({
-            success: true,
-            message: 'Cash drawer opened successfully',
-            printer: targetPrinter.name,
-            jobID: jobID
-          });
-        },
-        error: function(err) {
-          res.json({
-            success: false,
-            message: 'Failed to open cash drawer: ' + err
-          });
-        }
-      });
-    }
-    
+    const statuses = getPrinterAlerts(req.query.outlet || null);
+    const alerts = statuses.flatMap(status => status.alerts.map(alert => ({
+      printer: status.profile.name,
+      profileId: status.profile._id,
+      role: status.profile.role,
+      outlet: status.profile.outlet,
+      checkedAt: status.checkedAt,
+      ...alert
+    })));
+
+    res.json({
+      success: true,
+      data: alerts,
+      message: alerts.length > 0 ? `${alerts.length} printer alerts` : 'All printers ready'
+    });
   } catch (error) {
-    console.error('Cash drawer error:', error);
+    console.error('Printer alerts error:', error);
     res.status(500).json({
       success: false,
-      message: 'Cash drawer operation failed: ' + error.message
+      message: 'Failed to fetch printer alerts',
+      error: error.message
     });
   }
 });
 
-// Bulk print route optimized for TVS RP3160 GOLD
-router.post('/print/bulk', auth, async (req, res) => {
+// Live status of one printer profile
+router.get('/status/:profileId', auth, async (req, res) => {
   try {
-    const { billIds, printerConfig, delay = 2000 } = req.body;
-    
-    if (!Array.isArray(billIds) || billIds.length === 0) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.profileId)) {
       return res.status(400).json({
         success: false,
-        message: 'Bill IDs array is required for TVS RP3160 GOLD bulk printing'
+        message: 'Invalid printer profile ID'
       });
     }
-    
-    if (billIds.length > 50) {
-      return res.status(400).json({
+
+    const profile = await PrinterProfile.findById(req.params.profileId);
+
+    if (!profile) {
+      return res.status(404).json({
         success: false,
-        message: 'Maximum 50 bills can be printed at once on TVS RP3160 GOLD'
+        message: 'Printer profile not found'
       });
     }
-    
-    const results = [];
-    
-    for (let i = 0; i < billIds.length; i++) {
-      const billId = billIds[i];
-      
-      try {
-        const bill = await Bill.findById(billId);
-        if (!bill) {
-          results.push({
-            billId,
-            success: false,
-            message: 'Bill not found'
-          });
-          continue;
-        }
-        
-        console.log(`TVS RP3160 GOLD bulk print: ${i + 1}/${billIds.length} - Bill: ${bill.billNumber}`);
-        
-        const printResult = await printBillTVS(bill, printerConfig || {});
-        
-        if (printResult.success) {
-          await Bill.findByIdAndUpdate(billId, { 
-            isPrinted: true,
-            printedAt: new Date(),
-            printerUsed: 'TVS RP3160 GOLD'
-          });
-        }
-        
-        results.push({
-          billId,
-          billNumber: bill.billNumber,
-          success: printResult.success,
-          message: printResult.message,
-          printer: 'TVS RP3160 GOLD'
-        });
-        
-        // Delay between prints to avoid TVS printer buffer overflow
-        if (i < billIds.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-        
-      } catch (error) {
-        results.push({
-          billId,
+
+    const status = await getPrinterStatus(profile, { refresh: req.query.refresh === 'true' });
+
+    res.json({
+      success: true,
+      data: status,
+      message: status.supported
+        ? (status.alerts.length > 0 ? status.alerts[0].message : `${profile.name} is ready`)
+        : status.message
+    });
+  } catch (error) {
+    console.error('Printer profile status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check printer',
+      error: error.message
+    });
+  }
+});
+
+// Open the cash drawer attached to the receipt printer
+router.post('/cash-drawer', auth, async (req, res) => {
+  try {
+    const { reason = 'no-sale', note = '', billId = null, terminal = '' } = req.body;
+    const profile = await resolveReceiptProfile(req);
+
+    let bill = null;
+    if (billId) {
+      bill = await Bill.findById(billId).select('billNumber outlet');
+      if (!bill) {
+        return res.status(404).json({
           success: false,
-          message: `TVS RP3160 GOLD error: ${error.message}`
+          message: 'Bill not found'
         });
       }
     }
-    
-    const successCount = results.filter(r => r.success).length;
-    
+
+    const { result, movement } = await kickCashDrawer(profile, {
+      reason,
+      note,
+      outlet: bill ? bill.outlet : (req.body.outlet || profile.outlet),
+      terminal,
+      bill: bill ? bill._id : null,
+      billNumber: bill ? bill.billNumber : null,
+      user: req.user.userId,
+      userName: req.user.username
+    });
+
     res.json({
-      success: successCount > 0,
-      message: `TVS RP3160 GOLD: ${successCount}/${billIds.length} bills printed successfully`,
-      results,
-      totalBills: billIds.length,
-      successCount,
-      failureCount: billIds.length - successCount,
-      printer: 'TVS RP3160 GOLD',
-      processingTime: `${((billIds.length - 1) * delay / 1000)} seconds`
+      success: true,
+      message: 'Cash drawer opened successfully',
+      printer: profile.name,
+      data: movement,
+      details: result
     });
-    
+
   } catch (error) {
-    console.error('TVS RP3160 GOLD bulk print error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    console.error('Cash drawer error:', error);
     res.status(500).json({
       success: false,
-      message: 'TVS RP3160 GOLD bulk print failed: ' + error.message,
-      printer: 'TVS RP3160 GOLD'
+      message: 'Cash drawer operation failed: ' + error.message
     });
   }
 });
@@ -992,80 +878,239 @@ router.post('/print/bulk', auth, async (req, res) => {
 // Print duplicate bill route
 router.post('/print/duplicate/:billId', auth, async (req, res) => {
   try {
-    const bill = await Bill.findById(req.params.billId);
-    
+    const bill = await Bill.findById(req.params.billId).populate('customer', 'name loyaltyPoints');
+
     if (!bill) {
-      return res.status(404).json({ 
+      return res.status(404).json({
         success: false,
-        message: 'Bill not found for duplicate printing' 
+        message: 'Bill not found for duplicate printing'
       });
     }
 
     // Mark as duplicate in the bill content
     const duplicateBill = {
       ...bill.toObject(),
+      // The plain copy has no getTaxBreakup() - keep the charges slab the original receipt printed
+      taxBreakup: bill.getTaxBreakup(),
       isDuplicate: true,
       duplicateCount: (bill.duplicateCount || 0) + 1,
       originalPrintDate: bill.printedAt || bill.createdAt
     };
 
-    const printResult = await printBillTVS(duplicateBill, req.body.printerConfig || {});
-    
-    if (printResult.success) {
-      await Bill.findByIdAndUpdate(req.params.billId, { 
-        duplicateCount: duplicateBill.duplicateCount,
-        lastDuplicateAt: new Date()
-      });
-    }
+    const profile = await resolveReceiptProfile(req, bill.outlet);
+    const job = await queueBill(duplicateBill, profile, {
+      ...templateOptions(req),
+      kind: 'duplicate',
+      requestedBy: req.user.userId
+    });
 
-    res.json({
-      success: printResult.success,
-      message: printResult.success 
-        ? `Duplicate bill printed successfully (Copy #${duplicateBill.duplicateCount})`
-        : printResult.message,
+    res.status(202).json({
+      success: true,
+      data: jobSummary(job),
+      message: `Duplicate bill queued for printing (Copy #${duplicateBill.duplicateCount})`,
       billNumber: bill.billNumber,
       duplicateNumber: duplicateBill.duplicateCount,
-      printer: 'TVS RP3160 GOLD',
-      details: printResult
+      printer: profile.name
     });
-    
+
   } catch (error) {
-    console.error('TVS RP3160 GOLD duplicate print error:', error);
-    res.status(500).json({ 
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Duplicate print error:', error);
+    res.status(500).json({
       success: false,
-      message: 'TVS RP3160 GOLD duplicate print failed',
+      message: 'Duplicate print failed',
       error: error.message,
       billId: req.params.billId
     });
   }
 });
 
-// Advanced configuration route for TVS RP3160 GOLD
-router.post('/configure', auth, async (req, res) => {
+// Get print jobs - the queue and recent history
+router.get('/jobs', auth, async (req, res) => {
   try {
-    const { 
-      paperWidth = 80,
-      cutType = 'full',
-      cashDrawer = true,
-      barcodeSupport = true,
-      logoSupport = false,
-      encoding = 'utf8'
-    } = req.body;
-    
-    // Save configuration (you can store this in database or config file)
-    const config = {
-      model: 'TVS RP3160 GOLD',
-      paperWidth: paperWidth,
-      lineWidth: paperWidth === 80 ? 32 : 24,
-      cutType: cutType,
-      cashDrawer: cashDrawer,
-      barcodeSupport: barcodeSupport,
-      logoSupport: logoSupport,
-      encoding: encoding,
-      escposVersion: '2.0',
-      updatedAt: new Date()
-    };
-    
+    const { status, kind, billId, outlet, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (kind && kind !== 'all') query.kind = kind;
+    if (billId) query.bill = billId;
+    if (outlet) query.outlet = outlet.toUpperCase();
+
+    const [jobs, total] = await Promise.all([
+      PrintJob.find(query)
+        .select('-data')
+        .populate('profile', 'name role')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      PrintJob.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${jobs.length} print jobs`
+    });
+  } catch (error) {
+    console.error('Get print jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch print jobs',
+      error: error.message
+    });
+  }
+});
+
+// Get dead-lettered print jobs - those that used up their attempts and need a retry once the printer is fixed
+router.get('/jobs/dead-letter', auth, async (req, res) => {
+  try {
+    const query = { status: 'failed' };
+    if (req.query.outlet) query.outlet = req.query.outlet.toUpperCase();
+
+    const jobs = await PrintJob.find(query)
+      .select('-data')
+      .populate('profile', 'name role')
+      .sort({ completedAt: -1 });
+
+    res.json({
+      success: true,
+      data: jobs,
+      message: `Found ${jobs.length} failed print jobs`
+    });
+  } catch (error) {
+    console.error('Get dead-letter print jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch failed print jobs',
+      error: error.message
+    });
+  }
+});
+
+// Get print job by ID
+router.get('/jobs/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid print job ID'
+      });
+    }
+
+    const job = await PrintJob.findById(req.params.id)
+      .select('-data')
+      .populate('profile', 'name role')
+      .populate('requestedBy', 'username');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Print job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      message: 'Print job retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get print job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch print job',
+      error: error.message
+    });
+  }
+});
+
+// Re-dispatch a print job - a failed one, or a finished one to print it again. `profileId` sends it to another printer.
+router.post('/jobs/:id/retry', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid print job ID'
+      });
+    }
+
+    const job = await PrintJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Print job not found'
+      });
+    }
+
+    if (job.status === 'printing') {
+      return res.status(409).json({
+        success: false,
+        message: `Print job ${job.label} is printing right now`
+      });
+    }
+
+    if (req.body.profileId) {
+      const profile = await PrinterProfile.resolve({ profileId: req.body.profileId });
+      job.profile = profile._id;
+    }
+
+    await job.requeue();
+    kickPrintWorker();
+
+    res.status(202).json({
+      success: true,
+      data: jobSummary(job),
+      message: `Print job ${job.label} queued again`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Retry print job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry print job',
+      error: error.message
+    });
+  }
+});
+
+// Save the outlet's default receipt printer and test it (Admin only) - kept for older clients, see /profiles
+router.post('/configure', auth, adminAuth, async (req, res) => {
+  try {
+    const outlet = (req.body.outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+
+    let profile = await PrinterProfile.findOne({ outlet, role: 'receipt', isDefault: true, isActive: true });
+    if (!profile) {
+      profile = new PrinterProfile({ outlet, name: 'Receipt printer', role: 'receipt', isDefault: true });
+    }
+
+    const { drawer, ...fields } = pickProfileFields(req.body);
+    delete fields.role;
+    delete fields.isDefault;
+    profile.set(fields);
+    if (drawer !== undefined) profile.drawer = { ...profile.toObject().drawer, ...drawer };
+    if (fields.paperWidth !== undefined && fields.charsPerLine === undefined) profile.charsPerLine = undefined;
+
+    await profile.save();
+
     // Test configuration with sample print
     const testBill = {
       billNumber: `CONFIG-TEST-${Date.now()}`,
@@ -1073,33 +1118,29 @@ router.post('/configure', auth, async (req, res) => {
       total: 1,
       createdAt: new Date()
     };
-    
+
     try {
-      await printBillTVS(testBill, { connection: 'auto' });
-      
+      await printBill(testBill, profile);
+
       res.json({
         success: true,
-        message: 'TVS RP3160 GOLD configuration updated and tested successfully',
-        config: config,
+        message: `Printer ${profile.name} saved and tested successfully`,
+        config: profile,
         testResult: 'Print test successful'
       });
     } catch (testError) {
       res.json({
         success: true,
-        message: 'TVS RP3160 GOLD configuration updated (test print failed)',
-        config: config,
+        message: `Printer ${profile.name} saved (test print failed)`,
+        config: profile,
         testResult: 'Print test failed: ' + testError.message,
         warning: 'Configuration saved but printer may not be ready'
       });
     }
-    
+
   } catch (error) {
-    console.error('TVS RP3160 GOLD configuration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'TVS RP3160 GOLD configuration failed: ' + error.message
-    });
+    handleSaveError(res, error, 'Configure printer');
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
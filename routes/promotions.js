@@ -0,0 +1,251 @@
+// routes/promotions.js - Discount rules, happy hours and coupon codes
+const express = require('express');
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Fields an admin may set on a promotion (usedCount is only ever changed by billing)
+const PROMOTION_FIELDS = [
+  'name', 'description', 'code', 'type', 'scope', 'value', 'maxDiscount', 'minBillAmount',
+  'buyQuantity', 'getQuantity', 'applicableItems', 'applicableCategories', 'happyHour',
+  'validFrom', 'validUntil', 'usageLimit', 'isActive'
+];
+
+// Copy allowed fields from the request body onto a promotion
+function assignPromotionFields(promotion, body) {
+  PROMOTION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      promotion[field] = body[field];
+    }
+  });
+
+  // An empty code turns a coupon back into an automatic promotion
+  if (body.code !== undefined && !String(body.code || '').trim()) {
+    promotion.code = undefined;
+  }
+
+  if (Array.isArray(body.applicableCategories)) {
+    promotion.applicableCategories = body.applicableCategories.map(category => category.toLowerCase().trim());
+  }
+}
+
+// Respond to a failed promotion save
+function handleSaveError(res, error, context) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A promotion with this coupon code already exists'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Get promotions, optionally only those usable right now
+router.get('/', auth, async (req, res) => {
+  try {
+    const { active, type, coupons } = req.query;
+
+    const query = {};
+    if (type && type !== 'all') query.type = type;
+    if (coupons === 'true') query.code = { $exists: true, $ne: null };
+    if (coupons === 'false') query.$or = [{ code: { $exists: false } }, { code: null }];
+
+    let promotions = await Promotion.find(query)
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    if (active === 'true') {
+      const now = new Date();
+      promotions = promotions.filter(promotion => promotion.isActiveAt(now));
+    }
+
+    res.json({
+      success: true,
+      data: promotions,
+      message: `Found ${promotions.length} promotions`
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions',
+      error: error.message
+    });
+  }
+});
+
+// Check a coupon code at the till before billing
+router.get('/coupon/:code', auth, async (req, res) => {
+  try {
+    const { promotions, error } = await Promotion.findApplicable({ code: req.params.code });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const coupon = promotions[promotions.length - 1];
+
+    res.json({
+      success: true,
+      data: coupon,
+      message: `Coupon ${coupon.code} is valid`
+    });
+  } catch (error) {
+    console.error('Check coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check coupon',
+      error: error.message
+    });
+  }
+});
+
+// Get single promotion
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('createdBy', 'username email')
+      .populate('updatedBy', 'username')
+      .populate('applicableItems', 'name category price');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion,
+      message: 'Promotion retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotion',
+      error: error.message
+    });
+  }
+});
+
+// Create promotion (Admin only)
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const promotion = new Promotion({ createdBy: req.user.userId });
+    assignPromotionFields(promotion, req.body);
+    await promotion.save();
+
+    res.status(201).json({
+      success: true,
+      data: promotion,
+      message: 'Promotion created successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create promotion');
+  }
+});
+
+// Update promotion (Admin only)
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    assignPromotionFields(promotion, req.body);
+    promotion.updatedBy = req.user.userId;
+    await promotion.save();
+
+    res.json({
+      success: true,
+      data: promotion,
+      message: 'Promotion updated successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update promotion');
+  }
+});
+
+// Toggle promotion on/off (Admin only). Bills keep the record of promotions applied to them.
+router.patch('/:id/status', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    promotion.isActive = !promotion.isActive;
+    promotion.updatedBy = req.user.userId;
+    await promotion.save();
+
+    res.json({
+      success: true,
+      data: promotion,
+      message: `Promotion ${promotion.isActive ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (error) {
+    console.error('Toggle promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to toggle promotion',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,431 @@
+// routes/purchaseOrders.js - Purchase orders on suppliers and the goods received notes (GRNs) booked against them
+const express = require('express');
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const SupplierInvoice = require('../models/SupplierInvoice');
+const Supplier = require('../models/Supplier');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { requestError, runTransaction } = require('../utils/transaction');
+const { buildPurchaseLines, receiveIntoStock } = require('../utils/purchasing');
+
+const router = express.Router();
+
+// Respond to a failed purchase order or receipt write
+function handlePurchaseError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Load a purchase order, responding 400/404 when it cannot be found
+async function loadPurchaseOrder(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid purchase order ID'
+    });
+    return null;
+  }
+
+  const order = await PurchaseOrder.findById(req.params.id);
+
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Purchase order not found'
+    });
+    return null;
+  }
+
+  return order;
+}
+
+// Get purchase orders with filtering
+router.get('/', auth, async (req, res) => {
+  try {
+    const { supplierId, status, outlet, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (supplierId) query.supplier = supplierId;
+    if (status) query.status = status;
+    if (outlet) query.outlet = outlet.toUpperCase();
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+    }
+
+    const [orders, total] = await Promise.all([
+      PurchaseOrder.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      PurchaseOrder.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${orders.length} purchase orders`
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders',
+      error: error.message
+    });
+  }
+});
+
+// Get goods receipts with filtering
+router.get('/receipts', auth, async (req, res) => {
+  try {
+    const { supplierId, purchaseOrderId, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (supplierId) query.supplier = supplierId;
+    if (purchaseOrderId) query.purchaseOrder = purchaseOrderId;
+    if (startDate || endDate) {
+      query.receivedAt = {};
+      if (startDate) query.receivedAt.$gte = new Date(startDate);
+      if (endDate) query.receivedAt.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+    }
+
+    const [receipts, total] = await Promise.all([
+      GoodsReceipt.find(query)
+        .sort({ receivedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      GoodsReceipt.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: receipts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${receipts.length} goods receipts`
+    });
+  } catch (error) {
+    console.error('Get goods receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch goods receipts',
+      error: error.message
+    });
+  }
+});
+
+// Get purchase order by ID, with its receipts and the supplier invoices matched to it
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const order = await loadPurchaseOrder(req, res);
+    if (!order) return;
+
+    const [receipts, invoices] = await Promise.all([
+      GoodsReceipt.find({ purchaseOrder: order._id }).sort({ receivedAt: 1 }),
+      SupplierInvoice.find({ purchaseOrder: order._id }).sort({ invoiceDate: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...order.toJSON(),
+        taxBreakup: order.getTaxBreakup(),
+        receipts,
+        invoices
+      },
+      message: 'Purchase order retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order',
+      error: error.message
+    });
+  }
+});
+
+// Raise a purchase order (Admin only) - saved as a draft, or placed straight away with `place: true`
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { supplierId, lines, expectedDate, notes = '', place = false } = req.body;
+
+    const supplier = mongoose.Types.ObjectId.isValid(supplierId)
+      ? await Supplier.findOne({ _id: supplierId, isActive: true })
+      : null;
+    if (!supplier) {
+      return res.status(400).json({
+        success: false,
+        message: 'Active supplier is required'
+      });
+    }
+
+    const built = await buildPurchaseLines(lines);
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        message: built.error
+      });
+    }
+
+    const order = new PurchaseOrder({
+      outlet: (req.body.outlet || Counter.DEFAULT_OUTLET).toUpperCase(),
+      supplier: supplier._id,
+      supplierName: supplier.name,
+      supplierGstin: supplier.gstin,
+      supplyType: supplier.supplyType,
+      lines: built.lines,
+      expectedDate: expectedDate || null,
+      notes,
+      status: place ? 'ordered' : 'draft',
+      orderedAt: place ? new Date() : null,
+      createdBy: req.user.userId
+    });
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      data: order,
+      message: place ? `Purchase order ${order.poNumber} placed with ${supplier.name}` : 'Purchase order saved as draft'
+    });
+  } catch (error) {
+    handlePurchaseError(res, error, 'Create purchase order');
+  }
+});
+
+// Update a draft purchase order (Admin only) - orders already placed with the supplier cannot be edited
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const order = await loadPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited'
+      });
+    }
+
+    const { lines, expectedDate, notes } = req.body;
+
+    if (lines !== undefined) {
+      const built = await buildPurchaseLines(lines);
+      if (built.error) {
+        return res.status(400).json({
+          success: false,
+          message: built.error
+        });
+      }
+      order.lines = built.lines;
+    }
+    if (expectedDate !== undefined) order.expectedDate = expectedDate || null;
+    if (notes !== undefined) order.notes = notes;
+    order.updatedBy = req.user.userId;
+
+    await order.save();
+
+    res.json({
+      success: true,
+      data: order,
+      message: 'Purchase order updated successfully'
+    });
+  } catch (error) {
+    handlePurchaseError(res, error, 'Update purchase order');
+  }
+});
+
+// Place a draft purchase order with the supplier (Admin only) - issues its PO number
+router.patch('/:id/place', auth, adminAuth, async (req, res) => {
+  try {
+    const order = await loadPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Purchase order is already ${order.status}`
+      });
+    }
+
+    order.status = 'ordered';
+    order.orderedAt = new Date();
+    order.updatedBy = req.user.userId;
+    await order.save();
+
+    res.json({
+      success: true,
+      data: order,
+      message: `Purchase order ${order.poNumber} placed with ${order.supplierName}`
+    });
+  } catch (error) {
+    handlePurchaseError(res, error, 'Place purchase order');
+  }
+});
+
+// Cancel a purchase order (Admin only) - only before anything has been received against it
+router.patch('/:id/cancel', auth, adminAuth, async (req, res) => {
+  try {
+    const order = await loadPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (!['draft', 'ordered'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${order.status} purchase order cannot be cancelled`
+      });
+    }
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    order.cancelReason = req.body.reason || null;
+    order.updatedBy = req.user.userId;
+    await order.save();
+
+    res.json({
+      success: true,
+      data: order,
+      message: order.poNumber ? `Purchase order ${order.poNumber} cancelled` : 'Draft purchase order cancelled'
+    });
+  } catch (error) {
+    handlePurchaseError(res, error, 'Cancel purchase order');
+  }
+});
+
+// Receive goods against a purchase order - lines [{ lineId, quantity }], part deliveries allowed.
+// The GRN, the order's received quantities and the stock increase commit together.
+router.post('/:id/receipts', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    const { lines, challanNumber = '', notes = '' } = req.body;
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one received line is required'
+      });
+    }
+
+    let receipt;
+    let order;
+
+    await runTransaction(async (session) => {
+      order = await PurchaseOrder.findById(req.params.id).session(session);
+
+      if (!order) {
+        throw requestError(404, 'Purchase order not found');
+      }
+
+      if (!order.canReceive()) {
+        throw requestError(400, `Goods cannot be received against a ${order.status} purchase order`);
+      }
+
+      const receiptLines = [];
+      for (const line of lines) {
+        const orderLine = order.lines.id(line.lineId);
+        const quantity = parseFloat(line.quantity);
+
+        if (!orderLine) {
+          throw requestError(400, `Purchase order line not found: ${line.lineId}`);
+        }
+
+        const pending = orderLine.quantity - orderLine.receivedQuantity;
+        if (!quantity || quantity <= 0 || quantity > pending) {
+          throw requestError(400, `Invalid quantity for "${orderLine.name}". Pending: ${pending}, Received: ${line.quantity}`);
+        }
+
+        if (orderLine.menuItem && !Number.isInteger(quantity)) {
+          throw requestError(400, `"${orderLine.name}" is received in whole units`);
+        }
+
+        orderLine.receivedQuantity += quantity;
+        receiptLines.push({
+          poLine: orderLine._id,
+          ingredient: orderLine.ingredient,
+          menuItem: orderLine.menuItem,
+          variant: orderLine.variant,
+          name: orderLine.name,
+          unit: orderLine.unit,
+          quantity,
+          unitCost: orderLine.unitCost,
+          taxRate: orderLine.taxRate
+        });
+      }
+
+      const receivedAt = new Date();
+      order.updateReceiptStatus(receivedAt);
+      order.updatedBy = req.user.userId;
+      await order.save({ session });
+
+      receipt = new GoodsReceipt({
+        outlet: order.outlet,
+        purchaseOrder: order._id,
+        poNumber: order.poNumber,
+        supplier: order.supplier,
+        supplierName: order.supplierName,
+        supplyType: order.supplyType,
+        challanNumber,
+        lines: receiptLines,
+        notes,
+        receivedAt,
+        receivedBy: req.user.userId,
+        receivedByName: req.user.username
+      });
+      await receipt.save({ session });
+
+      await receiveIntoStock(receipt, { session });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { receipt, purchaseOrder: order },
+      message: `${receipt.grnNumber} booked - purchase order ${order.poNumber} is ${order.status}`
+    });
+  } catch (error) {
+    handlePurchaseError(res, error, 'Receive goods');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+// routes/series.js - Document number series configuration (prefix/format per outlet)
+const express = require('express');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { getFinancialYear } = require('../utils/financialYear');
+
+const router = express.Router();
+
+// Shape a counter for API responses with the current FY position and next number preview
+function describeCounter(counter) {
+  const now = new Date();
+  const lastSequence = counter.getSequence(now);
+
+  return {
+    _id: counter._id,
+    outlet: counter.outlet,
+    series: counter.series,
+    prefix: counter.prefix,
+    format: counter.format,
+    padding: counter.padding,
+    financialYear: getFinancialYear(now).label,
+    lastSequence,
+    lastNumber: lastSequence > 0 ? counter.formatNumber(lastSequence, now) : null,
+    nextNumber: counter.formatNumber(lastSequence + 1, now),
+    sequences: Object.fromEntries(counter.sequences),
+    updatedAt: counter.updatedAt
+  };
+}
+
+// Get all number series
+router.get('/', auth, async (req, res) => {
+  try {
+    const { outlet } = req.query;
+    const query = outlet ? { outlet: outlet.toUpperCase() } : {};
+
+    const counters = await Counter.find(query).sort({ outlet: 1, series: 1 });
+
+    res.json({
+      success: true,
+      data: counters.map(describeCounter),
+      message: `Found ${counters.length} number series`
+    });
+  } catch (error) {
+    console.error('Get number series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch number series',
+      error: error.message
+    });
+  }
+});
+
+// Configure prefix/format of a series (Admin only). Issued sequences can never be changed here.
+router.put('/:series', auth, adminAuth, async (req, res) => {
+  try {
+    const { outlet = Counter.DEFAULT_OUTLET, prefix, format, padding } = req.body;
+    const series = req.params.series.toLowerCase();
+
+    let counter = await Counter.findOne({ outlet: outlet.toUpperCase(), series });
+
+    if (!counter) {
+      counter = new Counter({
+        outlet,
+        series,
+        prefix: Counter.SERIES_DEFAULTS[series]?.prefix || ''
+      });
+    }
+
+    if (prefix !== undefined) counter.prefix = prefix;
+    if (format !== undefined) counter.format = format;
+    if (padding !== undefined) counter.padding = parseInt(padding);
+    counter.updatedBy = req.user.userId;
+
+    await counter.save();
+
+    res.json({
+      success: true,
+      data: describeCounter(counter),
+      message: `Number series "${series}" updated for outlet ${counter.outlet}`
+    });
+  } catch (error) {
+    console.error('Update number series error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update number series',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// routes/settings.js - Per-outlet billing settings (charges, round-off, loyalty scheme)
+const express = require('express');
+const BillingSettings = require('../models/BillingSettings');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Numeric billing settings an admin may change
+const NUMERIC_FIELDS = [
+  'serviceChargeRate', 'packingCharge', 'chargesTaxRate',
+  'loyaltyEarnRate', 'loyaltyPointValue', 'feedbackRewardPercent', 'feedbackRewardValidDays'
+];
+
+// Get an outlet's billing settings (defaults if never configured)
+router.get('/billing', auth, async (req, res) => {
+  try {
+    const { outlet = Counter.DEFAULT_OUTLET } = req.query;
+    const settings = await BillingSettings.getForOutlet(outlet);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: `Billing settings for outlet ${settings.outlet}`
+    });
+  } catch (error) {
+    console.error('Get billing settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch billing settings',
+      error: error.message
+    });
+  }
+});
+
+// Update an outlet's billing settings (Admin only). Applies to bills created from now on.
+router.put('/billing', auth, adminAuth, async (req, res) => {
+  try {
+    const { outlet = Counter.DEFAULT_OUTLET, roundOff } = req.body;
+
+    const settings = await BillingSettings.getForOutlet(outlet);
+
+    NUMERIC_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) settings[field] = parseFloat(req.body[field]);
+    });
+    if (roundOff !== undefined) settings.roundOff = roundOff === 'true' || roundOff === true;
+    settings.updatedBy = req.user.userId;
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      data: settings,
+      message: `Billing settings updated for outlet ${settings.outlet}`
+    });
+  } catch (error) {
+    console.error('Update billing settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update billing settings',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+// routes/shifts.js - Cashier shifts: open with a float, X-reports mid-shift, cash up at close
+const express = require('express');
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const { buildSalesReport, queueReportPrint } = require('../utils/salesReport');
+const { jobSummary } = require('../utils/printQueue');
+
+const router = express.Router();
+
+// Load a shift the requesting user may act on - their own, or any shift for admins
+async function loadShift(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid shift ID'
+    });
+    return null;
+  }
+
+  const shift = await Shift.findById(req.params.id);
+
+  if (!shift) {
+    res.status(404).json({
+      success: false,
+      message: 'Shift not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && String(shift.cashier) !== String(req.user.userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only view or close your own shift'
+    });
+    return null;
+  }
+
+  return shift;
+}
+
+// X-report of a shift: its figures so far (open shift) or at close, with the drawer reconciliation
+async function shiftXReport(shift) {
+  const report = shift.status === 'closed'
+    ? shift.report
+    : await buildSalesReport({
+      outlet: shift.outlet,
+      from: shift.openedAt,
+      to: new Date(),
+      cashier: shift.cashier,
+      shift: shift._id
+    });
+
+  return {
+    report,
+    cash: {
+      openingFloat: shift.openingFloat,
+      expected: shift.getExpectedCash(report),
+      counted: shift.countedCash,
+      variance: shift.cashVariance
+    }
+  };
+}
+
+// Open a shift for the logged-in cashier
+router.post('/open', auth, async (req, res) => {
+  try {
+    const outlet = (req.body.outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+    const openingFloat = parseFloat(req.body.openingFloat);
+
+    if (isNaN(openingFloat) || openingFloat < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opening float must be 0 or more'
+      });
+    }
+
+    const existing = await Shift.findOpen(req.user.userId, outlet);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        data: existing,
+        message: `You already have a shift open since ${existing.openedAt.toLocaleString('en-IN')}`
+      });
+    }
+
+    // A drawer is counted for one shift at a time
+    const terminal = (req.body.terminal || '').trim();
+    if (terminal) {
+      const onTerminal = await Shift.findOne({ outlet, terminal, status: 'open' }).select('cashierName openedAt');
+      if (onTerminal) {
+        return res.status(409).json({
+          success: false,
+          message: `Terminal ${terminal} already has a shift open by ${onTerminal.cashierName} - close it first`
+        });
+      }
+    }
+
+    const shift = new Shift({
+      outlet,
+      cashier: req.user.userId,
+      cashierName: req.user.username,
+      terminal,
+      openingFloat
+    });
+    await shift.save();
+
+    res.status(201).json({
+      success: true,
+      data: shift,
+      message: `Shift opened with a float of ${openingFloat.toFixed(2)}`
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You or this terminal already have a shift open at this outlet'
+      });
+    }
+
+    console.error('Open shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open shift',
+      error: error.message
+    });
+  }
+});
+
+// Get the logged-in cashier's open shift
+router.get('/current', auth, async (req, res) => {
+  try {
+    const shift = await Shift.findOpen(req.user.userId, req.query.outlet);
+
+    res.json({
+      success: true,
+      data: shift,
+      message: shift ? 'Shift is open' : 'No open shift'
+    });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch current shift',
+      error: error.message
+    });
+  }
+});
+
+// Get shifts - cashiers see their own, admins everyone's
+router.get('/', auth, async (req, res) => {
+  try {
+    const { outlet, status, cashierId, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (outlet) query.outlet = outlet.toUpperCase();
+    if (status && status !== 'all') query.status = status;
+    if (req.user.role !== 'admin') {
+      query.cashier = req.user.userId;
+    } else if (cashierId) {
+      query.cashier = cashierId;
+    }
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) query.openedAt.$gte = new Date(startDate);
+      if (endDate) query.openedAt.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+    }
+
+    const [shifts, total] = await Promise.all([
+      Shift.find(query)
+        .select('-report')
+        .sort({ openedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Shift.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: shifts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${shifts.length} shifts`
+    });
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shifts',
+      error: error.message
+    });
+  }
+});
+
+// Get shift by ID
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+
+    res.json({
+      success: true,
+      data: shift,
+      message: 'Shift retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shift',
+      error: error.message
+    });
+  }
+});
+
+// X-report - the shift's figures so far, without closing anything
+router.get('/:id/x-report', auth, async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+
+    const { report, cash } = await shiftXReport(shift);
+
+    res.json({
+      success: true,
+      data: { shift: shift._id, cashierName: shift.cashierName, status: shift.status, ...report, drawer: cash },
+      message: `X-report for ${shift.cashierName}'s shift`
+    });
+  } catch (error) {
+    console.error('X-report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build X-report',
+      error: error.message
+    });
+  }
+});
+
+// Print the X-report on the receipt printer
+router.post('/:id/x-report/print', auth, async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+
+    const { report, cash } = await shiftXReport(shift);
+    const { job, printer } = await queueReportPrint(report, {
+      label: `X-report ${shift.cashierName}`,
+      heading: ['X-REPORT', shift.status === 'closed' ? 'SHIFT CLOSED' : 'SHIFT IN PROGRESS', `Cashier: ${shift.cashierName}`],
+      cash,
+      profileId: req.body.profileId || null,
+      requestedBy: req.user.userId
+    });
+
+    res.status(202).json({
+      success: true,
+      data: jobSummary(job),
+      message: `X-report queued for printing on ${printer}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Print X-report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to print X-report',
+      error: error.message
+    });
+  }
+});
+
+// Close a shift: count the drawer, freeze the figures and print the closing report
+router.post('/:id/close', auth, async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+
+    if (shift.status === 'closed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Shift is already closed'
+      });
+    }
+
+    const countedCash = parseFloat(req.body.countedCash);
+    if (isNaN(countedCash) || countedCash < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counted cash must be 0 or more'
+      });
+    }
+
+    const report = await buildSalesReport({
+      outlet: shift.outlet,
+      from: shift.openedAt,
+      to: new Date(),
+      cashier: shift.cashier,
+      shift: shift._id
+    });
+
+    shift.close({ report, countedCash, closedBy: req.user.userId, notes: req.body.notes || '' });
+    await shift.save();
+
+    let print = null;
+    if (req.body.print !== false) {
+      const { report: closing, cash } = await shiftXReport(shift);
+      const { job, printer } = await queueReportPrint(closing, {
+        label: `Shift close ${shift.cashierName}`,
+        heading: ['SHIFT CLOSE', `Cashier: ${shift.cashierName}`],
+        cash,
+        requestedBy: req.user.userId
+      });
+      print = { job: jobSummary(job), printer };
+    }
+
+    const variance = shift.cashVariance;
+    res.json({
+      success: true,
+      data: shift,
+      print,
+      message: variance === 0
+        ? 'Shift closed - cash matches'
+        : `Shift closed - cash ${variance > 0 ? 'over' : 'short'} by ${Math.abs(variance).toFixed(2)}`
+    });
+  } catch (error) {
+    console.error('Close shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close shift',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+// routes/supplierInvoices.js - Supplier invoices matched to goods received, and payments against them
+const express = require('express');
+const mongoose = require('mongoose');
+const SupplierInvoice = require('../models/SupplierInvoice');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Supplier = require('../models/Supplier');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { round2 } = require('../utils/gst');
+const { requestError, runTransaction } = require('../utils/transaction');
+const { uninvoicedReceipts } = require('../utils/purchasing');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Respond to a failed invoice or payment save
+function handleInvoiceError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: error.keyPattern?.goodsReceipts
+        ? 'A goods receipt on this invoice is already billed on another invoice'
+        : 'This supplier invoice number is already recorded'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Get supplier invoices (Admin only) - `overdue=true` for unpaid invoices past their due date
+router.get('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { supplierId, status, matchStatus, overdue, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (supplierId) query.supplier = supplierId;
+    if (status) query.status = status;
+    if (matchStatus) query.matchStatus = matchStatus;
+    if (overdue === 'true') {
+      query.outstanding = { $gt: 0 };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    const [invoices, total] = await Promise.all([
+      SupplierInvoice.find(query)
+        .sort({ invoiceDate: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      SupplierInvoice.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: invoices,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${invoices.length} supplier invoices`
+    });
+  } catch (error) {
+    console.error('Get supplier invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch supplier invoices',
+      error: error.message
+    });
+  }
+});
+
+// Get supplier invoice by ID, with the goods receipts it was matched against
+router.get('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier invoice ID'
+      });
+    }
+
+    const invoice = await SupplierInvoice.findById(req.params.id)
+      .populate('goodsReceipts', 'grnNumber receivedAt lines subtotal gst total')
+      .populate('payments.paidBy', 'username');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice,
+      message: 'Supplier invoice retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get supplier invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch supplier invoice',
+      error: error.message
+    });
+  }
+});
+
+// Record a supplier invoice against a purchase order (Admin only). It is matched against the goods receipts
+// it bills for (`goodsReceiptIds`, by default every receipt on the order not invoiced yet) at the ordered cost.
+// The receipts are read and the invoice written in one transaction, so two invoices racing for the same
+// delivery end with one of them told the delivery is already billed.
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { purchaseOrderId, invoiceNumber, invoiceDate, dueDate, subtotal, gst = 0, goodsReceiptIds, notes = '' } = req.body;
+
+    if (goodsReceiptIds !== undefined &&
+      (!Array.isArray(goodsReceiptIds) || !goodsReceiptIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'goodsReceiptIds must be an array of goods receipt IDs'
+      });
+    }
+
+    let invoice;
+    let receipts;
+
+    await runTransaction(async (session) => {
+      const order = mongoose.Types.ObjectId.isValid(purchaseOrderId)
+        ? await PurchaseOrder.findById(purchaseOrderId).session(session)
+        : null;
+      if (!order) {
+        throw requestError(404, 'Purchase order not found');
+      }
+
+      if (goodsReceiptIds !== undefined) {
+        receipts = await GoodsReceipt.find({ _id: { $in: goodsReceiptIds }, purchaseOrder: order._id }).session(session);
+        if (receipts.length !== new Set(goodsReceiptIds.map(String)).size) {
+          throw requestError(400, 'Some goods receipts do not belong to this purchase order');
+        }
+
+        const billed = await SupplierInvoice.findOne({ goodsReceipts: { $in: goodsReceiptIds } })
+          .select('invoiceNumber')
+          .session(session);
+        if (billed) {
+          throw requestError(409, `Some goods receipts are already billed on invoice ${billed.invoiceNumber}`);
+        }
+      } else {
+        receipts = await uninvoicedReceipts({ purchaseOrder: order._id }, { session });
+      }
+
+      if (receipts.length === 0) {
+        throw requestError(400, 'Nothing received on this purchase order is waiting to be invoiced');
+      }
+
+      const supplier = await Supplier.findById(order.supplier).select('paymentTermsDays').session(session);
+      const issuedOn = invoiceDate ? new Date(invoiceDate) : new Date();
+      const terms = supplier ? supplier.paymentTermsDays : 0;
+
+      invoice = new SupplierInvoice({
+        supplier: order.supplier,
+        supplierName: order.supplierName,
+        purchaseOrder: order._id,
+        poNumber: order.poNumber,
+        invoiceNumber,
+        invoiceDate: issuedOn,
+        dueDate: dueDate ? new Date(dueDate) : new Date(issuedOn.getTime() + terms * DAY_MS),
+        goodsReceipts: receipts.map(receipt => receipt._id),
+        subtotal: subtotal !== undefined ? round2(parseFloat(subtotal)) : undefined,
+        gst: round2(parseFloat(gst) || 0),
+        receivedValue: round2(receipts.reduce((sum, receipt) => sum + receipt.total, 0)),
+        notes,
+        createdBy: req.user.userId
+      });
+      await invoice.save({ session });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invoice,
+      message: invoice.matchStatus === 'matched'
+        ? `Invoice ${invoice.invoiceNumber} matches ${receipts.length} goods receipt(s)`
+        : `Invoice ${invoice.invoiceNumber} is ${Math.abs(invoice.variance).toFixed(2)} ${invoice.variance > 0 ? 'over' : 'under'} the goods received - check before paying`
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'Record supplier invoice');
+  }
+});
+
+// Record a payment against a supplier invoice (Admin only) - part payments allowed, never more than is outstanding
+router.post('/:id/payments', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier invoice ID'
+      });
+    }
+
+    const { amount, method, reference = '', paidAt } = req.body;
+
+    const invoice = await SupplierInvoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier invoice not found'
+      });
+    }
+
+    invoice.payments.push({
+      amount: round2(parseFloat(amount) || 0),
+      method,
+      reference,
+      paidAt: paidAt ? new Date(paidAt) : new Date(),
+      paidBy: req.user.userId
+    });
+    await invoice.save();
+
+    res.status(201).json({
+      success: true,
+      data: invoice,
+      message: invoice.status === 'paid'
+        ? `Invoice ${invoice.invoiceNumber} paid in full`
+        : `Payment recorded - ${invoice.outstanding.toFixed(2)} outstanding on invoice ${invoice.invoiceNumber}`
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'Record supplier payment');
+  }
+});
+
+module.exports = router;
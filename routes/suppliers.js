@@ -0,0 +1,243 @@
+// routes/suppliers.js - Supplier directory, outstanding payables and purchase spend
+const express = require('express');
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { getFinancialYear } = require('../utils/financialYear');
+const { buildPayables, buildSpendReport } = require('../utils/purchasing');
+
+const router = express.Router();
+
+// Fields an admin may set on a supplier
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'phone', 'email', 'address', 'gstin', 'supplyType', 'paymentTermsDays', 'notes', 'isActive'];
+
+// Copy allowed fields from the request body onto a supplier
+function assignSupplierFields(supplier, body) {
+  SUPPLIER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      supplier[field] = body[field];
+    }
+  });
+}
+
+// Respond to a failed supplier save
+function handleSaveError(res, error, context) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A supplier with this name already exists'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Get suppliers
+router.get('/', auth, async (req, res) => {
+  try {
+    const { active, search } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { gstin: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: suppliers,
+      message: `Found ${suppliers.length} suppliers`
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppliers',
+      error: error.message
+    });
+  }
+});
+
+// Outstanding payables (Admin only) - invoices aged by days past due, and deliveries not invoiced yet
+router.get('/payables', auth, adminAuth, async (req, res) => {
+  try {
+    const { supplierId } = req.query;
+
+    if (supplierId && !mongoose.Types.ObjectId.isValid(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const payables = await buildPayables({ supplier: supplierId || null });
+
+    res.json({
+      success: true,
+      data: payables,
+      message: `Outstanding ${payables.totals.outstanding.toFixed(2)} (${payables.totals.overdue.toFixed(2)} overdue)`
+    });
+  } catch (error) {
+    console.error('Get payables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payables',
+      error: error.message
+    });
+  }
+});
+
+// Purchase spend per supplier per month (Admin only) - by goods received, for the current financial year by default
+router.get('/reports/spend', auth, adminAuth, async (req, res) => {
+  try {
+    const { startDate, endDate, outlet } = req.query;
+    const fy = getFinancialYear();
+
+    const from = startDate ? new Date(startDate) : fy.startDate;
+    const to = endDate ? new Date(new Date(endDate).setHours(23, 59, 59, 999)) : fy.endDate;
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const report = await buildSpendReport(from, to, { outlet: outlet ? outlet.toUpperCase() : null });
+
+    res.json({
+      success: true,
+      data: report,
+      message: `Purchases of ${report.totals.total.toFixed(2)} from ${report.suppliers.length} supplier(s)`
+    });
+  } catch (error) {
+    console.error('Purchase spend report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build purchase spend report',
+      error: error.message
+    });
+  }
+});
+
+// Get supplier by ID, with its recent purchase orders and what is owed to it
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const [purchaseOrders, payables] = await Promise.all([
+      PurchaseOrder.find({ supplier: supplier._id })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .select('poNumber status total orderedAt receivedAt createdAt'),
+      buildPayables({ supplier: supplier._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...supplier.toJSON(),
+        purchaseOrders,
+        payables: payables.suppliers[0] || null
+      },
+      message: 'Supplier retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch supplier',
+      error: error.message
+    });
+  }
+});
+
+// Create supplier (Admin only)
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const supplier = new Supplier({ createdBy: req.user.userId });
+    assignSupplierFields(supplier, req.body);
+    await supplier.save();
+
+    res.status(201).json({
+      success: true,
+      data: supplier,
+      message: 'Supplier created successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create supplier');
+  }
+});
+
+// Update supplier (Admin only). Orders already placed keep the supplier details they were raised with.
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    assignSupplierFields(supplier, req.body);
+    supplier.updatedBy = req.user.userId;
+    await supplier.save();
+
+    res.json({
+      success: true,
+      data: supplier,
+      message: 'Supplier updated successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update supplier');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,430 @@
+// routes/tables.js - Floor layout: areas, tables, live table status, merges and reservations
+const express = require('express');
+const mongoose = require('mongoose');
+const Area = require('../models/Area');
+const Table = require('../models/Table');
+const Bill = require('../models/Bill');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Respond to a failed area/table save
+function handleSaveError(res, error, context) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'An entry with this name/number already exists for the outlet'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${context.toLowerCase()}`,
+    error: error.message
+  });
+}
+
+// Load an active table by id, or respond 400/404 and return null
+async function findTable(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid table ID'
+    });
+    return null;
+  }
+
+  const table = await Table.findOne({ _id: req.params.id, isActive: true });
+
+  if (!table) {
+    res.status(404).json({
+      success: false,
+      message: 'Table not found'
+    });
+    return null;
+  }
+
+  return table;
+}
+
+// Get areas
+router.get('/areas', auth, async (req, res) => {
+  try {
+    const { outlet = Counter.DEFAULT_OUTLET } = req.query;
+
+    const areas = await Area.find({ outlet: outlet.toUpperCase(), isActive: true })
+      .sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: areas,
+      message: `Found ${areas.length} areas`
+    });
+  } catch (error) {
+    console.error('Get areas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch areas',
+      error: error.message
+    });
+  }
+});
+
+// Create area (Admin only)
+router.post('/areas', auth, adminAuth, async (req, res) => {
+  try {
+    const { outlet, name, description, sortOrder } = req.body;
+
+    const area = new Area({
+      outlet: outlet || undefined,
+      name,
+      description: description || '',
+      sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : 0
+    });
+    await area.save();
+
+    res.status(201).json({
+      success: true,
+      data: area,
+      message: 'Area created successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create area');
+  }
+});
+
+// Update area (Admin only)
+router.put('/areas/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const area = await Area.findById(req.params.id);
+
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Area not found'
+      });
+    }
+
+    const { name, description, sortOrder, isActive } = req.body;
+    if (name !== undefined) area.name = name;
+    if (description !== undefined) area.description = description;
+    if (sortOrder !== undefined) area.sortOrder = parseInt(sortOrder);
+    if (isActive !== undefined) area.isActive = isActive === 'true' || isActive === true;
+
+    await area.save();
+
+    res.json({
+      success: true,
+      data: area,
+      message: 'Area updated successfully'
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update area');
+  }
+});
+
+// Floor view - every table with its status (vacant / occupied / billed / reserved) and open bill
+router.get('/', auth, async (req, res) => {
+  try {
+    const { outlet = Counter.DEFAULT_OUTLET, areaId, status } = req.query;
+
+    let tables = await Table.getFloorStatus({ outlet, area: areaId || null });
+    if (status && status !== 'all') {
+      tables = tables.filter(table => table.status === status);
+    }
+
+    const counts = Table.TABLE_STATUSES.reduce((acc, key) => ({
+      ...acc,
+      [key]: tables.filter(table => table.status === key).length
+    }), {});
+
+    res.json({
+      success: true,
+      data: tables,
+      summary: counts,
+      message: `Found ${tables.length} tables`
+    });
+  } catch (error) {
+    console.error('Get tables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tables',
+      error: error.message
+    });
+  }
+});
+
+// Get single table
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    await table.populate('area', 'name');
+    const mergedTables = await Table.find({ mergedInto: table._id, isActive: true }).select('number capacity');
+
+    res.json({
+      success: true,
+      data: {
+        ...table.toObject(),
+        mergedTables
+      },
+      message: 'Table retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get table error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch table',
+      error: error.message
+    });
+  }
+});
+
+// Create table (Admin only)
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { outlet, number, areaId, capacity, layout } = req.body;
+
+    const table = new Table({
+      outlet: outlet || undefined,
+      number,
+      area: areaId || null,
+      capacity: capacity !== undefined ? parseInt(capacity) : undefined,
+      layout
+    });
+    await table.save();
+
+    res.status(201).json({
+      success: true,
+      data: table,
+      message: `Table ${table.number} created successfully`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Create table');
+  }
+});
+
+// Update table (Admin only)
+router.put('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    const { number, areaId, capacity, layout } = req.body;
+    if (number !== undefined) table.number = number;
+    if (areaId !== undefined) table.area = areaId || null;
+    if (capacity !== undefined) table.capacity = parseInt(capacity);
+    if (layout !== undefined) table.layout = { ...table.layout.toObject(), ...layout };
+
+    await table.save();
+
+    res.json({
+      success: true,
+      data: table,
+      message: `Table ${table.number} updated successfully`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Update table');
+  }
+});
+
+// Remove table from the floor (Admin only) - only when nothing is open on it
+router.delete('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    if (await Bill.exists({ table: table._id, status: 'pending' })) {
+      return res.status(400).json({
+        success: false,
+        message: `Table ${table.number} has an open bill`
+      });
+    }
+
+    await Table.updateMany({ mergedInto: table._id }, { $set: { mergedInto: null } });
+    table.isActive = false;
+    table.mergedInto = null;
+    await table.save();
+
+    res.json({
+      success: true,
+      message: `Table ${table.number} removed`
+    });
+  } catch (error) {
+    console.error('Delete table error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove table',
+      error: error.message
+    });
+  }
+});
+
+// Push tables together for a large party - the merged tables seat on this table's bill
+router.post('/:id/merge', auth, async (req, res) => {
+  try {
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    const { tableIds } = req.body;
+
+    if (!Array.isArray(tableIds) || tableIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'tableIds array is required'
+      });
+    }
+
+    if (table.mergedInto) {
+      return res.status(400).json({
+        success: false,
+        message: `Table ${table.number} is itself merged into another table`
+      });
+    }
+
+    const others = await Table.find({ _id: { $in: tableIds, $ne: table._id }, outlet: table.outlet, isActive: true });
+
+    if (others.length !== tableIds.filter(id => id !== table._id.toString()).length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more tables not found'
+      });
+    }
+
+    const busy = [];
+    for (const other of others) {
+      const hasBill = await Bill.exists({ table: other._id, status: 'pending' });
+      const hasMerged = await Table.exists({ mergedInto: other._id });
+      if (hasBill || hasMerged || (other.mergedInto && !other.mergedInto.equals(table._id))) {
+        busy.push(other.number);
+      }
+    }
+
+    if (busy.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Tables in use: ${busy.join(', ')} - transfer or merge their bills first`
+      });
+    }
+
+    await Table.updateMany(
+      { _id: { $in: others.map(other => other._id) } },
+      { $set: { mergedInto: table._id } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        table: table._id,
+        mergedTables: others.map(other => other.number),
+        capacity: table.capacity + others.reduce((sum, other) => sum + other.capacity, 0)
+      },
+      message: `Tables ${others.map(other => other.number).join(', ')} merged into ${table.number}`
+    });
+  } catch (error) {
+    console.error('Merge tables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge tables',
+      error: error.message
+    });
+  }
+});
+
+// Split merged tables apart again - any open bill stays on this table
+router.post('/:id/split', auth, async (req, res) => {
+  try {
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    const { tableIds } = req.body;
+    const filter = { mergedInto: table._id };
+    if (Array.isArray(tableIds) && tableIds.length > 0) {
+      filter._id = { $in: tableIds };
+    }
+
+    const result = await Table.updateMany(filter, { $set: { mergedInto: null } });
+
+    res.json({
+      success: true,
+      data: { table: table._id, released: result.modifiedCount },
+      message: `${result.modifiedCount} tables split from ${table.number}`
+    });
+  } catch (error) {
+    console.error('Split tables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to split tables',
+      error: error.message
+    });
+  }
+});
+
+// Reserve a table
+router.put('/:id/reservation', auth, async (req, res) => {
+  try {
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    const { name, phone, partySize, at, notes } = req.body;
+
+    table.reservation = {
+      name,
+      phone: phone || null,
+      partySize: partySize !== undefined ? parseInt(partySize) : undefined,
+      at,
+      notes: notes || '',
+      createdBy: req.user.userId
+    };
+    await table.save();
+
+    res.json({
+      success: true,
+      data: table,
+      message: `Table ${table.number} reserved for ${table.reservation.name}`
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Reserve table');
+  }
+});
+
+// Cancel a table reservation
+router.delete('/:id/reservation', auth, async (req, res) => {
+  try {
+    const table = await findTable(req, res);
+    if (!table) return;
+
+    table.reservation = null;
+    await table.save();
+
+    res.json({
+      success: true,
+      data: table,
+      message: `Reservation on table ${table.number} cancelled`
+    });
+  } catch (error) {
+    console.error('Cancel reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel reservation',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,316 @@
+// routes/zReports.js - End-of-day Z-reports: close the business day into an immutable record and print it
+const express = require('express');
+const mongoose = require('mongoose');
+const ZReport = require('../models/ZReport');
+const Shift = require('../models/Shift');
+const Counter = require('../models/Counter');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const { round2 } = require('../utils/gst');
+const { requestError, runTransaction } = require('../utils/transaction');
+const { buildSalesReport, queueReportPrint } = require('../utils/salesReport');
+const { jobSummary } = require('../utils/printQueue');
+
+const router = express.Router();
+
+// Local calendar date as YYYY-MM-DD
+function toBusinessDate(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Period the next Z-report for an outlet covers: from the previous close (or the start of the business day) to now
+async function openPeriod(outlet, businessDate, session = null) {
+  const latest = await ZReport.findLatest(outlet, { session });
+  const [year, month, day] = businessDate.split('-').map(Number);
+
+  return {
+    from: latest ? latest.to : new Date(year, month - 1, day),
+    to: new Date(),
+    previous: latest
+  };
+}
+
+// Drawer totals across the shifts closed in a period
+function summarizeShifts(shifts) {
+  const counted = shifts.filter(shift => shift.countedCash !== null);
+
+  return {
+    openingFloat: round2(shifts.reduce((sum, shift) => sum + shift.openingFloat, 0)),
+    expected: round2(shifts.reduce((sum, shift) => sum + (shift.expectedCash || 0), 0)),
+    counted: counted.length > 0 ? round2(counted.reduce((sum, shift) => sum + shift.countedCash, 0)) : null,
+    variance: counted.length > 0 ? round2(counted.reduce((sum, shift) => sum + (shift.cashVariance || 0), 0)) : null
+  };
+}
+
+// Printout headings for a Z-report
+function zHeading(zReport) {
+  return ['Z-REPORT', zReport.zNumber, `Business day ${zReport.businessDate}`];
+}
+
+// Preview the figures the next Z-report would freeze, without closing the day
+router.get('/preview', auth, adminAuth, async (req, res) => {
+  try {
+    const outlet = (req.query.outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+    const businessDate = req.query.businessDate || toBusinessDate(new Date());
+    const { from, to } = await openPeriod(outlet, businessDate);
+
+    const [report, shifts, openShifts] = await Promise.all([
+      buildSalesReport({ outlet, from, to }),
+      Shift.find({ outlet, status: 'closed', zReport: null, closedAt: { $gt: from, $lte: to } }),
+      Shift.find({ outlet, status: 'open' }).select('cashierName terminal openedAt')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        outlet,
+        businessDate,
+        from,
+        to,
+        report,
+        cash: summarizeShifts(shifts),
+        openShifts
+      },
+      message: openShifts.length > 0
+        ? `${openShifts.length} shift(s) still open - close them before the Z-report`
+        : 'Ready to close the day'
+    });
+  } catch (error) {
+    console.error('Preview Z-report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview Z-report',
+      error: error.message
+    });
+  }
+});
+
+// Close the business day (Admin only) - every shift at the outlet must be closed first
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    const outlet = (req.body.outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+    const businessDate = req.body.businessDate || toBusinessDate(new Date());
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(businessDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business date must be YYYY-MM-DD'
+      });
+    }
+
+    let zReport;
+    await runTransaction(async (session) => {
+      const openShifts = await Shift.find({ outlet, status: 'open' }).session(session);
+      if (openShifts.length > 0) {
+        throw requestError(409, `Close the open shift(s) of ${openShifts.map(shift => shift.cashierName).join(', ')} first`);
+      }
+
+      const existing = await ZReport.findOne({ outlet, businessDate }).session(session);
+      if (existing) {
+        throw requestError(409, `Business day ${businessDate} was already closed by ${existing.zNumber}`);
+      }
+
+      const { from, to } = await openPeriod(outlet, businessDate, session);
+      const shifts = await Shift.find({ outlet, status: 'closed', zReport: null, closedAt: { $gt: from, $lte: to } })
+        .session(session);
+      const report = await buildSalesReport({ outlet, from, to });
+
+      zReport = new ZReport({
+        outlet,
+        businessDate,
+        from,
+        to,
+        report,
+        shifts: shifts.map(shift => ({
+          shift: shift._id,
+          cashierName: shift.cashierName,
+          terminal: shift.terminal,
+          openedAt: shift.openedAt,
+          closedAt: shift.closedAt,
+          openingFloat: shift.openingFloat,
+          expectedCash: shift.expectedCash,
+          countedCash: shift.countedCash,
+          cashVariance: shift.cashVariance
+        })),
+        cash: summarizeShifts(shifts),
+        generatedBy: req.user.userId,
+        notes: req.body.notes || ''
+      });
+      await zReport.save({ session });
+
+      await Shift.updateMany(
+        { _id: { $in: shifts.map(shift => shift._id) } },
+        { $set: { zReport: zReport._id } },
+        { session }
+      );
+    });
+
+    let print = null;
+    if (req.body.print !== false) {
+      const { job, printer } = await queueReportPrint(zReport.report, {
+        label: `Z-report ${zReport.zNumber}`,
+        heading: zHeading(zReport),
+        cash: zReport.shifts.length > 0 ? zReport.cash : null,
+        requestedBy: req.user.userId
+      });
+      print = { job: jobSummary(job), printer };
+    }
+
+    res.status(201).json({
+      success: true,
+      data: zReport,
+      print,
+      message: `Business day ${businessDate} closed with ${zReport.zNumber}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This business day has already been closed'
+      });
+    }
+
+    console.error('Create Z-report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close the day',
+      error: error.message
+    });
+  }
+});
+
+// Get Z-reports
+router.get('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { outlet, startDate, endDate, page = 1, limit = 30 } = req.query;
+
+    const query = {};
+    if (outlet) query.outlet = outlet.toUpperCase();
+    if (startDate || endDate) {
+      query.businessDate = {};
+      if (startDate) query.businessDate.$gte = startDate;
+      if (endDate) query.businessDate.$lte = endDate;
+    }
+
+    const [zReports, total] = await Promise.all([
+      ZReport.find(query)
+        .populate('generatedBy', 'username')
+        .sort({ to: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      ZReport.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: zReports,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      },
+      message: `Found ${zReports.length} Z-reports`
+    });
+  } catch (error) {
+    console.error('Get Z-reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch Z-reports',
+      error: error.message
+    });
+  }
+});
+
+// Get Z-report by ID
+router.get('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid Z-report ID'
+      });
+    }
+
+    const zReport = await ZReport.findById(req.params.id).populate('generatedBy', 'username');
+
+    if (!zReport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Z-report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: zReport,
+      message: 'Z-report retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get Z-report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch Z-report',
+      error: error.message
+    });
+  }
+});
+
+// Print (or reprint) a Z-report on the receipt printer
+router.post('/:id/print', auth, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid Z-report ID'
+      });
+    }
+
+    const zReport = await ZReport.findById(req.params.id);
+
+    if (!zReport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Z-report not found'
+      });
+    }
+
+    const { job, printer } = await queueReportPrint(zReport.report, {
+      label: `Z-report ${zReport.zNumber}`,
+      heading: zHeading(zReport),
+      cash: zReport.shifts.length > 0 ? zReport.cash : null,
+      profileId: req.body.profileId || null,
+      requestedBy: req.user.userId
+    });
+
+    res.status(202).json({
+      success: true,
+      data: jobSummary(job),
+      message: `${zReport.zNumber} queued for printing on ${printer}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Print Z-report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to print Z-report',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,427 @@
+// tests/billRoutes.test.js - Bill routes run against mocked models: cancellation, open tabs, tables, payments and loyalty points
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const BillAmendment = require('../models/BillAmendment');
+const BillingSettings = require('../models/BillingSettings');
+const Customer = require('../models/Customer');
+const Kot = require('../models/Kot');
+const MenuItem = require('../models/MenuItem');
+const ModifierGroup = require('../models/ModifierGroup');
+const Promotion = require('../models/Promotion');
+const Table = require('../models/Table');
+const router = require('../routes/bills');
+const { id, billLine, newBill, fakeQuery, mockTransactions, callRoute } = require('./helpers');
+
+function mockBill(t, bill) {
+  t.mock.method(Bill, 'findById', () => fakeQuery(bill));
+  t.mock.method(bill, 'save', async function() {
+    await this.validate();
+    return this;
+  });
+  t.mock.method(bill, 'populate', async function() {
+    return this;
+  });
+}
+
+// An open bill for 210.00 (200 + 5% GST)
+async function openBill() {
+  const bill = newBill({ status: 'pending', orderType: 'takeaway', items: [billLine('Thali', 200, 1, 5)] });
+  await bill.validate();
+  return bill;
+}
+
+test('cancelling a bill claims it and puts back the stock of each line in the same transaction', async (t) => {
+  const bill = newBill({ status: 'paid', items: [billLine('Dosa', 100, 2, 5), billLine('Dosa', 100, 1, 5)] });
+  bill.items[1].menuItem = bill.items[0].menuItem;
+  mockTransactions(t);
+  mockBill(t, bill);
+  const updateOne = t.mock.method(Bill, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const restoreStock = t.mock.method(MenuItem, 'restoreStock', async () => {});
+
+  const { status, body } = await callRoute(router, 'patch', '/:id/cancel', { params: { id: String(bill._id) } });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.status, 'cancelled');
+  assert.deepStrictEqual(updateOne.mock.calls[0].arguments[0], { _id: bill._id, status: 'paid' });
+  // Line by line - lines of the same item may have been billed with different recipes
+  const [lines] = restoreStock.mock.calls[0].arguments;
+  const dosa = String(bill.items[0].menuItem);
+  assert.deepStrictEqual(lines.map(line => [String(line.menuItem), line.quantity]), [[dosa, 2], [dosa, 1]]);
+});
+
+test('cancelling an open bill gives back its promotion uses and sends the kitchen a cancel ticket', async (t) => {
+  const coupon = id();
+  const bill = newBill({
+    status: 'pending',
+    items: [billLine('Dosa', 100, 2, 5, { discount: 20 })],
+    appliedPromotions: [
+      { promotion: coupon, name: 'Ten off', code: 'TEN', type: 'percentage', scope: 'bill', amount: 20 },
+      { promotion: null, name: 'Manual discount', type: 'manual', scope: 'bill', amount: 0 }
+    ]
+  });
+  mockTransactions(t);
+  mockBill(t, bill);
+  t.mock.method(Bill, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(MenuItem, 'restoreStock', async () => {});
+  const releaseUsage = t.mock.method(Promotion, 'releaseUsage', async () => {});
+  const kots = t.mock.method(Kot, 'issueForLines', async () => []);
+
+  const { status } = await callRoute(router, 'patch', '/:id/cancel', { params: { id: String(bill._id) } });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(releaseUsage.mock.calls[0].arguments[0].map(String), [String(coupon)]);
+  const [, lines, options] = kots.mock.calls[0].arguments;
+  assert.deepStrictEqual([lines[0].quantity, options.type], [2, 'cancel']);
+});
+
+test('a cancel that loses the race to another terminal restores nothing', async (t) => {
+  const bill = newBill({ status: 'paid', items: [billLine('Dosa', 100, 2, 5)] });
+  mockTransactions(t);
+  mockBill(t, bill);
+  t.mock.method(Bill, 'updateOne', async () => ({ modifiedCount: 0 }));
+  const restoreStock = t.mock.method(MenuItem, 'restoreStock', async () => {});
+
+  const { status } = await callRoute(router, 'patch', '/:id/cancel', { params: { id: String(bill._id) } });
+
+  assert.strictEqual(status, 409);
+  assert.strictEqual(restoreStock.mock.callCount(), 0);
+});
+
+test('a cancelled bill cannot be cancelled again', async (t) => {
+  mockTransactions(t);
+  mockBill(t, newBill({ status: 'cancelled', items: [billLine('Dosa', 100, 1, 5)] }));
+
+  const { status, body } = await callRoute(router, 'patch', '/:id/cancel', { params: { id: 'x' } });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.message, 'Bill is already cancelled');
+});
+
+test('a bill with credit notes against it is refunded line by line, not cancelled', async (t) => {
+  const bill = newBill({ status: 'paid', refundedAmount: 50, items: [billLine('Dosa', 100, 1, 5)] });
+  mockTransactions(t);
+  mockBill(t, bill);
+  const updateOne = t.mock.method(Bill, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const { status, body } = await callRoute(router, 'patch', '/:id/cancel', { params: { id: 'x' } });
+
+  assert.strictEqual(status, 400);
+  assert.match(body.message, /credit notes/);
+  assert.strictEqual(updateOne.mock.callCount(), 0);
+});
+
+test('a part payment leaves a balance, and cash tendered is applied up to what is due', async (t) => {
+  const bill = await openBill();
+  mockBill(t, bill);
+  mockTransactions(t);
+
+  const first = await callRoute(router, 'post', '/:id/payments', { params: { id: 'x' }, body: { method: 'upi', amount: 60, reference: 'UTR1' } });
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(bill.status, 'pending');
+  assert.strictEqual(bill.balanceDue, 150);
+
+  const second = await callRoute(router, 'post', '/:id/payments', { params: { id: 'x' }, body: { method: 'cash', tendered: 200 } });
+  assert.strictEqual(second.status, 201);
+  assert.strictEqual(bill.status, 'paid');
+  assert.ok(bill.paidAt);
+  assert.strictEqual(bill.payments[1].amount, 150);
+  assert.strictEqual(bill.payments[1].change, 50);
+  assert.strictEqual(bill.paymentMethod, 'split');
+});
+
+test('payments beyond the balance or on a settled bill are refused', async (t) => {
+  const bill = await openBill();
+  mockBill(t, bill);
+  mockTransactions(t);
+
+  const over = await callRoute(router, 'post', '/:id/payments', { params: { id: 'x' }, body: { method: 'card', amount: 250 } });
+  assert.strictEqual(over.status, 400);
+  assert.match(over.body.message, /exceeds the balance due \(210.00\)/);
+
+  const tenderedCard = await callRoute(router, 'post', '/:id/payments', { params: { id: 'x' }, body: { method: 'card', tendered: 500 } });
+  assert.strictEqual(tenderedCard.status, 400);
+
+  bill.status = 'paid';
+  const settled = await callRoute(router, 'post', '/:id/payments', { params: { id: 'x' }, body: { method: 'cash', amount: 10 } });
+  assert.strictEqual(settled.status, 400);
+  assert.strictEqual(settled.body.message, 'Bill is already fully paid');
+  assert.strictEqual(bill.payments.length, 0);
+});
+
+test('a retried payment transaction starts again from the stored bill and credits the points it earns', async (t) => {
+  const stored = (await openBill()).toObject();
+  stored.customer = id();
+  t.mock.method(Bill, 'findById', () => {
+    const bill = new Bill(stored);
+    t.mock.method(bill, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+    t.mock.method(bill, 'populate', async function() {
+      return this;
+    });
+    return fakeQuery(bill);
+  });
+  t.mock.method(BillingSettings, 'getForOutlet', async () => new BillingSettings({ loyaltyEarnRate: 10 }));
+  const adjustPoints = t.mock.method(Customer, 'adjustPoints', async () => ({}));
+  // The first attempt is aborted (e.g. a write conflict) and withTransaction runs the work again
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async work => {
+      await work();
+      await work();
+    },
+    endSession: async () => {}
+  }));
+
+  const { status, body } = await callRoute(router, 'post', '/:id/payments', { params: { id: 'x' }, body: { method: 'cash', amount: 210 } });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.data.payments.length, 1);
+  assert.strictEqual(body.data.loyaltyPointsEarned, 21);
+  // Each attempt credits the points; the aborted one's credit is rolled back with it
+  assert.deepStrictEqual(adjustPoints.mock.calls.map(call => call.arguments[1]), [21, 21]);
+});
+
+test('cancelling a bill gives back redeemed points and takes back what is left of those earned', async (t) => {
+  const customer = { _id: id(), loyaltyPoints: 5 };
+  const bill = newBill({ status: 'paid', customer: customer._id, loyaltyPointsRedeemed: 40, loyaltyPointsEarned: 20, items: [billLine('Dosa', 100, 2, 5)] });
+  mockTransactions(t);
+  mockBill(t, bill);
+  t.mock.method(Bill, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(MenuItem, 'restoreStock', async () => {});
+  t.mock.method(Customer, 'findById', () => fakeQuery(customer));
+  const adjustPoints = t.mock.method(Customer, 'adjustPoints', async (customerId, delta) => ({ ...customer, loyaltyPoints: customer.loyaltyPoints + delta }));
+
+  const { status } = await callRoute(router, 'patch', '/:id/cancel', { params: { id: String(bill._id) } });
+
+  assert.strictEqual(status, 200);
+  // 40 redeemed come back (45 left), then the 20 earned are taken back
+  assert.deepStrictEqual(adjustPoints.mock.calls.map(call => [call.arguments[1], call.arguments[2].reversal]), [[40, true], [-20, true]]);
+});
+
+// Mock what amending an open tab touches; returns the amendments written and the stock calls
+function mockAmendment(t) {
+  mockTransactions(t);
+  t.mock.method(Promotion, 'findApplicable', async () => ({ promotions: [] }));
+  t.mock.method(Promotion, 'find', () => fakeQuery([]));
+  t.mock.method(Promotion, 'recordUsage', async () => null);
+  return {
+    history: t.mock.method(BillAmendment, 'insertMany', async entries => entries),
+    kots: t.mock.method(Kot, 'issueForLines', async () => []),
+    moveKots: t.mock.method(Kot, 'updateMany', async () => ({})),
+    reserveStock: t.mock.method(MenuItem, 'reserveStock', async () => []),
+    restoreStock: t.mock.method(MenuItem, 'restoreStock', async () => {})
+  };
+}
+
+test('items added to an open tab take stock and are recorded with the totals before and after', async (t) => {
+  const bill = await openBill();
+  mockBill(t, bill);
+  const { history, reserveStock } = mockAmendment(t);
+  const curd = id();
+  const lassi = new MenuItem({
+    name: 'Lassi', price: 60, category: 'beverage', taxSlab: 5, createdBy: id(), recipe: [{ ingredient: curd, quantity: 0.25 }]
+  });
+  t.mock.method(MenuItem, 'findById', () => fakeQuery(lassi));
+
+  const { status } = await callRoute(router, 'post', '/:id/items', {
+    params: { id: 'x' },
+    body: { items: [{ menuItemId: String(lassi._id), quantity: 2 }] }
+  });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(bill.items.length, 2);
+  assert.strictEqual(bill.total, 336);
+  // The line keeps the recipe it was sold with, so a later cancel puts back what it took
+  assert.deepStrictEqual(bill.items[1].ingredients.map(entry => [String(entry.ingredient), entry.quantity]), [[String(curd), 0.25]]);
+  assert.deepStrictEqual(reserveStock.mock.calls[0].arguments[0].map(line => [line.quantity, line.recipe.length]), [[2, 1]]);
+  const [entry] = history.mock.calls[0].arguments[0];
+  assert.strictEqual(entry.action, 'add-item');
+  assert.strictEqual(entry.line.name, 'Lassi');
+  assert.strictEqual(entry.totalsBefore.total, 210);
+  assert.strictEqual(entry.totalsAfter.total, 336);
+});
+
+test('modifiers picked for an item are priced into the line and kept on it', async (t) => {
+  const bill = await openBill();
+  mockBill(t, bill);
+  mockAmendment(t);
+  const toppings = new ModifierGroup({
+    name: 'Toppings',
+    maxSelections: 0,
+    options: [{ name: 'Extra cheese', price: 30 }, { name: 'No onion', price: 0 }]
+  });
+  t.mock.method(ModifierGroup, 'find', () => fakeQuery([toppings]));
+  const pizza = new MenuItem({ name: 'Margherita', price: 280, category: 'main-course', taxSlab: 5, createdBy: id(), modifierGroups: [toppings._id] });
+  const plain = new MenuItem({ name: 'Lassi', price: 60, category: 'beverage', taxSlab: 5, createdBy: id() });
+  t.mock.method(MenuItem, 'findById', itemId => fakeQuery(String(itemId) === String(pizza._id) ? pizza : plain));
+  const add = (menuItem, modifiers) => callRoute(router, 'post', '/:id/items', {
+    params: { id: 'x' },
+    body: { items: [{ menuItemId: String(menuItem._id), quantity: 2, modifiers: modifiers.map(String) }] }
+  });
+
+  const refused = await add(plain, [toppings.options[0]._id]);
+  assert.strictEqual(refused.status, 400);
+  assert.match(refused.body.message, /"Lassi" has no modifiers/);
+
+  const { status } = await add(pizza, toppings.options.map(option => option._id));
+  assert.strictEqual(status, 201);
+  const line = bill.items[1];
+  assert.deepStrictEqual([line.price, line.total], [310, 620]);
+  assert.deepStrictEqual(line.modifiers.map(modifier => modifier.name), ['Extra cheese', 'No onion']);
+});
+
+test('changing a quantity takes or puts back only the difference', async (t) => {
+  const bill = await openBill();
+  const line = bill.items[0];
+  mockBill(t, bill);
+  const { history, reserveStock, restoreStock } = mockAmendment(t);
+  const change = quantity => callRoute(router, 'patch', '/:id/items/:lineId', {
+    params: { id: 'x', lineId: String(line._id) },
+    body: { quantity, reason: 'Table changed its order' }
+  });
+
+  assert.strictEqual((await change(3)).status, 200);
+  assert.strictEqual(reserveStock.mock.calls[0].arguments[0][0].quantity, 2);
+  assert.strictEqual((await change(1)).status, 200);
+  assert.strictEqual(restoreStock.mock.calls[0].arguments[0][0].quantity, 2);
+  assert.strictEqual((await change(1)).status, 400);
+
+  const entries = history.mock.calls.map(call => call.arguments[0][0]);
+  assert.deepStrictEqual(entries.map(entry => [entry.action, entry.previousQuantity, entry.newQuantity]), [
+    ['change-quantity', 1, 3],
+    ['change-quantity', 3, 1]
+  ]);
+});
+
+test('a voided line is removed with its stock put back; the last line cannot be voided', async (t) => {
+  const bill = await openBill();
+  bill.items.push(billLine('Papad', 20, 2, 5));
+  const papad = bill.items[1];
+  mockBill(t, bill);
+  const { history, restoreStock, kots } = mockAmendment(t);
+  const voidLine = (lineId, reason) => callRoute(router, 'post', '/:id/items/:lineId/void', {
+    params: { id: 'x', lineId: String(lineId) },
+    body: { reason }
+  });
+
+  assert.strictEqual((await voidLine(papad._id, '')).status, 400);
+  assert.strictEqual((await voidLine(papad._id, 'Sent back')).status, 200);
+  assert.strictEqual(bill.items.length, 1);
+  assert.strictEqual(bill.total, 210);
+  assert.strictEqual(restoreStock.mock.calls[0].arguments[0][0].quantity, 2);
+  assert.strictEqual(history.mock.calls[0].arguments[0][0].reason, 'Sent back');
+  // The kitchen gets a cancel ticket for the voided line
+  assert.deepStrictEqual(kots.mock.calls[0].arguments[2].type, 'cancel');
+
+  const last = await voidLine(bill.items[0]._id, 'Sent back');
+  assert.strictEqual(last.status, 400);
+  assert.match(last.body.message, /cancel the bill instead/);
+});
+
+test('only open bills can be amended, and never below what has been paid', async (t) => {
+  const bill = await openBill();
+  bill.items.push(billLine('Papad', 20, 1, 5));
+  bill.payments.push({ method: 'cash', amount: 200 });
+  await bill.validate();
+  mockBill(t, bill);
+  const { history } = mockAmendment(t);
+  const lineId = String(bill.items[0]._id);
+
+  const below = await callRoute(router, 'post', '/:id/items/:lineId/void', { params: { id: 'x', lineId }, body: { reason: 'Mistake' } });
+  assert.strictEqual(below.status, 400);
+  assert.match(below.body.message, /below the amount already paid/);
+
+  bill.status = 'paid';
+  const paid = await callRoute(router, 'patch', '/:id/items/:lineId', { params: { id: 'x', lineId }, body: { quantity: 2 } });
+  assert.strictEqual(paid.status, 400);
+  assert.strictEqual(history.mock.callCount(), 0);
+});
+
+test('the amendment history cannot be changed once written', async () => {
+  await assert.rejects(BillAmendment.updateOne({}, { reason: 'edited' }), /immutable/);
+  await assert.rejects(BillAmendment.deleteMany({}), /immutable/);
+});
+
+// Two open bills on neighbouring tables, for merges: the one kept (B/1, 210.00) and the one merged in
+async function tableBills(t, sourceFields = {}) {
+  const target = newBill({ billNumber: 'B/1', tableNumber: 'T1', status: 'pending', orderType: 'dine-in', items: [billLine('Thali', 200, 1, 5)] });
+  const source = newBill({ billNumber: 'B/2', tableNumber: 'T2', status: 'pending', orderType: 'dine-in', items: [billLine('Dosa', 100, 2, 5)], ...sourceFields });
+  await Promise.all([target.validate(), source.validate()]);
+
+  t.mock.method(Bill, 'findById', billId => fakeQuery([target, source].find(bill => bill._id.equals(billId)) || null));
+  for (const bill of [target, source]) {
+    t.mock.method(bill, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+    t.mock.method(bill, 'populate', async function() {
+      return this;
+    });
+  }
+  return { target, source };
+}
+
+test('merging another open bill moves its lines across and cancels it, giving back its promotion uses', async (t) => {
+  const coupon = id();
+  const { target, source } = await tableBills(t, {
+    appliedPromotions: [{ promotion: coupon, name: 'Ten off', code: 'TEN', type: 'fixed', scope: 'bill', amount: 0 }]
+  });
+  const { moveKots } = mockAmendment(t);
+  const notes = t.mock.method(BillAmendment, 'create', async entries => entries);
+  const releaseUsage = t.mock.method(Promotion, 'releaseUsage', async () => {});
+
+  const { status } = await callRoute(router, 'post', '/:id/merge', { params: { id: String(target._id) }, body: { billId: String(source._id) } });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(target.items.map(line => [line.name, line.quantity]), [['Thali', 1], ['Dosa', 2]]);
+  assert.strictEqual(target.total, 420);
+  assert.strictEqual(source.status, 'cancelled');
+  assert.strictEqual(source.notes, 'Merged into bill B/1 (table T1)');
+  assert.strictEqual(notes.mock.calls[0].arguments[0][0].bill, source._id);
+  assert.deepStrictEqual(releaseUsage.mock.calls[0].arguments[0].map(String), [String(coupon)]);
+  // Lines keep their ids, and the tickets sent for them follow them to this bill
+  assert.ok(target.items[1]._id.equals(source.items[0]._id));
+  assert.deepStrictEqual(moveKots.mock.calls[0].arguments[0], { bill: source._id });
+});
+
+test('a bill with payments or a manual discount is settled on its own, not merged', async (t) => {
+  const { target, source } = await tableBills(t);
+  mockAmendment(t);
+  source.payments.push({ method: 'cash', amount: 50 });
+  await source.validate();
+
+  const paid = await callRoute(router, 'post', '/:id/merge', { params: { id: String(target._id) }, body: { billId: String(source._id) } });
+  assert.strictEqual(paid.status, 400);
+  assert.match(paid.body.message, /B\/2 has payments/);
+
+  source.payments = [];
+  await source.validate();
+  source.appliedPromotions.push({ name: 'Manual discount', type: 'manual', scope: 'bill', amount: 10 });
+  const discounted = await callRoute(router, 'post', '/:id/merge', { params: { id: String(target._id) }, body: { billId: String(source._id) } });
+  assert.strictEqual(discounted.status, 400);
+  assert.strictEqual(target.items.length, 1);
+});
+
+test('a bill moves only to a table without an open bill', async (t) => {
+  const { target } = await tableBills(t);
+  const { moveKots } = mockAmendment(t);
+  const free = new Table({ number: 'T5' });
+  t.mock.method(Table, 'resolveSeat', async () => free);
+  let occupied = true;
+  t.mock.method(Bill, 'exists', () => fakeQuery(occupied ? { _id: id() } : null));
+
+  const refused = await callRoute(router, 'patch', '/:id/table', { params: { id: String(target._id) }, body: { tableId: String(free._id) } });
+  assert.strictEqual(refused.status, 409);
+  assert.match(refused.body.message, /merge the bills instead/);
+
+  occupied = false;
+  const moved = await callRoute(router, 'patch', '/:id/table', { params: { id: String(target._id) }, body: { tableId: String(free._id) } });
+  assert.strictEqual(moved.status, 200);
+  assert.strictEqual(target.tableNumber, 'T5');
+  assert.ok(target.table.equals(free._id));
+  // Tickets already in the kitchen show the new table
+  assert.strictEqual(moveKots.mock.calls[0].arguments[1].$set.tableNumber, 'T5');
+});
@@ -0,0 +1,111 @@
+// tests/billTotals.test.js - Bill totals: line GST, charges, round-off and payment lines
+const test = require('node:test');
+const assert = require('node:assert');
+const MenuItem = require('../models/MenuItem');
+const { splitTax, buildTaxBreakup } = require('../utils/gst');
+const { id, billLine, newBill } = require('./helpers');
+
+test('intra-state lines are taxed per slab, split evenly into CGST and SGST', async () => {
+  const bill = newBill({
+    orderType: 'takeaway',
+    items: [billLine('Dosa', 100, 2, 5), billLine('Cola', 50, 1, 18)]
+  });
+  await bill.validate();
+
+  assert.strictEqual(bill.subtotal, 250);
+  assert.strictEqual(bill.items[0].cgst, 5);
+  assert.strictEqual(bill.items[0].sgst, 5);
+  assert.strictEqual(bill.items[1].cgst, 4.5);
+  assert.strictEqual(bill.cgst, 9.5);
+  assert.strictEqual(bill.sgst, 9.5);
+  assert.strictEqual(bill.igst, 0);
+  assert.strictEqual(bill.gst, 19);
+  assert.strictEqual(bill.total, 269);
+  assert.deepStrictEqual(bill.getTaxBreakup().map(slab => [slab.rate, slab.taxableValue]), [[5, 200], [18, 50]]);
+});
+
+test('inter-state bills charge IGST only', async () => {
+  const bill = newBill({ orderType: 'takeaway', supplyType: 'inter-state', items: [billLine('Thali', 200, 1, 5)] });
+  await bill.validate();
+
+  assert.strictEqual(bill.igst, 10);
+  assert.strictEqual(bill.cgst, 0);
+  assert.strictEqual(bill.sgst, 0);
+  assert.strictEqual(bill.total, 210);
+});
+
+test('line discounts come off before GST is charged', async () => {
+  const bill = newBill({ orderType: 'takeaway', items: [billLine('Biryani', 300, 1, 5, { discount: 30 })] });
+  await bill.validate();
+
+  assert.strictEqual(bill.items[0].taxableValue, 270);
+  assert.strictEqual(bill.discount, 30);
+  assert.strictEqual(bill.gst, 13.5);
+  assert.strictEqual(bill.total, 283.5);
+});
+
+test('dine-in service charge is taxed at the charges slab and waivable', async () => {
+  const bill = newBill({ orderType: 'dine-in', serviceChargeRate: 10, items: [billLine('Paneer', 200, 1, 5)] });
+  await bill.validate();
+
+  assert.strictEqual(bill.serviceCharge, 20);
+  assert.strictEqual(bill.gst, 11);
+  assert.strictEqual(bill.total, 231);
+
+  bill.serviceChargeWaived = true;
+  await bill.validate();
+  assert.strictEqual(bill.serviceCharge, 0);
+  assert.strictEqual(bill.total, 210);
+});
+
+test('packing charge applies to takeaway only', async () => {
+  const takeaway = newBill({ orderType: 'takeaway', packingCharge: 20, items: [billLine('Rice', 100, 1, 5)] });
+  const dineIn = newBill({ orderType: 'dine-in', packingCharge: 20, items: [billLine('Rice', 100, 1, 5)] });
+  await takeaway.validate();
+  await dineIn.validate();
+
+  assert.strictEqual(takeaway.packingCharge, 20);
+  assert.strictEqual(takeaway.total, 126);
+  assert.strictEqual(dineIn.packingCharge, 0);
+  assert.strictEqual(dineIn.total, 105);
+});
+
+test('round-off brings the total to the rupee', async () => {
+  const bill = newBill({ orderType: 'takeaway', roundToRupee: true, items: [billLine('Tea', 12.5, 3, 5)] });
+  await bill.validate();
+
+  // 37.50 + 0.94 CGST + 0.94 SGST = 39.38
+  assert.strictEqual(bill.roundOff, -0.38);
+  assert.strictEqual(bill.total, 39);
+});
+
+test('each half of intra-state tax is rounded on its own so CGST always equals SGST', () => {
+  assert.deepStrictEqual(splitTax(37.5, 5), { cgst: 0.94, sgst: 0.94, igst: 0, totalTax: 1.88 });
+  assert.deepStrictEqual(splitTax(37.5, 5, 'inter-state'), { cgst: 0, sgst: 0, igst: 1.88, totalTax: 1.88 });
+  assert.deepStrictEqual(splitTax(100, 0), { cgst: 0, sgst: 0, igst: 0, totalTax: 0 });
+});
+
+test('the tax breakup groups lines by slab, lowest slab first', () => {
+  const breakup = buildTaxBreakup([
+    { taxRate: 18, taxableValue: 50, cgst: 4.5, sgst: 4.5 },
+    { taxRate: 5, taxableValue: 100, cgst: 2.5, sgst: 2.5 },
+    { taxRate: 18, taxableValue: 25.5, cgst: 2.3, sgst: 2.3 },
+    null
+  ]);
+
+  assert.deepStrictEqual(breakup, [
+    { rate: 5, taxableValue: 100, cgst: 2.5, sgst: 2.5, igst: 0, totalTax: 5 },
+    { rate: 18, taxableValue: 75.5, cgst: 6.8, sgst: 6.8, igst: 0, totalTax: 13.6 }
+  ]);
+});
+
+test('menu items take a GST slab and an HSN/SAC code, defaulting to restaurant service at 18%', async () => {
+  const item = new MenuItem({ name: 'Lassi', price: 60, category: 'beverage', createdBy: id() });
+  await item.validate();
+  assert.strictEqual(item.taxSlab, 18);
+  assert.strictEqual(item.hsnCode, '996331');
+
+  item.taxSlab = 7;
+  item.hsnCode = '12';
+  await assert.rejects(item.validate(), error => Boolean(error.errors.taxSlab && error.errors.hsnCode));
+});
@@ -0,0 +1,112 @@
+// tests/cashLedger.test.js - Drawer opens, pay-ins and pay-outs, and the cash reconciliation of a shift
+const test = require('node:test');
+const assert = require('node:assert');
+const Bill = require('../models/Bill');
+const CashMovement = require('../models/CashMovement');
+const CreditNote = require('../models/CreditNote');
+const PrinterProfile = require('../models/PrinterProfile');
+const Shift = require('../models/Shift');
+const cashLedgerRoutes = require('../routes/cashLedger');
+const { recordCashMovement, kickCashDrawer, reconcileShift } = require('../utils/cashLedger');
+const { startLoopbackPrinter } = require('../utils/loopbackPrinter');
+const { id, billLine, newBill, fakeQuery, callRoute } = require('./helpers');
+
+function movement(fields) {
+  return new CashMovement({ user: id(), userName: 'asha', ...fields });
+}
+
+function openShift(fields = {}) {
+  return new Shift({ outlet: 'MAIN', cashier: id(), cashierName: 'asha', terminal: 'T1', openingFloat: 500, ...fields });
+}
+
+test('pay-ins and pay-outs need an amount and a category, and a no-sale open needs a note', async () => {
+  await assert.rejects(movement({ type: 'pay-out', amount: 0 }).validate(), error =>
+    Boolean(error.errors.amount && error.errors.category));
+  await assert.rejects(movement({ type: 'drawer-open', reason: 'no-sale' }).validate(), error => Boolean(error.errors.note));
+
+  await movement({ type: 'pay-out', amount: 40, category: 'petty-expense' }).validate();
+  await movement({ type: 'drawer-open', reason: 'no-sale', note: 'change for a note' }).validate();
+});
+
+test('the ledger is append-only', async () => {
+  const entry = movement({ type: 'pay-in', amount: 100, category: 'float-top-up' });
+  entry.isNew = false;
+
+  await assert.rejects(entry.save(), /immutable/);
+  await assert.rejects(CashMovement.deleteMany({}), /immutable/);
+});
+
+test("a movement counts towards the open shift of the terminal's drawer", async (t) => {
+  const shift = openShift();
+  const findOne = t.mock.method(Shift, 'findOne', async () => shift);
+  t.mock.method(CashMovement.prototype, 'save', async function() { return this; });
+
+  const entry = await recordCashMovement({ type: 'pay-out', amount: 25, category: 'supplier', terminal: ' T1 ', user: id() });
+
+  assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], { outlet: 'MAIN', terminal: 'T1', status: 'open' });
+  assert.ok(entry.shift.equals(shift._id));
+  assert.strictEqual(entry.terminal, 'T1');
+});
+
+test('the drawer is kicked through its receipt printer and the open is logged', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Shift, 'findOne', async () => null);
+  t.mock.method(CashMovement.prototype, 'save', async function() { return this; });
+  const printer = await startLoopbackPrinter();
+  t.after(() => printer.close());
+
+  const fields = { reason: 'no-sale', note: 'change', user: id() };
+  const noDrawer = new PrinterProfile({ name: 'Bar', connection: 'network', ip: printer.host, port: printer.port });
+  await assert.rejects(kickCashDrawer(noDrawer, fields), error => error.status === 400);
+
+  const till = new PrinterProfile({
+    name: 'Till', connection: 'network', ip: printer.host, port: printer.port, drawer: { enabled: true }
+  });
+  const { movement: logged } = await kickCashDrawer(till, fields);
+
+  assert.deepStrictEqual(printer.received(), Buffer.concat([till.getCommands().init, till.getCommands().drawer]));
+  assert.deepStrictEqual([logged.type, logged.reason, logged.shift], ['drawer-open', 'no-sale', null]);
+});
+
+test('a pay-out with nothing to pay is refused before the drawer opens', async (t) => {
+  const resolve = t.mock.method(PrinterProfile, 'resolve', async () => null);
+
+  const { status, body } = await callRoute(cashLedgerRoutes, 'post', '/pay-out', { body: { amount: 0, category: 'supplier' } });
+
+  assert.strictEqual(status, 400);
+  assert.deepStrictEqual(body.errors.map(error => error.field), ['amount']);
+  assert.strictEqual(resolve.mock.callCount(), 0);
+});
+
+test('reconciliation expects the float plus cash sales and pay-ins, less refunds and pay-outs', async (t) => {
+  const shift = openShift({
+    status: 'closed', openedAt: new Date(Date.now() - 3600000), closedAt: new Date(), countedCash: 700, expectedCash: 690
+  });
+  const bill = newBill({
+    outlet: 'MAIN',
+    orderType: 'takeaway',
+    status: 'paid',
+    createdBy: shift.cashier,
+    items: [billLine('Thali', 200, 1, 5)],
+    payments: [{ method: 'cash', amount: 210, receivedAt: new Date(Date.now() - 60000), receivedBy: shift.cashier }]
+  });
+  await bill.validate();
+  t.mock.method(Bill, 'find', query => fakeQuery(query['payments.0'] ? [] : [bill]));
+  t.mock.method(CreditNote, 'getRefundTotals', async () => ({ count: 1, total: 30, byMethod: { cash: 30 } }));
+  t.mock.method(CashMovement, 'find', () => fakeQuery([
+    movement({ type: 'pay-in', amount: 50, category: 'float-top-up' }),
+    movement({ type: 'pay-out', amount: 20, category: 'petty-expense' }),
+    movement({ type: 'drawer-open', reason: 'no-sale', note: 'change' })
+  ]));
+
+  const reconciliation = await reconcileShift(shift);
+
+  assert.deepStrictEqual(
+    [reconciliation.cashSales, reconciliation.cashRefunds, reconciliation.paidIn, reconciliation.paidOut],
+    [210, 30, 50, 20]
+  );
+  assert.strictEqual(reconciliation.expected, 710);
+  assert.strictEqual(reconciliation.variance, -10);
+  assert.strictEqual(reconciliation.expectedAtClose, 690);
+  assert.strictEqual(reconciliation.noSaleCount, 1);
+});
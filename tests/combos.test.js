@@ -0,0 +1,132 @@
+// tests/combos.test.js - Combo items: fixed components and choice slots, stock per component and sales split by share
+const test = require('node:test');
+const assert = require('node:assert');
+const Bill = require('../models/Bill');
+const BillAmendment = require('../models/BillAmendment');
+const Kot = require('../models/Kot');
+const MenuItem = require('../models/MenuItem');
+const Promotion = require('../models/Promotion');
+const router = require('../routes/bills');
+const { createKotTicket } = require('../utils/kot');
+const { buildItemSales } = require('../utils/itemSales');
+const { id, billLine, newBill, fakeQuery, mockTransactions, callRoute } = require('./helpers');
+
+function item(name, price) {
+  return new MenuItem({ name, price, category: 'main-course', taxSlab: 5, createdBy: id() });
+}
+
+const dal = item('Dal Tadka', 120);
+const roti = item('Roti', 20);
+const gulab = item('Gulab Jamun', 60);
+const kulfi = item('Kulfi', 90);
+
+// A thali of dal and two rotis, with a choice of dessert
+function thali(fields = {}) {
+  return new MenuItem({
+    name: 'Thali',
+    price: 200,
+    category: 'main-course',
+    taxSlab: 5,
+    createdBy: id(),
+    itemType: 'combo',
+    combo: {
+      components: [{ menuItem: dal._id }, { menuItem: roti._id, quantity: 2 }],
+      choiceSlots: [{ name: 'Dessert', options: [{ menuItem: gulab._id }, { menuItem: kulfi._id }] }]
+    },
+    ...fields
+  });
+}
+
+// A combo line as billed: Dal Tadka and two rotis, shared 150 / 50 of the 200
+function comboLine(quantity) {
+  return billLine('Thali', 200, quantity, 5, {
+    components: [
+      { menuItem: dal._id, name: 'Dal Tadka', quantity: 1, share: 150 },
+      { menuItem: roti._id, name: 'Roti', quantity: 2, share: 50 }
+    ]
+  });
+}
+
+test('a combo needs something in it, and only combos have components', async () => {
+  await assert.rejects(thali({ combo: {} }).validate(), error => Boolean(error.errors.combo));
+  await assert.rejects(thali({ variants: [{ name: 'Large', price: 250 }] }).validate(), error => Boolean(error.errors.variants));
+
+  const plain = item('Roti', 20);
+  plain.combo.components.push({ menuItem: dal._id });
+  await assert.rejects(plain.validate(), error => Boolean(error.errors.itemType));
+
+  await thali().validate();
+});
+
+test('a combo line takes stock for each component, times the combo quantity', () => {
+  const lines = Bill.stockLinesFor(comboLine(3));
+
+  assert.deepStrictEqual(lines.map(line => [line.name, line.quantity]), [['Dal Tadka', 3], ['Roti', 6]]);
+});
+
+test('a combo is billed with its choices, its price shared across what went into it', async (t) => {
+  const bill = newBill({ status: 'pending', orderType: 'takeaway', items: [billLine('Lassi', 60, 1, 5)] });
+  await bill.validate();
+  t.mock.method(Bill, 'findById', () => fakeQuery(bill));
+  t.mock.method(bill, 'save', async function() {
+    await this.validate();
+    return this;
+  });
+  t.mock.method(bill, 'populate', async function() {
+    return this;
+  });
+  mockTransactions(t);
+  t.mock.method(Promotion, 'findApplicable', async () => ({ promotions: [] }));
+  t.mock.method(Promotion, 'find', () => fakeQuery([]));
+  t.mock.method(BillAmendment, 'insertMany', async () => []);
+  t.mock.method(Kot, 'issueForLines', async () => []);
+  const reserveStock = t.mock.method(MenuItem, 'reserveStock', async () => []);
+  const combo = thali();
+  t.mock.method(MenuItem, 'findById', () => fakeQuery(combo));
+  t.mock.method(MenuItem, 'find', () => fakeQuery([dal, roti, gulab, kulfi]));
+  const add = choices => callRoute(router, 'post', '/:id/items', {
+    params: { id: 'x' },
+    body: { items: [{ menuItemId: String(combo._id), quantity: 2, choices }] }
+  });
+
+  assert.match((await add([])).body.message, /Choose Dessert for "Thali"/);
+  assert.match((await add([{ slot: 'Dessert', menuItemId: String(dal._id) }])).body.message, /not one of the Dessert choices/);
+  assert.match((await add([{ slot: 'Starter', menuItemId: String(dal._id) }])).body.message, /has no choice slot Starter/);
+
+  const { status } = await add([{ slot: 'Dessert', menuItemId: String(kulfi._id) }]);
+  assert.strictEqual(status, 201);
+  const line = bill.items[1];
+  assert.deepStrictEqual(line.components.map(component => [component.name, component.quantity, component.slot, component.share]), [
+    ['Dal Tadka', 1, null, 96],
+    ['Roti', 2, null, 32],
+    ['Kulfi', 1, 'Dessert', 72]
+  ]);
+  assert.deepStrictEqual(reserveStock.mock.calls[0].arguments[0].map(entry => [entry.name, entry.quantity]), [
+    ['Dal Tadka', 2],
+    ['Roti', 4],
+    ['Kulfi', 2]
+  ]);
+});
+
+test('combos are ranked on their own and their sales and refunds are spread over their components', async () => {
+  const bill = newBill({ status: 'paid', orderType: 'takeaway', items: [comboLine(2), billLine('Roti', 20, 3, 5)] });
+  await bill.validate();
+
+  const refunds = { items: { Thali: { quantity: 1, amount: 210, taxableValue: 200 } } };
+  const { items, combos } = buildItemSales([bill], refunds, [{ comboLine: bill.items[0], quantity: 1, taxableValue: 200 }]);
+
+  assert.deepStrictEqual([combos.Thali.quantity, combos.Thali.totalRevenue], [1, 200]);
+  assert.deepStrictEqual([items['Dal Tadka'].quantity, items['Dal Tadka'].totalRevenue], [1, 150]);
+  assert.deepStrictEqual([items.Roti.quantity, items.Roti.totalRevenue], [5, 110]);
+});
+
+test('the kitchen ticket lists what goes into each combo under it', () => {
+  const ticket = createKotTicket({
+    kotNumber: 'K/2627/00009',
+    type: 'order',
+    stationName: 'Main',
+    lines: [{ name: 'Thali', quantity: 2, components: ['1 x Dal Tadka', '2 x Roti'], modifiers: [], notes: '' }]
+  }).toString('utf8');
+
+  assert.match(ticket, / {6}- 1 x Dal Tadka\n {6}- 2 x Roti\n/);
+});
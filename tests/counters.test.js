@@ -0,0 +1,72 @@
+// tests/counters.test.js - Document number series: financial years, number formats and atomic issue
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const { getFinancialYear } = require('../utils/financialYear');
+
+const duplicateKey = () => new mongoose.mongo.MongoServerError({ message: 'E11000 duplicate key error', code: 11000 });
+
+test('the financial year turns over on the 1st of April', () => {
+  assert.strictEqual(getFinancialYear(new Date(2027, 2, 31)).label, '2026-27');
+  assert.strictEqual(getFinancialYear(new Date(2027, 3, 1)).label, '2027-28');
+  assert.strictEqual(getFinancialYear(new Date(2026, 9, 19)).short, '2627');
+});
+
+test('numbers are rendered in the series format, sequence padded', () => {
+  const counter = new Counter({ series: 'bill', prefix: 'B' });
+  assert.strictEqual(counter.formatNumber(42, new Date(2026, 9, 19)), 'B/2627/00042');
+
+  counter.format = '{OUTLET}-{FYFULL}-{SEQ}';
+  counter.padding = 3;
+  assert.strictEqual(counter.formatNumber(7, new Date(2026, 9, 19)), 'MAIN-2026-27-007');
+});
+
+test('a format must keep numbers unique across years and within the GST invoice number rules', async () => {
+  const noYear = new Counter({ series: 'bill', format: '{PREFIX}{SEQ}' });
+  await assert.rejects(noYear.validate(), error => Boolean(error.errors.format));
+
+  const tooLong = new Counter({ series: 'bill', prefix: 'BILL', format: '{PREFIX}/{OUTLET}/{FYFULL}/{SEQ}' });
+  await assert.rejects(tooLong.validate(), /max 16/);
+
+  const badCharacter = new Counter({ series: 'bill', prefix: 'B#', padding: 3 });
+  await assert.rejects(badCharacter.validate(), /may only contain/);
+
+  await new Counter({ series: 'bill', prefix: 'B' }).validate();
+});
+
+test('the next number is an atomic increment of the financial year sequence', async (t) => {
+  const findOneAndUpdate = t.mock.method(Counter, 'findOneAndUpdate', async () => (
+    new Counter({ series: 'bill', prefix: 'B', sequences: { '2026-27': 12 } })
+  ));
+
+  const number = await Counter.nextNumber('bill', { outlet: 'main', date: new Date(2026, 9, 19) });
+
+  assert.strictEqual(number, 'B/2627/00012');
+  const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { outlet: 'MAIN', series: 'bill' });
+  assert.deepStrictEqual(update, { $inc: { 'sequences.2026-27': 1 }, $setOnInsert: { prefix: 'B' } });
+  assert.strictEqual(options.upsert, true);
+});
+
+test('a first-time upsert that loses the race is retried on its own', async (t) => {
+  let calls = 0;
+  t.mock.method(Counter, 'findOneAndUpdate', async () => {
+    calls += 1;
+    if (calls === 1) throw duplicateKey();
+    return new Counter({ series: 'bill', prefix: 'B', sequences: { '2026-27': 1 } });
+  });
+
+  assert.strictEqual(await Counter.nextNumber('bill', { date: new Date(2026, 9, 19) }), 'B/2627/00001');
+  assert.strictEqual(calls, 2);
+});
+
+test('in a transaction the lost race is handed to withTransaction to run again', async (t) => {
+  const findOneAndUpdate = t.mock.method(Counter, 'findOneAndUpdate', async () => { throw duplicateKey(); });
+
+  await assert.rejects(
+    Counter.nextNumber('bill', { session: {} }),
+    error => error.code === 11000 && error.hasErrorLabel('TransientTransactionError')
+  );
+  assert.strictEqual(findOneAndUpdate.mock.callCount(), 1);
+});
@@ -0,0 +1,163 @@
+// tests/creditNotes.test.js - Credit notes: tax reversal, charges given back, refund limits and refunds netted out of sales
+const test = require('node:test');
+const assert = require('node:assert');
+const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
+const MenuItem = require('../models/MenuItem');
+const router = require('../routes/creditNotes');
+const { buildItemSales } = require('../utils/itemSales');
+const { id, billLine, newBill, fakeQuery, mockTransactions, callRoute } = require('./helpers');
+
+async function paidBill(fields) {
+  const bill = newBill({ billNumber: 'B/2627/00001', status: 'paid', ...fields });
+  await bill.validate();
+  return bill;
+}
+
+// Mock the bill a note is issued against, and saving the note
+function mockIssue(t, bill) {
+  mockTransactions(t);
+  t.mock.method(Bill, 'findById', () => fakeQuery(bill));
+  t.mock.method(bill, 'save', async function() {
+    await this.validate();
+    return this;
+  });
+  t.mock.method(CreditNote.prototype, 'save', async function() {
+    return this;
+  });
+  t.mock.method(CreditNote.prototype, 'populate', async function() {
+    return this;
+  });
+  return t.mock.method(MenuItem, 'restoreStock', async () => {});
+}
+
+function issue(bill, lines, body = {}) {
+  return callRoute(router, 'post', '/', {
+    body: { billId: String(bill._id), lines, refundMethod: 'cash', reason: 'Returned', ...body }
+  });
+}
+
+const sum = (notes, field) => Math.round(notes.reduce((total, note) => total + note[field], 0) * 100) / 100;
+
+test('a credited line reverses its tax in proportion to the quantity', async (t) => {
+  const bill = await paidBill({ orderType: 'takeaway', items: [billLine('Dosa', 100, 3, 5)] });
+  mockIssue(t, bill);
+
+  const { status, body } = await issue(bill, [{ lineId: String(bill.items[0]._id), quantity: 1 }]);
+
+  assert.strictEqual(status, 201);
+  const [line] = body.data.lines;
+  assert.strictEqual(line.taxableValue, 100);
+  assert.strictEqual(line.cgst, 2.5);
+  assert.strictEqual(line.sgst, 2.5);
+  assert.strictEqual(body.data.total, 105);
+  assert.strictEqual(bill.items[0].creditedQuantity, 1);
+  assert.strictEqual(bill.refundedAmount, 105);
+});
+
+test('service charge, its GST and the round-off are given back with the lines', async (t) => {
+  const bill = await paidBill({
+    orderType: 'dine-in',
+    serviceChargeRate: 10,
+    roundToRupee: true,
+    items: [billLine('Thali', 99.5, 3, 5), billLine('Mocktail', 47.3, 2, 18), billLine('Papad', 10, 1, 5)]
+  });
+  mockIssue(t, bill);
+
+  const notes = [];
+  for (const [index, quantity] of [[0, 1], [1, 1], [0, 2], [2, 1], [1, 1]]) {
+    const { body } = await issue(bill, [{ lineId: String(bill.items[index]._id), quantity }]);
+    notes.push(body.data);
+  }
+
+  // Refunding everything, in parts, gives back exactly what was paid
+  assert.strictEqual(sum(notes, 'total'), bill.total);
+  assert.strictEqual(sum(notes, 'gst'), bill.gst);
+  assert.strictEqual(sum(notes, 'charges'), bill.serviceCharge);
+  assert.strictEqual(sum(notes, 'roundOff'), bill.roundOff);
+  assert.strictEqual(sum(notes, 'subtotal'), bill.subtotal);
+});
+
+test('packing charge is shared across takeaway lines by their value', async (t) => {
+  const bill = await paidBill({ orderType: 'takeaway', packingCharge: 30, items: [billLine('Biryani', 200, 1, 5), billLine('Raita', 100, 1, 5)] });
+  mockIssue(t, bill);
+
+  const { body } = await issue(bill, [{ lineId: String(bill.items[0]._id), quantity: 1 }]);
+
+  assert.strictEqual(body.data.lines[0].charges.taxableValue, 20);
+  assert.strictEqual(body.data.lines[0].charges.cgst, 0.5);
+  assert.strictEqual(body.data.total, 231);
+  assert.deepStrictEqual(body.data.getTaxBreakup().map(slab => [slab.rate, slab.taxableValue]), [[5, 220]]);
+});
+
+test('a line cannot be credited beyond what is left of it, nor an unpaid bill at all', async (t) => {
+  const bill = await paidBill({ orderType: 'takeaway', items: [billLine('Dosa', 100, 2, 5)] });
+  mockIssue(t, bill);
+  const lineId = String(bill.items[0]._id);
+
+  assert.strictEqual((await issue(bill, [{ lineId, quantity: 2 }])).status, 201);
+  const again = await issue(bill, [{ lineId, quantity: 1 }]);
+  assert.strictEqual(again.status, 400);
+  assert.match(again.body.message, /Creditable: 0/);
+
+  bill.status = 'pending';
+  const unpaid = await issue(bill, [{ lineId, quantity: 1 }]);
+  assert.strictEqual(unpaid.status, 400);
+  assert.strictEqual((await issue(bill, [{ lineId, quantity: 1 }], { reason: ' ' })).status, 400);
+});
+
+test('returned goods go back into stock only when asked to', async (t) => {
+  const bill = await paidBill({ orderType: 'takeaway', items: [billLine('Cola', 40, 2, 18)] });
+  const restoreStock = mockIssue(t, bill);
+  const lineId = String(bill.items[0]._id);
+
+  await issue(bill, [{ lineId, quantity: 1 }]);
+  assert.strictEqual(restoreStock.mock.callCount(), 0);
+
+  await issue(bill, [{ lineId, quantity: 1 }], { restock: true });
+  assert.strictEqual(restoreStock.mock.callCount(), 1);
+  assert.strictEqual(restoreStock.mock.calls[0].arguments[0][0].quantity, 1);
+});
+
+test('refund totals are kept per refund method and per item, with the pre-tax value', async (t) => {
+  const note = (refundMethod, lines) => new CreditNote({
+    bill: id(), billNumber: 'B/1', refundMethod, reason: 'Returned', createdBy: id(), lines
+  });
+  const dosa = { billLine: id(), menuItem: id(), name: 'Dosa', price: 100, quantity: 1, taxRate: 5, taxableValue: 100, cgst: 2.5, sgst: 2.5, igst: 0, discount: 0, total: 105 };
+  const notes = [note('cash', [dosa]), note('upi', [dosa, { ...dosa, name: 'Vada', taxableValue: 50, cgst: 1.25, sgst: 1.25, total: 52.5 }])];
+  await Promise.all(notes.map(entry => entry.validate()));
+  t.mock.method(CreditNote, 'find', async () => notes);
+
+  const totals = await CreditNote.getRefundTotals(new Date(), new Date());
+
+  assert.strictEqual(totals.count, 2);
+  assert.strictEqual(totals.total, 262.5);
+  assert.deepStrictEqual(totals.byMethod, { cash: 105, upi: 157.5 });
+  assert.deepStrictEqual(totals.items.Dosa, { quantity: 2, amount: 210, taxableValue: 200 });
+});
+
+test('item sales count lines at their pre-tax value and net refunds out at the same value', async () => {
+  const bill = await paidBill({ orderType: 'takeaway', items: [billLine('Dosa', 100, 3, 5), billLine('Vada', 50, 1, 5)] });
+
+  const { items } = buildItemSales([bill], { items: { Dosa: { quantity: 1, amount: 105, taxableValue: 100 } } });
+
+  assert.strictEqual(items.Dosa.quantity, 2);
+  assert.strictEqual(items.Dosa.totalRevenue, 200);
+  assert.strictEqual(items.Dosa.refundedQuantity, 1);
+  assert.strictEqual(items.Vada.totalRevenue, 50);
+});
+
+test('a refunded discounted line comes out of item sales at the value it was sold for', async (t) => {
+  const bill = await paidBill({ orderType: 'takeaway', items: [billLine('Dosa', 100, 2, 5, { discount: 20 })] });
+  mockIssue(t, bill);
+
+  const { body } = await issue(bill, [{ lineId: String(bill.items[0]._id), quantity: 1 }]);
+  assert.strictEqual(body.data.lines[0].taxableValue, 90);
+
+  t.mock.method(CreditNote, 'find', async () => [body.data]);
+  const refunds = await CreditNote.getRefundTotals(new Date(), new Date());
+  const { items } = buildItemSales([bill], refunds);
+
+  assert.strictEqual(items.Dosa.quantity, 1);
+  assert.strictEqual(items.Dosa.totalRevenue, 90);
+});
@@ -0,0 +1,67 @@
+// tests/customers.test.js - Customer directory: phone numbers, first visits and loyalty points
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const { id } = require('./helpers');
+
+function duplicatePhone() {
+  return new mongoose.mongo.MongoServerError({ message: 'E11000 duplicate key error', code: 11000 });
+}
+
+test('phone numbers are reduced to their ten digits', () => {
+  assert.strictEqual(Customer.normalizePhone('+91 98765-43210'), '9876543210');
+  assert.strictEqual(Customer.normalizePhone('09876543210'), '9876543210');
+  assert.strictEqual(Customer.normalizePhone('12345'), null);
+  assert.strictEqual(Customer.normalizePhone('5876543210'), null);
+  assert.strictEqual(Customer.normalizePhone(''), null);
+});
+
+test('a first visit creates the customer, keeping a name given on a later visit', async (t) => {
+  const upsert = t.mock.method(Customer, 'findOneAndUpdate', async () => ({ phone: '9876543210' }));
+
+  await Customer.findOrCreateByPhone('98765 43210', 'Walk-in Customer');
+  await Customer.findOrCreateByPhone('98765 43210', ' Asha ');
+
+  const [first, second] = upsert.mock.calls.map(call => call.arguments[1]);
+  assert.deepStrictEqual(first.$setOnInsert, { phone: '9876543210', name: 'Walk-in Customer' });
+  assert.strictEqual(first.$set.name, undefined);
+  assert.strictEqual(second.$set.name, 'Asha');
+  assert.strictEqual(await Customer.findOrCreateByPhone('not a phone', 'Asha'), null);
+});
+
+test('two first visits racing on a phone: the loser finds the winner, or retries its transaction', async (t) => {
+  let calls = 0;
+  t.mock.method(Customer, 'findOneAndUpdate', async () => {
+    calls += 1;
+    if (calls === 1) throw duplicatePhone();
+    return { phone: '9876543210' };
+  });
+
+  assert.deepStrictEqual(await Customer.findOrCreateByPhone('9876543210'), { phone: '9876543210' });
+  assert.strictEqual(calls, 2);
+
+  calls = 0;
+  await assert.rejects(
+    Customer.findOrCreateByPhone('9876543210', null, { session: {} }),
+    error => error.hasErrorLabel('TransientTransactionError')
+  );
+  assert.strictEqual(calls, 1);
+});
+
+test('points are spent only out of the balance, and a reversal undoes the lifetime totals', async (t) => {
+  const update = t.mock.method(Customer, 'findOneAndUpdate', async () => null);
+  const customer = id();
+
+  assert.strictEqual(await Customer.adjustPoints(customer, -50), null);
+  assert.deepStrictEqual(update.mock.calls[0].arguments.slice(0, 2), [
+    { _id: customer, loyaltyPoints: { $gte: 50 } },
+    { $inc: { loyaltyPoints: -50, lifetimePointsRedeemed: 50 } }
+  ]);
+
+  await Customer.adjustPoints(customer, 50, { reversal: true });
+  assert.deepStrictEqual(update.mock.calls[1].arguments.slice(0, 2), [
+    { _id: customer },
+    { $inc: { loyaltyPoints: 50, lifetimePointsRedeemed: -50 } }
+  ]);
+});
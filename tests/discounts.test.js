@@ -0,0 +1,98 @@
+// tests/discounts.test.js - Discount engine: promotions, coupons, manual and loyalty discounts
+const test = require('node:test');
+const assert = require('node:assert');
+const Promotion = require('../models/Promotion');
+const { applyDiscounts, spreadDiscount } = require('../utils/discounts');
+const { id } = require('./helpers');
+
+function promotion(fields) {
+  return new Promotion({ name: 'Offer', createdBy: id(), ...fields });
+}
+
+function line(price, quantity, extra = {}) {
+  return { _id: id(), menuItem: id(), category: 'mains', price, quantity, ...extra };
+}
+
+test('spreadDiscount shares an amount by line value and adds up exactly', () => {
+  const lines = [line(33.33, 1), line(33.33, 1), line(33.34, 1)];
+  const applied = spreadDiscount(lines, 10);
+
+  assert.strictEqual(applied, 10);
+  assert.strictEqual(lines.reduce((sum, entry) => sum + entry.discount, 0).toFixed(2), '10.00');
+});
+
+test('spreadDiscount never takes a line below zero', () => {
+  const lines = [line(5, 1), line(10, 1)];
+
+  assert.strictEqual(spreadDiscount(lines, 100), 15);
+  assert.deepStrictEqual(lines.map(entry => entry.discount), [5, 10]);
+});
+
+test('item-scope rules run before bill-level rules, which apply to what is left', () => {
+  const lines = [line(100, 2), line(50, 1, { category: 'drinks' })];
+  const applied = applyDiscounts(lines, [
+    promotion({ type: 'percentage', value: 10, scope: 'bill' }),
+    promotion({ type: 'fixed', value: 20, scope: 'item', applicableCategories: ['drinks'] })
+  ]);
+
+  // 20 off the drink, then 10% of the 230 left
+  assert.deepStrictEqual(applied.map(entry => [entry.scope, entry.amount]), [['item', 20], ['bill', 23]]);
+  assert.strictEqual(lines[0].discount, 20);
+  assert.strictEqual(lines[1].discount, 23);
+});
+
+test('a bill discount is capped at maxDiscount and needs the minimum bill amount', () => {
+  const capped = applyDiscounts([line(1000, 1)], [promotion({ type: 'percentage', value: 50, maxDiscount: 100 })]);
+  assert.strictEqual(capped[0].amount, 100);
+
+  const small = applyDiscounts([line(100, 1)], [promotion({ type: 'fixed', value: 50, minBillAmount: 500 })]);
+  assert.deepStrictEqual(small, []);
+});
+
+test('buy two get one free makes the cheapest unit of every three free', () => {
+  const lines = [line(100, 2), line(80, 1)];
+  const applied = applyDiscounts(lines, [promotion({ type: 'buy-x-get-y', buyQuantity: 2, getQuantity: 1 })]);
+
+  assert.strictEqual(applied[0].amount, 80);
+  assert.deepStrictEqual(lines.map(entry => entry.discount), [0, 80]);
+});
+
+test('a coupon records the lines it covered and stays on them when the bill changes', () => {
+  const coupon = promotion({ code: 'SAVE10', type: 'percentage', value: 10 });
+  const first = line(200, 1);
+  const [entry] = applyDiscounts([first], [coupon]);
+
+  assert.deepStrictEqual(entry.lines.map(String), [String(first._id)]);
+
+  const added = line(100, 1);
+  applyDiscounts([first, added], [coupon], { couponLines: { [coupon._id.toString()]: entry.lines.map(String) } });
+
+  assert.strictEqual(first.discount, 20);
+  assert.strictEqual(added.discount, 0);
+});
+
+test('a manual discount comes off last and is recorded with what was asked for', () => {
+  const lines = [line(100, 1), line(100, 1)];
+  const applied = applyDiscounts(lines, [promotion({ type: 'fixed', value: 50 })], { manualDiscount: 300 });
+
+  assert.deepStrictEqual(applied.map(entry => [entry.type, entry.amount, entry.requested]), [['fixed', 50, undefined], ['manual', 150, 300]]);
+  assert.strictEqual(lines[0].discount + lines[1].discount, 200);
+});
+
+test('a loyalty discount comes off after a manual one, up to what is left of the bill', () => {
+  const lines = [line(100, 1), line(100, 1)];
+  const applied = applyDiscounts(lines, [], { manualDiscount: 150, loyaltyDiscount: 80 });
+
+  assert.deepStrictEqual(applied.map(entry => [entry.type, entry.amount, entry.requested]), [['manual', 150, 150], ['loyalty', 50, 80]]);
+  assert.strictEqual(lines[0].discount + lines[1].discount, 200);
+});
+
+test('promotions already counted on a bill stay active at their usage limit', () => {
+  const limited = promotion({ type: 'fixed', value: 10, usageLimit: 5, usedCount: 5 });
+
+  assert.strictEqual(limited.isActiveAt(new Date()), false);
+  assert.strictEqual(limited.isActiveAt(new Date(), { countUsage: false }), true);
+
+  const expired = promotion({ type: 'fixed', value: 10, validUntil: new Date(Date.now() - 1000) });
+  assert.strictEqual(expired.isActiveAt(new Date(), { countUsage: false }), false);
+});
@@ -0,0 +1,73 @@
+// tests/helpers.js - Fixtures shared by the test files
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A bill line as the bill routes build it: `total` is price x quantity, tax comes from the model
+function billLine(name, price, quantity, taxRate, extra = {}) {
+  return { menuItem: id(), name, price, quantity, total: price * quantity, taxRate, ...extra };
+}
+
+function newBill(fields = {}) {
+  return new Bill({ createdBy: id(), ...fields });
+}
+
+// Stand-in for a Mongoose query, for mocked statics: chain methods return the query, awaiting it gives `result`
+function fakeQuery(result) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'session', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+}
+
+// Run transactions without a database: a session's withTransaction just runs the work
+function mockTransactions(t) {
+  return t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async work => work(),
+    endSession: async () => {}
+  }));
+}
+
+// Call the handler of a route registered on `router` as `method path`, skipping its auth middleware.
+// Resolves with the { status, body } it responded with.
+async function callRoute(router, method, path, req = {}) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  if (!layer) throw new Error(`No route ${method.toUpperCase()} ${path}`);
+
+  const handlers = layer.route.stack;
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await handlers[handlers.length - 1].handle({
+    params: {},
+    query: {},
+    body: {},
+    user: { userId: id(), username: 'cashier', role: 'admin' },
+    ...req
+  }, res);
+
+  return { status: res.statusCode, body: res.body };
+}
+
+module.exports = {
+  id,
+  billLine,
+  newBill,
+  fakeQuery,
+  mockTransactions,
+  callRoute
+};
@@ -0,0 +1,81 @@
+// tests/kitchen.test.js - Kitchen display: bump and recall, the live feed and its change notifications
+const test = require('node:test');
+const assert = require('node:assert');
+const Kot = require('../models/Kot');
+const router = require('../routes/kitchen');
+const { onKitchenChange } = require('../utils/kitchenEvents');
+const { id, fakeQuery, callRoute } = require('./helpers');
+
+function orderKot(lines, fields = {}) {
+  return new Kot({
+    kotNumber: 'K/2627/00001',
+    outlet: 'MAIN',
+    type: 'order',
+    bill: id(),
+    station: id(),
+    stationName: 'Main',
+    lines: lines.map(line => ({ billLine: id(), menuItem: id(), quantity: 1, ...line })),
+    ...fields
+  });
+}
+
+test('bump moves lines a kitchen state forward, recall moves them back and clears the timestamp', () => {
+  const kot = orderKot([{ name: 'Dal' }, { name: 'Naan', quantity: 2, cancelledQuantity: 2 }]);
+
+  // Fully cancelled lines are left alone
+  assert.strictEqual(kot.moveLines(1).length, 1);
+  assert.strictEqual(kot.lines[0].status, 'cooking');
+  assert.ok(kot.lines[0].startedAt);
+  assert.strictEqual(kot.lines[1].status, 'queued');
+
+  kot.moveLines(1, [String(kot.lines[0]._id)]);
+  assert.strictEqual(kot.lines[0].status, 'ready');
+
+  kot.moveLines(-1);
+  assert.strictEqual(kot.lines[0].status, 'cooking');
+  assert.strictEqual(kot.lines[0].readyAt, null);
+
+  kot.moveLines(-1);
+  assert.deepStrictEqual(kot.moveLines(-1), []);
+});
+
+test('the feed shows open units with their timers, late once past the preparation time', async (t) => {
+  const kot = orderKot([
+    { name: 'Biryani', quantity: 3, cancelledQuantity: 1, preparationTime: 20 },
+    { name: 'Raita', preparationTime: 60 },
+    { name: 'Papad', status: 'served', servedAt: new Date(Date.now() - 60000) }
+  ], { createdAt: new Date(Date.now() - 25 * 60000) });
+  t.mock.method(Kot, 'find', () => fakeQuery([kot]));
+
+  const [ticket] = await Kot.getKitchenFeed();
+
+  assert.deepStrictEqual(ticket.lines.map(line => [line.name, line.quantity, line.isLate]), [['Biryani', 2, true], ['Raita', 1, false]]);
+  assert.strictEqual(ticket.isLate, true);
+
+  const [recent] = await Kot.getKitchenFeed({ servedSince: new Date(Date.now() - 5 * 60000) });
+  assert.deepStrictEqual(recent.lines.map(line => line.name), ['Biryani', 'Raita', 'Papad']);
+});
+
+test('a bump is saved against the ticket version and pushed to that station\'s displays', async (t) => {
+  const kot = orderKot([{ name: 'Dal' }]);
+  t.mock.method(Kot, 'findById', () => fakeQuery(kot));
+  const save = t.mock.method(kot, 'save', async function() {
+    return this;
+  });
+  const changes = [];
+  const unsubscribe = onKitchenChange(change => changes.push(change));
+  t.after(unsubscribe);
+
+  const { status } = await callRoute(router, 'post', '/kots/:id/bump', { params: { id: String(kot._id) } });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(kot.lines[0].status, 'cooking');
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.deepStrictEqual(changes, [{ outlet: 'MAIN', stations: [String(kot.station)] }]);
+
+  kot.save = async () => {
+    throw Object.assign(new Error('No matching document'), { name: 'VersionError' });
+  };
+  const conflict = await callRoute(router, 'post', '/kots/:id/bump', { params: { id: String(kot._id) } });
+  assert.strictEqual(conflict.status, 409);
+});
@@ -0,0 +1,89 @@
+// tests/kots.test.js - Kitchen order tickets: routing to stations, voids and the ticket layout
+const test = require('node:test');
+const assert = require('node:assert');
+const KitchenStation = require('../models/KitchenStation');
+const Kot = require('../models/Kot');
+const MenuItem = require('../models/MenuItem');
+const { createKotTicket } = require('../utils/kot');
+const { id, billLine, newBill, fakeQuery } = require('./helpers');
+
+function mockStations(t, stations, menuItems = []) {
+  t.mock.method(KitchenStation, 'find', () => fakeQuery(stations));
+  t.mock.method(MenuItem, 'find', () => fakeQuery(menuItems));
+  return t.mock.method(Kot.prototype, 'save', async function() {
+    return this;
+  });
+}
+
+test('bill lines go on one ticket per station, by category, falling back to the default station', async (t) => {
+  const tandoor = new KitchenStation({ name: 'Tandoor', categories: ['breads'] });
+  const main = new KitchenStation({ name: 'Main', categories: ['mains'], isDefault: true });
+  const bill = newBill({
+    billNumber: 'B/1',
+    tableNumber: 'T4',
+    items: [
+      billLine('Naan', 40, 2, 5, { category: 'breads' }),
+      billLine('Dal', 150, 1, 5, { category: 'mains' }),
+      billLine('Lassi', 60, 1, 5, { category: 'beverage' })
+    ]
+  });
+  mockStations(t, [tandoor, main], [{ _id: bill.items[0].menuItem, preparationTime: 12 }]);
+
+  const kots = await Kot.issueForLines(bill, bill.items.map(line => ({ line, quantity: line.quantity })));
+
+  assert.deepStrictEqual(kots.map(kot => [kot.stationName, kot.lines.map(line => line.name)]), [
+    ['Tandoor', ['Naan']],
+    ['Main', ['Dal', 'Lassi']]
+  ]);
+  assert.strictEqual(kots[0].tableNumber, 'T4');
+  // The display times each line against its item's preparation time
+  assert.deepStrictEqual(kots[1].lines.map(line => line.preparationTime), [0, 0]);
+  assert.strictEqual(kots[0].lines[0].preparationTime, 12);
+});
+
+test('lines without a station are not sent to the kitchen', async (t) => {
+  const save = mockStations(t, [new KitchenStation({ name: 'Bar', categories: ['beverage'] })]);
+  const bill = newBill({ items: [billLine('Dal', 150, 1, 5, { category: 'mains' })] });
+
+  const kots = await Kot.issueForLines(bill, [{ line: bill.items[0], quantity: 1 }]);
+
+  assert.deepStrictEqual(kots, []);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('voided units are struck off the newest tickets first, closing a ticket once all of it is void', async (t) => {
+  const line = { _id: id() };
+  const ticket = quantity => new Kot({ kotNumber: 'K', type: 'order', bill: id(), station: id(), lines: [{ billLine: line._id, menuItem: id(), name: 'Dal', quantity }] });
+  const newer = ticket(1);
+  const older = ticket(2);
+  t.mock.method(Kot, 'find', () => fakeQuery([newer, older]));
+  const save = t.mock.method(Kot.prototype, 'save', async function() {
+    return this;
+  });
+
+  await Kot.markCancelled(id(), [{ line, quantity: 2 }]);
+
+  assert.strictEqual(newer.lines[0].cancelledQuantity, 1);
+  assert.strictEqual(newer.status, 'cancelled');
+  assert.strictEqual(older.lines[0].cancelledQuantity, 1);
+  assert.strictEqual(older.status, 'active');
+  assert.strictEqual(save.mock.callCount(), 2);
+});
+
+test('the ticket wraps long names under the quantity and shows a cancel with its reason', () => {
+  const text = createKotTicket({
+    kotNumber: 'K/2627/00007',
+    type: 'cancel',
+    stationName: 'Main',
+    tableNumber: 'T4',
+    reason: 'Guest left',
+    lines: [{ name: 'Paneer Butter Masala with Extra Gravy', quantity: 2, notes: 'less spicy' }]
+  }).toString('utf8');
+
+  assert.match(text, /CANCEL KOT/);
+  assert.match(text, /TABLE: T4/);
+  assert.match(text, / -2 x Paneer Butter Masala with\n {6}Extra Gravy\n/);
+  assert.match(text, / {6}>> less spicy\n/);
+  assert.match(text, /Reason: Guest left/);
+  assert.match(text, /Items: 2/);
+});
@@ -0,0 +1,39 @@
+// tests/loopbackPrinter.test.js - Printing over the network to the loopback printer
+const test = require('node:test');
+const assert = require('node:assert');
+const PrinterProfile = require('../models/PrinterProfile');
+const { printRaw } = require('../utils/printTransport');
+const { startLoopbackPrinter } = require('../utils/loopbackPrinter');
+
+test('a document sent to a network printer profile arrives byte for byte', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const printer = await startLoopbackPrinter();
+  t.after(() => printer.close());
+
+  const profile = new PrinterProfile({ name: 'Pass', connection: 'network', ip: printer.host, port: printer.port, cut: 'partial' });
+  const commands = profile.getCommands();
+  const receipt = Buffer.concat([commands.init, Buffer.from('KOT K/2627/00001\n'), commands.cut]);
+
+  const result = await printRaw(receipt, profile.toPrinterConfig(), 'KOT');
+
+  assert.deepStrictEqual([result.success, result.port], [true, printer.port]);
+  assert.strictEqual(printer.jobs.length, 1);
+  assert.deepStrictEqual(printer.received(), receipt);
+
+  printer.clear();
+  await printRaw(Buffer.from('second'), { connection: 'network', ip: printer.host, port: printer.port });
+  assert.deepStrictEqual(printer.jobs.map(job => job.toString()), ['second']);
+});
+
+test('a print to a network printer that is not listening fails', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const printer = await startLoopbackPrinter();
+  const { host, port } = printer;
+  await printer.close();
+
+  await assert.rejects(
+    printRaw(Buffer.from('lost'), { connection: 'network', ip: host, port, retries: 0 }),
+    new RegExp(`Network print to ${host}:${port} failed`)
+  );
+});
@@ -0,0 +1,83 @@
+// tests/modifiers.test.js - Modifier groups: selection rules, snapshots on bill lines and printing under the item
+const test = require('node:test');
+const assert = require('node:assert');
+const ModifierGroup = require('../models/ModifierGroup');
+const ReceiptTemplate = require('../models/ReceiptTemplate');
+const { createKotTicket } = require('../utils/kot');
+const { renderReceipt, layoutToText } = require('../utils/receipt');
+const { billLine, newBill, fakeQuery } = require('./helpers');
+
+function group(fields) {
+  return new ModifierGroup({ minSelections: 0, maxSelections: 1, ...fields });
+}
+
+const toppings = group({
+  name: 'Toppings',
+  maxSelections: 2,
+  options: [{ name: 'Extra cheese', price: 30 }, { name: 'Olives', price: 20 }, { name: 'Jalapeno', price: 20, isAvailable: false }]
+});
+const crust = group({ name: 'Crust', minSelections: 1, options: [{ name: 'Thin' }, { name: 'Pan', price: 40 }] });
+const [cheese, olives, jalapeno] = toppings.options;
+const [thin, pan] = crust.options;
+
+test('selection limits must be reachable and option names distinct', async () => {
+  await assert.rejects(group({ name: 'Sauce', minSelections: 2, options: [{ name: 'Mint' }, { name: 'Tamarind' }] }).validate(),
+    error => Boolean(error.errors.minSelections));
+  await assert.rejects(group({ name: 'Spice', maxSelections: 0, minSelections: 3, options: [{ name: 'Mild' }] }).validate(),
+    /Only 1 option\(s\) to choose from/);
+  await assert.rejects(group({ name: 'Spice', options: [{ name: 'Mild' }, { name: 'mild' }] }).validate(),
+    error => Boolean(error.errors['options.1.name']));
+
+  assert.strictEqual(crust.isRequired, true);
+  assert.strictEqual(toppings.isRequired, false);
+});
+
+test('picked options are snapshotted with their group and price', async (t) => {
+  t.mock.method(ModifierGroup, 'find', () => fakeQuery([toppings, crust]));
+
+  const { modifiers, error } = await ModifierGroup.resolveSelections([toppings._id, crust._id], [olives._id, pan._id, cheese._id], 'Pizza');
+
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(modifiers.map(modifier => [modifier.groupName, modifier.name, modifier.price]), [
+    ['Toppings', 'Extra cheese', 30],
+    ['Toppings', 'Olives', 20],
+    ['Crust', 'Pan', 40]
+  ]);
+});
+
+test('selections that break the group rules are refused', async (t) => {
+  t.mock.method(ModifierGroup, 'find', () => fakeQuery([toppings, crust]));
+  const resolve = optionIds => ModifierGroup.resolveSelections([toppings._id, crust._id], optionIds, 'Pizza');
+
+  assert.match((await resolve([cheese._id])).error, /Choose at least 1 from "Crust" for "Pizza"/);
+  assert.match((await resolve([thin._id, pan._id])).error, /Choose at most 1 from "Crust"/);
+  assert.match((await resolve([thin._id, jalapeno._id])).error, /"Jalapeno" is currently unavailable/);
+  assert.match((await resolve([thin._id, thin._id])).error, /picked twice/);
+  assert.match((await resolve([thin._id, group({ name: 'Other', options: [{ name: 'X' }] }).options[0]._id])).error,
+    /do not belong to "Pizza"/);
+});
+
+test('modifiers print under the item on the ticket and on the receipt, with their price where they change it', async () => {
+  const ticket = createKotTicket({
+    kotNumber: 'K/2627/00008',
+    type: 'order',
+    stationName: 'Pizza',
+    lines: [{ name: 'Margherita', quantity: 1, modifiers: ['Extra cheese', 'No onion'], notes: '' }]
+  }).toString('utf8');
+
+  assert.match(ticket, / {2}1 x Margherita\n\x1BE\x00\x1D!\x00 {6}\+ Extra cheese\n {6}\+ No onion\n/);
+
+  const bill = newBill({
+    billNumber: 'B/2627/00043',
+    status: 'paid',
+    orderType: 'takeaway',
+    items: [billLine('Margherita', 280, 1, 5, {
+      modifiers: [{ name: 'Extra cheese', price: 30 }, { name: 'No onion', price: 0 }, { name: 'No olives', price: -10 }]
+    })],
+    payments: [{ method: 'cash', amount: 294 }]
+  });
+  await bill.validate();
+  const receipt = layoutToText(renderReceipt(bill, new ReceiptTemplate({ name: 'Standard' }), { width: 32 }), 32);
+
+  assert.match(receipt, / {2}\+ Extra cheese \(\+Rs\.30\.00\)\n {2}\+ No onion\n {2}\+ No olives \(-Rs\.10\.00\)\n/);
+});
@@ -0,0 +1,59 @@
+// tests/payments.test.js - Split payments, tendered cash and the balance left on a bill
+const test = require('node:test');
+const assert = require('node:assert');
+const Bill = require('../models/Bill');
+const { billLine, newBill } = require('./helpers');
+
+function takeaway(fields = {}) {
+  return newBill({ orderType: 'takeaway', items: [billLine('Meal', 100, 1, 5)], ...fields });
+}
+
+test('split payments set amountPaid, change and the split method', async () => {
+  const bill = takeaway({
+    status: 'paid',
+    payments: [
+      { method: 'cash', amount: 50, tendered: 100 },
+      { method: 'upi', amount: 55 }
+    ]
+  });
+  await bill.validate();
+
+  assert.strictEqual(bill.amountPaid, 105);
+  assert.strictEqual(bill.payments[0].change, 50);
+  assert.strictEqual(bill.paymentMethod, 'split');
+  assert.strictEqual(bill.balanceDue, 0);
+});
+
+test('a paid bill must be paid in full and never overpaid', async () => {
+  const short = takeaway({ status: 'paid', payments: [{ method: 'cash', amount: 100 }] });
+  await assert.rejects(short.validate(), error => Boolean(error.errors.payments));
+
+  const over = takeaway({ status: 'pending', payments: [{ method: 'card', amount: 200 }] });
+  await assert.rejects(over.validate(), error => Boolean(error.errors.payments));
+
+  const tendered = takeaway({ payments: [{ method: 'cash', amount: 50, tendered: 20 }] });
+  await assert.rejects(tendered.validate(), error => Boolean(error.errors.payments));
+});
+
+test('a part-paid bill keeps the rest as its balance due, and a single method is kept as is', async () => {
+  const bill = takeaway({ status: 'pending', payments: [{ method: 'card', amount: 40, reference: 'APR123' }] });
+  await bill.validate();
+
+  assert.strictEqual(bill.paymentMethod, 'card');
+  assert.strictEqual(bill.amountPaid, 40);
+  assert.strictEqual(bill.balanceDue, 65);
+
+  bill.status = 'cancelled';
+  assert.strictEqual(bill.balanceDue, 0);
+});
+
+test('bills settled before split payments report their single method as one payment line', async () => {
+  const legacy = takeaway({ status: 'paid', paymentMethod: 'upi' });
+  await legacy.validate();
+  const split = takeaway({ status: 'paid', payments: [{ method: 'cash', amount: 60 }, { method: 'upi', amount: 45 }] });
+  await split.validate();
+
+  assert.deepStrictEqual(legacy.getPaymentLines().map(payment => [payment.method, payment.amount]), [['upi', 105]]);
+  assert.deepStrictEqual(Bill.summarizePayments([legacy, split]), { upi: 150, cash: 60 });
+  assert.deepStrictEqual(takeaway({ status: 'pending' }).getPaymentLines(), []);
+});
@@ -0,0 +1,77 @@
+// tests/printQueue.test.js - Print queue: retries with backoff, dead-lettering, claiming and queueing jobs
+const test = require('node:test');
+const assert = require('node:assert');
+const PrintJob = require('../models/PrintJob');
+const PrinterProfile = require('../models/PrinterProfile');
+const router = require('../routes/printer');
+const { enqueuePrint, jobSummary } = require('../utils/printQueue');
+const { id } = require('./helpers');
+
+function printJob(fields = {}) {
+  const job = new PrintJob({ kind: 'bill', label: 'B/2627/00001', data: Buffer.from('receipt'), ...fields });
+  job.save = async function() {
+    return this;
+  };
+  return job;
+}
+
+test('a failed attempt is retried after a delay that doubles each time', async () => {
+  const job = printJob({ attempts: 1 });
+
+  const before = Date.now();
+  await job.markFailed(new Error('ECONNREFUSED'));
+  assert.strictEqual(job.status, 'queued');
+  assert.ok(job.nextAttemptAt.getTime() - before >= 5000 && job.nextAttemptAt.getTime() - before < 6000);
+
+  job.attempts = 3;
+  await job.markFailed(new Error('ECONNREFUSED'));
+  assert.ok(job.nextAttemptAt.getTime() - Date.now() > 19000);
+  assert.deepStrictEqual(job.failures.map(failure => failure.message), ['ECONNREFUSED', 'ECONNREFUSED']);
+});
+
+test('a job out of attempts is dead-lettered, and can be sent round again', async () => {
+  const job = printJob({ attempts: 5, maxAttempts: 5 });
+
+  await job.markFailed(new Error('Paper out'));
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.lastError, 'Paper out');
+  assert.ok(job.completedAt);
+
+  await job.requeue();
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.attempts, 0);
+  assert.strictEqual(job.completedAt, null);
+});
+
+test('a printer\'s lane claims only its own due jobs, including ones a dead worker left printing', async (t) => {
+  const claim = t.mock.method(PrintJob, 'findOneAndUpdate', async () => null);
+  const profile = id();
+
+  await PrintJob.claimNext({ profile });
+
+  const [filter, update, options] = claim.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.$and[0], { profile });
+  assert.deepStrictEqual(filter.$and[1].$or.map(clause => clause.status), ['queued', 'printing']);
+  assert.deepStrictEqual(update.$inc, { attempts: 1 });
+  assert.deepStrictEqual(options.sort, { nextAttemptAt: 1 });
+});
+
+test('a job for an unsaved fallback printer is stored without a profile, to find the default when it runs', async (t) => {
+  const create = t.mock.method(PrintJob, 'create', async fields => fields);
+  const saved = new PrinterProfile({ name: 'Bar', outlet: 'east', role: 'kot' });
+  saved.isNew = false;
+
+  await enqueuePrint({ kind: 'raw', label: 'Test', data: Buffer.from('x'), profile: new PrinterProfile({ name: 'Default' }) });
+  await enqueuePrint({ kind: 'kot', label: 'K/1', data: Buffer.from('x'), profile: saved });
+
+  const [fallback, kot] = create.mock.calls.map(call => call.arguments[0]);
+  assert.deepStrictEqual([fallback.profile, fallback.role], [null, 'receipt']);
+  assert.deepStrictEqual([kot.profile, kot.outlet, kot.role], [saved._id, 'EAST', 'kot']);
+  assert.strictEqual(jobSummary(printJob()).data, undefined);
+});
+
+test('bulk printing is routed ahead of printing one bill, which would take "bulk" for a bill id', () => {
+  const paths = router.stack.filter(layer => layer.route && layer.route.methods.post).map(layer => layer.route.path);
+
+  assert.ok(paths.indexOf('/print/bulk') < paths.indexOf('/print/:billId'));
+});
@@ -0,0 +1,49 @@
+// tests/printerProfiles.test.js - Printer profiles: finding the printer for a job and its command set
+const test = require('node:test');
+const assert = require('node:assert');
+const PrinterProfile = require('../models/PrinterProfile');
+const router = require('../routes/printer');
+const { id, fakeQuery, callRoute } = require('./helpers');
+
+test('a named profile that does not exist, or is not an id at all, is a 404', async (t) => {
+  t.mock.method(PrinterProfile, 'findOne', () => fakeQuery(null));
+
+  await assert.rejects(PrinterProfile.resolve({ profileId: String(id()) }), { status: 404, message: 'Printer profile not found' });
+  await assert.rejects(PrinterProfile.resolve({ profileId: 'front-desk' }), { status: 404 });
+
+  const { status, body } = await callRoute(router, 'post', '/test', { body: { profileId: 'front-desk' } });
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.message, 'Printer profile not found');
+});
+
+test('without a named profile the outlet\'s default for the role is used, else any, else the OS printer', async (t) => {
+  const kitchen = new PrinterProfile({ name: 'Kitchen', role: 'kot' });
+  const findOne = t.mock.method(PrinterProfile, 'findOne', query => fakeQuery(query.isDefault ? null : kitchen));
+
+  assert.strictEqual(await PrinterProfile.resolve({ outlet: 'main', role: 'kot' }), kitchen);
+  assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], { outlet: 'MAIN', role: 'kot', isActive: true, isDefault: true });
+
+  findOne.mock.mockImplementation(() => fakeQuery(null));
+  const fallback = await PrinterProfile.resolve({ role: 'receipt' });
+  assert.strictEqual(fallback.isNew, true);
+  assert.strictEqual(fallback.name, 'Default receipt printer');
+});
+
+test('the paper sets the line width, and the profile the cut and drawer commands', async () => {
+  const profile = new PrinterProfile({ name: 'Bar', paperWidth: 58, cut: 'partial', codePage: 0, drawer: { enabled: true, pin: 5 } });
+  await profile.validate();
+
+  assert.strictEqual(profile.charsPerLine, 24);
+  const commands = profile.getCommands();
+  assert.deepStrictEqual([...commands.init], [0x1B, 0x40, 0x1B, 0x74, 0]);
+  assert.deepStrictEqual([...commands.cut], [0x1D, 0x56, 0x01]);
+  assert.deepStrictEqual([...commands.drawer], [0x1B, 0x70, 0x01, 25, 250]);
+});
+
+test('a network printer needs an address and a USB printer a device path', async () => {
+  const network = new PrinterProfile({ name: 'Pass', connection: 'network' });
+  const usb = new PrinterProfile({ name: 'Till', connection: 'usb' });
+
+  await assert.rejects(network.validate(), error => Boolean(error.errors.ip));
+  await assert.rejects(usb.validate(), error => Boolean(error.errors.devicePath));
+});
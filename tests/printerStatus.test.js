@@ -0,0 +1,63 @@
+// tests/printerStatus.test.js - Real-time printer status over DLE EOT, asked of the loopback printer
+const test = require('node:test');
+const assert = require('node:assert');
+const PrinterProfile = require('../models/PrinterProfile');
+const { queryNetworkStatus } = require('../utils/printTransport');
+const { parseStatusBytes, getPrinterStatus, getPrinterAlerts } = require('../utils/printerStatus');
+const { startLoopbackPrinter } = require('../utils/loopbackPrinter');
+
+async function loopback(t) {
+  const printer = await startLoopbackPrinter();
+  t.after(() => printer.close());
+  return printer;
+}
+
+test('a ready printer answers the four status requests, and a status check is not a print job', async (t) => {
+  const printer = await loopback(t);
+
+  const bytes = await queryNetworkStatus(printer.host, printer.port);
+
+  assert.deepStrictEqual(bytes, [0x12, 0x12, 0x12, 0x12]);
+  const status = parseStatusBytes(bytes);
+  assert.strictEqual(status.online, true);
+  assert.strictEqual(status.paperOut, false);
+  assert.strictEqual(status.coverOpen, false);
+  assert.deepStrictEqual(printer.jobs, []);
+});
+
+test('status bytes are decoded, and a reply that is not a status byte is refused', () => {
+  // Offline with the cover open; paper near its end
+  const status = parseStatusBytes([0x12 | 0x08, 0x12 | 0x04, 0x12, 0x12 | 0x0C]);
+  assert.deepStrictEqual([status.online, status.coverOpen, status.paperNearEnd, status.paperOut], [false, true, true, false]);
+
+  assert.throws(() => parseStatusBytes([0x12, 0x12, 0x12, 0xFF]), /unrecognised status reply/);
+});
+
+test('paper out on a network printer raises an alert, kept until the printer is asked again', async (t) => {
+  const printer = await loopback(t);
+  const profile = new PrinterProfile({ name: 'Till', outlet: 'main', connection: 'network', ip: printer.host, port: printer.port });
+  printer.setStatus(4, 0x12 | 0x60);
+
+  const status = await getPrinterStatus(profile);
+  assert.strictEqual(status.reachable, true);
+  assert.deepStrictEqual(status.alerts.map(alert => alert.code), ['paper-out']);
+  assert.ok(getPrinterAlerts('main').includes(status));
+
+  printer.setStatus(4, 0x12);
+  assert.strictEqual(await getPrinterStatus(profile), status);
+  const refreshed = await getPrinterStatus(profile, { refresh: true });
+  assert.deepStrictEqual(refreshed.alerts, []);
+});
+
+test('a printer that cannot be reached is an alert; other connections cannot be asked', async (t) => {
+  const printer = await startLoopbackPrinter();
+  const { host, port } = printer;
+  await printer.close();
+
+  const status = await getPrinterStatus(new PrinterProfile({ name: 'Bar', connection: 'network', ip: host, port }));
+  assert.strictEqual(status.reachable, false);
+  assert.deepStrictEqual(status.alerts.map(alert => alert.code), ['unreachable']);
+
+  const usb = await getPrinterStatus(new PrinterProfile({ name: 'Desk', connection: 'usb', devicePath: '/dev/usb/lp0' }));
+  assert.strictEqual(usb.supported, false);
+});
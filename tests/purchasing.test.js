@@ -0,0 +1,191 @@
+// tests/purchasing.test.js - Purchase orders, goods receipts and supplier invoices
+const test = require('node:test');
+const assert = require('node:assert');
+const Ingredient = require('../models/Ingredient');
+const MenuItem = require('../models/MenuItem');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const SupplierInvoice = require('../models/SupplierInvoice');
+const router = require('../routes/supplierInvoices');
+const { buildSpendReport, receiveIntoStock } = require('../utils/purchasing');
+const { id, fakeQuery, mockTransactions, callRoute } = require('./helpers');
+
+function purchaseOrder(fields = {}) {
+  return new PurchaseOrder({
+    supplier: id(),
+    supplierName: 'Fresh Farms',
+    createdBy: id(),
+    lines: [
+      { ingredient: id(), name: 'Flour', unit: 'kg', quantity: 10.5, unitCost: 40, taxRate: 5 },
+      { menuItem: id(), name: 'Cola', quantity: 24, unitCost: 30, taxRate: 28 }
+    ],
+    ...fields
+  });
+}
+
+function receipt(fields = {}) {
+  return new GoodsReceipt({
+    purchaseOrder: id(),
+    poNumber: 'PO/1',
+    supplier: id(),
+    supplierName: 'Fresh Farms',
+    receivedBy: id(),
+    lines: [{ poLine: id(), name: 'Cola', quantity: 10, unitCost: 30, taxRate: 28 }],
+    ...fields
+  });
+}
+
+function invoice(fields = {}) {
+  return new SupplierInvoice({
+    supplier: id(),
+    supplierName: 'Fresh Farms',
+    purchaseOrder: id(),
+    poNumber: 'PO/1',
+    invoiceNumber: 'FF-101',
+    invoiceDate: new Date(),
+    dueDate: new Date(),
+    subtotal: 300,
+    gst: 84,
+    receivedValue: 384,
+    createdBy: id(),
+    ...fields
+  });
+}
+
+test('purchase order lines are taxed at their slab and totalled', async () => {
+  const order = purchaseOrder();
+  await order.validate();
+
+  assert.strictEqual(order.subtotal, 1140);
+  assert.strictEqual(order.cgst, 111.3);
+  assert.strictEqual(order.sgst, 111.3);
+  assert.strictEqual(order.total, 1362.6);
+  assert.deepStrictEqual(order.getTaxBreakup().map(slab => slab.rate), [5, 28]);
+});
+
+test('inter-state orders carry IGST', async () => {
+  const order = purchaseOrder({ supplyType: 'inter-state' });
+  await order.validate();
+
+  assert.strictEqual(order.igst, 222.6);
+  assert.strictEqual(order.cgst, 0);
+});
+
+test('a line is for an ingredient or a menu item, and menu items come in whole units', async () => {
+  const order = purchaseOrder({
+    lines: [{ ingredient: id(), menuItem: id(), name: 'Mixed', quantity: 1.5, unitCost: 10 }]
+  });
+
+  await assert.rejects(order.validate(), error => Boolean(error.errors['lines.0'] && error.errors['lines.0.quantity']));
+});
+
+test('receipt status moves to partially received, then received once every line is in', () => {
+  const order = purchaseOrder({ status: 'ordered' });
+
+  order.lines[0].receivedQuantity = 10.5;
+  order.lines[1].receivedQuantity = 10;
+  order.updateReceiptStatus();
+  assert.strictEqual(order.status, 'partially-received');
+  assert.strictEqual(order.canReceive(), true);
+
+  order.lines[1].receivedQuantity = 24;
+  order.updateReceiptStatus();
+  assert.strictEqual(order.status, 'received');
+  assert.strictEqual(order.canReceive(), false);
+});
+
+test('a goods receipt is valued at the ordered cost', async () => {
+  const grn = receipt();
+  await grn.validate();
+
+  assert.strictEqual(grn.subtotal, 300);
+  assert.strictEqual(grn.gst, 84);
+  assert.strictEqual(grn.total, 384);
+});
+
+test('an invoice matches the goods received within the tolerance', async () => {
+  const matched = invoice({ subtotal: 300.5 });
+  await matched.validate();
+  assert.strictEqual(matched.matchStatus, 'matched');
+
+  const over = invoice({ subtotal: 320 });
+  await over.validate();
+  assert.strictEqual(over.matchStatus, 'mismatch');
+  assert.strictEqual(over.variance, 20);
+});
+
+test('payments move an invoice to partly paid and paid, never beyond its total', async () => {
+  const payable = invoice();
+  await payable.validate();
+  assert.strictEqual(payable.status, 'unpaid');
+  assert.strictEqual(payable.outstanding, 384);
+
+  payable.payments.push({ amount: 100, method: 'upi' });
+  await payable.validate();
+  assert.strictEqual(payable.status, 'partially-paid');
+  assert.strictEqual(payable.outstanding, 284);
+
+  payable.payments.push({ amount: 284, method: 'bank-transfer' });
+  await payable.validate();
+  assert.strictEqual(payable.status, 'paid');
+
+  payable.payments.push({ amount: 1, method: 'cash' });
+  await assert.rejects(payable.validate(), error => Boolean(error.errors.payments));
+});
+
+test('an invoice needs a subtotal above zero', async () => {
+  for (const subtotal of [0, -5]) {
+    await assert.rejects(invoice({ subtotal }).validate(), error => Boolean(error.errors.subtotal));
+  }
+});
+
+test('received ingredients are costed into stock and menu items counted in', async (t) => {
+  const receive = t.mock.method(Ingredient, 'receive', async () => {});
+  const updateOne = t.mock.method(MenuItem, 'updateOne', async () => ({ matchedCount: 1 }));
+  const flour = id();
+  const cola = id();
+  const grn = receipt({
+    lines: [
+      { poLine: id(), ingredient: flour, name: 'Flour', unit: 'kg', quantity: 10.5, unitCost: 40, taxRate: 5 },
+      { poLine: id(), menuItem: cola, name: 'Cola', quantity: 24, unitCost: 30, taxRate: 28 }
+    ]
+  });
+
+  await receiveIntoStock(grn);
+
+  assert.deepStrictEqual(receive.mock.calls[0].arguments[0], [{ ingredient: flour, quantity: 10.5, unitCost: 40 }]);
+  assert.deepStrictEqual(updateOne.mock.calls.map(call => [String(call.arguments[0]._id), call.arguments[1]]), [
+    [String(cola), { $inc: { stock: 24 } }]
+  ]);
+});
+
+test('goods already billed on another invoice cannot be invoiced again', async (t) => {
+  mockTransactions(t);
+  const order = purchaseOrder({ status: 'received' });
+  const grn = receipt({ purchaseOrder: order._id });
+  t.mock.method(PurchaseOrder, 'findById', () => fakeQuery(order));
+  t.mock.method(GoodsReceipt, 'find', () => fakeQuery([grn]));
+  t.mock.method(SupplierInvoice, 'findOne', () => fakeQuery({ invoiceNumber: 'FF-100' }));
+  const save = t.mock.method(SupplierInvoice.prototype, 'save', async function() { return this; });
+
+  const { status, body } = await callRoute(router, 'post', '/', {
+    body: { purchaseOrderId: String(order._id), invoiceNumber: 'FF-101', subtotal: 300, gst: 84, goodsReceiptIds: [String(grn._id)] }
+  });
+
+  assert.strictEqual(status, 409);
+  assert.match(body.message, /already billed on invoice FF-100/);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('purchase spend is reported per supplier per month received', async (t) => {
+  const grn = receipt({ receivedAt: new Date(2026, 5, 10) });
+  await grn.validate();
+  t.mock.method(GoodsReceipt, 'find', () => fakeQuery([grn]));
+
+  const report = await buildSpendReport(new Date(2026, 3, 1), new Date(2027, 3, 1));
+
+  assert.strictEqual(report.months.length, 12);
+  assert.deepStrictEqual(report.suppliers[0].months['2026-06'], { subtotal: 300, gst: 84, total: 384, receipts: 1 });
+  assert.strictEqual(report.monthTotals['2026-05'], 0);
+  assert.deepStrictEqual(report.totals, { subtotal: 300, gst: 84, total: 384, receipts: 1 });
+});
@@ -0,0 +1,100 @@
+// tests/receipts.test.js - Receipt templates: rendering a bill, duplicate copies, text wrapping, QR codes and barcodes
+const test = require('node:test');
+const assert = require('node:assert');
+const PrinterProfile = require('../models/PrinterProfile');
+const ReceiptTemplate = require('../models/ReceiptTemplate');
+const { renderReceipt, layoutToEscPos, layoutToText, wrapText } = require('../utils/receipt');
+const { qrCodeCommands } = require('../utils/escpos');
+const { id, billLine, newBill, fakeQuery } = require('./helpers');
+
+// A paid dine-in bill: food at 18% and a service charge taxed at the 5% charges slab
+async function paidBill() {
+  const bill = newBill({
+    billNumber: 'B/2627/00042',
+    status: 'paid',
+    orderType: 'dine-in',
+    serviceChargeRate: 10,
+    items: [billLine('Paneer Tikka Masala', 200, 1, 18)],
+    payments: [{ method: 'cash', amount: 257 }]
+  });
+  await bill.validate();
+  return bill;
+}
+
+const print = (bill, template = new ReceiptTemplate({ name: 'Standard' })) => layoutToText(renderReceipt(bill, template, { width: 32 }), 32);
+
+test('the standard layout prints the bill, its charges and the tax breakup per slab', async () => {
+  const text = print(await paidBill());
+
+  assert.match(text, /BILL NO: B\/2627\/00042/);
+  assert.match(text, /Paneer Tikka {10}1 {3}200\.00\nMasala\n/);
+  assert.match(text, /Service Charge \(10%\): {6}20\.00/);
+  assert.match(text, /5% {7}20\.00 {5}0\.50 {5}0\.50\n18% {5}200\.00 {4}18\.00 {4}18\.00/);
+  assert.match(text, /TOTAL: Rs\.257\.00/);
+  assert.doesNotMatch(text, /DUPLICATE/);
+});
+
+test('a duplicate receipt is marked and keeps the charges slab in its tax breakup', async () => {
+  const bill = await paidBill();
+  const copy = { ...bill.toObject(), taxBreakup: bill.getTaxBreakup(), isDuplicate: true };
+
+  const text = print(copy);
+
+  assert.match(text, /\*\*\* DUPLICATE \*\*\*/);
+  assert.strictEqual(text.split('TAX BREAKUP')[1].split('TOTAL')[0], print(bill).split('TAX BREAKUP')[1].split('TOTAL')[0]);
+});
+
+test('text wraps on spaces, breaks words longer than a line and keeps its own line breaks', () => {
+  assert.deepStrictEqual(wrapText('Paneer Tikka Masala', 12), ['Paneer Tikka', 'Masala']);
+  assert.deepStrictEqual(wrapText('GSTIN29ABCDE1234F1Z5', 8), ['GSTIN29A', 'BCDE1234', 'F1Z5']);
+  assert.deepStrictEqual(wrapText('Thank you\n\nVisit again', 32), ['Thank you', '', 'Visit again']);
+});
+
+test('a named template that does not exist is a 404; otherwise the outlet default or the standard layout', async (t) => {
+  const findOne = t.mock.method(ReceiptTemplate, 'findOne', () => fakeQuery(null));
+
+  await assert.rejects(ReceiptTemplate.resolve({ templateId: String(id()) }), { status: 404, message: 'Receipt template not found' });
+  await assert.rejects(ReceiptTemplate.resolve({ templateId: 'plain' }), { status: 404 });
+
+  const standard = await ReceiptTemplate.resolve({ outlet: 'main' });
+  assert.strictEqual(standard.isNew, true);
+  assert.deepStrictEqual(findOne.mock.calls[1].arguments[0], { outlet: 'MAIN', isDefault: true, isActive: true });
+});
+
+test('an open bill carries a UPI QR for what is still due; a paid one does not', async () => {
+  const template = new ReceiptTemplate({ name: 'Standard', business: { name: 'Udupi Cafe', upiVpa: 'Cafe@okbank' } });
+  const bill = newBill({ billNumber: 'B/2627/00043', status: 'pending', orderType: 'takeaway', items: [billLine('Thali', 200, 1, 5)], payments: [{ method: 'cash', amount: 10 }] });
+  await bill.validate();
+
+  const qr = renderReceipt(bill, template, { width: 32 }).find(line => line.qr);
+  assert.strictEqual(qr.qr, 'upi://pay?pa=cafe%40okbank&pn=Udupi%20Cafe&am=200.00&cu=INR&tr=B%2F2627%2F00043&tn=Bill%20B%2F2627%2F00043');
+  assert.match(layoutToText(renderReceipt(bill, template, { width: 32 }), 32), /Scan & pay with any UPI app\n {12}\[UPI QR\]/);
+
+  const paid = await paidBill();
+  assert.strictEqual(renderReceipt(paid, template, { width: 32 }).some(line => line.qr), false);
+});
+
+test('an e-invoiced bill prints its signed QR with the IRN', async () => {
+  const bill = await paidBill();
+  bill.eInvoice = { irn: 'a1b2c3', ackNo: '1123', signedQrCode: 'eyJhbGciOi.signed' };
+
+  const layout = renderReceipt(bill, new ReceiptTemplate({ name: 'Standard' }), { width: 32 });
+
+  assert.deepStrictEqual(layout.filter(line => line.qr).map(line => [line.qr, line.source]), [['eyJhbGciOi.signed', 'einvoice']]);
+  assert.ok(layout.some(line => line.text === 'IRN: a1b2c3'));
+});
+
+test('QR codes and barcodes are sent as ESC/POS commands sized for the paper', async () => {
+  const qr = qrCodeCommands('upi://pay', { moduleSize: 4 });
+  // Store data: length of the payload plus three, low byte first
+  assert.deepStrictEqual([...qr.subarray(25, 33)], [0x1D, 0x28, 0x6B, 12, 0, 0x31, 0x50, 0x30]);
+  assert.strictEqual(qr.subarray(33, 42).toString(), 'upi://pay');
+  assert.strictEqual(qr[16], 4);
+
+  const template = new ReceiptTemplate({ name: 'Barcode', footer: [{ type: 'barcode' }] });
+  const layout = renderReceipt(await paidBill(), template, { width: 32 });
+  const data = layoutToEscPos(layout, new PrinterProfile({ name: 'Till', paperWidth: 58 }));
+  const barcode = data.indexOf(Buffer.from([0x1D, 0x6B, 0x49]));
+  assert.ok(barcode > 0);
+  assert.strictEqual(data.subarray(barcode + 4, barcode + 4 + 14).toString(), '{BB/2627/00042');
+});
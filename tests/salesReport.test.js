@@ -0,0 +1,108 @@
+// tests/salesReport.test.js - Shift and end-of-day figures: takings by mode, refunds and the cash-up
+const test = require('node:test');
+const assert = require('node:assert');
+const Bill = require('../models/Bill');
+const BillAmendment = require('../models/BillAmendment');
+const CashMovement = require('../models/CashMovement');
+const CreditNote = require('../models/CreditNote');
+const Shift = require('../models/Shift');
+const ZReport = require('../models/ZReport');
+const { buildSalesReport } = require('../utils/salesReport');
+const { id, billLine, newBill, fakeQuery } = require('./helpers');
+
+const from = new Date('2026-10-19T09:00:00');
+const to = new Date('2026-10-19T17:00:00');
+const during = new Date('2026-10-19T12:00:00');
+const before = new Date('2026-10-18T20:00:00');
+
+async function meal(fields = {}) {
+  const bill = newBill({ outlet: 'MAIN', orderType: 'takeaway', items: [billLine('Meal', 100, 1, 5)], ...fields });
+  await bill.validate();
+  return bill;
+}
+
+// Answer the report's bill queries from `bills` the way the database would for the fields they filter on
+function mockReport(t, bills, refunds = { count: 0, total: 0, byMethod: {} }, movements = []) {
+  t.mock.method(Bill, 'find', query => fakeQuery(bills.filter(bill => {
+    if (query['payments.0']) return bill.status === 'paid' && bill.payments.length === 0;
+    if (query.status === 'paid') return bill.status === 'paid';
+    if (query.status === 'cancelled') return bill.status === 'cancelled';
+    return bill.status !== query.status.$ne && bill.payments.length > 0;
+  })));
+  t.mock.method(BillAmendment, 'find', () => fakeQuery([]));
+  t.mock.method(CreditNote, 'getRefundTotals', async () => refunds);
+  t.mock.method(CashMovement, 'find', () => fakeQuery(movements));
+}
+
+test('payments are counted by mode when received, and the cash nets off refunds, pay-ins and pay-outs', async (t) => {
+  const cashier = id();
+  const split = await meal({
+    status: 'paid',
+    paidAt: during,
+    createdBy: cashier,
+    payments: [
+      { method: 'cash', amount: 50, receivedAt: before, receivedBy: cashier },
+      { method: 'upi', amount: 55, receivedAt: during, receivedBy: cashier }
+    ]
+  });
+  // Settled before split payments were recorded - counted from the bill itself
+  const legacy = await meal({ status: 'paid', paidAt: during, createdBy: cashier, paymentMethod: 'card' });
+  const movements = [
+    { type: 'pay-in', amount: 100, category: 'float-top-up' },
+    { type: 'pay-out', amount: 15, category: 'petty-expense' },
+    { type: 'drawer-open', reason: 'no-sale' }
+  ];
+  mockReport(t, [split, legacy], { count: 1, total: 20, byMethod: { cash: 20 } }, movements);
+
+  const report = await buildSalesReport({ outlet: 'MAIN', from, to });
+
+  assert.deepStrictEqual(report.payments, { upi: 55, card: 105 });
+  assert.strictEqual(report.totalCollected, 160);
+  assert.strictEqual(report.billCount, 2);
+  assert.strictEqual(report.netSales, 210);
+  assert.deepStrictEqual(report.cash, { received: 0, refunded: 20, paidIn: 100, paidOut: 15, net: 65 });
+  assert.deepStrictEqual(report.drawerOpens, { 'no-sale': 1 });
+});
+
+test('a cashier is credited with the payments they took, and part payments on cancelled bills are not takings', async (t) => {
+  const cashier = id();
+  const other = id();
+  const open = await meal({
+    status: 'pending',
+    createdBy: other,
+    payments: [
+      { method: 'cash', amount: 30, receivedAt: during, receivedBy: cashier },
+      { method: 'cash', amount: 40, receivedAt: during, receivedBy: other }
+    ]
+  });
+  const cancelled = await meal({
+    status: 'pending',
+    createdBy: cashier,
+    payments: [{ method: 'cash', amount: 60, receivedAt: during, receivedBy: cashier }]
+  });
+  cancelled.status = 'cancelled';
+  mockReport(t, [open, cancelled]);
+
+  const report = await buildSalesReport({ outlet: 'MAIN', from, to, cashier });
+
+  assert.deepStrictEqual(report.payments, { cash: 30 });
+  assert.deepStrictEqual(report.cancellations, { count: 1, amount: 105 });
+});
+
+test('closing a shift expects the float plus net cash and records the variance', () => {
+  const shift = new Shift({ outlet: 'MAIN', cashier: id(), cashierName: 'asha', openingFloat: 500 });
+  const report = { to, cash: { received: 300, refunded: 20, net: 280 } };
+
+  assert.strictEqual(shift.getExpectedCash(report), 780);
+  shift.close({ report, countedCash: 770, closedBy: id() });
+
+  assert.strictEqual(shift.status, 'closed');
+  assert.strictEqual(shift.closedAt, to);
+  assert.strictEqual(shift.expectedCash, 780);
+  assert.strictEqual(shift.cashVariance, -10);
+});
+
+test('a Z-report cannot be changed or removed once written', async () => {
+  await assert.rejects(ZReport.updateOne({ zNumber: 'Z-0001' }, { $set: { notes: 'edited' } }), /immutable/);
+  await assert.rejects(ZReport.deleteOne({ zNumber: 'Z-0001' }), /immutable/);
+});
@@ -0,0 +1,179 @@
+// tests/stock.test.js - Stock taken by bill lines and put back on cancellation or refund
+const test = require('node:test');
+const assert = require('node:assert');
+const Bill = require('../models/Bill');
+const Ingredient = require('../models/Ingredient');
+const MenuItem = require('../models/MenuItem');
+const { id, billLine, newBill, fakeQuery } = require('./helpers');
+
+function menuItem(fields = {}) {
+  return new MenuItem({ name: 'Samosa', price: 20, category: 'starter', createdBy: id(), stock: 10, ...fields });
+}
+
+// Mock MenuItem.findById over a set of items; unknown ids find nothing
+function mockFindById(t, items) {
+  return t.mock.method(MenuItem, 'findById', itemId => fakeQuery(items.find(item => String(item._id) === String(itemId)) || null));
+}
+
+test('stock is taken with a conditional decrement inside the caller\'s session', async (t) => {
+  const samosa = menuItem();
+  const session = {};
+  mockFindById(t, [samosa]);
+  const findOneAndUpdate = t.mock.method(MenuItem, 'findOneAndUpdate', async () => samosa);
+
+  const conflicts = await MenuItem.reserveStock([{ menuItem: samosa._id, name: 'Samosa', quantity: 3 }], { session });
+
+  assert.deepStrictEqual(conflicts, []);
+  const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.stock, { $gte: 3 });
+  assert.strictEqual(filter.isAvailable, true);
+  assert.strictEqual(update.$inc.stock, -3);
+  assert.strictEqual(update.$inc.totalOrders, 3);
+  assert.strictEqual(options.session, session);
+});
+
+test('lines that cannot be filled come back as conflicts with the reason', async (t) => {
+  const short = menuItem({ name: 'Vada', stock: 1 });
+  const offMenu = menuItem({ name: 'Idli', isAvailable: false });
+  const removed = menuItem({ name: 'Bonda', isDeleted: true });
+  mockFindById(t, [short, offMenu, removed]);
+  t.mock.method(MenuItem, 'findOneAndUpdate', async () => null);
+
+  const missing = id();
+  const conflicts = await MenuItem.reserveStock([
+    { menuItem: short._id, name: 'Vada', quantity: 2 },
+    { menuItem: offMenu._id, name: 'Idli', quantity: 1 },
+    { menuItem: removed._id, name: 'Bonda', quantity: 1 },
+    { menuItem: missing, name: 'Pakora', quantity: 1 }
+  ]);
+
+  assert.deepStrictEqual(conflicts.map(conflict => [conflict.name, conflict.reason, conflict.requested, conflict.available]), [
+    ['Vada', 'insufficient-stock', 2, 1],
+    ['Idli', 'unavailable', 1, 0],
+    ['Bonda', 'not-found', 1, 0],
+    ['Pakora', 'not-found', 1, 0]
+  ]);
+});
+
+test('restoring stock adds the quantities back', async (t) => {
+  const samosa = menuItem();
+  mockFindById(t, [samosa]);
+  const updateOne = t.mock.method(MenuItem, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  await MenuItem.restoreStock([{ menuItem: samosa._id, quantity: 4 }]);
+
+  assert.strictEqual(updateOne.mock.callCount(), 1);
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.strictEqual(String(filter._id), String(samosa._id));
+  assert.deepStrictEqual(update, { $inc: { stock: 4 } });
+});
+
+test('a plain line takes its own stock, with the recipe it was billed with', () => {
+  const flour = id();
+  const bill = newBill({ items: [billLine('Naan', 40, 3, 5, { ingredients: [{ ingredient: flour, quantity: 0.1 }] })] });
+  const [stockLine] = Bill.stockLinesFor(bill.items[0]);
+
+  assert.strictEqual(stockLine.quantity, 3);
+  assert.deepStrictEqual(stockLine.recipe.map(entry => [String(entry.ingredient), entry.quantity]), [[String(flour), 0.1]]);
+  assert.strictEqual(Bill.stockLinesFor(bill.items[0], 1)[0].quantity, 1);
+});
+
+test('combo components carry their own recipe copies', () => {
+  const bun = id();
+  const bill = newBill({
+    items: [billLine('Meal', 250, 2, 5, {
+      ingredients: [],
+      components: [
+        { menuItem: id(), name: 'Burger', quantity: 1, ingredients: [{ ingredient: bun, quantity: 1 }] },
+        { menuItem: id(), name: 'Fries', quantity: 2 }
+      ]
+    })]
+  });
+  const [burger, fries] = Bill.stockLinesFor(bill.items[0]);
+
+  assert.deepStrictEqual(burger.recipe.map(entry => [String(entry.ingredient), entry.quantity]), [[String(bun), 1]]);
+  // Fries were billed before recipes were copied onto bills
+  assert.strictEqual(fries.recipe, undefined);
+});
+
+test('a recipe line takes its ingredients instead of a stock count', async (t) => {
+  const paneer = id();
+  const tikka = menuItem({ name: 'Paneer Tikka', recipe: [{ ingredient: paneer, quantity: 0.2 }] });
+  mockFindById(t, [tikka]);
+  const consume = t.mock.method(Ingredient, 'consume', async () => []);
+  const updateOne = t.mock.method(MenuItem, 'updateOne', async () => ({ matchedCount: 1 }));
+  const findOneAndUpdate = t.mock.method(MenuItem, 'findOneAndUpdate', async () => null);
+
+  const conflicts = await MenuItem.reserveStock([{ menuItem: tikka._id, name: 'Paneer Tikka', quantity: 2 }]);
+
+  assert.deepStrictEqual(conflicts, []);
+  assert.deepStrictEqual(consume.mock.calls[0].arguments[0].map(entry => [String(entry.ingredient), entry.quantity]), [[String(paneer), 0.4]]);
+  assert.strictEqual(updateOne.mock.calls[0].arguments[1].$inc.totalOrders, 2);
+  assert.strictEqual(findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('a recipe line short of an ingredient reports the portions left; a removed item is not found', async (t) => {
+  const paneer = id();
+  const tikka = menuItem({ name: 'Paneer Tikka', recipe: [{ ingredient: paneer, quantity: 0.2 }] });
+  mockFindById(t, [tikka]);
+  t.mock.method(Ingredient, 'consume', async () => [
+    { ingredientId: paneer, name: 'Paneer', unit: 'kg', required: 0.6, available: 0.5 }
+  ]);
+
+  const conflicts = await MenuItem.reserveStock([
+    { menuItem: tikka._id, name: 'Paneer Tikka', quantity: 3 },
+    // Billed before the item was removed from the menu - its recipe copy is still on the line
+    { menuItem: id(), name: 'Malai Tikka', quantity: 1, recipe: [{ ingredient: paneer, quantity: 0.2 }] }
+  ]);
+
+  assert.deepStrictEqual(conflicts.map(conflict => [conflict.name, conflict.reason, conflict.available]), [
+    ['Paneer Tikka', 'insufficient-ingredients', 2],
+    ['Malai Tikka', 'not-found', 0]
+  ]);
+  assert.strictEqual(conflicts[0].shortages[0].name, 'Paneer');
+});
+
+test('restoring stock puts back the ingredients the sale took, not the recipe as it is now', async (t) => {
+  const restore = t.mock.method(Ingredient, 'restore', async () => {});
+  const updateOne = t.mock.method(MenuItem, 'updateOne', async () => ({ matchedCount: 1 }));
+  const canned = menuItem({ name: 'Soda' });
+  const findById = mockFindById(t, [canned]);
+
+  const paneer = id();
+  await MenuItem.restoreStock([
+    { menuItem: id(), quantity: 2, recipe: [{ ingredient: paneer, quantity: 0.15 }] },
+    { menuItem: canned._id, quantity: 3, recipe: [] }
+  ]);
+
+  assert.deepStrictEqual(restore.mock.calls[0].arguments[0].map(entry => [String(entry.ingredient), entry.quantity]), [[String(paneer), 0.3]]);
+  assert.deepStrictEqual(updateOne.mock.calls.map(call => call.arguments[1]), [{ $inc: { stock: 3 } }]);
+  assert.strictEqual(findById.mock.callCount(), 0);
+});
+
+test('lines billed before recipes were copied fall back to the current recipe', async (t) => {
+  const rice = id();
+  const pulao = menuItem({ name: 'Pulao', recipe: [{ ingredient: rice, quantity: 0.2 }] });
+  mockFindById(t, [pulao]);
+  const restore = t.mock.method(Ingredient, 'restore', async () => {});
+
+  await MenuItem.restoreStock([{ menuItem: pulao._id, quantity: 2 }]);
+
+  assert.deepStrictEqual(restore.mock.calls[0].arguments[0].map(entry => [String(entry.ingredient), entry.quantity]), [[String(rice), 0.4]]);
+});
+
+test('portions available come from the scarcest recipe ingredient', () => {
+  const paneer = new Ingredient({ name: 'Paneer', unit: 'kg', quantity: 1.1, reorderLevel: 0.5 });
+  const spice = new Ingredient({ name: 'Tikka masala', unit: 'kg', quantity: 1, reorderLevel: 0.1 });
+  const tikka = menuItem({
+    name: 'Paneer Tikka',
+    recipe: [{ ingredient: paneer._id, quantity: 0.2 }, { ingredient: spice._id, quantity: 0.05 }]
+  });
+
+  // Unknown until the ingredients are populated
+  assert.strictEqual(tikka.getAvailablePortions(), null);
+
+  tikka.recipe[0].ingredient = paneer;
+  tikka.recipe[1].ingredient = spice;
+  assert.strictEqual(tikka.getAvailablePortions(), 5);
+  assert.strictEqual(tikka.isLowStock(), true);
+});
@@ -0,0 +1,34 @@
+// tests/tables.test.js - Tables: merged seating and the live floor view
+const test = require('node:test');
+const assert = require('node:assert');
+const Bill = require('../models/Bill');
+const Table = require('../models/Table');
+const { id, fakeQuery } = require('./helpers');
+
+test('a table merged into another seats its orders on the other table', async (t) => {
+  const parent = new Table({ number: 'T1' });
+  const merged = new Table({ number: 'T2', mergedInto: parent._id });
+  t.mock.method(Table, 'findOne', () => fakeQuery(merged));
+  const findById = t.mock.method(Table, 'findById', () => fakeQuery(parent));
+
+  assert.strictEqual(await Table.resolveSeat(merged._id), parent);
+  assert.strictEqual(findById.mock.calls[0].arguments[0], parent._id);
+});
+
+test('the floor view derives each table\'s status from its open bill or reservation', async (t) => {
+  const tables = [
+    new Table({ number: 'T1' }),
+    new Table({ number: 'T2' }),
+    new Table({ number: 'T3', reservation: { name: 'Rao', at: new Date() } }),
+    new Table({ number: 'T4' })
+  ];
+  tables[3].mergedInto = tables[1]._id;
+  const openBill = (table, isPrinted) => ({ _id: id(), table: table._id, isPrinted, total: 100, balanceDue: 100, items: [{ quantity: 2 }] });
+  t.mock.method(Table, 'find', () => fakeQuery(tables));
+  t.mock.method(Bill, 'find', () => fakeQuery([openBill(tables[0], false), openBill(tables[1], true)]));
+
+  const floor = await Table.getFloorStatus();
+
+  assert.deepStrictEqual(floor.map(table => [table.number, table.status]), [['T1', 'occupied'], ['T2', 'billed'], ['T3', 'reserved'], ['T4', 'billed']]);
+  assert.strictEqual(floor[0].bill.itemCount, 2);
+});
@@ -0,0 +1,136 @@
+// tests/variants.test.js - Menu item variants: own price and stock, billed by variant and ranked on their own
+const test = require('node:test');
+const assert = require('node:assert');
+const Bill = require('../models/Bill');
+const BillAmendment = require('../models/BillAmendment');
+const Kot = require('../models/Kot');
+const MenuItem = require('../models/MenuItem');
+const Promotion = require('../models/Promotion');
+const router = require('../routes/bills');
+const { buildItemSales } = require('../utils/itemSales');
+const { buildCreditLine } = require('../utils/creditNotes');
+const { id, billLine, newBill, fakeQuery, mockTransactions, callRoute } = require('./helpers');
+
+function lassi(fields = {}) {
+  return new MenuItem({
+    name: 'Lassi',
+    price: 60,
+    category: 'beverage',
+    taxSlab: 5,
+    createdBy: id(),
+    variants: [
+      { name: 'Regular', price: 60, sku: 'las-r', stock: 8 },
+      { name: 'Large', price: 90, sku: 'las-l', stock: 4 }
+    ],
+    ...fields
+  });
+}
+
+test('an item sold in variants is priced from its cheapest and stocked as their sum', async () => {
+  const item = lassi();
+  await item.validate();
+
+  assert.strictEqual(item.price, 60);
+  assert.strictEqual(item.stock, 12);
+  assert.strictEqual(item.variants[1].sku, 'LAS-L');
+
+  const twice = lassi({ variants: [{ name: 'Large', price: 90 }, { name: 'large', price: 95 }] });
+  await assert.rejects(twice.validate(), error => Boolean(error.errors['variants.1.name']));
+});
+
+test('only an available variant can be picked', () => {
+  const item = lassi();
+  const [regular, large] = item.variants;
+  large.isAvailable = false;
+
+  assert.strictEqual(item.getVariant(regular._id), regular);
+  assert.strictEqual(item.getVariant(large._id), null);
+  assert.strictEqual(item.getVariant(id()), null);
+});
+
+test('stock for a variant line is taken from and put back on the variant as well as the item', async (t) => {
+  const item = lassi();
+  const large = item.variants[1];
+  t.mock.method(MenuItem, 'findById', () => fakeQuery(item));
+  const findOneAndUpdate = t.mock.method(MenuItem, 'findOneAndUpdate', async () => item);
+  const updateOne = t.mock.method(MenuItem, 'updateOne', async () => ({ matchedCount: 1 }));
+  const line = { menuItem: item._id, variant: large._id, name: 'Lassi (Large)', quantity: 2 };
+
+  assert.deepStrictEqual(await MenuItem.reserveStock([line]), []);
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.variants, { $elemMatch: { _id: large._id, isAvailable: true, stock: { $gte: 2 } } });
+  assert.strictEqual(filter.stock, undefined);
+  assert.deepStrictEqual([update.$inc.stock, update.$inc['variants.$.stock']], [-2, -2]);
+
+  await MenuItem.restoreStock([line]);
+  assert.deepStrictEqual(updateOne.mock.calls[0].arguments[1], { $inc: { stock: 2, 'variants.$.stock': 2 } });
+});
+
+test('a variant that runs short is reported against the variant', async (t) => {
+  const item = lassi();
+  const large = item.variants[1];
+  t.mock.method(MenuItem, 'findOneAndUpdate', async () => null);
+  t.mock.method(MenuItem, 'findById', () => fakeQuery(item));
+
+  const conflicts = await MenuItem.reserveStock([{ menuItem: item._id, variant: large._id, name: 'Lassi (Large)', quantity: 5 }]);
+
+  assert.deepStrictEqual(conflicts.map(conflict => [conflict.name, conflict.reason, conflict.available]), [
+    ['Lassi (Large)', 'insufficient-stock', 4]
+  ]);
+  assert.strictEqual(conflicts[0].variantId, large._id);
+});
+
+test('a variant item is billed by variant, at the variant price', async (t) => {
+  const bill = newBill({ status: 'pending', orderType: 'takeaway', items: [billLine('Thali', 200, 1, 5)] });
+  await bill.validate();
+  t.mock.method(Bill, 'findById', () => fakeQuery(bill));
+  t.mock.method(bill, 'save', async function() {
+    await this.validate();
+    return this;
+  });
+  t.mock.method(bill, 'populate', async function() {
+    return this;
+  });
+  mockTransactions(t);
+  t.mock.method(Promotion, 'findApplicable', async () => ({ promotions: [] }));
+  t.mock.method(Promotion, 'find', () => fakeQuery([]));
+  t.mock.method(BillAmendment, 'insertMany', async () => []);
+  t.mock.method(Kot, 'issueForLines', async () => []);
+  const reserveStock = t.mock.method(MenuItem, 'reserveStock', async () => []);
+  const item = lassi();
+  t.mock.method(MenuItem, 'findById', () => fakeQuery(item));
+  const add = variantId => callRoute(router, 'post', '/:id/items', {
+    params: { id: 'x' },
+    body: { items: [{ menuItemId: String(item._id), variantId, quantity: 2 }] }
+  });
+
+  const unchosen = await add(undefined);
+  assert.strictEqual(unchosen.status, 400);
+  assert.match(unchosen.body.message, /Choose a variant of "Lassi": Regular, Large/);
+
+  const { status } = await add(String(item.variants[1]._id));
+  assert.strictEqual(status, 201);
+  const line = bill.items[1];
+  assert.deepStrictEqual([line.name, line.variantName, line.price, line.total], ['Lassi (Large)', 'Large', 90, 180]);
+  assert.ok(reserveStock.mock.calls[0].arguments[0][0].variant.equals(item.variants[1]._id));
+});
+
+test('variants are ranked on their own in item sales, and their refunds are credited by variant', async () => {
+  const variant = id();
+  const bill = newBill({
+    status: 'paid',
+    orderType: 'takeaway',
+    items: [
+      billLine('Lassi (Large)', 90, 2, 5, { variant, variantName: 'Large' }),
+      billLine('Lassi (Regular)', 60, 1, 5, { variantName: 'Regular' })
+    ]
+  });
+  await bill.validate();
+
+  const { items } = buildItemSales([bill]);
+
+  assert.deepStrictEqual(Object.keys(items), ['Lassi (Large)', 'Lassi (Regular)']);
+  assert.strictEqual(items['Lassi (Large)'].variant, 'Large');
+  assert.strictEqual(items['Lassi (Large)'].totalRevenue, 180);
+  assert.strictEqual(buildCreditLine(bill, bill.items[0], 1, false).variant, variant);
+});
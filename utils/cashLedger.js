@@ -0,0 +1,93 @@
+// utils/cashLedger.js - Cash drawer kicks and ledger entries, and the cash reconciliation of a shift
+const CashMovement = require('../models/CashMovement');
+const CreditNote = require('../models/CreditNote');
+const Shift = require('../models/Shift');
+const Counter = require('../models/Counter');
+const { round2 } = require('./gst');
+const { printRaw } = require('./printTransport');
+const { requestError } = require('./transaction');
+const { collectPayments, summarizeCash } = require('./salesReport');
+
+// Write a ledger entry against the open shift of the terminal (or of the user)
+async function recordCashMovement(fields) {
+  const outlet = (fields.outlet || Counter.DEFAULT_OUTLET).toUpperCase();
+  const terminal = (fields.terminal || '').trim();
+  const shift = await Shift.findForDrawer({ outlet, terminal, user: fields.user });
+
+  const movement = new CashMovement({
+    ...fields,
+    outlet,
+    terminal: terminal || (shift ? shift.terminal : ''),
+    shift: shift ? shift._id : null
+  });
+  await movement.save();
+
+  return movement;
+}
+
+// Pop the drawer of a receipt printer and log who opened it and why
+async function kickCashDrawer(profile, fields) {
+  if (!profile.drawer?.enabled) {
+    throw requestError(400, `Printer ${profile.name} has no cash drawer configured`);
+  }
+
+  // Validate the entry first so a drawer is never opened without a record
+  const entry = new CashMovement({ type: 'drawer-open', ...fields });
+  await entry.validate();
+
+  const commands = profile.getCommands();
+  const result = await printRaw(
+    Buffer.concat([commands.init, commands.drawer]),
+    profile.toPrinterConfig(),
+    'Cash drawer'
+  );
+
+  const movement = await recordCashMovement({ type: 'drawer-open', ...fields });
+
+  return { result, movement };
+}
+
+// Expected cash in a shift's drawer worked up from its cash bills, refunds and ledger, against what was
+// counted - the same figures the shift's X-report uses
+async function reconcileShift(shift) {
+  const to = shift.closedAt || new Date();
+
+  const [sales, refunds, movements] = await Promise.all([
+    collectPayments({ outlet: shift.outlet, from: shift.openedAt, to, cashier: shift.cashier, method: 'cash' }),
+    CreditNote.getRefundTotals(shift.openedAt, to, { outlet: shift.outlet, createdBy: shift.cashier, refundMethod: 'cash' }),
+    CashMovement.find({ shift: shift._id }).sort({ createdAt: 1 })
+  ]);
+
+  const ledger = CashMovement.summarize(movements);
+  const cash = summarizeCash(sales.reduce((total, sale) => total + sale.amount, 0), refunds.total, ledger);
+  const expected = shift.getExpectedCash({ cash });
+
+  return {
+    shift: shift._id,
+    cashierName: shift.cashierName,
+    terminal: shift.terminal,
+    status: shift.status,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt,
+    openingFloat: shift.openingFloat,
+    cashSales: cash.received,
+    cashRefunds: cash.refunded,
+    paidIn: ledger.paidIn,
+    paidOut: ledger.paidOut,
+    expected,
+    counted: shift.countedCash,
+    variance: shift.countedCash !== null ? round2(shift.countedCash - expected) : null,
+    // Expected cash frozen when the shift was closed - differs from `expected` if bills changed afterwards
+    expectedAtClose: shift.expectedCash,
+    drawerOpens: ledger.drawerOpens,
+    noSaleCount: ledger.drawerOpens['no-sale'] || 0,
+    bills: sales,
+    movements
+  };
+}
+
+module.exports = {
+  recordCashMovement,
+  kickCashDrawer,
+  reconcileShift
+};
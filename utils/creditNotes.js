@@ -0,0 +1,96 @@
+// utils/creditNotes.js - Credit note lines: the part of a bill line refunded, with its share of the bill's charges
+const { round2, splitTax } = require('./gst');
+
+// Each line's share of the bill-level amounts - service and packing charges, the GST on them and the
+// round-off - by its taxable value, like spreadDiscount. The last line takes the rounding remainder so
+// the shares add up to the bill's own figures.
+function chargeShares(bill) {
+  const chargeValue = round2((bill.serviceCharge || 0) + (bill.packingCharge || 0));
+  const tax = splitTax(chargeValue, bill.chargesTaxRate, bill.supplyType);
+  const weights = bill.items.map(line => line.taxableValue ?? line.total);
+  const base = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const spread = (amount) => {
+    let left = round2(amount);
+    return weights.map((weight, index) => {
+      const share = index === weights.length - 1
+        ? left
+        : round2(base > 0 ? amount * weight / base : amount / weights.length);
+      left = round2(left - share);
+      return share;
+    });
+  };
+
+  const taxableValue = spread(chargeValue);
+  const cgst = spread(tax.cgst);
+  const sgst = spread(tax.sgst);
+  const igst = spread(tax.igst);
+  const roundOff = spread(bill.roundOff || 0);
+
+  return new Map(bill.items.map((line, index) => [String(line._id), {
+    charges: {
+      taxRate: bill.chargesTaxRate || 0,
+      taxableValue: taxableValue[index],
+      cgst: cgst[index],
+      sgst: sgst[index],
+      igst: igst[index]
+    },
+    roundOff: roundOff[index]
+  }]));
+}
+
+// Credit note line for `quantity` units of a bill line (already counted in its creditedQuantity) - tax,
+// discount and the line's share of the bill's charges reversed proportionally
+function buildCreditLine(bill, billLine, quantity, restock) {
+  // Each amount is credited as the part of it due on everything credited so far less what earlier notes
+  // took, so a line credited in parts adds up to the line exactly
+  const credited = billLine.creditedQuantity || quantity;
+  const portion = value => round2(
+    round2(value * credited / billLine.quantity) - round2(value * (credited - quantity) / billLine.quantity)
+  );
+
+  const taxableValue = portion(billLine.taxableValue ?? billLine.total);
+  const cgst = portion(billLine.cgst || 0);
+  const sgst = portion(billLine.sgst || 0);
+  const igst = portion(billLine.igst || 0);
+
+  const share = chargeShares(bill).get(String(billLine._id));
+  const charges = {
+    taxRate: share.charges.taxRate,
+    taxableValue: portion(share.charges.taxableValue),
+    cgst: portion(share.charges.cgst),
+    sgst: portion(share.charges.sgst),
+    igst: portion(share.charges.igst)
+  };
+  const roundOff = portion(share.roundOff);
+  const chargesTotal = round2(charges.taxableValue + charges.cgst + charges.sgst + charges.igst + roundOff);
+
+  // Line discounts are already netted out of the taxable value. Only bills from before line
+  // discounts carry a flat post-tax discount, shared across lines by taxable value.
+  const legacyDiscount = bill.discount && bill.subtotal && bill.items.every(item => !item.discount);
+  const discount = legacyDiscount
+    ? round2(bill.discount * (taxableValue / bill.subtotal))
+    : 0;
+
+  return {
+    billLine: billLine._id,
+    menuItem: billLine.menuItem,
+    variant: billLine.variant || null,
+    name: billLine.name,
+    hsnCode: billLine.hsnCode,
+    price: billLine.price,
+    quantity,
+    taxRate: billLine.taxRate,
+    taxableValue,
+    cgst,
+    sgst,
+    igst,
+    discount,
+    charges,
+    roundOff,
+    total: round2(Math.max(taxableValue + cgst + sgst + igst - discount + chargesTotal, 0)),
+    restocked: restock
+  };
+}
+
+module.exports = { chargeShares, buildCreditLine };
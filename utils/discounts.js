@@ -0,0 +1,148 @@
+// utils/discounts.js - Discount engine: applies promotions to bill lines before GST is computed
+const { round2 } = require('./gst');
+
+const grossValue = (line) => round2(line.price * line.quantity);
+const remainingValue = (line) => round2(grossValue(line) - (line.discount || 0));
+const isLineRule = (promotion) => promotion.scope === 'item' || promotion.type === 'buy-x-get-y';
+
+// Spread a bill-level amount across lines in proportion to their remaining value.
+// The last line takes the rounding remainder so the parts always add up to the amount.
+function spreadDiscount(lines, amount) {
+  const base = lines.reduce((sum, line) => sum + remainingValue(line), 0);
+  if (base <= 0 || amount <= 0) return 0;
+
+  let left = round2(Math.min(amount, base));
+  const applied = left;
+
+  lines.forEach((line, index) => {
+    const share = index === lines.length - 1
+      ? left
+      : round2(Math.min(amount * remainingValue(line) / base, left));
+    const capped = Math.min(share, remainingValue(line));
+    line.discount = round2((line.discount || 0) + capped);
+    left = round2(left - capped);
+  });
+
+  return round2(applied - left);
+}
+
+// Buy X get Y: across all matching units (dearest first), the last Y of every X + Y are free
+function applyBuyXGetY(promotion, lines) {
+  const units = [];
+  lines.forEach(line => {
+    for (let i = 0; i < line.quantity; i++) {
+      units.push({ line, price: line.price });
+    }
+  });
+  units.sort((a, b) => b.price - a.price);
+
+  const groupSize = promotion.buyQuantity + promotion.getQuantity;
+  const freeValue = new Map();
+  units.forEach((unit, index) => {
+    if (index % groupSize >= promotion.buyQuantity && index - (index % groupSize) + groupSize <= units.length) {
+      freeValue.set(unit.line, (freeValue.get(unit.line) || 0) + unit.price);
+    }
+  });
+
+  let amount = 0;
+  freeValue.forEach((value, line) => {
+    const capped = round2(Math.min(value, remainingValue(line)));
+    line.discount = round2((line.discount || 0) + capped);
+    amount += capped;
+  });
+
+  return round2(amount);
+}
+
+// Apply promotions, an optional manual rupee discount and a loyalty points discount to bill lines
+// ({ _id, menuItem, category, price, quantity }).
+// Sets `discount` on each line (GST is then charged on the post-discount value) and returns the
+// applied rules to record on the bill. Line-level rules run first, bill-level rules on what is left.
+// Coupons record the lines they covered; `couponLines` (promotion id -> line ids) keeps a coupon to those lines.
+function applyDiscounts(lines, promotions = [], options = {}) {
+  const { manualDiscount = 0, appliedBy = null, loyaltyDiscount = 0, couponLines = {} } = options;
+  const applied = [];
+
+  lines.forEach(line => {
+    line.discount = 0;
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + grossValue(line), 0);
+  const ordered = [...promotions].sort((a, b) => (isLineRule(a) ? 0 : 1) - (isLineRule(b) ? 0 : 1));
+
+  ordered.forEach(promotion => {
+    if (subtotal < (promotion.minBillAmount || 0)) return;
+
+    const covered = couponLines[promotion._id.toString()];
+    const eligible = lines.filter(line => promotion.appliesToLine(line) && remainingValue(line) > 0 &&
+      (!covered || covered.includes(String(line._id))));
+    if (eligible.length === 0) return;
+
+    let amount = 0;
+
+    if (promotion.type === 'buy-x-get-y') {
+      amount = applyBuyXGetY(promotion, eligible);
+    } else if (isLineRule(promotion)) {
+      eligible.forEach(line => {
+        const off = promotion.type === 'percentage'
+          ? remainingValue(line) * promotion.value / 100
+          : promotion.value * line.quantity; // Fixed line discounts are per unit
+        const capped = round2(Math.min(off, remainingValue(line)));
+        line.discount = round2((line.discount || 0) + capped);
+        amount += capped;
+      });
+    } else {
+      const base = eligible.reduce((sum, line) => sum + remainingValue(line), 0);
+      let off = promotion.type === 'percentage' ? base * promotion.value / 100 : promotion.value;
+      if (promotion.maxDiscount) off = Math.min(off, promotion.maxDiscount);
+      amount = spreadDiscount(eligible, round2(off));
+    }
+
+    if (amount > 0) {
+      applied.push({
+        promotion: promotion._id,
+        name: promotion.name,
+        code: promotion.code || null,
+        type: promotion.type,
+        scope: isLineRule(promotion) ? 'item' : 'bill',
+        amount: round2(amount),
+        lines: promotion.code ? eligible.map(line => line._id).filter(Boolean) : undefined
+      });
+    }
+  });
+
+  if (manualDiscount > 0) {
+    const amount = spreadDiscount(lines, manualDiscount);
+    if (amount > 0) {
+      applied.push({
+        promotion: null,
+        name: 'Manual discount',
+        code: null,
+        type: 'manual',
+        scope: 'bill',
+        amount,
+        requested: round2(manualDiscount),
+        appliedBy
+      });
+    }
+  }
+
+  if (loyaltyDiscount > 0) {
+    const amount = spreadDiscount(lines, loyaltyDiscount);
+    if (amount > 0) {
+      applied.push({
+        promotion: null,
+        name: 'Loyalty points',
+        code: null,
+        type: 'loyalty',
+        scope: 'bill',
+        amount,
+        requested: round2(loyaltyDiscount)
+      });
+    }
+  }
+
+  return applied;
+}
+
+module.exports = { applyDiscounts, spreadDiscount };
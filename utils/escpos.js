@@ -0,0 +1,111 @@
+// utils/escpos.js - ESC/POS commands and document builders for thermal printers
+
+// TVS RP3160 GOLD Specific ESC/POS Commands
+const TVS_ESC_POS = {
+  // Basic Commands
+  INIT: Buffer.from([0x1B, 0x40]), // Initialize printer
+  FEED_LINE: Buffer.from([0x0A]), // Line feed
+  CARRIAGE_RETURN: Buffer.from([0x0D]), // Carriage return
+  CUT: Buffer.from([0x1D, 0x56, 0x00]), // Full cut
+  PARTIAL_CUT: Buffer.from([0x1D, 0x56, 0x01]), // Partial cut
+  
+  // Alignment
+  ALIGN_LEFT: Buffer.from([0x1B, 0x61, 0x00]),
+  ALIGN_CENTER: Buffer.from([0x1B, 0x61, 0x01]),
+  ALIGN_RIGHT: Buffer.from([0x1B, 0x61, 0x02]),
+  
+  // Font Styles
+  BOLD_ON: Buffer.from([0x1B, 0x45, 0x01]),
+  BOLD_OFF: Buffer.from([0x1B, 0x45, 0x00]),
+  UNDERLINE_ON: Buffer.from([0x1B, 0x2D, 0x01]),
+  UNDERLINE_OFF: Buffer.from([0x1B, 0x2D, 0x00]),
+  DOUBLE_STRIKE_ON: Buffer.from([0x1B, 0x47, 0x01]),
+  DOUBLE_STRIKE_OFF: Buffer.from([0x1B, 0x47, 0x00]),
+  
+  // Font Sizes (TVS RP3160 GOLD specific)
+  SIZE_NORMAL: Buffer.from([0x1D, 0x21, 0x00]), // Normal size
+  SIZE_DOUBLE_HEIGHT: Buffer.from([0x1D, 0x21, 0x01]), // Double height
+  SIZE_DOUBLE_WIDTH: Buffer.from([0x1D, 0x21, 0x10]), // Double width
+  SIZE_DOUBLE: Buffer.from([0x1D, 0x21, 0x11]), // Double height + width
+  SIZE_LARGE: Buffer.from([0x1D, 0x21, 0x22]), // Large font
+  
+  // Character encoding for Hindi support
+  CODE_PAGE_437: Buffer.from([0x1B, 0x74, 0x00]), // Default
+  CODE_PAGE_850: Buffer.from([0x1B, 0x74, 0x02]), // Multilingual
+  
+  // Cash drawer (TVS RP3160 GOLD specific)
+  CASH_DRAWER_PIN2: Buffer.from([0x1B, 0x70, 0x00, 0x19, 0xFA]), // Standard
+  CASH_DRAWER_PIN5: Buffer.from([0x1B, 0x70, 0x01, 0x19, 0xFA]), // Alternative
+  
+  // Paper feed and cutting
+  FEED_LINES_3: Buffer.from([0x1B, 0x64, 0x03]), // Feed 3 lines
+  FEED_LINES_5: Buffer.from([0x1B, 0x64, 0x05]), // Feed 5 lines
+  
+  // Barcode settings
+  BARCODE_HEIGHT: Buffer.from([0x1D, 0x68, 0x50]), // Set barcode height
+  BARCODE_WIDTH: Buffer.from([0x1D, 0x77, 0x02]), // Set barcode width
+  BARCODE_POSITION: Buffer.from([0x1D, 0x48, 0x02]), // Print HRI below barcode
+  
+  // Special characters for invoice formatting
+  TOP_LEFT: '┌',
+  TOP_RIGHT: '┐',
+  BOTTOM_LEFT: '└',
+  BOTTOM_RIGHT: '┘',
+  HORIZONTAL: '─',
+  VERTICAL: '│',
+  CROSS: '┼'
+};
+
+// Utility function to create buffer from mixed content
+function createTVSBuffer(content) {
+  const buffers = [];
+  
+  for (const item of content) {
+    if (Buffer.isBuffer(item)) {
+      buffers.push(item);
+    } else if (typeof item === 'string') {
+      // Convert to buffer with proper encoding for TVS printer
+      buffers.push(Buffer.from(item, 'utf8'));
+    }
+  }
+  
+  return Buffer.concat(buffers);
+}
+
+// QR code in byte mode (GS ( k, model 2): module size in dots, error correction L/M/Q/H
+function qrCodeCommands(data, options = {}) {
+  const { moduleSize = 6, errorLevel = 'M' } = options;
+  const payload = Buffer.from(String(data), 'utf8');
+  const storeLength = payload.length + 3;
+  const levels = { L: 0x30, M: 0x31, Q: 0x32, H: 0x33 };
+
+  return Buffer.concat([
+    Buffer.from([0x1D, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]), // Model 2
+    Buffer.from([0x1D, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, moduleSize]), // Module size
+    Buffer.from([0x1D, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, levels[errorLevel] || levels.M]), // Error correction
+    Buffer.from([0x1D, 0x28, 0x6B, storeLength & 0xFF, storeLength >> 8, 0x31, 0x50, 0x30]), // Store data
+    payload,
+    Buffer.from([0x1D, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30]) // Print
+  ]);
+}
+
+// CODE128 barcode (GS k, code set B) with the text printed below it
+function code128Commands(data, options = {}) {
+  const { moduleWidth = 2, height = 80 } = options;
+  const payload = Buffer.from(`{B${data}`, 'ascii');
+
+  return Buffer.concat([
+    Buffer.from([0x1D, 0x68, height]), // Height in dots
+    Buffer.from([0x1D, 0x77, moduleWidth]), // Narrow bar width
+    TVS_ESC_POS.BARCODE_POSITION,
+    Buffer.from([0x1D, 0x6B, 0x49, payload.length]),
+    payload
+  ]);
+}
+
+module.exports = {
+  TVS_ESC_POS,
+  createTVSBuffer,
+  qrCodeCommands,
+  code128Commands
+};
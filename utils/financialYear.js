@@ -0,0 +1,17 @@
+// utils/financialYear.js - Indian financial year (April - March) helpers
+
+// Financial year containing the given date, e.g. 2026-10-19 -> 2026-27
+function getFinancialYear(date = new Date()) {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  const endYear = startYear + 1;
+
+  return {
+    label: `${startYear}-${String(endYear).slice(-2)}`, // 2026-27
+    short: `${String(startYear).slice(-2)}${String(endYear).slice(-2)}`, // 2627
+    startDate: new Date(startYear, 3, 1),
+    endDate: new Date(endYear, 3, 1)
+  };
+}
+
+module.exports = { getFinancialYear };
@@ -0,0 +1,67 @@
+// utils/gst.js - GST slab helpers shared by bills, menu and receipts
+
+// Slabs allowed on menu items (0 = exempt / nil-rated, e.g. packaged water)
+const GST_SLABS = [0, 5, 12, 18, 28];
+
+// Default SAC for restaurant service (used when an item has no HSN/SAC code)
+const DEFAULT_SAC_CODE = '996331';
+
+const SUPPLY_TYPES = ['intra-state', 'inter-state'];
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+// Split tax on a taxable value into CGST/SGST (intra-state) or IGST (inter-state)
+function splitTax(taxableValue, rate, supplyType = 'intra-state') {
+  if (!rate) {
+    return { cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+  }
+
+  if (supplyType === 'inter-state') {
+    const igst = round2(taxableValue * rate / 100);
+    return { cgst: 0, sgst: 0, igst, totalTax: igst };
+  }
+
+  // Each half is rounded separately so CGST always equals SGST on the invoice
+  const half = round2(taxableValue * rate / 200);
+  return { cgst: half, sgst: half, igst: 0, totalTax: round2(half * 2) };
+}
+
+// Group bill lines by tax slab for the breakup table on invoices and receipts
+function buildTaxBreakup(items = []) {
+  const slabs = {};
+
+  items.forEach(item => {
+    if (!item) return;
+
+    const rate = item.taxRate || 0;
+    if (!slabs[rate]) {
+      slabs[rate] = { rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+    }
+
+    const slab = slabs[rate];
+    slab.taxableValue += item.taxableValue || 0;
+    slab.cgst += item.cgst || 0;
+    slab.sgst += item.sgst || 0;
+    slab.igst += item.igst || 0;
+  });
+
+  return Object.values(slabs)
+    .sort((a, b) => a.rate - b.rate)
+    .map(slab => ({
+      rate: slab.rate,
+      taxableValue: round2(slab.taxableValue),
+      cgst: round2(slab.cgst),
+      sgst: round2(slab.sgst),
+      igst: round2(slab.igst),
+      totalTax: round2(slab.cgst + slab.sgst + slab.igst)
+    }));
+}
+
+module.exports = {
+  GST_SLABS,
+  DEFAULT_SAC_CODE,
+  SUPPLY_TYPES,
+  round2,
+  splitTax,
+  buildTaxBreakup
+};
@@ -0,0 +1,79 @@
+// utils/itemSales.js - Item sales for a period at their pre-tax value after discounts, net of refunds
+const { round2 } = require('./gst');
+
+// What a bill line sold for before tax and after its discounts - the value GST was charged on, and what
+// credit notes give back. Lines from before line GST carry no taxable value and count at their total.
+function lineValue(line) {
+  return line.taxableValue ?? line.total;
+}
+
+// Share of a combo line's value taken by one component - by its share of the combo price, else evenly
+function componentWeight(comboLine, component) {
+  return comboLine.price > 0
+    ? (component.share || 0) / comboLine.price
+    : 1 / comboLine.components.length;
+}
+
+function addSale(sales, entry, quantity, revenue) {
+  if (sales[entry.name]) {
+    sales[entry.name].quantity += quantity;
+    sales[entry.name].totalRevenue = round2(sales[entry.name].totalRevenue + revenue);
+    sales[entry.name].orders += 1;
+  } else {
+    sales[entry.name] = { ...entry, quantity, totalRevenue: round2(revenue), orders: 1 };
+  }
+}
+
+function netRefund(sales, quantity, value) {
+  if (!sales) return;
+  sales.quantity -= quantity;
+  sales.totalRevenue = round2(sales.totalRevenue - value);
+  sales.refundedQuantity = (sales.refundedQuantity || 0) + quantity;
+}
+
+// Sales per item and per combo from paid bills, less the period's refunds: `refunds` as totalled by
+// CreditNote.getRefundTotals, and `comboRefunds` ([{ comboLine, quantity, taxableValue }]) for refunded
+// combo lines, which also come off their components. Variants are ranked on their own - their lines are
+// named "Item (Variant)" - and a combo's revenue is split across its components by each one's share.
+function buildItemSales(bills, refunds = { items: {} }, comboRefunds = []) {
+  const items = {};
+  const combos = {};
+
+  bills.forEach(bill => {
+    bill.items.forEach(item => {
+      if (item.components && item.components.length > 0) {
+        addSale(combos, { name: item.name, menuItem: item.menuItem, price: item.price }, item.quantity, lineValue(item));
+        item.components.forEach(component => {
+          addSale(items, {
+            name: component.name,
+            menuItem: component.menuItem,
+            variant: null,
+            price: null
+          }, component.quantity * item.quantity, lineValue(item) * componentWeight(item, component));
+        });
+        return;
+      }
+
+      addSale(items, {
+        name: item.name,
+        menuItem: item.menuItem,
+        variant: item.variantName || null,
+        price: item.price
+      }, item.quantity, lineValue(item));
+    });
+  });
+
+  Object.entries(refunds.items).forEach(([name, refunded]) => {
+    netRefund(items[name] || combos[name], refunded.quantity, refunded.taxableValue);
+  });
+
+  comboRefunds.forEach(({ comboLine, quantity, taxableValue }) => {
+    comboLine.components.forEach(component => {
+      netRefund(items[component.name], component.quantity * quantity, taxableValue * componentWeight(comboLine, component));
+    });
+  });
+
+  return { items, combos };
+}
+
+module.exports = { lineValue, buildItemSales };
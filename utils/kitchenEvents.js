@@ -0,0 +1,26 @@
+// utils/kitchenEvents.js - In-process notifications that a kitchen display feed has changed
+const { EventEmitter } = require('events');
+
+const kitchenEvents = new EventEmitter();
+// One listener per open display stream
+kitchenEvents.setMaxListeners(0);
+
+// Tell display streams for an outlet that tickets changed - only call once the change is committed.
+// `stationIds` limits the update to those stations; leave it out when every station is affected.
+function notifyKitchen(outlet, stationIds = null) {
+  kitchenEvents.emit('change', {
+    outlet: (outlet || '').toUpperCase(),
+    stations: stationIds ? stationIds.map(id => id.toString()) : null
+  });
+}
+
+// Subscribe to kitchen changes; returns the function that unsubscribes
+function onKitchenChange(listener) {
+  kitchenEvents.on('change', listener);
+  return () => kitchenEvents.off('change', listener);
+}
+
+module.exports = {
+  notifyKitchen,
+  onKitchenChange
+};
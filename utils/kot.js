@@ -0,0 +1,143 @@
+// utils/kot.js - Kitchen order ticket layout and queueing for station printers
+const Kot = require('../models/Kot');
+const KitchenStation = require('../models/KitchenStation');
+const PrinterProfile = require('../models/PrinterProfile');
+const { TVS_ESC_POS, createTVSBuffer } = require('./escpos');
+const { wrapText } = require('./receipt');
+const { enqueuePrint } = require('./printQueue');
+const { notifyKitchen } = require('./kitchenEvents');
+
+// KOT layout for the kitchen - large table number and quantities, notes under each item.
+// `profile` (a PrinterProfile) supplies the line width, code page and cut command.
+function createKotTicket(kot, options = {}) {
+  const { reprint = false, profile = null } = options;
+  const commands = profile ? profile.getCommands() : { init: TVS_ESC_POS.INIT, cut: TVS_ESC_POS.PARTIAL_CUT };
+  const lineWidth = profile ? profile.getLineWidth() : 32;
+  const content = [];
+  const isCancel = kot.type === 'cancel';
+
+  content.push(commands.init);
+  content.push(TVS_ESC_POS.ALIGN_CENTER);
+  content.push(TVS_ESC_POS.SIZE_DOUBLE);
+  content.push(TVS_ESC_POS.BOLD_ON);
+  content.push(isCancel ? 'CANCEL KOT\n' : 'KOT\n');
+  content.push(TVS_ESC_POS.SIZE_NORMAL);
+  content.push(`${(kot.stationName || '').toUpperCase()}\n`);
+  content.push(TVS_ESC_POS.BOLD_OFF);
+  if (reprint) {
+    content.push('** REPRINT **\n');
+  }
+  content.push(`${kot.kotNumber}\n`);
+
+  content.push(TVS_ESC_POS.ALIGN_LEFT);
+  content.push('='.repeat(lineWidth) + '\n');
+
+  content.push(TVS_ESC_POS.SIZE_DOUBLE_HEIGHT);
+  content.push(TVS_ESC_POS.BOLD_ON);
+  content.push(kot.tableNumber ? `TABLE: ${kot.tableNumber}\n` : `${(kot.orderType || 'takeaway').toUpperCase()}\n`);
+  content.push(TVS_ESC_POS.BOLD_OFF);
+  content.push(TVS_ESC_POS.SIZE_NORMAL);
+
+  const created = new Date(kot.createdAt || Date.now());
+  content.push(`Bill: ${kot.billNumber || '-'}\n`);
+  content.push(`Waiter: ${kot.waiterName || '-'}\n`);
+  content.push(`Time: ${created.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}\n`);
+  content.push('-'.repeat(lineWidth) + '\n');
+
+  // Quantities and item names in double height so they can be read from the pass
+  kot.lines.forEach(line => {
+    const quantity = isCancel ? `-${line.quantity}` : `${line.quantity}`;
+    const prefix = `${quantity.padStart(3)} x `;
+
+    content.push(TVS_ESC_POS.SIZE_DOUBLE_HEIGHT);
+    content.push(TVS_ESC_POS.BOLD_ON);
+    wrapText(line.name, lineWidth - prefix.length).forEach((text, index) => {
+      content.push(`${index === 0 ? prefix : ' '.repeat(prefix.length)}${text}\n`);
+    });
+    content.push(TVS_ESC_POS.BOLD_OFF);
+    content.push(TVS_ESC_POS.SIZE_NORMAL);
+
+    (line.components || []).forEach(component => {
+      wrapText(`- ${component}`, lineWidth - prefix.length).forEach(text => {
+        content.push(`${' '.repeat(prefix.length)}${text}\n`);
+      });
+    });
+
+    (line.modifiers || []).forEach(modifier => {
+      wrapText(`+ ${modifier}`, lineWidth - prefix.length).forEach(text => {
+        content.push(`${' '.repeat(prefix.length)}${text}\n`);
+      });
+    });
+
+    if (line.notes) {
+      wrapText(`>> ${line.notes}`, lineWidth - prefix.length).forEach(text => {
+        content.push(`${' '.repeat(prefix.length)}${text}\n`);
+      });
+    }
+  });
+
+  content.push('-'.repeat(lineWidth) + '\n');
+
+  if (isCancel && kot.reason) {
+    content.push(TVS_ESC_POS.BOLD_ON);
+    wrapText(`Reason: ${kot.reason}`, lineWidth).forEach(text => content.push(`${text}\n`));
+    content.push(TVS_ESC_POS.BOLD_OFF);
+  }
+
+  content.push(`Items: ${kot.lines.reduce((sum, line) => sum + line.quantity, 0)}\n`);
+  content.push(TVS_ESC_POS.FEED_LINES_3);
+  content.push(commands.cut);
+
+  return createTVSBuffer(content);
+}
+
+// Queue a KOT for its station's printer (or the outlet's default KOT printer). The print worker records
+// the outcome on the ticket.
+async function queueKot(kot, options = {}) {
+  const { reprint = false, requestedBy = null } = options;
+  const station = await KitchenStation.findById(kot.station);
+
+  if (!station) {
+    throw new Error(`Kitchen station for ${kot.kotNumber} no longer exists`);
+  }
+
+  const profile = await PrinterProfile.resolve({
+    profileId: station.printerProfile,
+    outlet: kot.outlet,
+    role: 'kot'
+  });
+
+  const job = await enqueuePrint({
+    kind: 'kot',
+    label: `KOT ${kot.kotNumber}`,
+    data: createKotTicket(kot, { reprint, profile }),
+    profile,
+    role: 'kot',
+    outlet: kot.outlet,
+    bill: kot.bill,
+    kot: kot._id,
+    requestedBy
+  });
+
+  return { job, kotNumber: kot.kotNumber, station: station.name, printer: profile.name };
+}
+
+// Send freshly issued KOTs to the kitchen once committed: update the displays, then queue the tickets
+// without holding up the till - print failures are kept on the ticket and the job is retried
+function dispatchKots(kots) {
+  if (kots.length > 0) {
+    notifyKitchen(kots[0].outlet, kots.map(kot => kot.station));
+  }
+
+  kots.forEach(kot => {
+    queueKot(kot).catch(error => {
+      console.error(`KOT ${kot.kotNumber} queue error:`, error.message);
+    });
+  });
+}
+
+module.exports = {
+  createKotTicket,
+  queueKot,
+  dispatchKots
+};
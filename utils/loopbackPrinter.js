@@ -0,0 +1,81 @@
+// utils/loopbackPrinter.js - Stand-in for a raw TCP (port 9100) printer that records what it is sent
+const net = require('net');
+
+// DLE EOT replies of a printer that is ready: only the fixed bits set
+const READY_STATUS = { 1: 0x12, 2: 0x12, 3: 0x12, 4: 0x12 };
+
+// Whether a connection carried only DLE EOT status requests (a status check, not a document)
+function isStatusQuery(data) {
+  if (data.length === 0 || data.length % 3 !== 0) return false;
+  for (let i = 0; i < data.length; i += 3) {
+    if (data[i] !== 0x10 || data[i + 1] !== 0x04) return false;
+  }
+  return true;
+}
+
+// Start a fake network printer on 127.0.0.1. Point a 'network' printer profile at its host and port
+// and every document printed arrives in `jobs`, byte for byte. Port 0 picks a free port.
+// DLE EOT status requests are answered from `status` (set with setStatus to simulate paper out etc.).
+function startLoopbackPrinter(options = {}) {
+  const { port = 0, host = '127.0.0.1' } = options;
+  const status = { ...READY_STATUS, ...options.status };
+  const jobs = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    let recorded = false;
+    sockets.add(socket);
+
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const data = Buffer.concat(chunks);
+      if (data.length > 0 && !isStatusQuery(data)) jobs.push(data);
+    };
+
+    socket.on('data', (chunk) => {
+      chunks.push(chunk);
+      for (let i = 0; i + 2 < chunk.length; i++) {
+        if (chunk[i] === 0x10 && chunk[i + 1] === 0x04 && status[chunk[i + 2]] !== undefined) {
+          socket.write(Buffer.from([status[chunk[i + 2]]]));
+        }
+      }
+    });
+    socket.on('end', () => {
+      record();
+      socket.end();
+    });
+    socket.on('close', () => {
+      record();
+      sockets.delete(socket);
+    });
+    socket.on('error', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+
+      resolve({
+        host: address.address,
+        port: address.port,
+        jobs,
+        // Everything received so far as one buffer
+        received: () => Buffer.concat(jobs),
+        clear: () => { jobs.length = 0; },
+        // Reply byte for DLE EOT n (1 printer, 2 offline cause, 3 error cause, 4 paper sensor)
+        setStatus: (n, byte) => { status[n] = byte; },
+        close: () => new Promise((done) => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  startLoopbackPrinter
+};
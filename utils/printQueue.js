@@ -0,0 +1,220 @@
+// utils/printQueue.js - Background worker for the durable print queue (PrintJob) and spool file cleanup
+const fs = require('fs');
+const path = require('path');
+const PrintJob = require('../models/PrintJob');
+const PrinterProfile = require('../models/PrinterProfile');
+const Bill = require('../models/Bill');
+const Kot = require('../models/Kot');
+const { printRaw } = require('./printTransport');
+
+// How often the worker looks for due jobs (retries, jobs queued by another server)
+const POLL_INTERVAL_MS = 3000;
+// Spool files written for device printing are removed once they are this old
+const SPOOL_DIR = path.join(__dirname, '../temp');
+const SPOOL_MAX_AGE_MS = 60 * 60 * 1000;
+const SPOOL_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let started = false;
+let draining = false;
+// Printers whose jobs are being worked through, by lane key (see dueLanes)
+const activeLanes = new Set();
+
+// Recorded on the bill or ticket once a job has printed
+const onDone = {
+  bill: job => Bill.updateOne(
+    { _id: job.bill },
+    { $set: { isPrinted: true, printedAt: job.completedAt, printerUsed: job.printerUsed } }
+  ),
+  duplicate: job => Bill.updateOne(
+    { _id: job.bill },
+    { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: job.completedAt } }
+  ),
+  kot: job => Kot.updateOne(
+    { _id: job.kot },
+    { $inc: { printCount: 1 }, $set: { printedAt: job.completedAt, lastPrintError: null } }
+  )
+};
+
+// Recorded after every failed attempt, so the till can show the ticket did not print
+const onFailed = {
+  kot: job => Kot.updateOne({ _id: job.kot }, { $set: { lastPrintError: job.lastError } })
+};
+
+// Send one claimed job to its printer - the saved profile if it is still active, else the outlet's default for the role
+async function processJob(job) {
+  let profile;
+  let result;
+
+  try {
+    profile = (job.profile && await PrinterProfile.findOne({ _id: job.profile, isActive: true })) ||
+      await PrinterProfile.resolve({ outlet: job.outlet, role: job.role });
+
+    // The queue does the retrying, so each attempt is a single try
+    const printerConfig = { ...profile.toPrinterConfig(), retries: 0 };
+    const drawer = job.openDrawer ? profile.getCommands().drawer : Buffer.alloc(0);
+
+    for (let copy = 0; copy < profile.copies; copy++) {
+      const data = copy === 0 && drawer.length > 0 ? Buffer.concat([drawer, job.data]) : job.data;
+      result = await printRaw(data, printerConfig, job.label);
+    }
+  } catch (error) {
+    console.error(`Print job ${job.label} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+    await job.markFailed(error);
+    if (onFailed[job.kind]) await onFailed[job.kind](job);
+    return;
+  }
+
+  await job.markDone(result, profile.name);
+
+  // The document is out - failing to note it on the bill or ticket must not send the job round again
+  if (onDone[job.kind]) {
+    try {
+      await onDone[job.kind](job);
+    } catch (error) {
+      console.error(`Print job ${job.label} printed but could not be recorded:`, error.message);
+    }
+  }
+}
+
+// Printers with jobs due, as lane key => query for that printer's jobs. Jobs queued without a profile go
+// to the outlet's default printer for their role, so they share a lane with jobs saved against it.
+async function dueLanes() {
+  const jobs = await PrintJob.find(PrintJob.dueQuery()).select('profile outlet role').lean();
+  const defaults = new Map();
+  const lanes = new Map();
+
+  const addTo = (key, clause) => {
+    if (!lanes.has(key)) lanes.set(key, new Map());
+    lanes.get(key).set(JSON.stringify(clause), clause);
+  };
+
+  for (const job of jobs) {
+    if (job.profile) {
+      addTo(String(job.profile), { profile: job.profile });
+      continue;
+    }
+
+    const defaultKey = `${job.outlet}:${job.role}`;
+    if (!defaults.has(defaultKey)) {
+      const profile = await PrinterProfile.resolve({ outlet: job.outlet, role: job.role });
+      defaults.set(defaultKey, profile.isNew ? `default:${defaultKey}` : String(profile._id));
+    }
+    addTo(defaults.get(defaultKey), { profile: null, outlet: job.outlet, role: job.role });
+  }
+
+  return new Map([...lanes].map(([key, clauses]) => [key, { $or: [...clauses.values()] }]));
+}
+
+// Print one printer's due jobs in order, so it never receives two documents at once
+async function runLane(key, query) {
+  activeLanes.add(key);
+
+  try {
+    let job;
+    while ((job = await PrintJob.claimNext(query))) {
+      await processJob(job);
+    }
+  } catch (error) {
+    console.error(`Print worker error (${key}):`, error);
+  } finally {
+    activeLanes.delete(key);
+  }
+}
+
+// Start a lane for every printer with jobs due - printers work through their own jobs side by side,
+// so one that is offline and retrying does not hold up the others
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    const lanes = await dueLanes();
+    lanes.forEach((query, key) => {
+      if (!activeLanes.has(key)) runLane(key, query);
+    });
+  } catch (error) {
+    console.error('Print worker error:', error);
+  } finally {
+    draining = false;
+  }
+}
+
+// Delete spool files left behind by prints that never finished
+function sweepSpool() {
+  if (!fs.existsSync(SPOOL_DIR)) return 0;
+
+  const cutoff = Date.now() - SPOOL_MAX_AGE_MS;
+  let removed = 0;
+
+  fs.readdirSync(SPOOL_DIR)
+    .filter(file => file.endsWith('.prn'))
+    .forEach(file => {
+      const filePath = path.join(SPOOL_DIR, file);
+      try {
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      } catch (error) {
+        console.log('Could not remove spool file:', error.message);
+      }
+    });
+
+  return removed;
+}
+
+// Start polling the queue and sweeping the spool directory - call once the database is connected
+function startPrintWorker() {
+  if (started) return;
+  started = true;
+
+  const poll = () => {
+    drainQueue().finally(() => {
+      setTimeout(poll, POLL_INTERVAL_MS).unref();
+    });
+  };
+  poll();
+
+  sweepSpool();
+  setInterval(sweepSpool, SPOOL_SWEEP_INTERVAL_MS).unref();
+
+  console.log('Print worker started');
+}
+
+// Start on a job straight away instead of waiting for the next poll
+function kickPrintWorker() {
+  if (started) {
+    drainQueue();
+  }
+}
+
+// Queue a rendered document for a printer. `profile` is a PrinterProfile - unsaved (fallback) profiles
+// are stored as null so the outlet's default printer for `role` is looked up when the job runs.
+async function enqueuePrint(fields) {
+  const { profile = null, ...rest } = fields;
+
+  const job = await PrintJob.create({
+    ...rest,
+    outlet: rest.outlet || profile?.outlet || undefined,
+    role: rest.role || profile?.role || 'receipt',
+    profile: profile && !profile.isNew ? profile._id : null
+  });
+
+  kickPrintWorker();
+  return job;
+}
+
+// Job as shown to clients - without the document itself
+function jobSummary(job) {
+  const summary = job.toObject ? job.toObject() : { ...job };
+  delete summary.data;
+  return summary;
+}
+
+module.exports = {
+  enqueuePrint,
+  startPrintWorker,
+  kickPrintWorker,
+  sweepSpool,
+  jobSummary
+};
@@ -0,0 +1,427 @@
+// utils/printTransport.js - Raw print transports: OS driver, CUPS raw queue, device file and TCP port 9100
+const fs = require('fs');
+const path = require('path');
+const { exec, execFile, spawn } = require('child_process');
+const net = require('net');
+
+const isWindows = process.platform === 'win32';
+
+// Print through an installed OS printer driver in RAW mode - the named printer, or the system default
+async function printToDriver(printerData, printerName) {
+  return new Promise((resolve, reject) => {
+    try {
+      const printer = require('printer');
+      
+      // Get available printers
+      const printers = printer.getPrinters();
+      
+      if (printers.length === 0) {
+        return reject(new Error('No printers installed. Install the printer driver or use a network/USB connection.'));
+      }
+      
+      const targetPrinter = printerName
+        ? printers.find(p => p.name === printerName)
+        : printers.find(p => p.isDefault) || printers[0];
+      
+      if (!targetPrinter) {
+        return reject(new Error(`Printer "${printerName}" is not installed. Available: ${printers.map(p => p.name).join(', ')}`));
+      }
+      
+      const printTimeout = setTimeout(() => {
+        reject(new Error('Print operation timed out after 30 seconds'));
+      }, 30000);
+      
+      printer.printDirect({
+        data: printerData,
+        printer: targetPrinter.name,
+        type: 'RAW', // RAW mode for ESC/POS commands
+        success: function(jobID) {
+          clearTimeout(printTimeout);
+          console.log(`Print successful on ${targetPrinter.name}. Job ID: ${jobID}`);
+          resolve({ 
+            success: true, 
+            message: `Printed successfully on ${targetPrinter.name}`, 
+            printer: targetPrinter.name,
+            jobID: jobID
+          });
+        },
+        error: function(err) {
+          clearTimeout(printTimeout);
+          console.error('Driver print error:', err);
+          reject(new Error(`Print on ${targetPrinter.name} failed: ${err}`));
+        }
+      });
+      
+    } catch (error) {
+      console.error('Printer driver error:', error);
+      reject(new Error(`Printer driver initialization failed: ${error.message}`));
+    }
+  });
+}
+
+// Submit raw data to a CUPS queue with `lp -o raw` (the queue's default destination when none is named)
+async function printToCups(printerData, queueName, label) {
+  return new Promise((resolve, reject) => {
+    const args = ['-o', 'raw', '-t', String(label || 'document')];
+    if (queueName) args.unshift('-d', queueName);
+
+    const lp = spawn('lp', args);
+    let output = '';
+    let errorOutput = '';
+
+    const printTimeout = setTimeout(() => {
+      lp.kill();
+      reject(new Error('CUPS print timed out after 30 seconds'));
+    }, 30000);
+
+    lp.stdout.on('data', chunk => { output += chunk; });
+    lp.stderr.on('data', chunk => { errorOutput += chunk; });
+
+    lp.on('error', (error) => {
+      clearTimeout(printTimeout);
+      reject(new Error(error.code === 'ENOENT'
+        ? 'CUPS is not installed (lp command not found)'
+        : `CUPS print failed: ${error.message}`));
+    });
+
+    lp.on('close', (code) => {
+      clearTimeout(printTimeout);
+      if (code !== 0) {
+        return reject(new Error(`CUPS print to ${queueName || 'default queue'} failed: ${errorOutput.trim() || `lp exited with ${code}`}`));
+      }
+
+      // lp answers "request id is <queue>-<n> (1 file(s))"
+      const match = output.match(/request id is (\S+)/);
+      console.log(`Print successful on CUPS queue ${queueName || 'default'}`);
+      resolve({
+        success: true,
+        message: `Printed successfully on ${queueName || 'the default CUPS queue'}`,
+        printer: queueName || null,
+        jobID: match ? match[1] : null
+      });
+    });
+
+    lp.stdin.on('error', () => {
+      // lp exited before reading everything - reported by 'close'
+    });
+    lp.stdin.end(printerData);
+  });
+}
+
+// Write raw data straight to a printer device - a device file such as /dev/usb/lp0, or on Windows a
+// port such as USB001: / LPT1: (copied through a spool file)
+async function printToDevice(printerData, devicePath, label) {
+  if (!devicePath) {
+    throw new Error('No device path configured for the printer');
+  }
+
+  if (isWindows) {
+    return printToWindowsPort(printerData, devicePath, label);
+  }
+
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(devicePath, { flags: 'w' });
+
+    // A printer that is off or out of paper can block the write indefinitely
+    const printTimeout = setTimeout(() => {
+      stream.destroy();
+      reject(new Error(`Print to ${devicePath} timed out after 30 seconds`));
+    }, 30000);
+
+    stream.on('error', (error) => {
+      clearTimeout(printTimeout);
+      reject(new Error(`Print to ${devicePath} failed: ${error.message}`));
+    });
+
+    stream.on('finish', () => {
+      clearTimeout(printTimeout);
+      console.log(`Print successful on ${devicePath}`);
+      resolve({
+        success: true,
+        message: `Printed successfully via ${devicePath}`,
+        port: devicePath
+      });
+    });
+
+    stream.end(printerData);
+  });
+}
+
+// Copy raw data to a Windows printer port with `copy /B`
+async function printToWindowsPort(printerData, devicePath, label) {
+  return new Promise((resolve, reject) => {
+    try {
+      // Create temp directory
+      const tempDir = path.join(__dirname, '../temp');
+      if (!fs.existsSync(tempDir)) {
+        fs.mkdirSync(tempDir, { recursive: true });
+      }
+      
+      const tempFile = path.join(tempDir, `print_${(label || Date.now()).toString().replace(/[^A-Za-z0-9-]/g, '_')}.prn`);
+      
+      // Write binary data for the printer
+      fs.writeFileSync(tempFile, printerData);
+      
+      exec(`copy "${tempFile}" /B ${devicePath} /B`, (error) => {
+        // Clean up temp file once the copy has finished
+        setTimeout(() => {
+          try {
+            fs.unlinkSync(tempFile);
+          } catch (e) {
+            console.log('Could not delete temp file:', e.message);
+          }
+        }, 3000);
+        
+        if (error) {
+          return reject(new Error(`Print to ${devicePath} failed: ${error.message}`));
+        }
+        
+        console.log(`Print successful on ${devicePath}`);
+        resolve({
+          success: true,
+          message: `Printed successfully via ${devicePath}`,
+          port: devicePath
+        });
+      });
+      
+    } catch (error) {
+      console.error('Device print error:', error);
+      reject(new Error(`Device print failed: ${error.message}`));
+    }
+  });
+}
+
+// Send raw data to a network printer (port 9100 raw socket)
+async function printToNetwork(printerData, ip, port = 9100) {
+  return new Promise((resolve, reject) => {
+    try {
+      if (!ip) {
+        return reject(new Error('No IP address configured for the network printer'));
+      }
+      
+      const client = new net.Socket();
+      
+      client.setTimeout(20000);
+      
+      client.connect(port, ip, () => {
+        console.log(`Connected to printer at ${ip}:${port}`);
+        client.write(printerData);
+        
+        // Printers need a moment to process
+        setTimeout(() => {
+          client.end();
+        }, 2000);
+      });
+      
+      client.on('close', (hadError) => {
+        if (hadError) return;
+        resolve({ 
+          success: true, 
+          message: `Printed via network on ${ip}:${port}`,
+          ip: ip,
+          port: port
+        });
+      });
+      
+      client.on('error', (err) => {
+        console.error('Network printer error:', err);
+        client.destroy();
+        reject(new Error(`Network print to ${ip}:${port} failed: ${err.message}`));
+      });
+      
+      client.on('timeout', () => {
+        console.error('Network printer timeout');
+        client.destroy();
+        reject(new Error(`Network printer ${ip}:${port} timed out`));
+      });
+      
+    } catch (error) {
+      console.error('Network printer setup error:', error);
+      reject(new Error(`Network print setup failed: ${error.message}`));
+    }
+  });
+}
+
+// Ask a network printer for its real-time status with DLE EOT 1-4 (printer, offline cause, error cause,
+// paper sensor). Resolves with the four status bytes; rejects when the printer cannot be reached or does not answer.
+async function queryNetworkStatus(ip, port = 9100, options = {}) {
+  const { timeout = 3000 } = options;
+  const requests = [1, 2, 3, 4];
+
+  return new Promise((resolve, reject) => {
+    if (!ip) {
+      return reject(new Error('No IP address configured for the network printer'));
+    }
+
+    const client = new net.Socket();
+    const replies = [];
+    let connected = false;
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      client.destroy();
+      if (error) reject(error); else resolve(result);
+    };
+    const ask = () => client.write(Buffer.from([0x10, 0x04, requests[replies.length]]));
+
+    client.setTimeout(timeout);
+
+    client.connect(port, ip, () => {
+      connected = true;
+      ask();
+    });
+
+    client.on('data', (chunk) => {
+      for (const byte of chunk) {
+        replies.push(byte);
+        if (replies.length === requests.length) {
+          return finish(null, replies);
+        }
+      }
+      ask();
+    });
+
+    client.on('timeout', () => {
+      finish(new Error(connected
+        ? `Printer ${ip}:${port} did not answer the status request`
+        : `Network printer ${ip}:${port} timed out`));
+    });
+
+    client.on('error', (err) => {
+      finish(new Error(`Network printer ${ip}:${port} unreachable: ${err.message}`));
+    });
+
+    client.on('close', () => {
+      finish(new Error(`Printer ${ip}:${port} closed the connection before answering`));
+    });
+  });
+}
+
+// Print through the operating system's print system - the printer driver on Windows, CUPS elsewhere
+async function printToSystem(printerData, printerName, label) {
+  return isWindows
+    ? printToDriver(printerData, printerName)
+    : printToCups(printerData, printerName, label);
+}
+
+// Send an ESC/POS document over a printer profile's connection (PrinterProfile#toPrinterConfig), with retries.
+// `label` names the document in logs and spool files (bill number, KOT number, ...).
+async function printRaw(printerData, printerConfig = {}, label = 'document') {
+  const { 
+    connection = 'auto', 
+    ip, 
+    port = 9100, 
+    devicePath,
+    printerName,
+    retries = 2
+  } = printerConfig;
+  
+  console.log(`Printing ${label}, Connection: ${connection}`);
+  
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      console.log(`Print attempt ${attempt}/${retries + 1}`);
+      
+      switch (connection.toLowerCase()) {
+        case 'network':
+        case 'lan':
+          return await printToNetwork(printerData, ip, port);
+          
+        case 'usb':
+          return await printToDevice(printerData, devicePath, label);
+
+        case 'cups':
+          return await printToCups(printerData, printerName, label);
+          
+        case 'windows':
+          return await printToDriver(printerData, printerName);
+          
+        case 'auto':
+        default:
+          // OS print system first, then whichever of device/network the profile has an address for
+          try {
+            return await printToSystem(printerData, printerName, label);
+          } catch (systemError) {
+            console.log(`System print failed (attempt ${attempt}):`, systemError.message);
+            
+            if (attempt === retries + 1) {
+              if (devicePath) {
+                try {
+                  return await printToDevice(printerData, devicePath, label);
+                } catch (deviceError) {
+                  if (!ip) throw deviceError;
+                }
+              }
+              if (ip) {
+                return await printToNetwork(printerData, ip, port);
+              }
+            }
+            throw systemError;
+          }
+      }
+    } catch (error) {
+      if (attempt === retries + 1) {
+        throw error;
+      }
+      console.log(`Print attempt ${attempt} failed, retrying in 2 seconds...`);
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  }
+}
+
+// Printers installed on this machine: the `printer` module's list where it is available, else the CUPS queues
+async function listInstalledPrinters() {
+  try {
+    return require('printer').getPrinters().map(p => ({
+      name: p.name,
+      displayName: p.displayName || p.name,
+      status: p.status,
+      isDefault: p.isDefault,
+      isShared: p.isShared,
+      portName: p.portName,
+      driverName: p.driverName,
+      location: p.location,
+      source: 'driver'
+    }));
+  } catch (driverError) {
+    if (isWindows) throw driverError;
+  }
+
+  const lpstat = args => new Promise((resolve) => {
+    execFile('lpstat', args, { timeout: 10000 }, (error, stdout) => resolve(error ? '' : stdout));
+  });
+  const [queues, defaults] = await Promise.all([lpstat(['-p']), lpstat(['-d'])]);
+
+  if (!queues && !defaults) {
+    throw new Error('No print system found - install CUPS or the "printer" npm package');
+  }
+
+  // "printer <name> is idle.  enabled since ..." / "system default destination: <name>"
+  const defaultMatch = defaults.match(/default destination:\s*(\S+)/);
+  return queues.split('\n')
+    .map(line => line.match(/^printer (\S+) (?:is |now )?(.*)$/))
+    .filter(Boolean)
+    .map(([, name, status]) => ({
+      name,
+      displayName: name,
+      status: status.split('.')[0].trim(),
+      isDefault: Boolean(defaultMatch) && defaultMatch[1] === name,
+      isShared: null,
+      portName: null,
+      driverName: null,
+      location: null,
+      source: 'cups'
+    }));
+}
+
+module.exports = {
+  printToDriver,
+  printToCups,
+  printToDevice,
+  printToNetwork,
+  printRaw,
+  queryNetworkStatus,
+  listInstalledPrinters
+};
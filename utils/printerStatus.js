@@ -0,0 +1,151 @@
+// utils/printerStatus.js - Real-time printer status over DLE EOT, cached per printer profile and polled in the background
+const PrinterProfile = require('../models/PrinterProfile');
+const { queryNetworkStatus } = require('./printTransport');
+
+// A cached status is served for this long before the printer is asked again
+const STATUS_TTL_MS = 15000;
+// How often active network printers are checked in the background
+const POLL_INTERVAL_MS = 30000;
+
+// Latest status per profile (or ip:port for unsaved profiles)
+const cache = new Map();
+let polling = false;
+
+// Decode the DLE EOT 1-4 replies. Each reply byte has bits 1 and 4 set and bits 0 and 7 clear.
+function parseStatusBytes([printer, offline, error, paper]) {
+  const valid = [printer, offline, error, paper].every(byte => (byte & 0x93) === 0x12);
+  if (!valid) {
+    throw new Error('Printer sent an unrecognised status reply');
+  }
+
+  return {
+    online: !(printer & 0x08),
+    drawerPinHigh: Boolean(printer & 0x04),
+    coverOpen: Boolean(offline & 0x04),
+    feedButtonPressed: Boolean(offline & 0x08),
+    paperOut: Boolean(offline & 0x20) || Boolean(paper & 0x60),
+    errorOccurred: Boolean(offline & 0x40),
+    mechanicalError: Boolean(error & 0x04),
+    cutterError: Boolean(error & 0x08),
+    unrecoverableError: Boolean(error & 0x20),
+    autoRecoverableError: Boolean(error & 0x40),
+    paperNearEnd: Boolean(paper & 0x0C)
+  };
+}
+
+// What a cashier should be told about a status, most serious first
+function alertsFor(status) {
+  if (!status.supported) return [];
+
+  if (!status.reachable) {
+    return [{ code: 'unreachable', severity: 'error', message: status.error }];
+  }
+
+  const alerts = [];
+  const add = (condition, code, severity, message) => {
+    if (condition) alerts.push({ code, severity, message });
+  };
+
+  add(status.paperOut, 'paper-out', 'error', 'Paper has run out');
+  add(status.coverOpen, 'cover-open', 'error', 'Printer cover is open');
+  add(status.cutterError, 'cutter-error', 'error', 'Auto-cutter error - check for a paper jam');
+  add(status.unrecoverableError, 'unrecoverable-error', 'error', 'Printer error - switch the printer off and on');
+  add(status.mechanicalError, 'mechanical-error', 'error', 'Printer mechanism error');
+  add(status.autoRecoverableError, 'overheated', 'warning', 'Print head overheated - printing resumes when it cools');
+  add(!status.online && alerts.length === 0, 'offline', 'error', 'Printer is offline');
+  add(status.paperNearEnd && !status.paperOut, 'paper-near-end', 'warning', 'Paper roll is nearly finished');
+  add(status.drawerOpen, 'drawer-open', 'info', 'Cash drawer is open');
+
+  return alerts;
+}
+
+function cacheKey(profile) {
+  return profile.isNew ? `${profile.ip}:${profile.port}` : String(profile._id);
+}
+
+// Status of a printer profile: { supported, reachable, online, paperOut, ..., drawerOpen, alerts, checkedAt }.
+// Only network printers can be asked; other connections report `supported: false`.
+async function getPrinterStatus(profile, options = {}) {
+  const { refresh = false } = options;
+
+  if (profile.connection !== 'network') {
+    return {
+      supported: false,
+      message: 'Live status is only available for network printers',
+      alerts: [],
+      checkedAt: null
+    };
+  }
+
+  const key = cacheKey(profile);
+  const cached = cache.get(key);
+  if (cached && !refresh && Date.now() - cached.checkedAt.getTime() < STATUS_TTL_MS) {
+    return cached;
+  }
+
+  let status;
+  try {
+    const device = parseStatusBytes(await queryNetworkStatus(profile.ip, profile.port));
+    status = {
+      supported: true,
+      reachable: true,
+      ...device,
+      drawerOpen: profile.drawer?.enabled
+        ? device.drawerPinHigh === (profile.drawer.openSignal !== 'low')
+        : null
+    };
+  } catch (error) {
+    status = { supported: true, reachable: false, error: error.message };
+  }
+
+  status.profile = { _id: profile.isNew ? null : profile._id, name: profile.name, outlet: profile.outlet, role: profile.role };
+  status.alerts = alertsFor(status);
+  status.checkedAt = new Date();
+  cache.set(key, status);
+
+  return status;
+}
+
+// Cached statuses with at least one alert, optionally for one outlet - does not contact the printers
+function getPrinterAlerts(outlet = null) {
+  return Array.from(cache.values())
+    .filter(status => status.alerts.length > 0)
+    .filter(status => !outlet || status.profile.outlet === outlet.toUpperCase());
+}
+
+// Refresh every active network printer's status, one at a time
+async function pollPrinterStatuses() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const profiles = await PrinterProfile.find({ isActive: true, connection: 'network' });
+    const activeKeys = new Set(profiles.map(cacheKey));
+
+    for (const profile of profiles) {
+      await getPrinterStatus(profile, { refresh: true });
+    }
+
+    // Forget printers that were removed or moved off the network
+    Array.from(cache.keys()).forEach(key => {
+      if (!key.includes(':') && !activeKeys.has(key)) cache.delete(key);
+    });
+  } catch (error) {
+    console.error('Printer status poll error:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+// Start checking network printers in the background - call once the database is connected
+function startStatusPolling() {
+  pollPrinterStatuses();
+  setInterval(pollPrinterStatuses, POLL_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  parseStatusBytes,
+  getPrinterStatus,
+  getPrinterAlerts,
+  startStatusPolling
+};
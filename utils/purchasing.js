@@ -0,0 +1,242 @@
+// utils/purchasing.js - Purchase order lines, supplier payables and purchase spend reporting
+const mongoose = require('mongoose');
+const Ingredient = require('../models/Ingredient');
+const MenuItem = require('../models/MenuItem');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const SupplierInvoice = require('../models/SupplierInvoice');
+const { round2 } = require('./gst');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days past due an outstanding invoice is bucketed by on the payables report
+const AGING_BUCKETS = [
+  { key: 'current', maxDays: 0 },
+  { key: '1-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '61-90', maxDays: 90 },
+  { key: '90+', maxDays: Infinity }
+];
+
+// Purchase order lines from a request ([{ ingredientId | menuItemId, variantId, quantity, unitCost, taxRate }]).
+// Menu items must be stocked by count - items made from a recipe are bought as their ingredients.
+// Returns { lines } or { error }.
+async function buildPurchaseLines(rawLines) {
+  if (!Array.isArray(rawLines) || rawLines.length === 0) {
+    return { error: 'At least one line is required' };
+  }
+
+  const lines = [];
+  for (const raw of rawLines) {
+    const quantity = parseFloat(raw.quantity);
+    const unitCost = raw.unitCost !== undefined ? parseFloat(raw.unitCost) : undefined;
+    const taxRate = raw.taxRate !== undefined ? parseFloat(raw.taxRate) : 0;
+
+    if (raw.ingredientId) {
+      const ingredient = mongoose.Types.ObjectId.isValid(raw.ingredientId)
+        ? await Ingredient.findOne({ _id: raw.ingredientId, isActive: true })
+        : null;
+      if (!ingredient) return { error: `Ingredient not found: ${raw.ingredientId}` };
+
+      lines.push({
+        ingredient: ingredient._id,
+        name: ingredient.name,
+        unit: ingredient.unit,
+        quantity,
+        unitCost: unitCost ?? ingredient.costPerUnit,
+        taxRate
+      });
+      continue;
+    }
+
+    const menuItem = mongoose.Types.ObjectId.isValid(raw.menuItemId)
+      ? await MenuItem.findOne({ _id: raw.menuItemId, isDeleted: { $ne: true } })
+      : null;
+    if (!menuItem) return { error: `Menu item not found: ${raw.menuItemId}` };
+    if (menuItem.isCombo()) return { error: `"${menuItem.name}" is a combo - buy its items instead` };
+
+    const variant = raw.variantId && mongoose.Types.ObjectId.isValid(raw.variantId) ? menuItem.variants.id(raw.variantId) : null;
+    if (raw.variantId && !variant) return { error: `"${menuItem.name}" has no variant ${raw.variantId}` };
+    if (!variant && menuItem.variants.length > 0) return { error: `Pick a variant of "${menuItem.name}"` };
+    if (menuItem.getRecipe(variant ? variant._id : null).length > 0) {
+      return { error: `"${menuItem.name}" is made from a recipe - buy its ingredients instead` };
+    }
+
+    lines.push({
+      menuItem: menuItem._id,
+      variant: variant ? variant._id : null,
+      name: variant ? `${menuItem.name} (${variant.name})` : menuItem.name,
+      unit: 'pcs',
+      quantity,
+      unitCost: unitCost ?? ((variant ? variant.cost : menuItem.cost) || 0),
+      taxRate
+    });
+  }
+
+  return { lines };
+}
+
+// Book a goods receipt into stock: ingredients at the weighted-average cost, menu items by count
+async function receiveIntoStock(receipt, options = {}) {
+  const { session = null } = options;
+
+  await Ingredient.receive(
+    receipt.lines
+      .filter(line => line.ingredient)
+      .map(line => ({ ingredient: line.ingredient, quantity: line.quantity, unitCost: line.unitCost })),
+    { session }
+  );
+
+  await MenuItem.receiveStock(
+    receipt.lines
+      .filter(line => line.menuItem)
+      .map(line => ({ menuItem: line.menuItem, variant: line.variant, quantity: line.quantity })),
+    { session }
+  );
+}
+
+// Goods receipts not billed on any supplier invoice yet
+async function uninvoicedReceipts(filter = {}, options = {}) {
+  const { session = null } = options;
+
+  const invoiced = await SupplierInvoice.distinct('goodsReceipts').session(session);
+  return GoodsReceipt.find({ ...filter, _id: { $nin: invoiced } }).sort({ receivedAt: 1 }).session(session);
+}
+
+// What is owed to each supplier: outstanding invoices aged by days past due, and deliveries not invoiced yet
+async function buildPayables(options = {}) {
+  const { supplier = null, asOf = new Date() } = options;
+  const filter = supplier ? { supplier } : {};
+
+  const [invoices, receipts] = await Promise.all([
+    SupplierInvoice.find({ ...filter, outstanding: { $gt: 0 } }).sort({ dueDate: 1 }),
+    uninvoicedReceipts(filter)
+  ]);
+
+  const suppliers = {};
+  const entryFor = (id, name) => {
+    const key = String(id);
+    if (!suppliers[key]) {
+      suppliers[key] = {
+        supplier: id,
+        supplierName: name,
+        outstanding: 0,
+        overdue: 0,
+        aging: Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0])),
+        uninvoiced: 0,
+        invoices: []
+      };
+    }
+    return suppliers[key];
+  };
+
+  invoices.forEach(invoice => {
+    const entry = entryFor(invoice.supplier, invoice.supplierName);
+    const daysPastDue = Math.max(Math.floor((asOf - invoice.dueDate) / DAY_MS), 0);
+    const bucket = AGING_BUCKETS.find(candidate => daysPastDue <= candidate.maxDays);
+
+    entry.outstanding = round2(entry.outstanding + invoice.outstanding);
+    if (daysPastDue > 0) entry.overdue = round2(entry.overdue + invoice.outstanding);
+    entry.aging[bucket.key] = round2(entry.aging[bucket.key] + invoice.outstanding);
+    entry.invoices.push({
+      _id: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      poNumber: invoice.poNumber,
+      invoiceDate: invoice.invoiceDate,
+      dueDate: invoice.dueDate,
+      total: invoice.total,
+      outstanding: invoice.outstanding,
+      daysPastDue,
+      matchStatus: invoice.matchStatus
+    });
+  });
+
+  receipts.forEach(receipt => {
+    const entry = entryFor(receipt.supplier, receipt.supplierName);
+    entry.uninvoiced = round2(entry.uninvoiced + receipt.total);
+  });
+
+  const list = Object.values(suppliers).sort((a, b) => b.outstanding - a.outstanding);
+
+  return {
+    asOf,
+    suppliers: list,
+    totals: {
+      outstanding: round2(list.reduce((sum, entry) => sum + entry.outstanding, 0)),
+      overdue: round2(list.reduce((sum, entry) => sum + entry.overdue, 0)),
+      uninvoiced: round2(list.reduce((sum, entry) => sum + entry.uninvoiced, 0))
+    }
+  };
+}
+
+// Purchase spend per supplier per month, by the date goods were received
+async function buildSpendReport(startDate, endDate, options = {}) {
+  const { outlet = null } = options;
+
+  const receipts = await GoodsReceipt.find({
+    ...(outlet ? { outlet } : {}),
+    receivedAt: { $gte: startDate, $lt: endDate }
+  }).sort({ receivedAt: 1 });
+
+  const months = [];
+  for (let d = new Date(startDate.getFullYear(), startDate.getMonth(), 1); d < endDate; d.setMonth(d.getMonth() + 1)) {
+    months.push(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`);
+  }
+
+  const suppliers = {};
+  const monthTotals = Object.fromEntries(months.map(month => [month, 0]));
+
+  receipts.forEach(receipt => {
+    const at = new Date(receipt.receivedAt);
+    const month = `${at.getFullYear()}-${String(at.getMonth() + 1).padStart(2, '0')}`;
+    const key = String(receipt.supplier);
+
+    if (!suppliers[key]) {
+      suppliers[key] = {
+        supplier: receipt.supplier,
+        supplierName: receipt.supplierName,
+        months: Object.fromEntries(months.map(name => [name, { subtotal: 0, gst: 0, total: 0, receipts: 0 }])),
+        subtotal: 0,
+        gst: 0,
+        total: 0
+      };
+    }
+
+    const entry = suppliers[key];
+    const cell = entry.months[month];
+    cell.subtotal = round2(cell.subtotal + receipt.subtotal);
+    cell.gst = round2(cell.gst + receipt.gst);
+    cell.total = round2(cell.total + receipt.total);
+    cell.receipts++;
+
+    entry.subtotal = round2(entry.subtotal + receipt.subtotal);
+    entry.gst = round2(entry.gst + receipt.gst);
+    entry.total = round2(entry.total + receipt.total);
+    monthTotals[month] = round2(monthTotals[month] + receipt.total);
+  });
+
+  const list = Object.values(suppliers).sort((a, b) => b.total - a.total);
+
+  return {
+    startDate,
+    endDate,
+    months,
+    suppliers: list,
+    monthTotals,
+    totals: {
+      subtotal: round2(list.reduce((sum, entry) => sum + entry.subtotal, 0)),
+      // Input tax credit available on the period's purchases
+      gst: round2(list.reduce((sum, entry) => sum + entry.gst, 0)),
+      total: round2(list.reduce((sum, entry) => sum + entry.total, 0)),
+      receipts: receipts.length
+    }
+  };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  buildPurchaseLines,
+  receiveIntoStock,
+  uninvoicedReceipts,
+  buildPayables,
+  buildSpendReport
+};
@@ -0,0 +1,689 @@
+// utils/receipt.js - Renders bills through a ReceiptTemplate to ESC/POS or plain text at any line width
+const { TVS_ESC_POS, createTVSBuffer, qrCodeCommands, code128Commands } = require('./escpos');
+const { buildTaxBreakup } = require('./gst');
+
+// Built-in labels; templates override them per language
+const DEFAULT_STRINGS = {
+  billNo: 'BILL NO',
+  date: 'Date',
+  customer: 'Customer',
+  phone: 'Phone',
+  table: 'Table',
+  order: 'Order',
+  item: 'ITEM',
+  qty: 'QTY',
+  rate: 'RATE',
+  amount: 'AMOUNT',
+  hsn: 'HSN',
+  disc: 'DISC',
+  each: 'each',
+  subtotal: 'Subtotal',
+  discount: 'Discount',
+  taxable: 'Taxable',
+  serviceCharge: 'Service Charge',
+  packingCharge: 'Packing Charge',
+  cgst: 'CGST',
+  sgst: 'SGST',
+  igst: 'IGST',
+  gst: 'GST',
+  roundOff: 'Round Off',
+  total: 'TOTAL',
+  taxBreakup: 'TAX BREAKUP',
+  taxRate: 'GST%',
+  payments: 'PAYMENTS',
+  paymentMode: 'PAYMENT MODE',
+  reference: 'Ref',
+  cashReceived: 'Cash Received',
+  change: 'Change',
+  balanceDue: 'Balance Due',
+  loyaltyPoints: 'LOYALTY POINTS',
+  redeemed: 'Redeemed',
+  earned: 'Earned',
+  balance: 'Balance',
+  paid: '*** PAYMENT RECEIVED ***',
+  pending: '*** PAYMENT PENDING ***',
+  duplicate: '*** DUPLICATE ***',
+  thankYou: 'THANK YOU FOR VISITING!',
+  visitAgain: 'Please visit us again!',
+  feedbackOffer: 'Rate us & get 10% off on your next visit',
+  quoteBill: 'Quote bill no.',
+  scanToPay: 'Scan & pay with any UPI app',
+  irn: 'IRN',
+  ackNo: 'Ack No',
+  ref: 'Ref',
+  currency: 'Rs.'
+};
+
+const COLUMN_LABELS = {
+  name: 'item',
+  quantity: 'qty',
+  price: 'rate',
+  total: 'amount',
+  hsnCode: 'hsn',
+  discount: 'disc'
+};
+
+const SIZE_COMMANDS = {
+  normal: TVS_ESC_POS.SIZE_NORMAL,
+  'double-height': TVS_ESC_POS.SIZE_DOUBLE_HEIGHT,
+  'double-width': TVS_ESC_POS.SIZE_DOUBLE_WIDTH,
+  double: TVS_ESC_POS.SIZE_DOUBLE
+};
+
+// Printable dots per line for each paper width
+const PAPER_DOTS = { 58: 384, 80: 576 };
+
+// Bytes a model 2 QR code holds at error correction M, by version (1-40)
+const QR_CAPACITY_M = [
+  14, 26, 42, 62, 84, 106, 122, 152, 180, 213, 251, 287, 331, 362, 412, 450, 504, 560, 624, 666,
+  711, 779, 857, 911, 997, 1059, 1125, 1190, 1264, 1370, 1452, 1538, 1628, 1722, 1809, 1911, 1989, 2099, 2213, 2331
+];
+
+const ALIGN_COMMANDS = {
+  left: TVS_ESC_POS.ALIGN_LEFT,
+  center: TVS_ESC_POS.ALIGN_CENTER,
+  right: TVS_ESC_POS.ALIGN_RIGHT
+};
+
+// Conditions a template line can require with `when` (prefix with ! to negate)
+const CONDITIONS = {
+  paid: bill => bill.status === 'paid',
+  pending: bill => bill.status !== 'paid',
+  duplicate: bill => Boolean(bill.isDuplicate),
+  takeaway: bill => Boolean(bill.orderType) && bill.orderType !== 'dine-in',
+  dineIn: bill => !bill.orderType || bill.orderType === 'dine-in',
+  interState: bill => bill.supplyType === 'inter-state',
+  member: bill => Boolean(bill.customer),
+  customer: bill => Boolean(bill.customerName),
+  table: bill => Boolean(bill.tableNumber),
+  discount: bill => (bill.discount || 0) > 0,
+  logo: (bill, template) => Boolean(template.hasLogo),
+  upi: (bill, template) => bill.status !== 'paid' && Boolean(template.business?.upiVpa) && balanceDue(bill) > 0,
+  eInvoice: bill => Boolean(bill.eInvoice?.signedQrCode)
+};
+
+const money = value => (value || 0).toFixed(2);
+
+// Amount still to be paid on a bill
+const balanceDue = bill => Math.max((bill.total || 0) - (bill.amountPaid || 0), 0);
+
+// Characters that fit on a line at a print size - double width halves them
+function widthFor(width, size) {
+  return size === 'double-width' || size === 'double' ? Math.floor(width / 2) : width;
+}
+
+// Split text into lines of at most `width` characters, breaking on spaces where possible
+function wrapText(text, width) {
+  const lines = [];
+
+  String(text).split('\n').forEach(paragraph => {
+    let current = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (word.length > width) {
+        if (current) {
+          lines.push(current);
+          current = '';
+        }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+
+      if (!current) {
+        current = word;
+      } else if (current.length + 1 + word.length <= width) {
+        current += ` ${word}`;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    });
+    lines.push(current);
+  });
+
+  return lines;
+}
+
+// Label and value on one line, the value right-aligned - the label is cut short if both do not fit
+function justify(label, value, width) {
+  const room = Math.max(width - value.length - 1, 1);
+  const text = label.length > room ? label.slice(0, room) : label;
+  return `${text}${value.padStart(width - text.length)}`;
+}
+
+// Labels for a language: built-ins, then the template's default language, then the requested one
+function resolveStrings(template, language) {
+  const strings = { ...DEFAULT_STRINGS };
+  const overrides = template.strings || new Map();
+  const get = code => (overrides instanceof Map ? overrides.get(code) : overrides[code]);
+
+  [template.language, language].forEach(code => {
+    const entries = code && get(code);
+    if (!entries) return;
+    const pairs = entries instanceof Map ? entries.entries() : Object.entries(entries);
+    for (const [key, value] of pairs) strings[key] = value;
+  });
+
+  return strings;
+}
+
+// UPI intent link for the amount still due - any UPI app opens it with payee, amount and bill filled in
+function upiPayload(bill, template) {
+  const business = template.business || {};
+  const params = [
+    ['pa', business.upiVpa],
+    ['pn', business.upiName || business.name || business.upiVpa],
+    ['am', money(balanceDue(bill))],
+    ['cu', 'INR'],
+    ['tr', bill.billNumber],
+    ['tn', `Bill ${bill.billNumber}`]
+  ];
+
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+}
+
+// Values for {{placeholders}}
+function buildContext(bill, template, strings) {
+  const date = new Date(bill.createdAt || Date.now());
+  const business = template.business || {};
+  const eInvoice = bill.eInvoice || {};
+
+  return {
+    business: {
+      name: business.name || '',
+      address: business.address || '',
+      phone: business.phone || '',
+      gstin: business.gstin || '',
+      fssai: business.fssai || '',
+      website: business.website || '',
+      upiVpa: business.upiVpa || ''
+    },
+    bill: {
+      billNumber: bill.billNumber || 'N/A',
+      date: date.toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' }),
+      time: date.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true }),
+      customerName: bill.customerName || '',
+      customerPhone: bill.customerPhone || '',
+      tableNumber: bill.tableNumber || '',
+      orderType: (bill.orderType || '').toUpperCase(),
+      ref: bill._id ? bill._id.toString().slice(-8).toUpperCase() : '',
+      total: money(bill.total),
+      balanceDue: money(balanceDue(bill)),
+      duplicateCount: bill.duplicateCount ? String(bill.duplicateCount) : '',
+      irn: eInvoice.irn || '',
+      ackNo: eInvoice.ackNo || '',
+      ackDate: eInvoice.ackDate
+        ? new Date(eInvoice.ackDate).toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' })
+        : ''
+    },
+    label: strings,
+    now: new Date().toLocaleString('en-IN')
+  };
+}
+
+// Fill {{placeholders}}; returns null when every non-label placeholder is empty so the line is skipped
+function fillPlaceholders(text, context) {
+  let dataPlaceholders = 0;
+  let filled = 0;
+
+  const result = text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), context);
+    if (!key.startsWith('label.')) {
+      dataPlaceholders++;
+      if (value) filled++;
+    }
+    return value == null ? '' : String(value);
+  });
+
+  return dataPlaceholders > 0 && filled === 0 ? null : result;
+}
+
+function conditionHolds(when, bill, template) {
+  if (!when) return true;
+  const negate = when.startsWith('!');
+  const check = CONDITIONS[negate ? when.slice(1) : when];
+  if (!check) return true;
+  return negate ? !check(bill, template) : check(bill, template);
+}
+
+// Totals the rows print - bills saved before per-line GST fall back to a flat GST and post-tax discount
+function computeTotals(bill) {
+  const items = bill.items || [];
+  const itemTotal = items.reduce((sum, item) => sum + (item.total || (item.price || 0) * (item.quantity || 1)), 0);
+  const subtotal = bill.subtotal || itemTotal || 0;
+  const gstRate = bill.gstRate || 18;
+  const gst = bill.gst || bill.tax || (subtotal * gstRate / 100) || 0;
+  const discount = bill.discount || 0;
+  const serviceCharge = bill.serviceCharge || 0;
+  const packingCharge = bill.packingCharge || 0;
+  const roundOff = bill.roundOff || 0;
+  const cgst = bill.cgst || 0;
+  const sgst = bill.sgst || 0;
+  const igst = bill.igst || 0;
+
+  return {
+    subtotal,
+    gstRate,
+    gst,
+    discount,
+    serviceCharge,
+    packingCharge,
+    roundOff,
+    cgst,
+    sgst,
+    igst,
+    total: bill.total || (subtotal + gst + serviceCharge + packingCharge - discount + roundOff),
+    hasTaxSplit: cgst + sgst + igst > 0,
+    // Promotions and manual discounts on current bills come off before tax
+    discountBeforeTax: discount > 0 && items.some(item => item.discount > 0)
+  };
+}
+
+// [label, value] pairs a totals row prints - none when the value does not apply to the bill
+function totalsRow(field, bill, totals, strings) {
+  switch (field) {
+    case 'subtotal':
+      return [[strings.subtotal, money(totals.subtotal)]];
+    case 'discounts': {
+      if (!totals.discountBeforeTax) return [];
+      const applied = bill.appliedPromotions || [];
+      if (applied.length === 0) return [[strings.discount, `-${money(totals.discount)}`]];
+      return applied.map(promotion => [promotion.code || promotion.name, `-${money(promotion.amount)}`]);
+    }
+    case 'taxable':
+      return totals.discountBeforeTax ? [[strings.taxable, money(totals.subtotal - totals.discount)]] : [];
+    case 'serviceCharge':
+      return totals.serviceCharge > 0
+        ? [[bill.serviceChargeRate ? `${strings.serviceCharge} (${bill.serviceChargeRate}%)` : strings.serviceCharge, money(totals.serviceCharge)]]
+        : [];
+    case 'packingCharge':
+      return totals.packingCharge > 0 ? [[strings.packingCharge, money(totals.packingCharge)]] : [];
+    case 'cgst':
+      return totals.hasTaxSplit && totals.igst === 0 ? [[strings.cgst, money(totals.cgst)]] : [];
+    case 'sgst':
+      return totals.hasTaxSplit && totals.igst === 0 ? [[strings.sgst, money(totals.sgst)]] : [];
+    case 'igst':
+      return totals.igst > 0 ? [[strings.igst, money(totals.igst)]] : [];
+    case 'gst':
+      return !totals.hasTaxSplit && totals.gst > 0 ? [[`${strings.gst} (${totals.gstRate}%)`, money(totals.gst)]] : [];
+    case 'legacyDiscount':
+      return totals.discount > 0 && !totals.discountBeforeTax ? [[strings.discount, `-${money(totals.discount)}`]] : [];
+    case 'roundOff':
+      return totals.roundOff !== 0 ? [[strings.roundOff, `${totals.roundOff > 0 ? '+' : ''}${money(totals.roundOff)}`]] : [];
+    case 'total':
+      return [[strings.total, money(totals.total)]];
+    default:
+      return [];
+  }
+}
+
+// Slab-wise GST table - CGST/SGST columns, or IGST for inter-state bills; columns share the width
+function formatTaxBreakup(taxBreakup, supplyType, width, strings) {
+  const rateWidth = 4;
+  const rest = width - rateWidth;
+  const lines = [];
+
+  if (supplyType === 'inter-state') {
+    const taxWidth = Math.floor(rest / 2);
+    const taxableWidth = rest - taxWidth;
+    lines.push(`${strings.taxRate.padEnd(rateWidth)}${strings.taxable.padStart(taxableWidth)}${strings.igst.padStart(taxWidth)}`);
+    taxBreakup.forEach(slab => {
+      lines.push(`${(slab.rate + '%').padEnd(rateWidth)}${money(slab.taxableValue).padStart(taxableWidth)}${money(slab.igst).padStart(taxWidth)}`);
+    });
+  } else {
+    const taxWidth = Math.floor(rest * 9 / 28);
+    const taxableWidth = rest - 2 * taxWidth;
+    lines.push(`${strings.taxRate.padEnd(rateWidth)}${strings.taxable.padStart(taxableWidth)}${strings.cgst.padStart(taxWidth)}${strings.sgst.padStart(taxWidth)}`);
+    taxBreakup.forEach(slab => {
+      lines.push(`${(slab.rate + '%').padEnd(rateWidth)}${money(slab.taxableValue).padStart(taxableWidth)}${money(slab.cgst).padStart(taxWidth)}${money(slab.sgst).padStart(taxWidth)}`);
+    });
+  }
+
+  return lines;
+}
+
+// Render a bill through a template into layout lines:
+// { text, align, size, bold } for printed text, { logo: slot } for the stored logo,
+// { qr, source, align, scale } and { barcode, align, scale } for codes.
+// Text lines are already wrapped and padded to `width` characters at their print size.
+function renderReceipt(bill, template, options = {}) {
+  const { width = 32, language = null } = options;
+  const strings = resolveStrings(template, language);
+  const context = buildContext(bill, template, strings);
+  const totals = computeTotals(bill);
+  const layout = [];
+
+  const text = (value, style = {}) => {
+    const { align = 'left', size = 'normal', bold = false } = style;
+    const room = widthFor(width, size);
+    // Lines that already fit keep their spacing (columns, justified rows); longer text is word-wrapped
+    const lines = value.length <= room && !value.includes('\n') ? [value] : wrapText(value, room);
+    lines.forEach(line => layout.push({ text: line, align, size, bold }));
+  };
+  const separator = (char = '-') => layout.push({ text: char.repeat(width), align: 'left', size: 'normal', bold: false });
+  const blank = () => layout.push({ text: '', align: 'left', size: 'normal', bold: false });
+
+  const sections = {
+    taxBreakup() {
+      if (!totals.hasTaxSplit) return;
+      separator();
+      text(strings.taxBreakup, { bold: true });
+      // Saved bills (and copies made of them, which carry it as `taxBreakup`) include service/packing
+      // charge tax in their breakup
+      const taxBreakup = typeof bill.getTaxBreakup === 'function'
+        ? bill.getTaxBreakup()
+        : bill.taxBreakup || buildTaxBreakup(bill.items || []);
+      formatTaxBreakup(taxBreakup, bill.supplyType, width, strings)
+        .forEach(line => layout.push({ text: line, align: 'left', size: 'normal', bold: false }));
+    },
+
+    payments() {
+      if (bill.payments && bill.payments.length > 0) {
+        text(strings.payments, { bold: true });
+        bill.payments.forEach(payment => {
+          text(justify(payment.method.toUpperCase() + ':', money(payment.amount), width));
+          if (payment.reference) {
+            text(`  ${strings.reference}: ${payment.reference}`);
+          }
+          if (payment.tendered) {
+            text(`  ${strings.cashReceived}: ${strings.currency}${money(payment.tendered)}`);
+            if (payment.change > 0) {
+              text(`  ${strings.change}: ${strings.currency}${money(payment.change)}`);
+            }
+          }
+        });
+
+        const balanceDue = Math.max(totals.total - (bill.amountPaid || 0), 0);
+        if (bill.status !== 'paid' && balanceDue > 0) {
+          text(justify(`${strings.balanceDue}:`, money(balanceDue), width), { bold: true });
+        }
+      } else if (bill.paymentMethod) {
+        const paymentMethod = bill.paymentMethod.toUpperCase();
+        text(`${strings.paymentMode}: ${paymentMethod}`);
+
+        if (paymentMethod === 'CASH' && bill.cashReceived) {
+          text(`${strings.cashReceived}: ${strings.currency}${money(bill.cashReceived)}`);
+          const change = bill.cashReceived - totals.total;
+          if (change > 0) {
+            text(`${strings.change}: ${strings.currency}${money(change)}`);
+          }
+        }
+      }
+    },
+
+    // Loyalty points for registered customers (balance only when the customer is populated)
+    loyalty() {
+      if (!bill.customer || !(bill.loyaltyPointsEarned || bill.loyaltyPointsRedeemed || bill.customer.loyaltyPoints)) return;
+      separator();
+      text(strings.loyaltyPoints, { bold: true });
+      if (bill.loyaltyPointsRedeemed) {
+        text(justify(`${strings.redeemed}:`, String(bill.loyaltyPointsRedeemed), width));
+      }
+      if (bill.loyaltyPointsEarned) {
+        text(justify(`${strings.earned}:`, String(bill.loyaltyPointsEarned), width));
+      }
+      if (bill.customer.loyaltyPoints !== undefined) {
+        text(justify(`${strings.balance}:`, String(bill.customer.loyaltyPoints), width));
+      }
+    },
+
+    paymentStatus() {
+      text(bill.status === 'paid' ? strings.paid : strings.pending, { bold: true });
+    }
+  };
+
+  const renderLines = (lines = []) => {
+    lines.forEach(line => {
+      if (!conditionHolds(line.when, bill, template)) return;
+
+      switch (line.type) {
+        case 'separator':
+          separator(line.char || '-');
+          break;
+        case 'blank':
+          blank();
+          break;
+        case 'logo':
+          layout.push({ logo: line.slot || 1 });
+          break;
+        case 'qr': {
+          let payload = null;
+          if (line.field === 'upi') {
+            payload = CONDITIONS.upi(bill, template) ? upiPayload(bill, template) : null;
+          } else if (line.field === 'einvoice') {
+            payload = bill.eInvoice?.signedQrCode || null;
+          } else {
+            payload = fillPlaceholders(line.text || '', context);
+          }
+          if (payload) {
+            layout.push({ qr: payload, source: line.field || 'text', align: line.align || 'center', scale: line.scale || 0 });
+          }
+          break;
+        }
+        case 'barcode': {
+          // CODE128 set B takes printable ASCII only
+          const value = (fillPlaceholders(line.text || '{{bill.billNumber}}', context) || '')
+            .replace(/[^\x20-\x7E]/g, '')
+            .slice(0, 60);
+          if (value) {
+            layout.push({ barcode: value, align: line.align || 'center', scale: line.scale || 0 });
+          }
+          break;
+        }
+        case 'section':
+          if (sections[line.field]) sections[line.field]();
+          break;
+        case 'row': {
+          const room = widthFor(width, line.size);
+          totalsRow(line.field, bill, totals, strings).forEach(([label, value]) => {
+            const amount = line.currency ? `${strings.currency}${value}` : value;
+            const content = line.align === 'justify' || !line.align
+              ? justify(`${label}:`, amount, room)
+              : `${label}: ${amount}`;
+            text(content, { align: line.align === 'justify' ? 'left' : line.align, size: line.size, bold: line.bold });
+          });
+          break;
+        }
+        default: {
+          const filled = fillPlaceholders(line.text || '', context);
+          if (filled !== null) {
+            text(filled, { align: line.align, size: line.size, bold: line.bold });
+          }
+        }
+      }
+    });
+  };
+
+  renderLines(template.header);
+
+  // Item table - the flexible column takes whatever the fixed columns leave
+  const columns = template.columns || [];
+  const fixedWidth = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+  const flexibleWidth = Math.max(width - fixedWidth, 6);
+  const widthOf = column => column.width || flexibleWidth;
+  const cell = (value, column) => {
+    const size = widthOf(column);
+    const content = String(value).slice(0, size - (column.align === 'right' ? 0 : 1));
+    return column.align === 'right' ? content.padStart(size) : content.padEnd(size);
+  };
+
+  text(columns.map(column => cell(strings[COLUMN_LABELS[column.field]] || column.field, column)).join('').trimEnd(), { bold: true });
+  separator();
+
+  (bill.items || []).forEach(item => {
+    if (!item) return;
+
+    const quantity = item.quantity || 1;
+    const price = item.price || 0;
+    const values = {
+      name: item.name || 'Unknown Item',
+      quantity: String(quantity),
+      price: money(price),
+      total: money(item.total || price * quantity),
+      hsnCode: item.hsnCode || '',
+      discount: item.discount ? money(item.discount) : ''
+    };
+
+    // Names longer than their column continue on the next lines under it
+    const nameColumn = columns.find(column => column.field === 'name');
+    const nameLines = nameColumn ? wrapText(values.name, widthOf(nameColumn) - 1) : [''];
+    nameLines.forEach((nameLine, index) => {
+      const row = columns.map(column => {
+        if (column.field === 'name') return cell(nameLine, column);
+        return cell(index === 0 ? values[column.field] : '', column);
+      }).join('').trimEnd();
+      layout.push({ text: row, align: 'left', size: 'normal', bold: false });
+    });
+
+    // Combo components indented under the combo, per combo
+    (item.components || []).forEach(component => {
+      text(`    ${component.quantity} x ${component.name}`);
+    });
+
+    // Modifiers under the item, with their price where they change it
+    (item.modifiers || []).forEach(modifier => {
+      const delta = modifier.price
+        ? ` (${modifier.price > 0 ? '+' : '-'}${strings.currency}${money(Math.abs(modifier.price))})`
+        : '';
+      text(`  + ${modifier.name}${delta}`);
+    });
+
+    // Show unit price for multiple quantities
+    if (template.showUnitPrice && quantity > 1 && price > 0) {
+      text(`  @ ${strings.currency}${money(price)} ${strings.each}`);
+    }
+  });
+
+  separator();
+  renderLines(template.totals);
+  renderLines(template.footer);
+
+  return layout;
+}
+
+// Largest QR module size (up to `scale`, default 8) at which the code fits across the paper
+function qrModuleSize(payload, dots, scale) {
+  const length = Buffer.byteLength(payload, 'utf8');
+  const version = QR_CAPACITY_M.findIndex(capacity => capacity >= length) + 1 || QR_CAPACITY_M.length;
+  // Modules per side plus the four-module quiet zone on each side
+  const modules = 17 + 4 * version + 8;
+  return Math.min(Math.max(Math.floor(dots / modules), 1), scale || 8);
+}
+
+// Widest CODE128 bars (up to `scale`, default 3) at which the barcode fits across the paper
+function barcodeModuleWidth(value, dots, scale) {
+  // Start, data, check character (11 modules each), stop (13) and quiet zones (10 each side)
+  const modules = 11 * (value.length + 2) + 13 + 20;
+  return Math.min(Math.max(Math.floor(dots / modules), 2), scale || 3, 6);
+}
+
+// ESC/POS document for a rendered layout, using the profile's init (code page) and cut commands
+function layoutToEscPos(layout, profile) {
+  const commands = profile.getCommands();
+  const dots = PAPER_DOTS[profile.paperWidth] || PAPER_DOTS[80];
+  const content = [commands.init];
+
+  layout.forEach(line => {
+    if (line.qr) {
+      content.push(ALIGN_COMMANDS[line.align] || TVS_ESC_POS.ALIGN_CENTER);
+      content.push(qrCodeCommands(line.qr, { moduleSize: qrModuleSize(line.qr, dots, line.scale) }));
+      content.push('\n');
+      return;
+    }
+
+    if (line.barcode) {
+      content.push(ALIGN_COMMANDS[line.align] || TVS_ESC_POS.ALIGN_CENTER);
+      content.push(code128Commands(line.barcode, { moduleWidth: barcodeModuleWidth(line.barcode, dots, line.scale) }));
+      content.push('\n');
+      return;
+    }
+
+    if (line.logo) {
+      // FS p - print the logo stored in NV memory
+      content.push(TVS_ESC_POS.ALIGN_CENTER);
+      content.push(Buffer.from([0x1C, 0x70, line.logo, 0x00]));
+      content.push('\n');
+      return;
+    }
+
+    content.push(ALIGN_COMMANDS[line.align] || TVS_ESC_POS.ALIGN_LEFT);
+    content.push(SIZE_COMMANDS[line.size] || TVS_ESC_POS.SIZE_NORMAL);
+    content.push(line.bold ? TVS_ESC_POS.BOLD_ON : TVS_ESC_POS.BOLD_OFF);
+    content.push(`${line.text}\n`);
+  });
+
+  content.push(TVS_ESC_POS.SIZE_NORMAL);
+  content.push(TVS_ESC_POS.BOLD_OFF);
+  content.push(TVS_ESC_POS.ALIGN_LEFT);
+  content.push(TVS_ESC_POS.FEED_LINES_3);
+  content.push(commands.cut);
+
+  return createTVSBuffer(content);
+}
+
+const QR_PREVIEW_LABELS = { upi: 'UPI QR', einvoice: 'E-INVOICE QR', text: 'QR' };
+
+// Plain-text preview of a layout - double-width text is spaced out so columns line up as printed
+function layoutToText(layout, width) {
+  return layout.map(line => {
+    if (line.logo) return '[LOGO]'.padStart(Math.floor((width + 6) / 2)).padEnd(width);
+    if (line.qr) {
+      const label = `[${QR_PREVIEW_LABELS[line.source] || 'QR'}]`;
+      return label.padStart(Math.floor((width + label.length) / 2));
+    }
+    if (line.barcode) {
+      const label = `||| ${line.barcode} |||`.slice(0, width);
+      return label.padStart(Math.floor((width + label.length) / 2));
+    }
+
+    const doubleWidth = line.size === 'double-width' || line.size === 'double';
+    let text = doubleWidth ? line.text.split('').join(' ') : line.text;
+    if (doubleWidth && text.length > 0) text += ' ';
+
+    if (line.align === 'center') {
+      text = ' '.repeat(Math.max(Math.floor((width - text.length) / 2), 0)) + text;
+    } else if (line.align === 'right') {
+      text = text.padStart(width);
+    }
+    return text.trimEnd();
+  }).join('\n');
+}
+
+// Bill used for test prints and template previews
+function sampleBill() {
+  return {
+    billNumber: `TEST-${Date.now()}`,
+    customerName: 'Test Customer',
+    customerPhone: '+91-9691954035',
+    tableNumber: 'T5',
+    items: [
+      { name: 'Masala Dosa', quantity: 2, price: 80, total: 160, modifiers: [{ name: 'Extra butter', price: 10 }] },
+      { name: 'Coffee', quantity: 2, price: 25, total: 50, modifiers: [{ name: 'Less sugar', price: 0 }] },
+      {
+        name: 'Mini Tiffin',
+        quantity: 1,
+        price: 40,
+        total: 40,
+        components: [{ name: 'Idli', quantity: 2 }, { name: 'Vada', quantity: 1 }]
+      }
+    ],
+    subtotal: 250,
+    gst: 45,
+    serviceCharge: 25,
+    discount: 20,
+    total: 300,
+    paymentMethod: 'cash',
+    cashReceived: 300,
+    status: 'paid',
+    createdAt: new Date()
+  };
+}
+
+module.exports = {
+  DEFAULT_STRINGS,
+  CONDITIONS,
+  renderReceipt,
+  layoutToEscPos,
+  layoutToText,
+  sampleBill,
+  wrapText
+};
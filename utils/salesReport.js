@@ -0,0 +1,279 @@
+// utils/salesReport.js - Sales figures for a period (shift X-reports and end-of-day Z-reports) and their printout
+const Bill = require('../models/Bill');
+const BillAmendment = require('../models/BillAmendment');
+const CashMovement = require('../models/CashMovement');
+const CreditNote = require('../models/CreditNote');
+const PrinterProfile = require('../models/PrinterProfile');
+const { round2, buildTaxBreakup } = require('./gst');
+const { TVS_ESC_POS, createTVSBuffer } = require('./escpos');
+const { enqueuePrint } = require('./printQueue');
+
+const sameUser = (a, b) => Boolean(a) && String(a) === String(b);
+
+// Money received at an outlet between `from` and `to`, optionally by one cashier and in one mode: one line
+// per payment, plus bills settled before split payments existed. Payments on a bill later cancelled are
+// not takings. Both the sales report and the shift cash reconciliation count takings from here.
+async function collectPayments(options = {}) {
+  const { outlet, from, to, cashier = null, method = null } = options;
+  const window = { $gte: from, $lt: to };
+
+  const [collectedBills, legacyBills] = await Promise.all([
+    Bill.find({
+      outlet,
+      status: { $ne: 'cancelled' },
+      payments: { $elemMatch: { receivedAt: window, ...(method ? { method } : {}) } }
+    }).select('billNumber payments createdBy'),
+    Bill.find({
+      outlet,
+      status: 'paid',
+      'payments.0': { $exists: false },
+      $or: [{ paidAt: window }, { paidAt: null, createdAt: window }],
+      ...(cashier ? { createdBy: cashier } : {}),
+      ...(method ? { paymentMethod: method } : {})
+    }).select('billNumber total paymentMethod paidAt createdAt')
+  ]);
+
+  const lines = [];
+  collectedBills.forEach(bill => {
+    bill.payments.forEach(payment => {
+      const received = payment.receivedAt >= from && payment.receivedAt < to && (!method || payment.method === method);
+      const byCashier = !cashier || sameUser(payment.receivedBy || bill.createdBy, cashier);
+      if (received && byCashier) {
+        lines.push({
+          bill: bill._id,
+          billNumber: bill.billNumber,
+          method: payment.method,
+          amount: payment.amount,
+          receivedAt: payment.receivedAt
+        });
+      }
+    });
+  });
+  legacyBills.forEach(bill => {
+    lines.push({
+      bill: bill._id,
+      billNumber: bill.billNumber,
+      method: bill.paymentMethod,
+      amount: bill.total,
+      receivedAt: bill.paidAt || bill.createdAt
+    });
+  });
+
+  return lines.sort((a, b) => a.receivedAt - b.receivedAt);
+}
+
+// Cash section of a report: cash received and refunded with the ledger's pay-ins and pay-outs.
+// `net` is what the drawer should hold over its opening float (Shift#getExpectedCash).
+function summarizeCash(received, refunded, ledger) {
+  return {
+    received: round2(received),
+    refunded: round2(refunded),
+    paidIn: ledger.paidIn,
+    paidOut: ledger.paidOut,
+    net: round2(received - refunded + ledger.paidIn - ledger.paidOut)
+  };
+}
+
+// Figures for an outlet between `from` and `to`, optionally for one cashier:
+// - sales, tax and discounts from bills settled in the period
+// - payments by mode from the money actually received in the period (part payments included)
+// - cancellations, voided lines and refunds made in the period
+// - pay-ins, pay-outs and drawer opens from the cash ledger - those of `shift` when given
+async function buildSalesReport(options = {}) {
+  const { outlet, from, to, cashier = null, shift = null } = options;
+  const window = { $gte: from, $lt: to };
+
+  const paidQuery = {
+    outlet,
+    status: 'paid',
+    $or: [{ paidAt: window }, { paidAt: null, createdAt: window }]
+  };
+  if (cashier) paidQuery.createdBy = cashier;
+
+  const [paidBills, received, cancelledBills, voids, refunds, movements] = await Promise.all([
+    Bill.find(paidQuery),
+    // Split/part payments are counted when received
+    collectPayments({ outlet, from, to, cashier }),
+    Bill.find({ outlet, status: 'cancelled', cancelledAt: window, ...(cashier ? { cancelledBy: cashier } : {}) }),
+    BillAmendment.find({ action: 'void-item', createdAt: window, ...(cashier ? { performedBy: cashier } : {}) })
+      .populate('bill', 'outlet'),
+    CreditNote.getRefundTotals(from, to, { outlet, ...(cashier ? { createdBy: cashier } : {}) }),
+    CashMovement.find(shift ? { shift } : { outlet, createdAt: window })
+  ]);
+
+  const payments = {};
+  received.forEach(payment => {
+    payments[payment.method] = round2((payments[payment.method] || 0) + payment.amount);
+  });
+
+  const charges = Bill.summarizeCharges(paidBills);
+  const sum = field => round2(paidBills.reduce((total, bill) => total + (bill[field] || 0), 0));
+
+  // Merge every bill's slab-wise breakup (charges included) into one table
+  const taxBySlab = buildTaxBreakup(paidBills.flatMap(bill => bill.getTaxBreakup().map(slab => ({
+    taxRate: slab.rate,
+    taxableValue: slab.taxableValue,
+    cgst: slab.cgst,
+    sgst: slab.sgst,
+    igst: slab.igst
+  }))));
+
+  const outletVoids = voids.filter(amendment => amendment.bill && amendment.bill.outlet === outlet);
+  const ledger = CashMovement.summarize(movements);
+
+  return {
+    outlet,
+    from,
+    to,
+    billCount: paidBills.length,
+    grossSales: sum('subtotal'),
+    discounts: charges.discount,
+    serviceCharge: charges.serviceCharge,
+    packingCharge: charges.packingCharge,
+    roundOff: charges.roundOff,
+    tax: {
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      total: charges.gst
+    },
+    netSales: sum('total'),
+    averageBillValue: paidBills.length > 0 ? round2(sum('total') / paidBills.length) : 0,
+    taxBySlab,
+    payments,
+    totalCollected: round2(Object.values(payments).reduce((total, amount) => total + amount, 0)),
+    cancellations: {
+      count: cancelledBills.length,
+      amount: round2(cancelledBills.reduce((total, bill) => total + (bill.total || 0), 0))
+    },
+    voids: {
+      count: outletVoids.length,
+      amount: round2(outletVoids.reduce((total, amendment) => total + (amendment.line.price || 0) * (amendment.line.quantity || 0), 0))
+    },
+    refunds: {
+      count: refunds.count,
+      total: refunds.total,
+      byMethod: refunds.byMethod
+    },
+    cash: summarizeCash(payments.cash || 0, refunds.byMethod.cash || 0, ledger),
+    drawerOpens: ledger.drawerOpens
+  };
+}
+
+// Printout of an X- or Z-report for the receipt printer. `heading` lines go at the top (report name,
+// number, cashier); `cash` adds the drawer reconciliation { openingFloat, expected, counted, variance }.
+function createReportTicket(report, options = {}) {
+  const { heading = [], cash = null, profile } = options;
+  const commands = profile.getCommands();
+  const width = profile.getLineWidth();
+  const money = value => (value || 0).toFixed(2);
+  const row = (label, value) => {
+    const text = String(value);
+    const room = Math.max(width - text.length - 1, 1);
+    return `${label.slice(0, room).padEnd(width - text.length)}${text}\n`;
+  };
+  const when = date => new Date(date).toLocaleString('en-IN', {
+    day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true
+  });
+  const separator = char => `${char.repeat(width)}\n`;
+
+  const content = [commands.init, TVS_ESC_POS.ALIGN_CENTER, TVS_ESC_POS.BOLD_ON, TVS_ESC_POS.SIZE_DOUBLE_HEIGHT];
+  heading.forEach((line, index) => {
+    content.push(`${line}\n`);
+    if (index === 0) content.push(TVS_ESC_POS.SIZE_NORMAL);
+  });
+  content.push(TVS_ESC_POS.BOLD_OFF);
+  content.push(TVS_ESC_POS.ALIGN_LEFT);
+  content.push(`Outlet: ${report.outlet}\n`);
+  content.push(`From: ${when(report.from)}\n`);
+  content.push(`To:   ${when(report.to)}\n`);
+  content.push(separator('='));
+
+  content.push(TVS_ESC_POS.BOLD_ON, 'SALES\n', TVS_ESC_POS.BOLD_OFF);
+  content.push(row('Bills', report.billCount));
+  content.push(row('Gross sales', money(report.grossSales)));
+  content.push(row('Discounts', `-${money(report.discounts)}`));
+  if (report.serviceCharge) content.push(row('Service charge', money(report.serviceCharge)));
+  if (report.packingCharge) content.push(row('Packing charge', money(report.packingCharge)));
+  content.push(row('Tax', money(report.tax.total)));
+  if (report.roundOff) content.push(row('Round off', money(report.roundOff)));
+  content.push(TVS_ESC_POS.BOLD_ON, row('NET SALES', money(report.netSales)), TVS_ESC_POS.BOLD_OFF);
+  content.push(row('Average bill', money(report.averageBillValue)));
+  content.push(separator('-'));
+
+  if (report.taxBySlab.length > 0) {
+    content.push(TVS_ESC_POS.BOLD_ON, 'TAX BY SLAB\n', TVS_ESC_POS.BOLD_OFF);
+    report.taxBySlab.forEach(slab => {
+      content.push(row(`GST ${slab.rate}% on ${money(slab.taxableValue)}`, money(slab.totalTax)));
+    });
+    content.push(row('CGST', money(report.tax.cgst)));
+    content.push(row('SGST', money(report.tax.sgst)));
+    if (report.tax.igst) content.push(row('IGST', money(report.tax.igst)));
+    content.push(separator('-'));
+  }
+
+  content.push(TVS_ESC_POS.BOLD_ON, 'PAYMENTS\n', TVS_ESC_POS.BOLD_OFF);
+  Object.entries(report.payments).forEach(([method, amount]) => {
+    content.push(row(method.toUpperCase(), money(amount)));
+  });
+  content.push(row('Total collected', money(report.totalCollected)));
+  content.push(separator('-'));
+
+  content.push(row(`Cancelled bills (${report.cancellations.count})`, money(report.cancellations.amount)));
+  content.push(row(`Voided items (${report.voids.count})`, money(report.voids.amount)));
+  content.push(row(`Refunds (${report.refunds.count})`, money(report.refunds.total)));
+  Object.entries(report.refunds.byMethod).forEach(([method, amount]) => {
+    content.push(row(`  ${method.toUpperCase()}`, money(amount)));
+  });
+
+  if (cash) {
+    content.push(separator('-'));
+    content.push(TVS_ESC_POS.BOLD_ON, 'CASH\n', TVS_ESC_POS.BOLD_OFF);
+    if (cash.openingFloat !== undefined) content.push(row('Opening float', money(cash.openingFloat)));
+    content.push(row('Cash received', money(report.cash.received)));
+    content.push(row('Cash refunded', `-${money(report.cash.refunded)}`));
+    if (report.cash.paidIn) content.push(row('Paid in', money(report.cash.paidIn)));
+    if (report.cash.paidOut) content.push(row('Paid out', `-${money(report.cash.paidOut)}`));
+    content.push(row('Expected in drawer', money(cash.expected)));
+    if (cash.counted !== null && cash.counted !== undefined) {
+      content.push(row('Counted', money(cash.counted)));
+      content.push(TVS_ESC_POS.BOLD_ON, row('Over / short', `${cash.variance > 0 ? '+' : ''}${money(cash.variance)}`), TVS_ESC_POS.BOLD_OFF);
+    }
+    if (report.drawerOpens && report.drawerOpens['no-sale']) {
+      content.push(row('No-sale drawer opens', report.drawerOpens['no-sale']));
+    }
+  }
+
+  content.push(separator('='));
+  content.push(`Printed ${when(new Date())}\n`);
+  content.push(TVS_ESC_POS.FEED_LINES_3);
+  content.push(commands.cut);
+
+  return createTVSBuffer(content);
+}
+
+// Queue a report printout on the outlet's receipt printer (or `profileId`)
+async function queueReportPrint(report, options = {}) {
+  const { label, heading, cash = null, profileId = null, requestedBy = null } = options;
+  const profile = await PrinterProfile.resolve({ profileId, outlet: report.outlet, role: 'receipt' });
+
+  const job = await enqueuePrint({
+    kind: 'report',
+    label,
+    data: createReportTicket(report, { heading, cash, profile }),
+    profile,
+    role: 'receipt',
+    outlet: report.outlet,
+    requestedBy
+  });
+
+  return { job, printer: profile.name };
+}
+
+module.exports = {
+  collectPayments,
+  summarizeCash,
+  buildSalesReport,
+  createReportTicket,
+  queueReportPrint
+};
@@ -0,0 +1,21 @@
+// utils/transaction.js - MongoDB transaction helpers shared by routes
+const mongoose = require('mongoose');
+
+// Error carrying an HTTP status; thrown inside a transaction to roll it back with a client-facing message
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Run `work(session)` in a MongoDB transaction - everything it writes commits together or not at all
+async function runTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => work(session));
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { requestError, runTransaction };